@@ -0,0 +1,31 @@
+// Times key generation, signing and verification with the public API, so the same script runs against older
+// releases for before/after comparisons: node bench/sign.js [iterations]
+/* eslint-disable no-console */
+import {
+  CryptoBytes,
+  CryptoPublicKeyBytes,
+  CryptoSecretKeyBytes,
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignVerify,
+} from '../src/index.js';
+
+const iterations = Number(process.argv[2] || 20);
+const message = new Uint8Array(32).fill(1);
+const pk = new Uint8Array(CryptoPublicKeyBytes);
+const sk = new Uint8Array(CryptoSecretKeyBytes);
+const sig = new Uint8Array(CryptoBytes);
+
+function bench(name, f) {
+  for (let i = 0; i < 3; i++) f(i);
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) f(i);
+  const ms = (performance.now() - start) / iterations;
+  console.log(`${name.padEnd(8)} ${ms.toFixed(2)} ms`);
+}
+
+bench('keygen', (i) => cryptoSignKeypair(new Uint8Array(32).fill(i), pk, sk));
+bench('sign', () => cryptoSignSignature(sig, message, sk, false));
+bench('verify', () => {
+  if (!cryptoSignVerify(sig, message, pk)) throw new Error('signature does not verify');
+});
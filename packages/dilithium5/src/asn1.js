@@ -0,0 +1,147 @@
+// Minimal strict DER, only the subset used by SubjectPublicKeyInfo and PKCS#8 keys
+import { base64Decode, base64Encode } from './base64.js';
+import { InvalidEncodingError } from './errors.js';
+
+export const Tag = Object.freeze({
+  Integer: 0x02,
+  BitString: 0x03,
+  OctetString: 0x04,
+  ObjectIdentifier: 0x06,
+  Sequence: 0x30,
+  ContextPrimitive0: 0x80,
+});
+
+function hexTag(tag) {
+  return `0x${tag.toString(16).padStart(2, '0')}`;
+}
+
+function encodeLength(length) {
+  if (length < 0x80) {
+    return [length];
+  }
+  const bytes = [];
+  for (let n = length; n > 0; n = Math.floor(n / 256)) {
+    bytes.unshift(n & 0xff);
+  }
+  return [0x80 | bytes.length, ...bytes];
+}
+
+export function derEncode(tag, ...contents) {
+  const length = contents.reduce((sum, content) => sum + content.length, 0);
+  const header = [tag, ...encodeLength(length)];
+  const out = new Uint8Array(header.length + length);
+  out.set(header);
+  let offset = header.length;
+  contents.forEach((content) => {
+    out.set(content, offset);
+    offset += content.length;
+  });
+  return out;
+}
+
+// Reads the element at offset, rejecting BER-only forms such as indefinite or non-minimal lengths
+function derReadElement(bytes, offset, end) {
+  if (offset + 2 > end) {
+    throw new InvalidEncodingError('invalid DER: truncated element');
+  }
+  const tag = bytes[offset];
+  if ((tag & 0x1f) === 0x1f) {
+    throw new InvalidEncodingError(`invalid DER tag ${hexTag(tag)} | Expected a single byte tag`);
+  }
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length === 0x80) {
+    throw new InvalidEncodingError('invalid DER: indefinite length');
+  }
+  if (length > 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes > 3 || start + lengthBytes > end) {
+      throw new InvalidEncodingError('invalid DER: truncated length');
+    }
+    if (bytes[start] === 0) {
+      throw new InvalidEncodingError('invalid DER: non-minimal length');
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    if (length < 0x80) {
+      throw new InvalidEncodingError('invalid DER: non-minimal length');
+    }
+    start += lengthBytes;
+  }
+  if (start + length > end) {
+    throw new InvalidEncodingError(`invalid DER: element length ${length} exceeds the remaining ${end - start} bytes`);
+  }
+  return { tag, start, end: start + length, value: bytes.subarray(start, start + length) };
+}
+
+// Splits the contents of a DER element into its children, each of which must have the expected tag
+export function derDecodeSequence(bytes, expectedTags) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new InvalidEncodingError(`invalid DER ${typeof bytes} | Expected a Uint8Array`);
+  }
+  const elements = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const element = derReadElement(bytes, offset, bytes.length);
+    const expected = expectedTags[elements.length];
+    if (expected === undefined) {
+      throw new InvalidEncodingError(
+        `invalid DER: unexpected element ${hexTag(element.tag)} after ${expectedTags.length} elements`
+      );
+    }
+    if (element.tag !== expected) {
+      throw new InvalidEncodingError(`invalid DER tag ${hexTag(element.tag)} | Expected ${hexTag(expected)}`);
+    }
+    elements.push(element.value);
+    offset = element.end;
+  }
+  if (elements.length !== expectedTags.length) {
+    throw new InvalidEncodingError(`invalid DER: found ${elements.length} elements | Expected ${expectedTags.length}`);
+  }
+  return elements;
+}
+
+// Decodes a whole buffer holding exactly one element with the expected tag
+export function derDecode(bytes, expectedTag) {
+  return derDecodeSequence(bytes, [expectedTag])[0];
+}
+
+export function oidToString(oid) {
+  const arcs = [Math.floor(oid[0] / 40), oid[0] % 40];
+  let arc = 0;
+  for (let i = 1; i < oid.length; i++) {
+    arc = arc * 128 + (oid[i] & 0x7f);
+    if ((oid[i] & 0x80) === 0) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  }
+  return arcs.join('.');
+}
+
+export function pemEncode(label, der) {
+  const lines = base64Encode(der).match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+export function pemDecode(label, pem) {
+  if (typeof pem !== 'string') {
+    throw new InvalidEncodingError(`invalid PEM ${typeof pem} | Expected a string`);
+  }
+  const match = pem
+    .trim()
+    .match(/^-----BEGIN ([A-Z0-9 ]+)-----\r?\n([A-Za-z0-9+/=\r\n]*?)\r?\n?-----END ([A-Z0-9 ]+)-----$/);
+  if (!match || match[1] !== match[3]) {
+    throw new InvalidEncodingError('invalid PEM: missing or mismatched BEGIN/END lines');
+  }
+  if (match[1] !== label) {
+    throw new InvalidEncodingError(`invalid PEM label ${match[1]} | Expected ${label}`);
+  }
+  try {
+    return base64Decode(match[2].replace(/\r?\n/g, ''));
+  } catch (e) {
+    throw new InvalidEncodingError('invalid PEM: malformed base64');
+  }
+}
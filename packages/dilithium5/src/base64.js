@@ -0,0 +1,41 @@
+// Strict base64 and base64url (RFC 4648) without Buffer
+import { InvalidEncodingError } from './errors.js';
+
+const Base64Pattern = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const Base64UrlPattern = /^(?:[A-Za-z0-9_-]{4})*(?:[A-Za-z0-9_-]{2,3})?$/;
+
+export function base64Encode(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+export function base64Decode(base64) {
+  if (typeof base64 !== 'string' || !Base64Pattern.test(base64)) {
+    throw new InvalidEncodingError('invalid base64 | Expected padded base64 without whitespace');
+  }
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  // atob ignores set bits after the last byte, so "QR==" and "QQ==" would both decode to "A"
+  if (base64Encode(bytes) !== base64) {
+    throw new InvalidEncodingError('invalid base64 | Expected canonical base64 with zero padding bits');
+  }
+  return bytes;
+}
+
+export function base64UrlEncode(bytes) {
+  return base64Encode(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(base64Url) {
+  if (typeof base64Url !== 'string' || !Base64UrlPattern.test(base64Url)) {
+    throw new InvalidEncodingError('invalid base64url | Expected unpadded base64url');
+  }
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64Decode(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+}
@@ -0,0 +1,129 @@
+// Minimal deterministic CBOR (RFC 8949 section 4.2), only integers, byte strings, text strings and maps
+import { InvalidEncodingError } from './errors.js';
+
+const MajorType = Object.freeze({
+  Unsigned: 0,
+  Negative: 1,
+  Bytes: 2,
+  Text: 3,
+  Map: 5,
+});
+
+function encodeHead(majorType, value) {
+  const type = majorType << 5;
+  if (value < 24) {
+    return [type | value];
+  }
+  if (value < 0x100) {
+    return [type | 24, value];
+  }
+  if (value < 0x10000) {
+    return [type | 25, value >>> 8, value & 0xff];
+  }
+  if (value < 0x100000000) {
+    return [type | 26, value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+  throw new InvalidEncodingError(`invalid CBOR value ${value} | Expected a value below 2^32`);
+}
+
+function encodeItem(item) {
+  if (Number.isInteger(item)) {
+    return item >= 0 ? encodeHead(MajorType.Unsigned, item) : encodeHead(MajorType.Negative, -1 - item);
+  }
+  if (item instanceof Uint8Array) {
+    return [...encodeHead(MajorType.Bytes, item.length), ...item];
+  }
+  if (typeof item === 'string') {
+    const bytes = new TextEncoder().encode(item);
+    return [...encodeHead(MajorType.Text, bytes.length), ...bytes];
+  }
+  if (item instanceof Map) {
+    // Deterministic encoding sorts map keys by their encoded bytes
+    const entries = Array.from(item, ([key, value]) => [encodeItem(key), encodeItem(value)]);
+    entries.sort(([a], [b]) => {
+      for (let i = 0; i < a.length && i < b.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return a.length - b.length;
+    });
+    return [...encodeHead(MajorType.Map, entries.length), ...entries.flat(2)];
+  }
+  throw new InvalidEncodingError(`invalid CBOR item ${typeof item} | Expected an integer, Uint8Array, string or Map`);
+}
+
+export function cborEncode(item) {
+  return new Uint8Array(encodeItem(item));
+}
+
+function decodeItem(bytes, offset) {
+  if (offset >= bytes.length) {
+    throw new InvalidEncodingError('invalid CBOR: truncated item');
+  }
+  const majorType = bytes[offset] >>> 5;
+  const info = bytes[offset] & 0x1f;
+  let value = info;
+  let next = offset + 1;
+  if (info >= 24) {
+    if (info > 26) {
+      throw new InvalidEncodingError(
+        `invalid CBOR additional information ${info} | Expected a definite length below 2^32`
+      );
+    }
+    const length = 1 << (info - 24);
+    if (next + length > bytes.length) {
+      throw new InvalidEncodingError('invalid CBOR: truncated item');
+    }
+    value = 0;
+    for (let i = 0; i < length; i++) {
+      value = value * 256 + bytes[next + i];
+    }
+    next += length;
+    if (value < (info === 24 ? 24 : 2 ** (4 * length))) {
+      throw new InvalidEncodingError('invalid CBOR: non-minimal integer encoding');
+    }
+  }
+
+  switch (majorType) {
+    case MajorType.Unsigned:
+      return { item: value, next };
+    case MajorType.Negative:
+      return { item: -1 - value, next };
+    case MajorType.Bytes:
+    case MajorType.Text: {
+      if (next + value > bytes.length) {
+        throw new InvalidEncodingError('invalid CBOR: truncated item');
+      }
+      const content = bytes.slice(next, next + value);
+      const item = majorType === MajorType.Bytes ? content : new TextDecoder('utf-8', { fatal: true }).decode(content);
+      return { item, next: next + value };
+    }
+    case MajorType.Map: {
+      const map = new Map();
+      for (let i = 0; i < value; i++) {
+        const key = decodeItem(bytes, next);
+        const entry = decodeItem(bytes, key.next);
+        if (key.item instanceof Uint8Array || map.has(key.item)) {
+          throw new InvalidEncodingError(`invalid CBOR map key ${key.item} | Expected unique integer or text keys`);
+        }
+        map.set(key.item, entry.item);
+        next = entry.next;
+      }
+      return { item: map, next };
+    }
+    default:
+      throw new InvalidEncodingError(
+        `invalid CBOR major type ${majorType} | Expected an integer, byte string, text string or map`
+      );
+  }
+}
+
+export function cborDecode(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new InvalidEncodingError(`invalid CBOR ${typeof bytes} | Expected a Uint8Array`);
+  }
+  const { item, next } = decodeItem(bytes, 0);
+  if (next !== bytes.length) {
+    throw new InvalidEncodingError(`invalid CBOR: ${bytes.length - next} trailing bytes`);
+  }
+  return item;
+}
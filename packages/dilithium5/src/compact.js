@@ -0,0 +1,25 @@
+import { DILITHIUM5, SeedBytes } from './const.js';
+import { zeroize } from './polyvec.js';
+import { checkLength, equalBytes, keypairFromSeed } from './utils.js';
+import { KeyMismatchError } from './errors.js';
+
+// The compact secret key is the 32-byte seed cryptoSignKeypair returns: every other part of pk and sk derives from it
+
+// Returns a copy of the seed after checking that it expands to sk, so a mistyped or mismatched backup fails here
+export function compactSecretKey(sk, seed, params = DILITHIUM5) {
+  checkLength('sk', sk, params.cryptoSecretKeyBytes);
+  checkLength('seed', seed, SeedBytes);
+  const expanded = keypairFromSeed(seed, params);
+  const matches = equalBytes(expanded.sk, sk);
+  zeroize(expanded.sk);
+  if (!matches) {
+    throw new KeyMismatchError('seed and sk do not belong to the same key');
+  }
+  return seed.slice();
+}
+
+// Rebuilds { pk, sk } from a compact secret key
+export function expandSecretKey(seed, params = DILITHIUM5) {
+  checkLength('seed', seed, SeedBytes);
+  return keypairFromSeed(seed, params);
+}
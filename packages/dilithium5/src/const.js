@@ -31,6 +31,105 @@ export const CryptoSecretKeyBytes =
   3 * SeedBytes + L * PolyETAPackedBytes + K * PolyETAPackedBytes + K * PolyT0PackedBytes;
 export const CryptoBytes = SeedBytes + L * PolyZPackedBytes + PolyVecHPackedBytes;
 
+// FIPS 204 (ML-DSA-87) sizes that differ from round-3 Dilithium5
+export const TRBytes = 64;
+export const RndBytes = 32;
+export const ContextMaxBytes = 255;
+export const MLDSA87CTildeBytes = 64;
+export const MLDSA87CryptoPublicKeyBytes = CryptoPublicKeyBytes;
+export const MLDSA87CryptoSecretKeyBytes =
+  2 * SeedBytes + TRBytes + L * PolyETAPackedBytes + K * PolyETAPackedBytes + K * PolyT0PackedBytes;
+export const MLDSA87CryptoBytes = MLDSA87CTildeBytes + L * PolyZPackedBytes + PolyVecHPackedBytes;
+
+function newParamSet({ name, k, l, eta, tau, gamma1, gamma2, omega, cTildeBytes, trBytes, fips204 }) {
+  const polyZPackedBytes = gamma1 === 1 << 17 ? 576 : 640;
+  const polyW1PackedBytes = gamma2 === (Q - 1) / 88 ? 192 : 128;
+  const polyEtaPackedBytes = eta === 2 ? 96 : 128;
+  const polyVecHPackedBytes = omega + k;
+
+  return Object.freeze({
+    name,
+    k,
+    l,
+    eta,
+    tau,
+    beta: tau * eta,
+    gamma1,
+    gamma2,
+    omega,
+    cTildeBytes,
+    trBytes,
+    fips204,
+    polyZPackedBytes,
+    polyW1PackedBytes,
+    polyEtaPackedBytes,
+    polyVecHPackedBytes,
+    polyUniformEtaNBlocks: Math.floor(((eta === 2 ? 136 : 227) + Stream256BlockBytes - 1) / Stream256BlockBytes),
+    polyUniformGamma1NBlocks: Math.floor((polyZPackedBytes + Stream256BlockBytes - 1) / Stream256BlockBytes),
+    cryptoPublicKeyBytes: SeedBytes + k * PolyT1PackedBytes,
+    cryptoSecretKeyBytes: 2 * SeedBytes + trBytes + (l + k) * polyEtaPackedBytes + k * PolyT0PackedBytes,
+    cryptoBytes: cTildeBytes + l * polyZPackedBytes + polyVecHPackedBytes,
+  });
+}
+
+// Round-3 Dilithium5, as used by existing QRL data
+export const DILITHIUM5 = newParamSet({
+  name: 'Dilithium5',
+  k: K,
+  l: L,
+  eta: ETA,
+  tau: TAU,
+  gamma1: GAMMA1,
+  gamma2: GAMMA2,
+  omega: OMEGA,
+  cTildeBytes: SeedBytes,
+  trBytes: SeedBytes,
+  fips204: false,
+});
+
+// FIPS 204 parameter sets
+export const ML_DSA_44 = newParamSet({
+  name: 'ML-DSA-44',
+  k: 4,
+  l: 4,
+  eta: 2,
+  tau: 39,
+  gamma1: 1 << 17,
+  gamma2: (Q - 1) / 88,
+  omega: 80,
+  cTildeBytes: 32,
+  trBytes: TRBytes,
+  fips204: true,
+});
+
+export const ML_DSA_65 = newParamSet({
+  name: 'ML-DSA-65',
+  k: 6,
+  l: 5,
+  eta: 4,
+  tau: 49,
+  gamma1: 1 << 19,
+  gamma2: (Q - 1) / 32,
+  omega: 55,
+  cTildeBytes: 48,
+  trBytes: TRBytes,
+  fips204: true,
+});
+
+export const ML_DSA_87 = newParamSet({
+  name: 'ML-DSA-87',
+  k: K,
+  l: L,
+  eta: ETA,
+  tau: TAU,
+  gamma1: GAMMA1,
+  gamma2: GAMMA2,
+  omega: OMEGA,
+  cTildeBytes: MLDSA87CTildeBytes,
+  trBytes: TRBytes,
+  fips204: true,
+});
+
 export const PolyUniformNBlocks = Math.floor((768 + Stream128BlockBytes - 1) / Stream128BlockBytes);
 export const PolyUniformETANBlocks = Math.floor((136 + Stream256BlockBytes - 1) / Stream256BlockBytes);
 export const PolyUniformGamma1NBlocks = Math.floor((PolyZPackedBytes + Stream256BlockBytes - 1) / Stream256BlockBytes);
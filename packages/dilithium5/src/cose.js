@@ -0,0 +1,65 @@
+import { cborDecode, cborEncode } from './cbor.js';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87 } from './const.js';
+import { checkLength, resolveKeyPair } from './utils.js';
+import { InvalidEncodingError, UnsupportedAlgorithmError } from './errors.js';
+
+// COSE_Key labels and the AKP key type from the COSE ML-DSA draft. Round-3 Dilithium5 has no registered alg, so it
+// takes -65537, the first value of the private use range below -65536, as JWK uses the private name Dilithium5
+const CoseLabel = Object.freeze({ kty: 1, alg: 3, pub: -1, priv: -2 });
+const CoseKtyAKP = 7;
+const CoseAlgorithms = Object.freeze([
+  { params: ML_DSA_44, alg: -48 },
+  { params: ML_DSA_65, alg: -49 },
+  { params: ML_DSA_87, alg: -50 },
+  { params: DILITHIUM5, alg: -65537 },
+]);
+
+// key is { pk } or { pk, seed } / { pk, sk }; priv holds the ML-DSA seed when it is known and the expanded sk otherwise
+export function exportCoseKey(key, params = ML_DSA_87) {
+  const algorithm = CoseAlgorithms.find((a) => a.params === params);
+  if (!algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `invalid parameter set ${params && params.name} | Expected one of ML-DSA-44, ML-DSA-65, ML-DSA-87, Dilithium5`
+    );
+  }
+  const { pk, seed, sk } = key;
+  checkLength('pk', pk, params.cryptoPublicKeyBytes);
+  const coseKey = new Map([
+    [CoseLabel.kty, CoseKtyAKP],
+    [CoseLabel.alg, algorithm.alg],
+    [CoseLabel.pub, pk],
+  ]);
+  // A Dilithium5 priv is always the expanded sk, as for JWK
+  const priv = (params.fips204 && seed) || sk;
+  if (seed && !priv) {
+    throw new UnsupportedAlgorithmError(`invalid private key choice seed for ${params.name} | Expected an expanded sk`);
+  }
+  if (priv) {
+    resolveKeyPair(params, pk, priv);
+    coseKey.set(CoseLabel.priv, priv);
+  }
+  return cborEncode(coseKey);
+}
+
+// Returns { params, pk, seed, sk }, with seed and sk null when the COSE_Key holds no private key
+export function importCoseKey(bytes) {
+  const coseKey = cborDecode(bytes);
+  if (!(coseKey instanceof Map)) {
+    throw new InvalidEncodingError('invalid COSE_Key | Expected a CBOR map');
+  }
+  if (coseKey.get(CoseLabel.kty) !== CoseKtyAKP) {
+    throw new InvalidEncodingError(`invalid COSE_Key kty ${coseKey.get(CoseLabel.kty)} | Expected ${CoseKtyAKP} (AKP)`);
+  }
+  const algorithm = CoseAlgorithms.find((a) => a.alg === coseKey.get(CoseLabel.alg));
+  if (!algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `invalid COSE_Key alg ${coseKey.get(CoseLabel.alg)} | Expected -48, -49, -50 or -65537`
+    );
+  }
+  const pub = coseKey.get(CoseLabel.pub);
+  const priv = coseKey.get(CoseLabel.priv);
+  if (!(pub instanceof Uint8Array) || (priv !== undefined && !(priv instanceof Uint8Array))) {
+    throw new InvalidEncodingError('invalid COSE_Key | Expected byte strings for pub (-1) and priv (-2)');
+  }
+  return resolveKeyPair(algorithm.params, pub, priv);
+}
@@ -0,0 +1,137 @@
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, DILITHIUM5, SeedBytes } from './const.js';
+import { getEntropySource } from './random.js';
+import {
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignVerify,
+  cryptoSignVerifyDetailed,
+  publicKeyFromSecretKey,
+} from './sign.js';
+import { mnemonicToSeed, seedToMnemonic } from './mnemonic.js';
+import { checkLength } from './utils.js';
+import { InvalidEncodingError, KeyDestroyedError } from './errors.js';
+
+export class DilithiumPublicKey {
+  constructor(pk) {
+    checkLength('pk', pk, CryptoPublicKeyBytes);
+    this.pk = pk.slice();
+  }
+
+  getPK() {
+    return this.pk.slice();
+  }
+
+  verify(message, signature) {
+    return cryptoSignVerify(signature, message, this.pk);
+  }
+
+  // { valid, reason } with the VERIFY_REASON a signature was rejected for
+  verifyDetailed(message, signature) {
+    return cryptoSignVerifyDetailed(signature, message, this.pk);
+  }
+}
+
+export class Dilithium extends DilithiumPublicKey {
+  // seed is null for keys restored from a secret key, it cannot be recovered from sk
+  constructor(pk, sk, seed) {
+    super(pk);
+    checkLength('sk', sk, CryptoSecretKeyBytes);
+    this.sk = sk.slice();
+    this.seed = seed ? seed.slice() : null;
+    this.destroyed = false;
+  }
+
+  static generate(entropySource = getEntropySource()) {
+    const pk = new Uint8Array(CryptoPublicKeyBytes);
+    const sk = new Uint8Array(CryptoSecretKeyBytes);
+    const seed = cryptoSignKeypair(null, pk, sk, DILITHIUM5, entropySource);
+    const dilithium = new Dilithium(pk, sk, seed);
+    sk.fill(0);
+    seed.fill(0);
+    return dilithium;
+  }
+
+  static fromSeed(seed) {
+    checkLength('seed', seed, SeedBytes);
+    const pk = new Uint8Array(CryptoPublicKeyBytes);
+    const sk = new Uint8Array(CryptoSecretKeyBytes);
+    cryptoSignKeypair(seed, pk, sk);
+    const dilithium = new Dilithium(pk, sk, seed);
+    sk.fill(0);
+    return dilithium;
+  }
+
+  static fromMnemonic(mnemonic) {
+    const { params, seed } = mnemonicToSeed(mnemonic);
+    if (params !== DILITHIUM5) {
+      throw new InvalidEncodingError(`invalid mnemonic for ${params.name} | Expected a Dilithium5 mnemonic`);
+    }
+    const dilithium = Dilithium.fromSeed(seed);
+    seed.fill(0);
+    return dilithium;
+  }
+
+  static fromSecretKey(sk) {
+    checkLength('sk', sk, CryptoSecretKeyBytes);
+    return new Dilithium(publicKeyFromSecretKey(sk), sk, null);
+  }
+
+  static fromPublicKey(pk) {
+    return new DilithiumPublicKey(pk);
+  }
+
+  getSeed() {
+    this.checkNotDestroyed();
+    return this.seed && this.seed.slice();
+  }
+
+  getHexSeed() {
+    this.checkNotDestroyed();
+    if (this.seed === null) {
+      return null;
+    }
+    return `0x${Array.from(this.seed)
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('')}`;
+  }
+
+  getMnemonic() {
+    this.checkNotDestroyed();
+    if (this.seed === null) {
+      return null;
+    }
+    return seedToMnemonic(this.seed);
+  }
+
+  getSK() {
+    this.checkNotDestroyed();
+    return this.sk.slice();
+  }
+
+  getPublicKey() {
+    return new DilithiumPublicKey(this.pk);
+  }
+
+  // Deterministic signing, as go-qrllib does, so the same key and message always give the same signature
+  sign(message, verifyAfterSign = false) {
+    this.checkNotDestroyed();
+    const signature = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(signature, message, this.sk, false, DILITHIUM5, undefined, verifyAfterSign);
+    return signature;
+  }
+
+  // Zeroes sk and seed. The key can still verify, but sign and the seed, mnemonic and sk getters throw afterwards
+  destroy() {
+    this.sk.fill(0);
+    if (this.seed !== null) {
+      this.seed.fill(0);
+    }
+    this.destroyed = true;
+  }
+
+  checkNotDestroyed() {
+    if (this.destroyed) {
+      throw new KeyDestroyedError('Dilithium key has been destroyed');
+    }
+  }
+}
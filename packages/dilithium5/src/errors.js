@@ -0,0 +1,86 @@
+// Error classes let callers tell malformed input from a key that does not match without parsing messages
+
+export class InvalidLengthError extends Error {
+  constructor(field, length, expected) {
+    super(`invalid ${field} length ${length} | Expected length ${expected}`);
+    this.name = 'InvalidLengthError';
+    this.field = field;
+    this.length = length;
+    this.expected = expected;
+  }
+}
+
+// Malformed DER, PEM, base64, CBOR, JWK, COSE_Key, JWS or mnemonic input
+export class InvalidEncodingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidEncodingError';
+  }
+}
+
+// Well-formed keys that do not belong to the same key pair
+export class KeyMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyMismatchError';
+  }
+}
+
+// A Dilithium or PreparedSecretKey used after destroy() wiped its secrets
+export class KeyDestroyedError extends Error {
+  constructor(message = 'key has been destroyed') {
+    super(message);
+    this.name = 'KeyDestroyedError';
+  }
+}
+
+// A parameter set, hash algorithm, JOSE alg or OID this library does not implement
+export class UnsupportedAlgorithmError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedAlgorithmError';
+  }
+}
+
+// A freshly made signature that does not verify, e.g. after a glitch or bit-flip during signing
+export class FaultDetectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaultDetectedError';
+  }
+}
+
+// A JWS whose signature does not verify under the given public key
+export class InvalidSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSignatureError';
+  }
+}
+
+// A JWS header the caller does not accept, e.g. an alg outside algorithms or a kid other than the expected one
+export class JwsHeaderError extends Error {
+  constructor(parameter, message) {
+    super(message);
+    this.name = 'JwsHeaderError';
+    this.parameter = parameter;
+  }
+}
+
+// A validly signed JWT whose exp, nbf or aud claim rejects it
+export class JwtClaimError extends Error {
+  constructor(claim, message) {
+    super(message);
+    this.name = 'JwtClaimError';
+    this.claim = claim;
+  }
+}
+
+// Reason codes returned by the verify*Detailed functions, named like VERIFY_REASON in @theqrl/xmss
+export const VERIFY_REASON = Object.freeze({
+  OK: 'ok',
+  BAD_LENGTH: 'bad-length',
+  MALFORMED_HINT: 'malformed-hint',
+  NORM_BOUND_EXCEEDED: 'norm-bound-exceeded',
+  CHALLENGE_MISMATCH: 'challenge-mismatch',
+});
@@ -2,40 +2,44 @@ import { Shake128Rate, Shake256Rate } from './const.js';
 
 export const NRounds = 24;
 
-export const KeccakFRoundConstants = BigUint64Array.from([
-  0x0000000000000001n,
-  0x0000000000008082n,
-  0x800000000000808an,
-  0x8000000080008000n,
-  0x000000000000808bn,
-  0x0000000080000001n,
-  0x8000000080008081n,
-  0x8000000000008009n,
-  0x000000000000008an,
-  0x0000000000000088n,
-  0x0000000080008009n,
-  0x000000008000000an,
-  0x000000008000808bn,
-  0x800000000000008bn,
-  0x8000000000008089n,
-  0x8000000000008003n,
-  0x8000000000008002n,
-  0x8000000000000080n,
-  0x000000000000800an,
-  0x800000008000000an,
-  0x8000000080008081n,
-  0x8000000000008080n,
-  0x0000000080000001n,
-  0x8000000080008008n,
+// Round constants as (low, high) 32-bit halves of each 64-bit lane constant
+export const KeccakFRoundConstants = Uint32Array.from([
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000, 0x0000808b,
+  0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000, 0x0000008a, 0x00000000,
+  0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000, 0x8000808b, 0x00000000, 0x0000008b,
+  0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x80000000,
+  0x0000800a, 0x00000000, 0x8000000a, 0x80000000, 0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001,
+  0x00000000, 0x80008008, 0x80000000,
 ]);
 
+// Rotation offsets and lane order of the combined rho and pi steps
+const KeccakRhoOffsets = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const KeccakPiLanes = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+// Lane i of the state is stored as s[2 * i] (low 32 bits) and s[2 * i + 1] (high 32 bits)
 export class KeccakState {
   constructor() {
-    this.s = new BigUint64Array(25);
+    this.s = new Uint32Array(50);
     this.pos = 0;
   }
 }
 
+const bc = new Uint32Array(10);
+
+export function load32(x, xOffset) {
+  return (x[xOffset] | (x[xOffset + 1] << 8) | (x[xOffset + 2] << 16) | (x[xOffset + 3] << 24)) >>> 0;
+}
+
+export function store32(xP, xOffset, u) {
+  const x = xP;
+  x[xOffset] = u;
+  x[xOffset + 1] = u >>> 8;
+  x[xOffset + 2] = u >>> 16;
+  x[xOffset + 3] = u >>> 24;
+}
+
+// Deprecated: the permutation no longer uses 64-bit BigInt lanes. ROL, load64 and store64 are kept for callers of the
+// previous API and will be removed in the next major version
 export function ROL(a, offset) {
   return BigInt.asUintN(64, BigInt.asUintN(64, a << offset) ^ (a >> (64n - offset)));
 }
@@ -54,256 +58,56 @@ export function store64(xP, xOffset, u) {
 }
 
 export function KeccakF1600StatePermute(stateP) {
-  const state = stateP;
-  // copyFromState(A, state)
-  let Aba = state[0];
-  let Abe = state[1];
-  let Abi = state[2];
-  let Abo = state[3];
-  let Abu = state[4];
-  let Aga = state[5];
-  let Age = state[6];
-  let Agi = state[7];
-  let Ago = state[8];
-  let Agu = state[9];
-  let Aka = state[10];
-  let Ake = state[11];
-  let Aki = state[12];
-  let Ako = state[13];
-  let Aku = state[14];
-  let Ama = state[15];
-  let Ame = state[16];
-  let Ami = state[17];
-  let Amo = state[18];
-  let Amu = state[19];
-  let Asa = state[20];
-  let Ase = state[21];
-  let Asi = state[22];
-  let Aso = state[23];
-  let Asu = state[24];
-
-  for (let round = 0; round < NRounds; round += 2) {
-    //    prepareTheta
-    let BCa = BigInt.asUintN(64, Aba ^ Aga ^ Aka ^ Ama ^ Asa);
-    let BCe = BigInt.asUintN(64, Abe ^ Age ^ Ake ^ Ame ^ Ase);
-    let BCi = BigInt.asUintN(64, Abi ^ Agi ^ Aki ^ Ami ^ Asi);
-    let BCo = BigInt.asUintN(64, Abo ^ Ago ^ Ako ^ Amo ^ Aso);
-    let BCu = BigInt.asUintN(64, Abu ^ Agu ^ Aku ^ Amu ^ Asu);
-
-    // thetaRhoPiChiIotaPrepareTheta(round, A, E)
-    let Da = BigInt.asUintN(64, BCu ^ ROL(BCe, 1n));
-    let De = BigInt.asUintN(64, BCa ^ ROL(BCi, 1n));
-    let Di = BigInt.asUintN(64, BCe ^ ROL(BCo, 1n));
-    let Do = BigInt.asUintN(64, BCi ^ ROL(BCu, 1n));
-    let Du = BigInt.asUintN(64, BCo ^ ROL(BCa, 1n));
-
-    Aba = BigInt.asUintN(64, Aba ^ Da);
-    BCa = Aba;
-    Age = BigInt.asUintN(64, Age ^ De);
-    BCe = ROL(Age, 44n);
-    Aki = BigInt.asUintN(64, Aki ^ Di);
-    BCi = ROL(Aki, 43n);
-    Amo = BigInt.asUintN(64, Amo ^ Do);
-    BCo = ROL(Amo, 21n);
-    Asu = BigInt.asUintN(64, Asu ^ Du);
-    BCu = ROL(Asu, 14n);
-    let Eba = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Eba = BigInt.asUintN(64, Eba ^ KeccakFRoundConstants[round]);
-    let Ebe = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    let Ebi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    let Ebo = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    let Ebu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Abo = BigInt.asUintN(64, Abo ^ Do);
-    BCa = ROL(Abo, 28n);
-    Agu = BigInt.asUintN(64, Agu ^ Du);
-    BCe = ROL(Agu, 20n);
-    Aka = BigInt.asUintN(64, Aka ^ Da);
-    BCi = ROL(Aka, 3n);
-    Ame = BigInt.asUintN(64, Ame ^ De);
-    BCo = ROL(Ame, 45n);
-    Asi = BigInt.asUintN(64, Asi ^ Di);
-    BCu = ROL(Asi, 61n);
-    let Ega = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    let Ege = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    let Egi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    let Ego = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    let Egu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Abe = BigInt.asUintN(64, Abe ^ De);
-    BCa = ROL(Abe, 1n);
-    Agi = BigInt.asUintN(64, Agi ^ Di);
-    BCe = ROL(Agi, 6n);
-    Ako = BigInt.asUintN(64, Ako ^ Do);
-    BCi = ROL(Ako, 25n);
-    Amu = BigInt.asUintN(64, Amu ^ Du);
-    BCo = ROL(Amu, 8n);
-    Asa = BigInt.asUintN(64, Asa ^ Da);
-    BCu = ROL(Asa, 18n);
-    let Eka = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    let Eke = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    let Eki = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    let Eko = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    let Eku = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Abu = BigInt.asUintN(64, Abu ^ Du);
-    BCa = ROL(Abu, 27n);
-    Aga = BigInt.asUintN(64, Aga ^ Da);
-    BCe = ROL(Aga, 36n);
-    Ake = BigInt.asUintN(64, Ake ^ De);
-    BCi = ROL(Ake, 10n);
-    Ami = BigInt.asUintN(64, Ami ^ Di);
-    BCo = ROL(Ami, 15n);
-    Aso = BigInt.asUintN(64, Aso ^ Do);
-    BCu = ROL(Aso, 56n);
-    let Ema = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    let Eme = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    let Emi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    let Emo = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    let Emu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Abi = BigInt.asUintN(64, Abi ^ Di);
-    BCa = ROL(Abi, 62n);
-    Ago = BigInt.asUintN(64, Ago ^ Do);
-    BCe = ROL(Ago, 55n);
-    Aku = BigInt.asUintN(64, Aku ^ Du);
-    BCi = ROL(Aku, 39n);
-    Ama = BigInt.asUintN(64, Ama ^ Da);
-    BCo = ROL(Ama, 41n);
-    Ase = BigInt.asUintN(64, Ase ^ De);
-    BCu = ROL(Ase, 2n);
-    let Esa = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    let Ese = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    let Esi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    let Eso = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    let Esu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    //    prepareTheta
-    BCa = BigInt.asUintN(64, Eba ^ Ega ^ Eka ^ Ema ^ Esa);
-    BCe = BigInt.asUintN(64, Ebe ^ Ege ^ Eke ^ Eme ^ Ese);
-    BCi = BigInt.asUintN(64, Ebi ^ Egi ^ Eki ^ Emi ^ Esi);
-    BCo = BigInt.asUintN(64, Ebo ^ Ego ^ Eko ^ Emo ^ Eso);
-    BCu = BigInt.asUintN(64, Ebu ^ Egu ^ Eku ^ Emu ^ Esu);
-
-    // thetaRhoPiChiIotaPrepareTheta(round+1, E, A)
-    Da = BigInt.asUintN(64, BCu ^ ROL(BCe, 1n));
-    De = BigInt.asUintN(64, BCa ^ ROL(BCi, 1n));
-    Di = BigInt.asUintN(64, BCe ^ ROL(BCo, 1n));
-    Do = BigInt.asUintN(64, BCi ^ ROL(BCu, 1n));
-    Du = BigInt.asUintN(64, BCo ^ ROL(BCa, 1n));
-
-    Eba = BigInt.asUintN(64, Eba ^ Da);
-    BCa = Eba;
-    Ege = BigInt.asUintN(64, Ege ^ De);
-    BCe = ROL(Ege, 44n);
-    Eki = BigInt.asUintN(64, Eki ^ Di);
-    BCi = ROL(Eki, 43n);
-    Emo = BigInt.asUintN(64, Emo ^ Do);
-    BCo = ROL(Emo, 21n);
-    Esu = BigInt.asUintN(64, Esu ^ Du);
-    BCu = ROL(Esu, 14n);
-    Aba = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Aba = BigInt.asUintN(64, Aba ^ KeccakFRoundConstants[round + 1]);
-    Abe = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    Abi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    Abo = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    Abu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Ebo = BigInt.asUintN(64, Ebo ^ Do);
-    BCa = ROL(Ebo, 28n);
-    Egu = BigInt.asUintN(64, Egu ^ Du);
-    BCe = ROL(Egu, 20n);
-    Eka = BigInt.asUintN(64, Eka ^ Da);
-    BCi = ROL(Eka, 3n);
-    Eme = BigInt.asUintN(64, Eme ^ De);
-    BCo = ROL(Eme, 45n);
-    Esi = BigInt.asUintN(64, Esi ^ Di);
-    BCu = ROL(Esi, 61n);
-    Aga = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Age = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    Agi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    Ago = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    Agu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Ebe = BigInt.asUintN(64, Ebe ^ De);
-    BCa = ROL(Ebe, 1n);
-    Egi = BigInt.asUintN(64, Egi ^ Di);
-    BCe = ROL(Egi, 6n);
-    Eko = BigInt.asUintN(64, Eko ^ Do);
-    BCi = ROL(Eko, 25n);
-    Emu = BigInt.asUintN(64, Emu ^ Du);
-    BCo = ROL(Emu, 8n);
-    Esa = BigInt.asUintN(64, Esa ^ Da);
-    BCu = ROL(Esa, 18n);
-    Aka = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Ake = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    Aki = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    Ako = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    Aku = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Ebu = BigInt.asUintN(64, Ebu ^ Du);
-    BCa = ROL(Ebu, 27n);
-    Ega = BigInt.asUintN(64, Ega ^ Da);
-    BCe = ROL(Ega, 36n);
-    Eke = BigInt.asUintN(64, Eke ^ De);
-    BCi = ROL(Eke, 10n);
-    Emi = BigInt.asUintN(64, Emi ^ Di);
-    BCo = ROL(Emi, 15n);
-    Eso = BigInt.asUintN(64, Eso ^ Do);
-    BCu = ROL(Eso, 56n);
-    Ama = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Ame = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    Ami = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    Amo = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    Amu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-
-    Ebi = BigInt.asUintN(64, Ebi ^ Di);
-    BCa = ROL(Ebi, 62n);
-    Ego = BigInt.asUintN(64, Ego ^ Do);
-    BCe = ROL(Ego, 55n);
-    Eku = BigInt.asUintN(64, Eku ^ Du);
-    BCi = ROL(Eku, 39n);
-    Ema = BigInt.asUintN(64, Ema ^ Da);
-    BCo = ROL(Ema, 41n);
-    Ese = BigInt.asUintN(64, Ese ^ De);
-    BCu = ROL(Ese, 2n);
-    Asa = BigInt.asUintN(64, BCa ^ (~BCe & BCi));
-    Ase = BigInt.asUintN(64, BCe ^ (~BCi & BCo));
-    Asi = BigInt.asUintN(64, BCi ^ (~BCo & BCu));
-    Aso = BigInt.asUintN(64, BCo ^ (~BCu & BCa));
-    Asu = BigInt.asUintN(64, BCu ^ (~BCa & BCe));
-  }
+  const s = stateP;
+
+  for (let round = 0; round < NRounds; round++) {
+    // theta
+    for (let x = 0; x < 10; x++) bc[x] = s[x] ^ s[x + 10] ^ s[x + 20] ^ s[x + 30] ^ s[x + 40];
+    for (let x = 0; x < 10; x += 2) {
+      const x1 = (x + 2) % 10;
+      const x4 = (x + 8) % 10;
+      const lo = bc[x4] ^ ((bc[x1] << 1) | (bc[x1 + 1] >>> 31));
+      const hi = bc[x4 + 1] ^ ((bc[x1 + 1] << 1) | (bc[x1] >>> 31));
+      for (let y = 0; y < 50; y += 10) {
+        s[y + x] ^= lo;
+        s[y + x + 1] ^= hi;
+      }
+    }
 
-  state[0] = Aba;
-  state[1] = Abe;
-  state[2] = Abi;
-  state[3] = Abo;
-  state[4] = Abu;
-  state[5] = Aga;
-  state[6] = Age;
-  state[7] = Agi;
-  state[8] = Ago;
-  state[9] = Agu;
-  state[10] = Aka;
-  state[11] = Ake;
-  state[12] = Aki;
-  state[13] = Ako;
-  state[14] = Aku;
-  state[15] = Ama;
-  state[16] = Ame;
-  state[17] = Ami;
-  state[18] = Amo;
-  state[19] = Amu;
-  state[20] = Asa;
-  state[21] = Ase;
-  state[22] = Asi;
-  state[23] = Aso;
-  state[24] = Asu;
+    // rho and pi
+    let curLo = s[2];
+    let curHi = s[3];
+    for (let t = 0; t < 24; t++) {
+      const j = 2 * KeccakPiLanes[t];
+      const r = KeccakRhoOffsets[t];
+      const nextLo = s[j];
+      const nextHi = s[j + 1];
+      if (r < 32) {
+        s[j] = (curLo << r) | (curHi >>> (32 - r));
+        s[j + 1] = (curHi << r) | (curLo >>> (32 - r));
+      } else {
+        s[j] = (curHi << (r - 32)) | (curLo >>> (64 - r));
+        s[j + 1] = (curLo << (r - 32)) | (curHi >>> (64 - r));
+      }
+      curLo = nextLo;
+      curHi = nextHi;
+    }
+
+    // chi
+    for (let y = 0; y < 50; y += 10) {
+      for (let x = 0; x < 10; x++) bc[x] = s[y + x];
+      for (let x = 0; x < 10; x++) s[y + x] ^= ~bc[(x + 2) % 10] & bc[(x + 4) % 10];
+    }
+
+    // iota
+    s[0] ^= KeccakFRoundConstants[2 * round];
+    s[1] ^= KeccakFRoundConstants[2 * round + 1];
+  }
 }
 
 export function keccakInit(sP) {
   const s = sP;
-  for (let i = 0; i < 25; i++) s[i] = 0n;
+  s.fill(0);
 }
 
 export function keccakAbsorb(sP, posP, r, input) {
@@ -313,30 +117,21 @@ export function keccakAbsorb(sP, posP, r, input) {
   let i;
   let inputOffset = 0;
   while (pos + inLen >= r) {
-    for (i = pos; i < r; i++)
-      s[Math.floor(i / 8)] = BigInt.asUintN(
-        64,
-        s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset++]) << BigInt(8 * (i % 8)))
-      );
+    for (i = pos; i < r; i++) s[i >>> 2] ^= input[inputOffset++] << (8 * (i & 3));
     inLen -= r - pos;
     KeccakF1600StatePermute(s);
     pos = 0;
   }
 
-  for (i = pos; i < pos + inLen; i++) {
-    s[Math.floor(i / 8)] = BigInt.asUintN(
-      64,
-      s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset++]) << BigInt(8 * (i % 8)))
-    );
-  }
+  for (i = pos; i < pos + inLen; i++) s[i >>> 2] ^= input[inputOffset++] << (8 * (i & 3));
 
   return i;
 }
 
 export function keccakFinalize(sP, pos, r, p) {
   const s = sP;
-  s[Math.floor(pos / 8)] = BigInt.asUintN(64, s[Math.floor(pos / 8)] ^ (BigInt(p) << BigInt(8 * (pos % 8))));
-  s[Math.floor(r / 8) - 1] = BigInt.asUintN(64, s[Math.floor(r / 8) - 1] ^ (1n << 63n));
+  s[pos >>> 2] ^= p << (8 * (pos & 3));
+  s[(r >>> 2) - 1] ^= 0x80000000;
 }
 
 export function keccakSqueeze(outP, s, posP, r) {
@@ -351,7 +146,7 @@ export function keccakSqueeze(outP, s, posP, r) {
       KeccakF1600StatePermute(s);
       pos = 0;
     }
-    for (i = pos; i < r && i < pos + outLen; i++) out[outputOffset++] = s[Math.floor(i / 8)] >> BigInt(8 * (i % 8));
+    for (i = pos; i < r && i < pos + outLen; i++) out[outputOffset++] = s[i >>> 2] >>> (8 * (i & 3));
     outLen -= i - pos;
     pos = i;
   }
@@ -365,23 +160,19 @@ export function keccakAbsorbOnce(sP, r, input, p) {
   let inputOffset = 0;
   let i;
 
-  for (i = 0; i < 25; i++) s[i] = 0;
+  s.fill(0);
 
   while (inLen >= r) {
-    for (i = 0; i < Math.floor(r / 8); i++) s[i] = BigInt.asUintN(64, s[i] ^ load64(input, inputOffset + 8 * i));
+    for (i = 0; i < r >>> 2; i++) s[i] ^= load32(input, inputOffset + 4 * i);
     inputOffset += r;
     inLen -= r;
     KeccakF1600StatePermute(s);
   }
 
-  for (i = 0; i < inLen; i++)
-    s[Math.floor(i / 8)] = BigInt.asUintN(
-      64,
-      s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset + i]) << BigInt(8 * (i % 8)))
-    );
+  for (i = 0; i < inLen; i++) s[i >>> 2] ^= input[inputOffset + i] << (8 * (i & 3));
 
-  s[Math.floor(i / 8)] = BigInt.asUintN(64, s[Math.floor(i / 8)] ^ (BigInt(p) << BigInt(8 * (i % 8))));
-  s[Math.floor((r - 1) / 8)] = BigInt.asUintN(64, s[Math.floor((r - 1) / 8)] ^ (1n << 63n));
+  s[i >>> 2] ^= p << (8 * (i & 3));
+  s[(r - 1) >>> 2] ^= 0x80000000;
 }
 
 export function keccakSqueezeBlocks(output, outputOffsetP, nBlocksP, s, r) {
@@ -389,7 +180,7 @@ export function keccakSqueezeBlocks(output, outputOffsetP, nBlocksP, s, r) {
   let outputOffset = outputOffsetP;
   while (nBlocks) {
     KeccakF1600StatePermute(s);
-    for (let i = 0; i < Math.floor(r / 8); i++) store64(output, outputOffset + 8 * i, s[i]);
+    for (let i = 0; i < r >>> 2; i++) store32(output, outputOffset + 4 * i, s[i]);
     outputOffset += r;
     nBlocks -= 1;
   }
@@ -444,6 +235,11 @@ export function shake256Finalize(stateP) {
   state.pos = Shake256Rate;
 }
 
+export function shake256Squeeze(out, stateP) {
+  const state = stateP;
+  state.pos = keccakSqueeze(out, state.s, state.pos, Shake256Rate);
+}
+
 export function shake256SqueezeBlocks(out, outputOffset, nBlocks, state) {
   keccakSqueezeBlocks(out, outputOffset, nBlocks, state.s, Shake256Rate);
 }
@@ -1,6 +1,5 @@
 export * from './const.js';
 export * from './poly.js';
-export * from './polyvec.js';
 export * from './packing.js';
 export * from './reduce.js';
 export * from './rounding.js';
@@ -8,3 +7,14 @@ export * from './symmetric-shake.js';
 export * from './ntt.js';
 export * from './fips202.js';
 export * from './sign.js';
+export * from './mldsa.js';
+export * from './dilithium.js';
+export * from './keys.js';
+export * from './compact.js';
+export * from './mnemonic.js';
+export * from './jwk.js';
+export * from './cose.js';
+export * from './errors.js';
+export * as jws from './jws.js';
+export { defaultEntropySource, getEntropySource, setEntropySource } from './random.js';
+export { newNistDrbg, parseRsp } from './kat.js';
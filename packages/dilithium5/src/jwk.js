@@ -0,0 +1,51 @@
+import { sha256 } from '@theqrl/xmss';
+import { base64UrlDecode, base64UrlEncode } from './base64.js';
+import { ML_DSA_87 } from './const.js';
+import { checkLength, ParamSets, resolveKeyPair } from './utils.js';
+import { InvalidEncodingError, UnsupportedAlgorithmError } from './errors.js';
+
+// JWK "AKP" keys use the parameter set name as alg; Dilithium5 is not registered and is a private name
+function getJwkParams(alg) {
+  const params = ParamSets.find((p) => p.name === alg);
+  if (!params) {
+    throw new UnsupportedAlgorithmError(
+      `invalid JWK alg ${alg} | Expected one of ${ParamSets.map((p) => p.name).join(', ')}`
+    );
+  }
+  return params;
+}
+
+// key is { pk } or { pk, seed } / { pk, sk }; priv holds the seed when it is known and the expanded sk otherwise
+export function exportJwk(key, params = ML_DSA_87) {
+  getJwkParams(params && params.name);
+  const { pk, seed, sk } = key;
+  checkLength('pk', pk, params.cryptoPublicKeyBytes);
+  const jwk = { kty: 'AKP', alg: params.name, pub: base64UrlEncode(pk) };
+  const priv = (params.fips204 && seed) || sk;
+  if (seed && !priv) {
+    throw new UnsupportedAlgorithmError(`invalid private key choice seed for ${params.name} | Expected an expanded sk`);
+  }
+  if (priv) {
+    resolveKeyPair(params, pk, priv);
+    jwk.priv = base64UrlEncode(priv);
+  }
+  return jwk;
+}
+
+// Returns { params, pk, seed, sk }, with seed and sk null when the JWK holds no private key
+export function importJwk(jwk) {
+  if (!jwk || jwk.kty !== 'AKP') {
+    throw new InvalidEncodingError(`invalid JWK kty ${jwk && jwk.kty} | Expected AKP`);
+  }
+  const params = getJwkParams(jwk.alg);
+  const pk = base64UrlDecode(jwk.pub);
+  return resolveKeyPair(params, pk, jwk.priv === undefined ? undefined : base64UrlDecode(jwk.priv));
+}
+
+// RFC 7638: SHA-256 over the required members in lexicographic order, without whitespace. SHA-256 is the one of
+// @theqrl/xmss, which the mnemonics already depend on
+export function jwkThumbprint(jwk) {
+  const { params, pk } = importJwk(jwk);
+  const canonical = JSON.stringify({ alg: params.name, kty: 'AKP', pub: base64UrlEncode(pk) });
+  return base64UrlEncode(sha256(new Uint8Array(32), new TextEncoder().encode(canonical)));
+}
@@ -0,0 +1,162 @@
+import { base64UrlDecode, base64UrlEncode } from './base64.js';
+import { ML_DSA_44, ML_DSA_65, ML_DSA_87 } from './const.js';
+import { mlDsaSignature, mlDsaVerify } from './mldsa.js';
+import { getEntropySource } from './random.js';
+import {
+  InvalidEncodingError,
+  InvalidLengthError,
+  InvalidSignatureError,
+  JwsHeaderError,
+  JwtClaimError,
+  UnsupportedAlgorithmError,
+} from './errors.js';
+
+// JOSE names of the ML-DSA algorithms, which sign with an empty context
+const JwsAlgorithms = Object.freeze({
+  'ML-DSA-44': ML_DSA_44,
+  'ML-DSA-65': ML_DSA_65,
+  'ML-DSA-87': ML_DSA_87,
+});
+
+function getJwsParams(alg) {
+  if (!Object.prototype.hasOwnProperty.call(JwsAlgorithms, alg)) {
+    throw new UnsupportedAlgorithmError(
+      `invalid JWS alg ${alg} | Expected one of ${Object.keys(JwsAlgorithms).join(', ')}`
+    );
+  }
+  return JwsAlgorithms[alg];
+}
+
+function encodeJson(value) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function decodeJson(part, name) {
+  let value;
+  try {
+    value = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(base64UrlDecode(part)));
+  } catch (e) {
+    throw new InvalidEncodingError(`invalid JWS ${name}: ${e.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new InvalidEncodingError(`invalid JWS ${name} | Expected a JSON object`);
+  }
+  return value;
+}
+
+// Object payloads are JWT claims and get typ JWT, strings and Uint8Arrays are signed as they are
+export function sign(payload, sk, options = {}) {
+  const {
+    alg = 'ML-DSA-87',
+    kid,
+    randomizedSigning = false,
+    entropySource = getEntropySource(),
+    verifyAfterSign = false,
+  } = options;
+  const params = getJwsParams(alg);
+  const isJwt = !(payload instanceof Uint8Array) && typeof payload === 'object' && payload !== null;
+  const header = { alg };
+  if (kid !== undefined) {
+    header.kid = kid;
+  }
+  if (isJwt) {
+    header.typ = 'JWT';
+  }
+
+  let payloadBytes = payload;
+  if (isJwt) {
+    payloadBytes = new TextEncoder().encode(JSON.stringify(payload));
+  } else if (typeof payload === 'string') {
+    payloadBytes = new TextEncoder().encode(payload);
+  } else if (!(payload instanceof Uint8Array)) {
+    throw new TypeError(`invalid JWS payload ${typeof payload} | Expected a Uint8Array, string or claims object`);
+  }
+
+  const signingInput = `${encodeJson(header)}.${base64UrlEncode(payloadBytes)}`;
+  const sig = new Uint8Array(params.cryptoBytes);
+  mlDsaSignature(
+    sig,
+    new TextEncoder().encode(signingInput),
+    sk,
+    randomizedSigning,
+    undefined,
+    params,
+    entropySource,
+    verifyAfterSign
+  );
+  return `${signingInput}.${base64UrlEncode(sig)}`;
+}
+
+function checkClaims(claims, options) {
+  const { audience, clock = () => Date.now(), clockTolerance = 0 } = options;
+  const now = Math.floor(clock() / 1000);
+  ['exp', 'nbf'].forEach((claim) => {
+    if (claims[claim] !== undefined && typeof claims[claim] !== 'number') {
+      throw new JwtClaimError(claim, `invalid JWT ${claim} ${claims[claim]} | Expected a NumericDate`);
+    }
+  });
+  if (claims.exp !== undefined && now >= claims.exp + clockTolerance) {
+    throw new JwtClaimError('exp', `JWT expired at ${claims.exp}`);
+  }
+  if (claims.nbf !== undefined && now + clockTolerance < claims.nbf) {
+    throw new JwtClaimError('nbf', `JWT not valid before ${claims.nbf}`);
+  }
+  if (audience !== undefined) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new JwtClaimError('aud', `invalid JWT aud ${claims.aud} | Expected ${audience}`);
+    }
+  }
+}
+
+// typ is optional in RFC 7519, so claims are also checked whenever the caller passes a claim option. claims: false
+// returns the raw payload of any token and cannot be combined with those options
+function shouldCheckClaims(header, options) {
+  const { claims, audience, clock, clockTolerance } = options;
+  const claimOptions = [audience, clock, clockTolerance].some((option) => option !== undefined);
+  if (claims === false && claimOptions) {
+    throw new TypeError('invalid JWS options | audience, clock and clockTolerance need claims checking');
+  }
+  return claims === true || (claims === undefined && (claimOptions || header.typ === 'JWT'));
+}
+
+// Returns { header, payload }; payload is the checked claims object when claims are checked and a Uint8Array otherwise
+export function verify(token, pk, options = {}) {
+  const { algorithms = Object.keys(JwsAlgorithms), kid } = options;
+  if (typeof token !== 'string') {
+    throw new InvalidEncodingError(`invalid JWS ${typeof token} | Expected a compact serialization string`);
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new InvalidEncodingError(`invalid JWS with ${parts.length} parts | Expected header.payload.signature`);
+  }
+
+  const header = decodeJson(parts[0], 'header');
+  if (!algorithms.includes(header.alg)) {
+    throw new JwsHeaderError('alg', `invalid JWS alg ${header.alg} | Expected one of ${algorithms.join(', ')}`);
+  }
+  const params = getJwsParams(header.alg);
+  if (header.crit !== undefined) {
+    throw new JwsHeaderError('crit', 'invalid JWS crit | No critical header parameters are supported');
+  }
+  if (kid !== undefined && header.kid !== kid) {
+    throw new JwsHeaderError('kid', `invalid JWS kid ${header.kid} | Expected ${kid}`);
+  }
+  if (pk.length !== params.cryptoPublicKeyBytes) {
+    throw new InvalidLengthError('pk', pk.length, `${params.cryptoPublicKeyBytes} for ${header.alg}`);
+  }
+
+  const payload = base64UrlDecode(parts[1]);
+  const sig = base64UrlDecode(parts[2]);
+  const signingInput = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  if (!mlDsaVerify(sig, signingInput, pk, undefined, params)) {
+    throw new InvalidSignatureError('invalid JWS signature');
+  }
+
+  if (!shouldCheckClaims(header, options)) {
+    return { header, payload };
+  }
+  const claims = decodeJson(parts[1], 'payload');
+  checkClaims(claims, options);
+  return { header, payload: claims };
+}
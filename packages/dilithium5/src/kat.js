@@ -0,0 +1,167 @@
+// NIST PQC known answer tests: the AES-256-CTR DRBG of the reference rng.c and a parser for the PQCsignKAT_*.rsp
+// files PQCgenKAT_sign writes. The DRBG only regenerates KAT inputs and is not an entropy source for real keys
+import { InvalidEncodingError, InvalidLengthError } from './errors.js';
+
+const SBox = new Uint8Array(256);
+const RoundConstants = [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40];
+
+const xtime = (b) => ((b << 1) ^ (b & 0x80 ? 0x1b : 0)) & 0xff;
+
+// Builds the S-box from the multiplicative inverse in GF(2^8) followed by the affine map
+(() => {
+  let p = 1;
+  let q = 1;
+  do {
+    p ^= xtime(p);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+    const r = q ^ ((q << 1) | (q >> 7)) ^ ((q << 2) | (q >> 6)) ^ ((q << 3) | (q >> 5)) ^ ((q << 4) | (q >> 4));
+    SBox[p] = (r ^ 0x63) & 0xff;
+  } while (p !== 1);
+  SBox[0] = 0x63;
+})();
+
+function expandKey(key) {
+  const w = new Uint8Array(240);
+  w.set(key);
+  for (let i = 32; i < 240; i += 4) {
+    let t = [w[i - 4], w[i - 3], w[i - 2], w[i - 1]];
+    if (i % 32 === 0) {
+      t = [SBox[t[1]] ^ RoundConstants[i / 32 - 1], SBox[t[2]], SBox[t[3]], SBox[t[0]]];
+    } else if (i % 32 === 16) {
+      t = t.map((b) => SBox[b]);
+    }
+    for (let j = 0; j < 4; j++) {
+      w[i + j] = w[i - 32 + j] ^ t[j];
+    }
+  }
+  return w;
+}
+
+function encryptBlock(roundKeys, block) {
+  const s = Uint8Array.from(block, (b, i) => b ^ roundKeys[i]);
+  for (let round = 1; round <= 14; round++) {
+    // SubBytes and ShiftRows, with the state stored column by column
+    const t = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      t[i] = SBox[s[(i + 4 * (i % 4)) % 16]];
+    }
+    if (round < 14) {
+      for (let c = 0; c < 16; c += 4) {
+        const [a0, a1, a2, a3] = t.subarray(c, c + 4);
+        const all = a0 ^ a1 ^ a2 ^ a3;
+        t[c] = a0 ^ all ^ xtime(a0 ^ a1);
+        t[c + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+        t[c + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+        t[c + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+      }
+    }
+    for (let i = 0; i < 16; i++) {
+      s[i] = t[i] ^ roundKeys[16 * round + i];
+    }
+  }
+  return s;
+}
+
+export const aes256EncryptBlock = (key, block) => encryptBlock(expandKey(key), block);
+
+function incrementV(vP) {
+  const v = vP;
+  for (let j = 15; j >= 0; j--) {
+    if (v[j] === 0xff) {
+      v[j] = 0x00;
+    } else {
+      v[j]++;
+      break;
+    }
+  }
+}
+
+// Returns an entropy source (length) => Uint8Array that follows randombytes_init / randombytes
+export const newNistDrbg = (entropyInput, personalization = null) => {
+  if (entropyInput.length !== 48) {
+    throw new InvalidLengthError('entropy input', entropyInput.length, 48);
+  }
+  let key = new Uint8Array(32);
+  const v = new Uint8Array(16);
+
+  const update = (providedData) => {
+    const roundKeys = expandKey(key);
+    const temp = new Uint8Array(48);
+    for (let i = 0; i < 3; i++) {
+      incrementV(v);
+      temp.set(encryptBlock(roundKeys, v), 16 * i);
+    }
+    if (providedData) {
+      for (let i = 0; i < 48; i++) {
+        temp[i] ^= providedData[i];
+      }
+    }
+    key = temp.slice(0, 32);
+    v.set(temp.subarray(32));
+  };
+
+  const seedMaterial = Uint8Array.from(entropyInput);
+  if (personalization) {
+    for (let i = 0; i < 48; i++) {
+      seedMaterial[i] ^= personalization[i];
+    }
+  }
+  update(seedMaterial);
+
+  return (length) => {
+    const out = new Uint8Array(length);
+    const roundKeys = expandKey(key);
+    for (let i = 0; i < length; i += 16) {
+      incrementV(v);
+      const block = encryptBlock(roundKeys, v);
+      out.set(block.subarray(0, Math.min(16, length - i)), i);
+    }
+    update(null);
+    return out;
+  };
+};
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+const RspNumberFields = ['count', 'mlen', 'smlen'];
+
+// Parses a PQCsignKAT_*.rsp file into one { count, seed, mlen, msg, pk, sk, smlen, sm } entry per count,
+// with the hex fields as Uint8Arrays
+export const parseRsp = (text) => {
+  const entries = [];
+  let entry = null;
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+    const match = /^([a-z]+) = ([0-9A-Fa-f]*)$/.exec(trimmed);
+    if (!match || (!RspNumberFields.includes(match[1]) && match[2].length % 2 !== 0)) {
+      throw new InvalidEncodingError(`invalid rsp line ${index + 1} | Expected "name = value"`);
+    }
+    const [, name, value] = match;
+    if (name === 'count') {
+      entry = {};
+      entries.push(entry);
+    } else if (!entry) {
+      throw new InvalidEncodingError(`invalid rsp line ${index + 1} | Expected count before ${name}`);
+    }
+    entry[name] = RspNumberFields.includes(name) ? parseInt(value, 10) : hexToBytes(value);
+  });
+  entries.forEach((e) => {
+    if (!e.msg || !e.sm || e.msg.length !== e.mlen || e.sm.length !== e.smlen) {
+      throw new InvalidEncodingError(`invalid rsp entry ${e.count} | mlen or smlen does not match the data`);
+    }
+  });
+  return entries;
+};
@@ -0,0 +1,159 @@
+import { derDecode, derDecodeSequence, derEncode, oidToString, pemDecode, pemEncode, Tag } from './asn1.js';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87, SeedBytes } from './const.js';
+import { checkLength, equalBytes, keypairFromSeed } from './utils.js';
+import { InvalidEncodingError, KeyMismatchError, UnsupportedAlgorithmError } from './errors.js';
+
+// DER encoded OIDs: id-ml-dsa-44/65/87 from NIST CSOR and the OQS round-3 dilithium5 OID
+const KeyAlgorithms = Object.freeze([
+  { params: ML_DSA_44, oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x03, 0x11] },
+  { params: ML_DSA_65, oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x03, 0x12] },
+  { params: ML_DSA_87, oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x03, 0x13] },
+  { params: DILITHIUM5, oid: [0x06, 0x0b, 0x2b, 0x06, 0x01, 0x04, 0x01, 0x02, 0x82, 0x0b, 0x07, 0x08, 0x07] },
+]);
+
+function getAlgorithmIdentifier(params) {
+  const algorithm = KeyAlgorithms.find((a) => a.params === params);
+  if (!algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `invalid parameter set ${params && params.name} | Expected one of ML-DSA-44, ML-DSA-65, ML-DSA-87, Dilithium5`
+    );
+  }
+  // The parameters field is absent for every ML-DSA and Dilithium OID
+  return derEncode(Tag.Sequence, algorithm.oid);
+}
+
+function readAlgorithmIdentifier(algorithmIdentifier) {
+  const [oid] = derDecodeSequence(algorithmIdentifier, [Tag.ObjectIdentifier]);
+  const algorithm = KeyAlgorithms.find(
+    (a) => a.oid.length === oid.length + 2 && oid.every((byte, i) => byte === a.oid[i + 2])
+  );
+  if (!algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `unsupported algorithm OID ${oidToString(oid)} | Expected an ML-DSA or Dilithium5 OID`
+    );
+  }
+  return algorithm.params;
+}
+
+function checkFormat(format, der, pem) {
+  if (format !== der && format !== pem) {
+    throw new Error(`invalid format ${format} | Expected ${der} or ${pem}`);
+  }
+}
+
+export function exportPublicKey(pk, format = 'spki', params = ML_DSA_87) {
+  checkFormat(format, 'spki', 'pem');
+  const algorithmIdentifier = getAlgorithmIdentifier(params);
+  checkLength('pk', pk, params.cryptoPublicKeyBytes);
+
+  // SubjectPublicKeyInfo ::= SEQUENCE { algorithm, BIT STRING with no unused bits }
+  const der = derEncode(Tag.Sequence, algorithmIdentifier, derEncode(Tag.BitString, [0], pk));
+  return format === 'pem' ? pemEncode('PUBLIC KEY', der) : der;
+}
+
+export function importPublicKey(data, format = 'spki') {
+  checkFormat(format, 'spki', 'pem');
+  const der = format === 'pem' ? pemDecode('PUBLIC KEY', data) : data;
+  const [algorithmIdentifier, bitString] = derDecodeSequence(derDecode(der, Tag.Sequence), [
+    Tag.Sequence,
+    Tag.BitString,
+  ]);
+  const params = readAlgorithmIdentifier(algorithmIdentifier);
+  if (bitString.length === 0 || bitString[0] !== 0) {
+    throw new InvalidEncodingError('invalid DER: public key BIT STRING must have no unused bits');
+  }
+  const pk = bitString.slice(1);
+  checkLength('pk', pk, params.cryptoPublicKeyBytes);
+  return { params, pk };
+}
+
+// key is { seed }, { sk } or { seed, sk } for the seed, expandedKey and both private key choices
+export function exportPrivateKey(key, format = 'pkcs8', params = ML_DSA_87) {
+  checkFormat(format, 'pkcs8', 'pem');
+  const algorithmIdentifier = getAlgorithmIdentifier(params);
+  const { seed, sk } = key;
+  if (seed) {
+    checkLength('seed', seed, SeedBytes);
+    if (!params.fips204) {
+      throw new Error(`invalid private key choice seed for ${params.name} | Expected an expanded sk`);
+    }
+  }
+  if (sk) {
+    checkLength('sk', sk, params.cryptoSecretKeyBytes);
+  }
+
+  let privateKey;
+  if (seed && sk) {
+    if (!equalBytes(keypairFromSeed(seed, params).sk, sk)) {
+      throw new KeyMismatchError('seed and sk do not belong to the same key');
+    }
+    privateKey = derEncode(Tag.Sequence, derEncode(Tag.OctetString, seed), derEncode(Tag.OctetString, sk));
+  } else if (seed) {
+    privateKey = derEncode(Tag.ContextPrimitive0, seed);
+  } else if (sk) {
+    privateKey = derEncode(Tag.OctetString, sk);
+  } else {
+    throw new Error('invalid private key | Expected a seed, an sk or both');
+  }
+
+  // OneAsymmetricKey ::= SEQUENCE { version v1(0), privateKeyAlgorithm, privateKey OCTET STRING }
+  const der = derEncode(
+    Tag.Sequence,
+    derEncode(Tag.Integer, [0]),
+    algorithmIdentifier,
+    derEncode(Tag.OctetString, privateKey)
+  );
+  return format === 'pem' ? pemEncode('PRIVATE KEY', der) : der;
+}
+
+// Returns { params, seed, sk }, seed is null when the key only held the expanded form
+export function importPrivateKey(data, format = 'pkcs8') {
+  checkFormat(format, 'pkcs8', 'pem');
+  const der = format === 'pem' ? pemDecode('PRIVATE KEY', data) : data;
+  const [version, algorithmIdentifier, privateKey] = derDecodeSequence(derDecode(der, Tag.Sequence), [
+    Tag.Integer,
+    Tag.Sequence,
+    Tag.OctetString,
+  ]);
+  if (version.length !== 1 || version[0] !== 0) {
+    throw new InvalidEncodingError('invalid PKCS#8 version | Expected v1 (0)');
+  }
+  const params = readAlgorithmIdentifier(algorithmIdentifier);
+
+  switch (privateKey[0]) {
+    case Tag.ContextPrimitive0: {
+      const seed = derDecode(privateKey, Tag.ContextPrimitive0).slice();
+      checkLength('seed', seed, SeedBytes);
+      if (!params.fips204) {
+        throw new Error(`invalid private key choice seed for ${params.name} | Expected an expanded sk`);
+      }
+      return { params, seed, sk: keypairFromSeed(seed, params).sk };
+    }
+    case Tag.OctetString: {
+      const sk = derDecode(privateKey, Tag.OctetString).slice();
+      checkLength('sk', sk, params.cryptoSecretKeyBytes);
+      return { params, seed: null, sk };
+    }
+    case Tag.Sequence: {
+      const [seedValue, skValue] = derDecodeSequence(derDecode(privateKey, Tag.Sequence), [
+        Tag.OctetString,
+        Tag.OctetString,
+      ]);
+      const seed = seedValue.slice();
+      const sk = skValue.slice();
+      checkLength('seed', seed, SeedBytes);
+      checkLength('sk', sk, params.cryptoSecretKeyBytes);
+      if (!params.fips204) {
+        throw new Error(`invalid private key choice both for ${params.name} | Expected an expanded sk`);
+      }
+      if (!equalBytes(keypairFromSeed(seed, params).sk, sk)) {
+        throw new KeyMismatchError('seed and sk do not belong to the same key');
+      }
+      return { params, seed, sk };
+    }
+    default:
+      throw new InvalidEncodingError(
+        `invalid private key tag ${privateKey[0]} | Expected seed (128), expandedKey (4) or both (48)`
+      );
+  }
+}
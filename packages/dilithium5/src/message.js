@@ -0,0 +1,18 @@
+// FIPS 204 message encoding shared by mldsa.js and the prepared keys in sign.js, not part of the public API
+import { ContextMaxBytes } from './const.js';
+import { InvalidLengthError } from './errors.js';
+
+export function checkContext(ctx) {
+  if (ctx.length > ContextMaxBytes) {
+    throw new InvalidLengthError('ctx', ctx.length, `<= ${ContextMaxBytes}`);
+  }
+}
+
+// FIPS 204 pure message encoding M' = 0 || len(ctx) || ctx || m
+export function formatMessage(m, ctx) {
+  const mPrime = new Uint8Array(2 + ctx.length + m.length);
+  mPrime[1] = ctx.length;
+  mPrime.set(ctx, 2);
+  mPrime.set(m, 2 + ctx.length);
+  return mPrime;
+}
@@ -0,0 +1,199 @@
+import { ContextMaxBytes, CRHBytes, ML_DSA_87 } from './const.js';
+import { getEntropySource } from './random.js';
+import {
+  createSigner,
+  createVerifier,
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignSignatureMu,
+  cryptoSignVerify,
+  cryptoSignVerifyDetailed,
+  cryptoSignVerifyMu,
+} from './sign.js';
+import { shake256Hash } from './symmetric-shake.js';
+import { checkContext, formatMessage } from './message.js';
+import { InvalidLengthError, UnsupportedAlgorithmError, VERIFY_REASON } from './errors.js';
+
+function checkParams(params) {
+  if (!params || !params.fips204) {
+    throw new UnsupportedAlgorithmError(
+      `invalid parameter set ${params && params.name} | Expected an ML-DSA parameter set`
+    );
+  }
+}
+
+// DER encoded OIDs of the approved pre-hash functions, with the digest length signed for each
+const PreHashAlgorithms = Object.freeze({
+  'SHA-256': { oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x01], digestBytes: 32 },
+  'SHA-512': { oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x03], digestBytes: 64 },
+  SHAKE256: { oid: [0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x0c], digestBytes: 64 },
+});
+
+function getPreHashAlgorithm(hashAlg) {
+  if (!Object.prototype.hasOwnProperty.call(PreHashAlgorithms, hashAlg)) {
+    throw new UnsupportedAlgorithmError(
+      `invalid hash algorithm ${hashAlg} | Expected one of ${Object.keys(PreHashAlgorithms).join(', ')}`
+    );
+  }
+  return PreHashAlgorithms[hashAlg];
+}
+
+// FIPS 204 pre-hash message encoding M' = 1 || len(ctx) || ctx || OID || PH(m)
+function formatPreHashMessage(digest, oid, ctx) {
+  const mPrime = new Uint8Array(2 + ctx.length + oid.length + digest.length);
+  mPrime[0] = 1;
+  mPrime[1] = ctx.length;
+  mPrime.set(ctx, 2);
+  mPrime.set(oid, 2 + ctx.length);
+  mPrime.set(digest, 2 + ctx.length + oid.length);
+  return mPrime;
+}
+
+export function mlDsaKeypair(passedSeed, pk, sk, params = ML_DSA_87, entropySource = getEntropySource()) {
+  checkParams(params);
+  return cryptoSignKeypair(passedSeed, pk, sk, params, entropySource);
+}
+
+export function mlDsaSignature(
+  sig,
+  m,
+  sk,
+  randomizedSigning,
+  ctx = new Uint8Array(0),
+  params = ML_DSA_87,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkParams(params);
+  checkContext(ctx);
+  return cryptoSignSignature(sig, formatMessage(m, ctx), sk, randomizedSigning, params, entropySource, verifyAfterSign);
+}
+
+export function mlDsaSign(
+  msg,
+  sk,
+  randomizedSigning,
+  ctx = new Uint8Array(0),
+  params = ML_DSA_87,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  const sm = new Uint8Array(params.cryptoBytes + msg.length);
+  sm.set(msg, params.cryptoBytes);
+  // As in cryptoSign, the only signing failure is a FaultDetectedError thrown by verify-after-sign
+  mlDsaSignature(sm, msg, sk, randomizedSigning, ctx, params, entropySource, verifyAfterSign);
+  return sm;
+}
+
+export function mlDsaVerifyDetailed(sig, m, pk, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  checkParams(params);
+  if (ctx.length > ContextMaxBytes) {
+    return { valid: false, reason: VERIFY_REASON.BAD_LENGTH };
+  }
+  return cryptoSignVerifyDetailed(sig, formatMessage(m, ctx), pk, params);
+}
+
+export function mlDsaVerify(sig, m, pk, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  return mlDsaVerifyDetailed(sig, m, pk, ctx, params).valid;
+}
+
+export function mlDsaOpen(sm, pk, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  if (sm.length < params.cryptoBytes) {
+    return undefined;
+  }
+
+  const sig = sm.slice(0, params.cryptoBytes);
+  const msg = sm.slice(params.cryptoBytes);
+  if (!mlDsaVerify(sig, msg, pk, ctx, params)) {
+    return undefined;
+  }
+
+  return msg;
+}
+
+export function hashMlDsaSignature(
+  sig,
+  digest,
+  hashAlg,
+  sk,
+  randomizedSigning,
+  ctx = new Uint8Array(0),
+  params = ML_DSA_87,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkParams(params);
+  checkContext(ctx);
+  const { oid, digestBytes } = getPreHashAlgorithm(hashAlg);
+  if (digest.length !== digestBytes) {
+    throw new InvalidLengthError('digest', digest.length, `${digestBytes} for ${hashAlg}`);
+  }
+  return cryptoSignSignature(
+    sig,
+    formatPreHashMessage(digest, oid, ctx),
+    sk,
+    randomizedSigning,
+    params,
+    entropySource,
+    verifyAfterSign
+  );
+}
+
+export function hashMlDsaVerify(sig, digest, hashAlg, pk, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  checkParams(params);
+  const { oid, digestBytes } = getPreHashAlgorithm(hashAlg);
+  if (digest.length !== digestBytes || ctx.length > ContextMaxBytes) {
+    return false;
+  }
+  return cryptoSignVerify(sig, formatPreHashMessage(digest, oid, ctx), pk, params);
+}
+
+export function createMlDsaSigner(
+  sk,
+  randomizedSigning,
+  ctx = new Uint8Array(0),
+  params = ML_DSA_87,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkParams(params);
+  checkContext(ctx);
+  return createSigner(sk, randomizedSigning, params, entropySource, verifyAfterSign).update(
+    formatMessage(new Uint8Array(0), ctx)
+  );
+}
+
+export function createMlDsaVerifier(pk, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  checkParams(params);
+  checkContext(ctx);
+  return createVerifier(pk, params).update(formatMessage(new Uint8Array(0), ctx));
+}
+
+// External mu (FIPS 204 section 6.2): mu = H(H(pk) || M') only needs the public key
+export function computeMu(pk, message, ctx = new Uint8Array(0), params = ML_DSA_87) {
+  checkParams(params);
+  checkContext(ctx);
+  if (pk.length !== params.cryptoPublicKeyBytes) {
+    throw new InvalidLengthError('pk', pk.length, params.cryptoPublicKeyBytes);
+  }
+  return shake256Hash(CRHBytes, shake256Hash(params.trBytes, pk), formatMessage(message, ctx));
+}
+
+export function signMu(
+  mu,
+  sk,
+  randomizedSigning,
+  params = ML_DSA_87,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkParams(params);
+  const sig = new Uint8Array(params.cryptoBytes);
+  cryptoSignSignatureMu(sig, mu, sk, randomizedSigning, params, entropySource, verifyAfterSign);
+  return sig;
+}
+
+export function verifyMu(mu, sig, pk, params = ML_DSA_87) {
+  checkParams(params);
+  return cryptoSignVerifyMu(sig, mu, pk, params);
+}
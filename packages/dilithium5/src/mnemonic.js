@@ -0,0 +1,55 @@
+import { binToMnemonic, mnemonicToBin } from '@theqrl/xmss';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87, SeedBytes } from './const.js';
+import { checkLength } from './utils.js';
+import { InvalidEncodingError, InvalidLengthError, UnsupportedAlgorithmError } from './errors.js';
+
+// The descriptor byte holds the signature type in its high nibble, 2 next to the 1 of an XMSS descriptor, and the
+// parameter set in its low nibble, so a restored mnemonic says which key it expands to
+const MnemonicDescriptors = Object.freeze([
+  { params: DILITHIUM5, descriptor: 0x20 },
+  { params: ML_DSA_44, descriptor: 0x21 },
+  { params: ML_DSA_65, descriptor: 0x22 },
+  { params: ML_DSA_87, descriptor: 0x23 },
+]);
+
+// descriptor || seed is 33 bytes, 12 bits per word from the QRL word list shared with @theqrl/xmss
+export const MnemonicWords = ((1 + SeedBytes) * 8) / 12;
+
+export function seedToMnemonic(seed, params = DILITHIUM5) {
+  checkLength('seed', seed, SeedBytes);
+  const entry = MnemonicDescriptors.find((d) => d.params === params);
+  if (!entry) {
+    throw new UnsupportedAlgorithmError(
+      `invalid parameter set ${params && params.name} | Expected one of Dilithium5, ML-DSA-44, ML-DSA-65, ML-DSA-87`
+    );
+  }
+  const bin = new Uint8Array(1 + SeedBytes);
+  bin[0] = entry.descriptor;
+  bin.set(seed, 1);
+  const mnemonic = binToMnemonic(bin);
+  bin.fill(0);
+  return mnemonic;
+}
+
+// Returns { params, seed }, ready for cryptoSignKeypair(seed, pk, sk, params)
+export function mnemonicToSeed(mnemonic) {
+  const words = mnemonic.trim().split(/\s+/);
+  if (words.length !== MnemonicWords) {
+    throw new InvalidLengthError('mnemonic', words.length, MnemonicWords);
+  }
+  let bin;
+  try {
+    bin = mnemonicToBin(words.join(' '));
+  } catch (e) {
+    throw new InvalidEncodingError(`invalid mnemonic | ${e.message}`);
+  }
+  const entry = MnemonicDescriptors.find((d) => d.descriptor === bin[0]);
+  if (!entry) {
+    throw new InvalidEncodingError(
+      `invalid mnemonic descriptor 0x${bin[0].toString(16).padStart(2, '0')} | Expected a Dilithium or ML-DSA descriptor`
+    );
+  }
+  const seed = bin.slice(1);
+  bin.fill(0);
+  return { params: entry.params, seed };
+}
@@ -1,14 +1,4 @@
-import {
-  K,
-  L,
-  N,
-  OMEGA,
-  PolyETAPackedBytes,
-  PolyT0PackedBytes,
-  PolyT1PackedBytes,
-  PolyZPackedBytes,
-  SeedBytes,
-} from './const.js';
+import { DILITHIUM5, N, PolyT0PackedBytes, PolyT1PackedBytes, SeedBytes } from './const.js';
 import {
   polyEtaPack,
   polyEtaUnpack,
@@ -25,7 +15,7 @@ export function packPk(pkp, rho, t1) {
   for (let i = 0; i < SeedBytes; ++i) {
     pk[i] = rho[i];
   }
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < t1.vec.length; ++i) {
     polyT1Pack(pk, SeedBytes + i * PolyT1PackedBytes, t1.vec[i]);
   }
 }
@@ -36,14 +26,15 @@ export function unpackPk(rhop, t1, pk) {
     rho[i] = pk[i];
   }
 
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < t1.vec.length; ++i) {
     polyT1Unpack(t1.vec[i], pk, SeedBytes + i * PolyT1PackedBytes);
   }
 }
 
-export function packSk(skp, rho, tr, key, t0, s1, s2) {
+export function packSk(skp, rho, tr, key, t0, s1, s2, params = DILITHIUM5) {
   let skOffset = 0;
   const sk = skp;
+  const { k, l, trBytes, polyEtaPackedBytes } = params;
   for (let i = 0; i < SeedBytes; ++i) {
     sk[i] = rho[i];
   }
@@ -54,31 +45,32 @@ export function packSk(skp, rho, tr, key, t0, s1, s2) {
   }
   skOffset += SeedBytes;
 
-  for (let i = 0; i < SeedBytes; ++i) {
+  for (let i = 0; i < trBytes; ++i) {
     sk[skOffset + i] = tr[i];
   }
-  skOffset += SeedBytes;
+  skOffset += trBytes;
 
-  for (let i = 0; i < L; ++i) {
-    polyEtaPack(sk, skOffset + i * PolyETAPackedBytes, s1.vec[i]);
+  for (let i = 0; i < l; ++i) {
+    polyEtaPack(sk, skOffset + i * polyEtaPackedBytes, s1.vec[i], params);
   }
-  skOffset += L * PolyETAPackedBytes;
+  skOffset += l * polyEtaPackedBytes;
 
-  for (let i = 0; i < K; ++i) {
-    polyEtaPack(sk, skOffset + i * PolyETAPackedBytes, s2.vec[i]);
+  for (let i = 0; i < k; ++i) {
+    polyEtaPack(sk, skOffset + i * polyEtaPackedBytes, s2.vec[i], params);
   }
-  skOffset += K * PolyETAPackedBytes;
+  skOffset += k * polyEtaPackedBytes;
 
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < k; ++i) {
     polyT0Pack(sk, skOffset + i * PolyT0PackedBytes, t0.vec[i]);
   }
 }
 
-export function unpackSk(rhoP, trP, keyP, t0, s1, s2, sk) {
+export function unpackSk(rhoP, trP, keyP, t0, s1, s2, sk, params = DILITHIUM5) {
   let skOffset = 0;
   const rho = rhoP;
   const tr = trP;
   const key = keyP;
+  const { k, l, trBytes, polyEtaPackedBytes } = params;
   for (let i = 0; i < SeedBytes; ++i) {
     rho[i] = sk[skOffset + i];
   }
@@ -89,93 +81,95 @@ export function unpackSk(rhoP, trP, keyP, t0, s1, s2, sk) {
   }
   skOffset += SeedBytes;
 
-  for (let i = 0; i < SeedBytes; ++i) {
+  for (let i = 0; i < trBytes; ++i) {
     tr[i] = sk[skOffset + i];
   }
-  skOffset += SeedBytes;
+  skOffset += trBytes;
 
-  for (let i = 0; i < L; ++i) {
-    polyEtaUnpack(s1.vec[i], sk, skOffset + i * PolyETAPackedBytes);
+  for (let i = 0; i < l; ++i) {
+    polyEtaUnpack(s1.vec[i], sk, skOffset + i * polyEtaPackedBytes, params);
   }
-  skOffset += L * PolyETAPackedBytes;
+  skOffset += l * polyEtaPackedBytes;
 
-  for (let i = 0; i < K; ++i) {
-    polyEtaUnpack(s2.vec[i], sk, skOffset + i * PolyETAPackedBytes);
+  for (let i = 0; i < k; ++i) {
+    polyEtaUnpack(s2.vec[i], sk, skOffset + i * polyEtaPackedBytes, params);
   }
-  skOffset += K * PolyETAPackedBytes;
+  skOffset += k * polyEtaPackedBytes;
 
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < k; ++i) {
     polyT0Unpack(t0.vec[i], sk, skOffset + i * PolyT0PackedBytes);
   }
 }
 
-export function packSig(sigP, c, z, h) {
+export function packSig(sigP, c, z, h, params = DILITHIUM5) {
   let sigOffset = 0;
   const sig = sigP;
-  for (let i = 0; i < SeedBytes; ++i) {
+  const { k, l, omega, cTildeBytes, polyZPackedBytes } = params;
+  for (let i = 0; i < cTildeBytes; ++i) {
     sig[i] = c[i];
   }
-  sigOffset += SeedBytes;
+  sigOffset += cTildeBytes;
 
-  for (let i = 0; i < L; ++i) {
-    polyZPack(sig, sigOffset + i * PolyZPackedBytes, z.vec[i]);
+  for (let i = 0; i < l; ++i) {
+    polyZPack(sig, sigOffset + i * polyZPackedBytes, z.vec[i], params);
   }
-  sigOffset += L * PolyZPackedBytes;
+  sigOffset += l * polyZPackedBytes;
 
-  for (let i = 0; i < OMEGA + K; ++i) {
+  for (let i = 0; i < omega + k; ++i) {
     sig[sigOffset + i] = 0;
   }
 
-  let k = 0;
-  for (let i = 0; i < K; ++i) {
+  let n = 0;
+  for (let i = 0; i < k; ++i) {
     for (let j = 0; j < N; ++j) {
       if (h.vec[i].coeffs[j] !== 0) {
-        sig[sigOffset + k++] = j;
+        sig[sigOffset + n++] = j;
       }
     }
 
-    sig[sigOffset + OMEGA + i] = k;
+    sig[sigOffset + omega + i] = n;
   }
 }
 
-export function unpackSig(cP, z, hP, sig) {
+export function unpackSig(cP, z, hP, sig, params = DILITHIUM5) {
   let sigOffset = 0;
   const c = cP;
   const h = hP;
-  for (let i = 0; i < SeedBytes; ++i) {
+  const { k, l, omega, cTildeBytes, polyZPackedBytes } = params;
+  for (let i = 0; i < cTildeBytes; ++i) {
     c[i] = sig[i];
   }
-  sigOffset += SeedBytes;
+  sigOffset += cTildeBytes;
 
-  for (let i = 0; i < L; ++i) {
-    polyZUnpack(z.vec[i], sig, sigOffset + i * PolyZPackedBytes);
+  for (let i = 0; i < l; ++i) {
+    polyZUnpack(z.vec[i], sig, sigOffset + i * polyZPackedBytes, params);
   }
-  sigOffset += L * PolyZPackedBytes;
+  sigOffset += l * polyZPackedBytes;
 
   /* Decode h */
-  let k = 0;
-  for (let i = 0; i < K; ++i) {
+  let n = 0;
+  for (let i = 0; i < k; ++i) {
     for (let j = 0; j < N; ++j) {
       h.vec[i].coeffs[j] = 0;
     }
 
-    if (sig[sigOffset + OMEGA + i] < k || sig[sigOffset + OMEGA + i] > OMEGA) {
+    if (sig[sigOffset + omega + i] < n || sig[sigOffset + omega + i] > omega) {
       return 1;
     }
 
-    for (let j = k; j < sig[sigOffset + OMEGA + i]; ++j) {
+    for (let j = n; j < sig[sigOffset + omega + i]; ++j) {
       /* Coefficients are ordered for strong unforgeability */
-      if (j > k && sig[sigOffset + j] <= sig[sigOffset + j - 1]) {
+      if (j > n && sig[sigOffset + j] <= sig[sigOffset + j - 1]) {
         return 1;
       }
       h.vec[i].coeffs[sig[sigOffset + j]] = 1;
     }
 
-    k = sig[sigOffset + OMEGA + i];
+    n = sig[sigOffset + omega + i];
   }
 
   /* Extra indices are zero for strong unforgeability */
-  for (let j = k; j < OMEGA; ++j) {
+  for (let j = n; j < omega; ++j) {
     if (sig[sigOffset + j]) {
       return 1;
     }
@@ -1,17 +1,12 @@
 import {
   D,
-  ETA,
-  GAMMA1,
+  DILITHIUM5,
   N,
-  PolyUniformETANBlocks,
-  PolyUniformGamma1NBlocks,
   PolyUniformNBlocks,
   Q,
-  SeedBytes,
   Shake256Rate,
   Stream128BlockBytes,
   Stream256BlockBytes,
-  TAU,
 } from './const.js';
 
 import {
@@ -25,7 +20,7 @@ import {
 
 import { dilithiumShake128StreamInit, dilithiumShake256StreamInit } from './symmetric-shake.js';
 import { invNTTToMont, ntt } from './ntt.js';
-import { cAddQ, montgomeryReduce, reduce32 } from './reduce.js';
+import { cAddQ, montgomeryMul, reduce32 } from './reduce.js';
 import { decompose, makeHint, power2round, useHint } from './rounding.js';
 
 export class Poly {
@@ -75,7 +70,7 @@ export function polyInvNTTToMont(a) {
 
 export function polyPointWiseMontgomery(cP, a, b) {
   const c = cP;
-  for (let i = 0; i < N; ++i) c.coeffs[i] = Number(montgomeryReduce(BigInt(a.coeffs[i]) * BigInt(b.coeffs[i])));
+  for (let i = 0; i < N; ++i) c.coeffs[i] = montgomeryMul(a.coeffs[i], b.coeffs[i]);
 }
 
 export function polyPower2round(a1p, a0, a) {
@@ -83,44 +78,43 @@ export function polyPower2round(a1p, a0, a) {
   for (let i = 0; i < N; ++i) a1.coeffs[i] = power2round(a0.coeffs, i, a.coeffs[i]);
 }
 
-export function polyDecompose(a1p, a0, a) {
+export function polyDecompose(a1p, a0, a, params = DILITHIUM5) {
   const a1 = a1p;
-  for (let i = 0; i < N; ++i) a1.coeffs[i] = decompose(a0.coeffs, i, a.coeffs[i]);
+  for (let i = 0; i < N; ++i) a1.coeffs[i] = decompose(a0.coeffs, i, a.coeffs[i], params.gamma2);
 }
 
-export function polyMakeHint(hp, a0, a1) {
+export function polyMakeHint(hp, a0, a1, params = DILITHIUM5) {
   let s = 0;
   const h = hp;
   for (let i = 0; i < N; ++i) {
-    h.coeffs[i] = makeHint(a0.coeffs[i], a1.coeffs[i]);
+    h.coeffs[i] = makeHint(a0.coeffs[i], a1.coeffs[i], params.gamma2);
     s += h.coeffs[i];
   }
 
   return s;
 }
 
-export function polyUseHint(bp, a, h) {
+export function polyUseHint(bp, a, h, params = DILITHIUM5) {
   const b = bp;
   for (let i = 0; i < N; ++i) {
-    b.coeffs[i] = useHint(a.coeffs[i], h.coeffs[i]);
+    b.coeffs[i] = useHint(a.coeffs[i], h.coeffs[i], params.gamma2);
   }
 }
 
+// Scans every coefficient, so the time does not reveal where or whether the bound is exceeded
 export function polyChkNorm(a, b) {
   if (b > Math.floor((Q - 1) / 8)) {
     return 1;
   }
 
+  let exceeded = 0;
   for (let i = 0; i < N; i++) {
     let t = a.coeffs[i] >> 31;
     t = a.coeffs[i] - (t & (2 * a.coeffs[i]));
-
-    if (t >= b) {
-      return 1;
-    }
+    exceeded |= (b - 1 - t) >>> 31;
   }
 
-  return 0;
+  return exceeded;
 }
 
 export function rejUniform(ap, aOffset, len, buf, bufLen) {
@@ -162,49 +156,81 @@ export function polyUniform(a, seed, nonce) {
   }
 }
 
-export function rejEta(aP, aOffset, len, buf, bufLen) {
-  let ctr;
-  let pos;
-  let t0;
-  let t1;
+// Rejected nibbles are independent of the accepted coefficients, so only the loop count depends on them. Each
+// candidate is written through a mask, so a rejected one, or one after len are filled, rewrites a slot unchanged.
+export function rejEta(aP, aOffset, len, buf, bufLen, params = DILITHIUM5) {
   const a = aP;
-  ctr = 0;
-  pos = 0;
+  const bound = params.eta === 2 ? 15 : 9;
+  let ctr = 0;
+  let pos = 0;
   while (ctr < len && pos < bufLen) {
-    t0 = buf[pos] & 0x0f;
-    t1 = buf[pos++] >> 4;
-
-    if (t0 < 15) {
-      t0 -= ((205 * t0) >> 10) * 5;
-      a[aOffset + ctr++] = 2 - t0;
-    }
-    if (t1 < 15 && ctr < len) {
-      t1 -= ((205 * t1) >> 10) * 5;
-      a[aOffset + ctr++] = 2 - t1;
+    for (let j = 0; j < 2; j++) {
+      const t = (buf[pos] >> (4 * j)) & 0x0f;
+      const accept = ((t - bound) >>> 31) & ((ctr - len) >>> 31);
+      const mask = -accept;
+      const value = params.eta === 2 ? 2 - (t - ((205 * t) >> 10) * 5) : 4 - t;
+      const i = aOffset + ctr - (((ctr - len) >>> 31) ^ 1);
+      a[i] = (a[i] & ~mask) | (value & mask);
+      ctr += accept;
     }
+    pos++;
   }
 
   return ctr;
 }
 
-export function polyUniformEta(a, seed, nonce) {
+export function polyUniformEta(a, seed, nonce, params = DILITHIUM5) {
   let ctr;
-  const bufLen = PolyUniformETANBlocks * Stream256BlockBytes;
+  const bufLen = params.polyUniformEtaNBlocks * Stream256BlockBytes;
   const buf = new Uint8Array(bufLen);
 
   const state = new KeccakState();
   dilithiumShake256StreamInit(state, seed, nonce);
-  shake256SqueezeBlocks(buf, 0, PolyUniformETANBlocks, state);
+  shake256SqueezeBlocks(buf, 0, params.polyUniformEtaNBlocks, state);
 
-  ctr = rejEta(a.coeffs, 0, N, buf, bufLen);
+  ctr = rejEta(a.coeffs, 0, N, buf, bufLen, params);
   while (ctr < N) {
     shake256SqueezeBlocks(buf, 0, 1, state);
-    ctr += rejEta(a.coeffs, ctr, N - ctr, buf, Stream256BlockBytes);
+    ctr += rejEta(a.coeffs, ctr, N - ctr, buf, Stream256BlockBytes, params);
   }
+  // buf and state determine the secret coefficients
+  buf.fill(0);
+  state.s.fill(0);
 }
 
-export function polyZUnpack(rP, a, aOffset) {
+export function polyZUnpack(rP, a, aOffset, params = DILITHIUM5) {
   const r = rP;
+  const { gamma1 } = params;
+  if (gamma1 === 1 << 17) {
+    for (let i = 0; i < N / 4; ++i) {
+      r.coeffs[4 * i] = a[aOffset + 9 * i];
+      r.coeffs[4 * i] |= a[aOffset + 9 * i + 1] << 8;
+      r.coeffs[4 * i] |= a[aOffset + 9 * i + 2] << 16;
+      r.coeffs[4 * i] &= 0x3ffff;
+
+      r.coeffs[4 * i + 1] = a[aOffset + 9 * i + 2] >> 2;
+      r.coeffs[4 * i + 1] |= a[aOffset + 9 * i + 3] << 6;
+      r.coeffs[4 * i + 1] |= a[aOffset + 9 * i + 4] << 14;
+      r.coeffs[4 * i + 1] &= 0x3ffff;
+
+      r.coeffs[4 * i + 2] = a[aOffset + 9 * i + 4] >> 4;
+      r.coeffs[4 * i + 2] |= a[aOffset + 9 * i + 5] << 4;
+      r.coeffs[4 * i + 2] |= a[aOffset + 9 * i + 6] << 12;
+      r.coeffs[4 * i + 2] &= 0x3ffff;
+
+      r.coeffs[4 * i + 3] = a[aOffset + 9 * i + 6] >> 6;
+      r.coeffs[4 * i + 3] |= a[aOffset + 9 * i + 7] << 2;
+      r.coeffs[4 * i + 3] |= a[aOffset + 9 * i + 8] << 10;
+      r.coeffs[4 * i + 3] &= 0x3ffff;
+
+      r.coeffs[4 * i] = gamma1 - r.coeffs[4 * i];
+      r.coeffs[4 * i + 1] = gamma1 - r.coeffs[4 * i + 1];
+      r.coeffs[4 * i + 2] = gamma1 - r.coeffs[4 * i + 2];
+      r.coeffs[4 * i + 3] = gamma1 - r.coeffs[4 * i + 3];
+    }
+    return;
+  }
+
   for (let i = 0; i < N / 2; ++i) {
     r.coeffs[2 * i] = a[aOffset + 5 * i];
     r.coeffs[2 * i] |= a[aOffset + 5 * i + 1] << 8;
@@ -216,21 +242,23 @@ export function polyZUnpack(rP, a, aOffset) {
     r.coeffs[2 * i + 1] |= a[aOffset + 5 * i + 4] << 12;
     r.coeffs[2 * i] &= 0xfffff;
 
-    r.coeffs[2 * i] = GAMMA1 - r.coeffs[2 * i];
-    r.coeffs[2 * i + 1] = GAMMA1 - r.coeffs[2 * i + 1];
+    r.coeffs[2 * i] = gamma1 - r.coeffs[2 * i];
+    r.coeffs[2 * i + 1] = gamma1 - r.coeffs[2 * i + 1];
   }
 }
 
-export function polyUniformGamma1(a, seed, nonce) {
-  const buf = new Uint8Array(PolyUniformGamma1NBlocks * Stream256BlockBytes);
+export function polyUniformGamma1(a, seed, nonce, params = DILITHIUM5) {
+  const buf = new Uint8Array(params.polyUniformGamma1NBlocks * Stream256BlockBytes);
 
   const state = new KeccakState();
   dilithiumShake256StreamInit(state, seed, nonce);
-  shake256SqueezeBlocks(buf, 0, PolyUniformGamma1NBlocks, state);
-  polyZUnpack(a, buf, 0);
+  shake256SqueezeBlocks(buf, 0, params.polyUniformGamma1NBlocks, state);
+  polyZUnpack(a, buf, 0, params);
+  buf.fill(0);
+  state.s.fill(0);
 }
 
-export function polyChallenge(cP, seed) {
+export function polyChallenge(cP, seed, params = DILITHIUM5) {
   let b;
   let pos;
   const c = cP;
@@ -238,20 +266,19 @@ export function polyChallenge(cP, seed) {
 
   const state = new KeccakState();
   shake256Init(state);
-  shake256Absorb(state, seed.slice(0, SeedBytes));
+  shake256Absorb(state, seed.slice(0, params.cTildeBytes));
   shake256Finalize(state);
   shake256SqueezeBlocks(buf, 0, 1, state);
 
-  let signs = 0n;
-  for (let i = 0; i < 8; ++i) {
-    signs = BigInt.asUintN(64, signs | (BigInt(buf[i]) << BigInt(8 * i)));
-  }
+  // 64 sign bits held as low and high 32-bit words
+  let signsLo = (buf[0] | (buf[1] << 8) | (buf[2] << 16) | (buf[3] << 24)) >>> 0;
+  let signsHi = (buf[4] | (buf[5] << 8) | (buf[6] << 16) | (buf[7] << 24)) >>> 0;
   pos = 8;
 
   for (let i = 0; i < N; ++i) {
     c.coeffs[i] = 0;
   }
-  for (let i = N - TAU; i < N; ++i) {
+  for (let i = N - params.tau; i < N; ++i) {
     do {
       if (pos >= Shake256Rate) {
         shake256SqueezeBlocks(buf, 0, 1, state);
@@ -262,23 +289,34 @@ export function polyChallenge(cP, seed) {
     } while (b > i);
 
     c.coeffs[i] = c.coeffs[b];
-    c.coeffs[b] = Number(1n - 2n * (signs & 1n));
-    signs >>= 1n;
+    c.coeffs[b] = 1 - 2 * (signsLo & 1);
+    signsLo = ((signsLo >>> 1) | (signsHi << 31)) >>> 0;
+    signsHi >>>= 1;
   }
 }
 
-export function polyEtaPack(rP, rOffset, a) {
+export function polyEtaPack(rP, rOffset, a, params = DILITHIUM5) {
   const t = new Uint8Array(8);
   const r = rP;
+  const { eta } = params;
+  if (eta === 4) {
+    for (let i = 0; i < N / 2; ++i) {
+      t[0] = eta - a.coeffs[2 * i];
+      t[1] = eta - a.coeffs[2 * i + 1];
+      r[rOffset + i] = t[0] | (t[1] << 4);
+    }
+    return;
+  }
+
   for (let i = 0; i < N / 8; ++i) {
-    t[0] = ETA - a.coeffs[8 * i];
-    t[1] = ETA - a.coeffs[8 * i + 1];
-    t[2] = ETA - a.coeffs[8 * i + 2];
-    t[3] = ETA - a.coeffs[8 * i + 3];
-    t[4] = ETA - a.coeffs[8 * i + 4];
-    t[5] = ETA - a.coeffs[8 * i + 5];
-    t[6] = ETA - a.coeffs[8 * i + 6];
-    t[7] = ETA - a.coeffs[8 * i + 7];
+    t[0] = eta - a.coeffs[8 * i];
+    t[1] = eta - a.coeffs[8 * i + 1];
+    t[2] = eta - a.coeffs[8 * i + 2];
+    t[3] = eta - a.coeffs[8 * i + 3];
+    t[4] = eta - a.coeffs[8 * i + 4];
+    t[5] = eta - a.coeffs[8 * i + 5];
+    t[6] = eta - a.coeffs[8 * i + 6];
+    t[7] = eta - a.coeffs[8 * i + 7];
 
     r[rOffset + 3 * i] = (t[0] >> 0) | (t[1] << 3) | (t[2] << 6);
     r[rOffset + 3 * i + 1] = (t[2] >> 2) | (t[3] << 1) | (t[4] << 4) | (t[5] << 7);
@@ -286,8 +324,17 @@ export function polyEtaPack(rP, rOffset, a) {
   }
 }
 
-export function polyEtaUnpack(rP, a, aOffset) {
+export function polyEtaUnpack(rP, a, aOffset, params = DILITHIUM5) {
   const r = rP;
+  const { eta } = params;
+  if (eta === 4) {
+    for (let i = 0; i < N / 2; ++i) {
+      r.coeffs[2 * i] = eta - (a[aOffset + i] & 0x0f);
+      r.coeffs[2 * i + 1] = eta - (a[aOffset + i] >> 4);
+    }
+    return;
+  }
+
   for (let i = 0; i < N / 8; ++i) {
     r.coeffs[8 * i] = (a[aOffset + 3 * i] >> 0) & 7;
     r.coeffs[8 * i + 1] = (a[aOffset + 3 * i] >> 3) & 7;
@@ -298,14 +345,14 @@ export function polyEtaUnpack(rP, a, aOffset) {
     r.coeffs[8 * i + 6] = (a[aOffset + 3 * i + 2] >> 2) & 7;
     r.coeffs[8 * i + 7] = (a[aOffset + 3 * i + 2] >> 5) & 7;
 
-    r.coeffs[8 * i] = ETA - r.coeffs[8 * i];
-    r.coeffs[8 * i + 1] = ETA - r.coeffs[8 * i + 1];
-    r.coeffs[8 * i + 2] = ETA - r.coeffs[8 * i + 2];
-    r.coeffs[8 * i + 3] = ETA - r.coeffs[8 * i + 3];
-    r.coeffs[8 * i + 4] = ETA - r.coeffs[8 * i + 4];
-    r.coeffs[8 * i + 5] = ETA - r.coeffs[8 * i + 5];
-    r.coeffs[8 * i + 6] = ETA - r.coeffs[8 * i + 6];
-    r.coeffs[8 * i + 7] = ETA - r.coeffs[8 * i + 7];
+    r.coeffs[8 * i] = eta - r.coeffs[8 * i];
+    r.coeffs[8 * i + 1] = eta - r.coeffs[8 * i + 1];
+    r.coeffs[8 * i + 2] = eta - r.coeffs[8 * i + 2];
+    r.coeffs[8 * i + 3] = eta - r.coeffs[8 * i + 3];
+    r.coeffs[8 * i + 4] = eta - r.coeffs[8 * i + 4];
+    r.coeffs[8 * i + 5] = eta - r.coeffs[8 * i + 5];
+    r.coeffs[8 * i + 6] = eta - r.coeffs[8 * i + 6];
+    r.coeffs[8 * i + 7] = eta - r.coeffs[8 * i + 7];
   }
 }
 
@@ -416,12 +463,36 @@ export function polyT0Unpack(rP, a, aOffset) {
   }
 }
 
-export function polyZPack(rP, rOffset, a) {
+export function polyZPack(rP, rOffset, a, params = DILITHIUM5) {
   const t = new Uint32Array(4);
   const r = rP;
+  const { gamma1 } = params;
+  if (gamma1 === 1 << 17) {
+    for (let i = 0; i < N / 4; ++i) {
+      t[0] = gamma1 - a.coeffs[4 * i];
+      t[1] = gamma1 - a.coeffs[4 * i + 1];
+      t[2] = gamma1 - a.coeffs[4 * i + 2];
+      t[3] = gamma1 - a.coeffs[4 * i + 3];
+
+      r[rOffset + 9 * i] = t[0]; // eslint-disable-line prefer-destructuring
+      r[rOffset + 9 * i + 1] = t[0] >> 8;
+      r[rOffset + 9 * i + 2] = t[0] >> 16;
+      r[rOffset + 9 * i + 2] |= t[1] << 2;
+      r[rOffset + 9 * i + 3] = t[1] >> 6;
+      r[rOffset + 9 * i + 4] = t[1] >> 14;
+      r[rOffset + 9 * i + 4] |= t[2] << 4;
+      r[rOffset + 9 * i + 5] = t[2] >> 4;
+      r[rOffset + 9 * i + 6] = t[2] >> 12;
+      r[rOffset + 9 * i + 6] |= t[3] << 6;
+      r[rOffset + 9 * i + 7] = t[3] >> 2;
+      r[rOffset + 9 * i + 8] = t[3] >> 10;
+    }
+    return;
+  }
+
   for (let i = 0; i < N / 2; ++i) {
-    t[0] = GAMMA1 - a.coeffs[2 * i];
-    t[1] = GAMMA1 - a.coeffs[2 * i + 1];
+    t[0] = gamma1 - a.coeffs[2 * i];
+    t[1] = gamma1 - a.coeffs[2 * i + 1];
 
     r[rOffset + 5 * i] = t[0]; // eslint-disable-line prefer-destructuring
     r[rOffset + 5 * i + 1] = t[0] >> 8;
@@ -432,8 +503,17 @@ export function polyZPack(rP, rOffset, a) {
   }
 }
 
-export function polyW1Pack(rP, rOffset, a) {
+export function polyW1Pack(rP, rOffset, a, params = DILITHIUM5) {
   const r = rP;
+  if (params.gamma2 === (Q - 1) / 88) {
+    for (let i = 0; i < N / 4; ++i) {
+      r[rOffset + 3 * i] = a.coeffs[4 * i] | (a.coeffs[4 * i + 1] << 6);
+      r[rOffset + 3 * i + 1] = (a.coeffs[4 * i + 1] >> 2) | (a.coeffs[4 * i + 2] << 4);
+      r[rOffset + 3 * i + 2] = (a.coeffs[4 * i + 2] >> 4) | (a.coeffs[4 * i + 3] << 2);
+    }
+    return;
+  }
+
   for (let i = 0; i < N / 2; ++i) {
     r[rOffset + i] = a.coeffs[2 * i] | (a.coeffs[2 * i + 1] << 4);
   }
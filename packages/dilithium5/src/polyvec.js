@@ -18,21 +18,37 @@ import {
   polyUseHint,
   polyW1Pack,
 } from './poly.js';
-import { CRHBytes, K, L, PolyW1PackedBytes, SeedBytes } from './const.js';
+import { CRHBytes, DILITHIUM5, SeedBytes } from './const.js';
+import { InvalidLengthError } from './errors.js';
+
+// Overwrites secrets with zeros: typed arrays, Poly, PolyVecK, PolyVecL and arrays of them
+export function zeroize(...values) {
+  values.forEach((value) => {
+    if (ArrayBuffer.isView(value)) {
+      value.fill(0);
+    } else if (Array.isArray(value)) {
+      zeroize(...value);
+    } else if (value instanceof Poly) {
+      value.coeffs.fill(0);
+    } else if (value && Array.isArray(value.vec)) {
+      zeroize(...value.vec);
+    }
+  });
+}
 
 export class PolyVecK {
-  constructor() {
-    this.vec = new Array(K).fill().map(() => new Poly());
+  constructor(params = DILITHIUM5) {
+    this.vec = new Array(params.k).fill().map(() => new Poly());
   }
 }
 
 export class PolyVecL {
-  constructor() {
-    this.vec = new Array(L).fill().map(() => new Poly());
+  constructor(params = DILITHIUM5) {
+    this.vec = new Array(params.l).fill().map(() => new Poly());
   }
 
   copy(polyVecL) {
-    for (let i = L - 1; i >= 0; i--) {
+    for (let i = this.vec.length - 1; i >= 0; i--) {
       this.vec[i].copy(polyVecL.vec[i]);
     }
   }
@@ -40,66 +56,67 @@ export class PolyVecL {
 
 export function polyVecMatrixExpand(mat, rho) {
   if (rho.length !== SeedBytes) {
-    throw new Error(`invalid rho length ${rho.length} | Expected length ${SeedBytes}`);
+    throw new InvalidLengthError('rho', rho.length, SeedBytes);
   }
-  for (let i = 0; i < K; ++i) {
-    for (let j = 0; j < L; ++j) {
+  for (let i = 0; i < mat.length; ++i) {
+    for (let j = 0; j < mat[i].vec.length; ++j) {
       polyUniform(mat[i].vec[j], rho, (i << 8) + j);
     }
   }
 }
 
 export function polyVecMatrixPointWiseMontgomery(t, mat, v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < mat.length; ++i) {
     polyVecLPointWiseAccMontgomery(t.vec[i], mat[i], v); // eslint-disable-line no-use-before-define
   }
 }
 
-export function polyVecLUniformEta(v, seed, nonceP) {
+export function polyVecLUniformEta(v, seed, nonceP, params = DILITHIUM5) {
   let nonce = nonceP;
   if (seed.length !== CRHBytes) {
-    throw new Error(`invalid seed length ${seed.length} | Expected length ${CRHBytes}`);
+    throw new InvalidLengthError('seed', seed.length, CRHBytes);
   }
-  for (let i = 0; i < L; i++) {
-    polyUniformEta(v.vec[i], seed, nonce++);
+  for (let i = 0; i < v.vec.length; i++) {
+    polyUniformEta(v.vec[i], seed, nonce++, params);
   }
 }
 
-export function polyVecLUniformGamma1(v, seed, nonce) {
+export function polyVecLUniformGamma1(v, seed, nonce, params = DILITHIUM5) {
   if (seed.length !== CRHBytes) {
-    throw new Error(`invalid seed length ${seed.length} | Expected length ${CRHBytes}`);
+    throw new InvalidLengthError('seed', seed.length, CRHBytes);
   }
-  for (let i = 0; i < L; i++) {
-    polyUniformGamma1(v.vec[i], seed, L * nonce + i);
+  const l = v.vec.length;
+  for (let i = 0; i < l; i++) {
+    polyUniformGamma1(v.vec[i], seed, l * nonce + i, params);
   }
 }
 
 export function polyVecLReduce(v) {
-  for (let i = 0; i < L; i++) {
+  for (let i = 0; i < v.vec.length; i++) {
     polyReduce(v.vec[i]);
   }
 }
 
 export function polyVecLAdd(w, u, v) {
-  for (let i = 0; i < L; ++i) {
+  for (let i = 0; i < w.vec.length; ++i) {
     polyAdd(w.vec[i], u.vec[i], v.vec[i]);
   }
 }
 
 export function polyVecLNTT(v) {
-  for (let i = 0; i < L; ++i) {
+  for (let i = 0; i < v.vec.length; ++i) {
     polyNTT(v.vec[i]);
   }
 }
 
 export function polyVecLInvNTTToMont(v) {
-  for (let i = 0; i < L; ++i) {
+  for (let i = 0; i < v.vec.length; ++i) {
     polyInvNTTToMont(v.vec[i]);
   }
 }
 
 export function polyVecLPointWisePolyMontgomery(r, a, v) {
-  for (let i = 0; i < L; ++i) {
+  for (let i = 0; i < r.vec.length; ++i) {
     polyPointWiseMontgomery(r.vec[i], a, v.vec[i]);
   }
 }
@@ -107,113 +124,111 @@ export function polyVecLPointWisePolyMontgomery(r, a, v) {
 export function polyVecLPointWiseAccMontgomery(w, u, v) {
   const t = new Poly();
   polyPointWiseMontgomery(w, u.vec[0], v.vec[0]);
-  for (let i = 1; i < L; i++) {
+  for (let i = 1; i < u.vec.length; i++) {
     polyPointWiseMontgomery(t, u.vec[i], v.vec[i]);
     polyAdd(w, w, t);
   }
 }
 
 export function polyVecLChkNorm(v, bound) {
-  for (let i = 0; i < L; i++) {
-    if (polyChkNorm(v.vec[i], bound) !== 0) {
-      return 1;
-    }
+  let exceeded = 0;
+  for (let i = 0; i < v.vec.length; i++) {
+    exceeded |= polyChkNorm(v.vec[i], bound);
   }
-  return 0;
+  return exceeded;
 }
 
-export function polyVecKUniformEta(v, seed, nonceP) {
+export function polyVecKUniformEta(v, seed, nonceP, params = DILITHIUM5) {
   let nonce = nonceP;
-  for (let i = 0; i < K; ++i) {
-    polyUniformEta(v.vec[i], seed, nonce++);
+  for (let i = 0; i < v.vec.length; ++i) {
+    polyUniformEta(v.vec[i], seed, nonce++, params);
   }
 }
 
 export function polyVecKReduce(v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < v.vec.length; ++i) {
     polyReduce(v.vec[i]);
   }
 }
 
 export function polyVecKCAddQ(v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < v.vec.length; ++i) {
     polyCAddQ(v.vec[i]);
   }
 }
 
 export function polyVecKAdd(w, u, v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < w.vec.length; ++i) {
     polyAdd(w.vec[i], u.vec[i], v.vec[i]);
   }
 }
 
 export function polyVecKSub(w, u, v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < w.vec.length; ++i) {
     polySub(w.vec[i], u.vec[i], v.vec[i]);
   }
 }
 
 export function polyVecKShiftL(v) {
-  for (let i = 0; i < K; ++i) {
+  for (let i = 0; i < v.vec.length; ++i) {
     polyShiftL(v.vec[i]);
   }
 }
 
 export function polyVecKNTT(v) {
-  for (let i = 0; i < K; i++) {
+  for (let i = 0; i < v.vec.length; i++) {
     polyNTT(v.vec[i]);
   }
 }
 
 export function polyVecKInvNTTToMont(v) {
-  for (let i = 0; i < K; i++) {
+  for (let i = 0; i < v.vec.length; i++) {
     polyInvNTTToMont(v.vec[i]);
   }
 }
 
 export function polyVecKPointWisePolyMontgomery(r, a, v) {
-  for (let i = 0; i < K; i++) {
+  for (let i = 0; i < r.vec.length; i++) {
     polyPointWiseMontgomery(r.vec[i], a, v.vec[i]);
   }
 }
 
 export function polyVecKChkNorm(v, bound) {
-  for (let i = 0; i < K; i++) {
-    if (polyChkNorm(v.vec[i], bound) !== 0) {
-      return 1;
-    }
+  let exceeded = 0;
+  for (let i = 0; i < v.vec.length; i++) {
+    exceeded |= polyChkNorm(v.vec[i], bound);
   }
-  return 0;
+  return exceeded;
 }
 
 export function polyVecKPower2round(v1, v0, v) {
-  for (let i = 0; i < K; i++) {
+  for (let i = 0; i < v1.vec.length; i++) {
     polyPower2round(v1.vec[i], v0.vec[i], v.vec[i]);
   }
 }
 
-export function polyVecKDecompose(v1, v0, v) {
-  for (let i = 0; i < K; i++) {
-    polyDecompose(v1.vec[i], v0.vec[i], v.vec[i]);
+export function polyVecKDecompose(v1, v0, v, params = DILITHIUM5) {
+  for (let i = 0; i < v.vec.length; i++) {
+    polyDecompose(v1.vec[i], v0.vec[i], v.vec[i], params);
   }
 }
 
-export function polyVecKMakeHint(h, v0, v1) {
+export function polyVecKMakeHint(h, v0, v1, params = DILITHIUM5) {
   let s = 0;
-  for (let i = 0; i < K; i++) {
-    s += polyMakeHint(h.vec[i], v0.vec[i], v1.vec[i]);
+  for (let i = 0; i < h.vec.length; i++) {
+    s += polyMakeHint(h.vec[i], v0.vec[i], v1.vec[i], params);
   }
   return s;
 }
 
-export function polyVecKUseHint(w, u, h) {
-  for (let i = 0; i < K; ++i) {
-    polyUseHint(w.vec[i], u.vec[i], h.vec[i]);
+export function polyVecKUseHint(w, u, h, params = DILITHIUM5) {
+  for (let i = 0; i < w.vec.length; ++i) {
+    polyUseHint(w.vec[i], u.vec[i], h.vec[i], params);
   }
 }
 
-export function polyVecKPackW1(r, w1) {
-  for (let i = 0; i < K; ++i) {
-    polyW1Pack(r, i * PolyW1PackedBytes, w1.vec[i]);
+export function polyVecKPackW1(r, w1, params = DILITHIUM5) {
+  for (let i = 0; i < w1.vec.length; ++i) {
+    polyW1Pack(r, i * params.polyW1PackedBytes, w1.vec[i], params);
   }
 }
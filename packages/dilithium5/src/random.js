@@ -0,0 +1,43 @@
+// Largest number of bytes crypto.getRandomValues fills in one call
+const MaxRandomBytesPerCall = 65536;
+
+// The global entropy source lives on globalThis so that @theqrl/xmss shares it
+const EntropySourceKey = Symbol.for('@theqrl/entropy-source');
+
+// An entropy source is a function (length) => Uint8Array returning `length` random bytes
+export function defaultEntropySource(length) {
+  const { crypto } = globalThis;
+  if (!crypto || typeof crypto.getRandomValues !== 'function') {
+    throw new Error('globalThis.crypto.getRandomValues is not available');
+  }
+  const out = new Uint8Array(length);
+  for (let i = 0; i < length; i += MaxRandomBytesPerCall) {
+    crypto.getRandomValues(out.subarray(i, Math.min(length, i + MaxRandomBytesPerCall)));
+  }
+  return out;
+}
+
+// Pass null or undefined to go back to globalThis.crypto.getRandomValues
+export function setEntropySource(source) {
+  if (source !== null && source !== undefined && typeof source !== 'function') {
+    throw new Error(`invalid entropy source ${typeof source} | Expected a function (length) => Uint8Array`);
+  }
+  globalThis[EntropySourceKey] = source || undefined;
+}
+
+export function getEntropySource() {
+  return globalThis[EntropySourceKey] || defaultEntropySource;
+}
+
+export function randomBytes(length, source = getEntropySource()) {
+  let out;
+  try {
+    out = source(length);
+  } catch (e) {
+    throw new Error(`entropy source failed: ${e.message}`);
+  }
+  if (!(out instanceof Uint8Array) || out.length !== length) {
+    throw new Error(`entropy source returned ${out && out.length} bytes | Expected a Uint8Array of length ${length}`);
+  }
+  return out;
+}
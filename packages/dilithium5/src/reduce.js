@@ -1,5 +1,23 @@
 import { Q, QInv } from './const.js';
 
+// High 32 bits of the signed 64-bit product a * b, computed from 16-bit halves so every step is exact
+function mulHi(a, b) {
+  const aLo = a & 0xffff;
+  const aHi = a >> 16;
+  const bLo = b & 0xffff;
+  const bHi = b >> 16;
+  const cross = aHi * bLo + aLo * bHi + ((aLo * bLo) >>> 16);
+  return aHi * bHi + Math.floor(cross / 0x10000);
+}
+
+// Montgomery reduction of the 64-bit product a * b, i.e. a * b * 2^-32 mod Q
+export function montgomeryMul(a, b) {
+  const t = Math.imul(Math.imul(a, b), QInv);
+  return (mulHi(a, b) - mulHi(t, Q)) | 0;
+}
+
+// Deprecated: reduces a 64-bit BigInt product and returns a BigInt, as before montgomeryMul replaced it. Kept for
+// callers of the previous API and will be removed in the next major version
 export function montgomeryReduce(a) {
   let t = BigInt.asIntN(32, BigInt.asIntN(64, BigInt.asIntN(32, a)) * BigInt(QInv));
   t = BigInt.asIntN(32, (a - t * BigInt(Q)) >> 32n);
@@ -7,29 +7,42 @@ export function power2round(a0p, i, a) {
   return a1;
 }
 
-export function decompose(a0p, i, a) {
+export function decompose(a0p, i, a, gamma2 = GAMMA2) {
   const a0 = a0p;
   let a1 = (a + 127) >> 7;
-  a1 = (a1 * 1025 + (1 << 21)) >> 22;
-  a1 &= 15;
-
-  a0[i] = a - a1 * 2 * GAMMA2;
+  if (gamma2 === (Q - 1) / 32) {
+    a1 = (a1 * 1025 + (1 << 21)) >> 22;
+    a1 &= 15;
+  } else {
+    a1 = (a1 * 11275 + (1 << 23)) >> 24;
+    a1 ^= ((43 - a1) >> 31) & a1;
+  }
+
+  a0[i] = a - a1 * 2 * gamma2;
   a0[i] -= (((Q - 1) / 2 - a0[i]) >> 31) & Q;
   return a1;
 }
 
-export function makeHint(a0, a1) {
-  if (a0 > GAMMA2 || a0 < -GAMMA2 || (a0 === -GAMMA2 && a1 !== 0)) return 1;
-
-  return 0;
+// Branch-free: (x >>> 31) is 1 exactly when x < 0, and (x | -x) >>> 31 is 1 exactly when x !== 0
+export function makeHint(a0, a1, gamma2 = GAMMA2) {
+  const above = (gamma2 - a0) >>> 31;
+  const below = (a0 + gamma2) >>> 31;
+  const atLowerBound = (((a0 + gamma2) | -(a0 + gamma2)) >>> 31) ^ 1;
+  const a1NonZero = (a1 | -a1) >>> 31;
+  return above | below | (atLowerBound & a1NonZero);
 }
 
-export function useHint(a, hint) {
+export function useHint(a, hint, gamma2 = GAMMA2) {
   const a0 = new Int32Array(1);
-  const a1 = decompose(a0, 0, a);
+  const a1 = decompose(a0, 0, a, gamma2);
 
   if (hint === 0) return a1;
 
-  if (a0[0] > 0) return (a1 + 1) & 15;
-  return (a1 - 1) & 15;
+  if (gamma2 === (Q - 1) / 32) {
+    if (a0[0] > 0) return (a1 + 1) & 15;
+    return (a1 - 1) & 15;
+  }
+
+  if (a0[0] > 0) return a1 === 43 ? 0 : a1 + 1;
+  return a1 === 0 ? 43 : a1 - 1;
 }
@@ -1,6 +1,3 @@
-import pkg from 'randombytes'; // eslint-disable-line import/no-extraneous-dependencies
-import { SHAKE } from 'sha3'; // eslint-disable-line import/no-extraneous-dependencies
-
 import {
   PolyVecK,
   polyVecKAdd,
@@ -29,55 +26,54 @@ import {
   polyVecLUniformGamma1,
   polyVecMatrixExpand,
   polyVecMatrixPointWiseMontgomery,
+  zeroize,
 } from './polyvec.js';
-import {
-  BETA,
-  CRHBytes,
-  CryptoBytes,
-  CryptoPublicKeyBytes,
-  CryptoSecretKeyBytes,
-  GAMMA1,
-  GAMMA2,
-  K,
-  L,
-  OMEGA,
-  PolyW1PackedBytes,
-  SeedBytes,
-} from './const.js';
+import { ContextMaxBytes, CRHBytes, DILITHIUM5, RndBytes, SeedBytes } from './const.js';
 import { Poly, polyChallenge, polyNTT } from './poly.js';
 import { packPk, packSig, packSk, unpackPk, unpackSig, unpackSk } from './packing.js';
-
-const randomBytes = pkg;
-
-export function cryptoSignKeypair(passedSeed, pk, sk) {
+import { getEntropySource, randomBytes } from './random.js';
+import { KeccakState, shake256Absorb, shake256Finalize, shake256Init, shake256Squeeze } from './fips202.js';
+import { shake256Hash } from './symmetric-shake.js';
+import { checkContext, formatMessage } from './message.js';
+import {
+  FaultDetectedError,
+  InvalidLengthError,
+  KeyDestroyedError,
+  UnsupportedAlgorithmError,
+  VERIFY_REASON,
+} from './errors.js';
+
+export function cryptoSignKeypair(passedSeed, pk, sk, params = DILITHIUM5, entropySource = getEntropySource()) {
+  const { k, l, trBytes, cryptoPublicKeyBytes, cryptoSecretKeyBytes } = params;
   try {
-    if (pk.length !== CryptoPublicKeyBytes) {
-      throw new Error(`invalid pk length ${pk.length} | Expected length ${CryptoPublicKeyBytes}`);
+    if (pk.length !== cryptoPublicKeyBytes) {
+      throw new InvalidLengthError('pk', pk.length, cryptoPublicKeyBytes);
     }
-    if (sk.length !== CryptoSecretKeyBytes) {
-      throw new Error(`invalid sk length ${sk.length} | Expected length ${CryptoSecretKeyBytes}`);
+    if (sk.length !== cryptoSecretKeyBytes) {
+      throw new InvalidLengthError('sk', sk.length, cryptoSecretKeyBytes);
     }
   } catch (e) {
     if (e instanceof TypeError) {
       throw new Error(`pk/sk cannot be null`);
     } else {
-      throw new Error(`${e.message}`);
+      throw e;
     }
   }
   // eslint-disable-next-line no-unused-vars
-  const mat = new Array(K).fill().map((_) => new PolyVecL());
-  const s1 = new PolyVecL();
-  const s2 = new PolyVecK();
-  const t1 = new PolyVecK();
-  const t0 = new PolyVecK();
+  const mat = new Array(k).fill().map((_) => new PolyVecL(params));
+  const s1 = new PolyVecL(params);
+  const s2 = new PolyVecK(params);
+  const t1 = new PolyVecK(params);
+  const t0 = new PolyVecK(params);
 
   // Get randomness for rho, rhoPrime and key
-  const seed = passedSeed || randomBytes(SeedBytes);
+  const seed = passedSeed || randomBytes(SeedBytes, entropySource);
 
-  const state = new SHAKE(256);
-  let outputLength = 2 * SeedBytes + CRHBytes;
-  state.update(seed);
-  const seedBuf = state.digest({ buffer: Buffer.alloc(outputLength) });
+  const outputLength = 2 * SeedBytes + CRHBytes;
+  // FIPS 204 domain separates the seed by the matrix dimensions
+  const seedBuf = params.fips204
+    ? shake256Hash(outputLength, seed, new Uint8Array([k, l]))
+    : shake256Hash(outputLength, seed);
   const rho = seedBuf.slice(0, SeedBytes);
   const rhoPrime = seedBuf.slice(SeedBytes, SeedBytes + CRHBytes);
   const key = seedBuf.slice(SeedBytes + CRHBytes);
@@ -86,11 +82,11 @@ export function cryptoSignKeypair(passedSeed, pk, sk) {
   polyVecMatrixExpand(mat, rho);
 
   // Sample short vectors s1 and s2
-  polyVecLUniformEta(s1, rhoPrime, 0);
-  polyVecKUniformEta(s2, rhoPrime, L);
+  polyVecLUniformEta(s1, rhoPrime, 0, params);
+  polyVecKUniformEta(s2, rhoPrime, l, params);
 
   // Matrix-vector multiplication
-  const s1hat = new PolyVecL();
+  const s1hat = new PolyVecL(params);
   s1hat.copy(s1);
   polyVecLNTT(s1hat);
   polyVecMatrixPointWiseMontgomery(t1, mat, s1hat);
@@ -106,65 +102,87 @@ export function cryptoSignKeypair(passedSeed, pk, sk) {
   packPk(pk, rho, t1);
 
   // Compute H(rho, t1) and write secret key
-  const hasher = new SHAKE(256);
-  outputLength = SeedBytes;
-  hasher.update(Buffer.from(pk, 'hex'));
-  const tr = new Uint8Array(hasher.digest());
-  packSk(sk, rho, tr, key, t0, s1, s2);
+  const tr = shake256Hash(trBytes, pk);
+  packSk(sk, rho, tr, key, t0, s1, s2, params);
+  zeroize(seedBuf, rhoPrime, key, s1, s1hat, s2, t0);
 
   return seed;
 }
 
-export function cryptoSignSignature(sig, m, sk, randomizedSigning) {
-  if (sk.length !== CryptoSecretKeyBytes) {
-    throw new Error(`invalid sk length ${sk.length} | Expected length ${CryptoSecretKeyBytes}`);
-  }
-
+// The parts of signing that only depend on sk: rho, key, tr, A-hat and s1, s2, t0 in NTT form. With withPk the public
+// key is packed from A-hat and s1 on the way, before s2 goes to NTT form, so A is expanded only once
+function expandSk(sk, params, withPk = false) {
   const rho = new Uint8Array(SeedBytes);
-  const tr = new Uint8Array(SeedBytes);
+  const tr = new Uint8Array(params.trBytes);
   const key = new Uint8Array(SeedBytes);
-  let rhoPrime = new Uint8Array(CRHBytes);
-  let nonce = 0;
-  let state = null;
-  const mat = Array(K)
+  const mat = Array(params.k)
     .fill()
     // eslint-disable-next-line no-unused-vars
-    .map((_) => new PolyVecL());
-  const s1 = new PolyVecL();
-  const y = new PolyVecL();
-  const z = new PolyVecL();
-  const t0 = new PolyVecK();
-  const s2 = new PolyVecK();
-  const w1 = new PolyVecK();
-  const w0 = new PolyVecK();
-  const h = new PolyVecK();
-  const cp = new Poly();
-
-  unpackSk(rho, tr, key, t0, s1, s2, sk);
-
-  state = new SHAKE(256);
-  let outputLength = CRHBytes;
-  state.update(Buffer.from(tr, 'hex'));
-  state.update(Buffer.from(m, 'hex'));
-  const mu = new Uint8Array(state.digest({ buffer: Buffer.alloc(outputLength) }));
-
-  if (randomizedSigning) rhoPrime = new Uint8Array(randomBytes(CRHBytes));
-  else {
-    state = new SHAKE(256);
-    outputLength = CRHBytes;
-    state.update(Buffer.from(key, 'hex'));
-    state.update(Buffer.from(mu, 'hex'));
-    rhoPrime.set(state.digest({ buffer: Buffer.alloc(outputLength) }));
-  }
+    .map((_) => new PolyVecL(params));
+  const s1 = new PolyVecL(params);
+  const s2 = new PolyVecK(params);
+  const t0 = new PolyVecK(params);
 
+  unpackSk(rho, tr, key, t0, s1, s2, sk, params);
   polyVecMatrixExpand(mat, rho);
   polyVecLNTT(s1);
+  let pk = null;
+  if (withPk) {
+    // (t1, t0) = Power2Round(A * s1 + s2) as in cryptoSignKeypair
+    const t1 = new PolyVecK(params);
+    const t0Computed = new PolyVecK(params);
+    polyVecMatrixPointWiseMontgomery(t1, mat, s1);
+    polyVecKReduce(t1);
+    polyVecKInvNTTToMont(t1);
+    polyVecKAdd(t1, t1, s2);
+    polyVecKCAddQ(t1);
+    polyVecKPower2round(t1, t0Computed, t1);
+    pk = new Uint8Array(params.cryptoPublicKeyBytes);
+    packPk(pk, rho, t1);
+    zeroize(t0Computed);
+  }
   polyVecKNTT(s2);
   polyVecKNTT(t0);
+  return { tr, key, mat, s1, s2, t0, pk };
+}
+
+function zeroizeExpandedSk({ key, s1, s2, t0 }) {
+  zeroize(key, s1, s2, t0);
+}
+
+// Polynomials the rejection loop overwrites on every iteration
+function newSignScratch(params) {
+  return {
+    y: new PolyVecL(params),
+    z: new PolyVecL(params),
+    w1: new PolyVecK(params),
+    w0: new PolyVecK(params),
+    h: new PolyVecK(params),
+    cp: new Poly(),
+  };
+}
+
+// Signs mu = CRH(tr || m), the message itself is only needed to compute mu
+function signInternal(sig, mu, expandedSk, scratch, randomizedSigning, params, entropySource) {
+  const { k, gamma1, gamma2, beta, omega, cTildeBytes, polyW1PackedBytes } = params;
+  const { key, mat, s1, s2, t0 } = expandedSk;
+  const { y, z, w1, w0, h, cp } = scratch;
+  let rhoPrime;
+  let nonce = 0;
+
+  if (params.fips204) {
+    // rhoPrime = H(key || rnd || mu), rnd is all zero for the deterministic variant
+    const rnd = randomizedSigning ? randomBytes(RndBytes, entropySource) : new Uint8Array(RndBytes);
+    rhoPrime = shake256Hash(CRHBytes, key, rnd, mu);
+    zeroize(rnd);
+  } else if (randomizedSigning) rhoPrime = randomBytes(CRHBytes, entropySource);
+  else {
+    rhoPrime = shake256Hash(CRHBytes, key, mu);
+  }
 
   // eslint-disable-next-line no-constant-condition
   while (true) {
-    polyVecLUniformGamma1(y, rhoPrime, nonce++);
+    polyVecLUniformGamma1(y, rhoPrime, nonce++, params);
     // Matrix-vector multiplication
     z.copy(y);
     polyVecLNTT(z);
@@ -174,16 +192,12 @@ export function cryptoSignSignature(sig, m, sk, randomizedSigning) {
 
     // Decompose w and call the random oracle
     polyVecKCAddQ(w1);
-    polyVecKDecompose(w1, w0, w1);
-    polyVecKPackW1(sig, w1);
+    polyVecKDecompose(w1, w0, w1, params);
+    polyVecKPackW1(sig, w1, params);
 
-    state = new SHAKE(256);
-    outputLength = SeedBytes;
-    state.update(Buffer.from(mu, 'hex'));
-    state.update(Buffer.from(sig.slice(0, K * PolyW1PackedBytes)), 'hex');
-    sig.set(state.digest({ buffer: Buffer.alloc(outputLength) }));
+    sig.set(shake256Hash(cTildeBytes, mu, sig.subarray(0, k * polyW1PackedBytes)));
 
-    polyChallenge(cp, sig);
+    polyChallenge(cp, sig, params);
     polyNTT(cp);
 
     // Compute z, reject if it reveals secret
@@ -191,7 +205,7 @@ export function cryptoSignSignature(sig, m, sk, randomizedSigning) {
     polyVecLInvNTTToMont(z);
     polyVecLAdd(z, z, y);
     polyVecLReduce(z);
-    if (polyVecLChkNorm(z, GAMMA1 - BETA) !== 0) {
+    if (polyVecLChkNorm(z, gamma1 - beta) !== 0) {
       continue; // eslint-disable-line no-continue
     }
 
@@ -199,126 +213,526 @@ export function cryptoSignSignature(sig, m, sk, randomizedSigning) {
     polyVecKInvNTTToMont(h);
     polyVecKSub(w0, w0, h);
     polyVecKReduce(w0);
-    if (polyVecKChkNorm(w0, GAMMA2 - BETA) !== 0) {
+    if (polyVecKChkNorm(w0, gamma2 - beta) !== 0) {
       continue; // eslint-disable-line no-continue
     }
 
     polyVecKPointWisePolyMontgomery(h, cp, t0);
     polyVecKInvNTTToMont(h);
     polyVecKReduce(h);
-    if (polyVecKChkNorm(h, GAMMA2) !== 0) {
+    if (polyVecKChkNorm(h, gamma2) !== 0) {
       continue; // eslint-disable-line no-continue
     }
 
     polyVecKAdd(w0, w0, h);
-    const n = polyVecKMakeHint(h, w0, w1);
-    if (n > OMEGA) {
+    const n = polyVecKMakeHint(h, w0, w1, params);
+    if (n > omega) {
       continue; // eslint-disable-line no-continue
     }
 
-    packSig(sig, sig, z, h);
+    packSig(sig, sig, z, h, params);
+    // Rejected iterations leave values in the scratch polynomials that depend on s1, s2 and t0
+    zeroize(rhoPrime, y, z, w0, h);
     return 0;
   }
 }
 
-export function cryptoSign(msg, sk, randomizedSigning) {
-  const sm = new Uint8Array(CryptoBytes + msg.length);
-  const mLen = msg.length;
-  for (let i = 0; i < mLen; ++i) {
-    sm[CryptoBytes + mLen - 1 - i] = msg[mLen - 1 - i];
-  }
-  const result = cryptoSignSignature(sm, msg, sk, randomizedSigning);
+// Signs with an expanded sk and scratch that are wiped afterwards, for callers that do not keep them
+function signOnce(sig, mu, sk, randomizedSigning, params, entropySource) {
+  const expandedSk = expandSk(sk, params);
+  const result = signInternal(sig, mu, expandedSk, newSignScratch(params), randomizedSigning, params, entropySource);
+  zeroizeExpandedSk(expandedSk);
+  return result;
+}
 
-  if (result !== 0) {
-    throw new Error('failed to sign');
+// tr = H(pk) is stored in sk after rho and key
+function getTr(sk, params) {
+  return sk.subarray(2 * SeedBytes, 2 * SeedBytes + params.trBytes);
+}
+
+function checkSk(sk, params) {
+  if (sk.length !== params.cryptoSecretKeyBytes) {
+    throw new InvalidLengthError('sk', sk.length, params.cryptoSecretKeyBytes);
   }
-  return sm;
 }
 
-export function cryptoSignVerify(sig, m, pk) {
-  let i;
-  const buf = new Uint8Array(K * PolyW1PackedBytes);
+// Unpacks sk and recomputes (t1, t0) = Power2Round(A * s1 + s2) as cryptoSignKeypair does
+function recomputeT(sk, params) {
   const rho = new Uint8Array(SeedBytes);
-  const mu = new Uint8Array(CRHBytes);
-  const c = new Uint8Array(SeedBytes);
-  const c2 = new Uint8Array(SeedBytes);
-  const cp = new Poly();
+  const tr = new Uint8Array(params.trBytes);
+  const key = new Uint8Array(SeedBytes);
   // eslint-disable-next-line no-unused-vars
-  const mat = new Array(K).fill().map((_) => new PolyVecL());
-  const z = new PolyVecL();
-  const t1 = new PolyVecK();
-  const w1 = new PolyVecK();
-  const h = new PolyVecK();
+  const mat = new Array(params.k).fill().map((_) => new PolyVecL(params));
+  const s1 = new PolyVecL(params);
+  const s2 = new PolyVecK(params);
+  const t0 = new PolyVecK(params);
+  const t1 = new PolyVecK(params);
+  const t0Computed = new PolyVecK(params);
+
+  unpackSk(rho, tr, key, t0, s1, s2, sk, params);
+  polyVecMatrixExpand(mat, rho);
+  const s1hat = new PolyVecL(params);
+  s1hat.copy(s1);
+  polyVecLNTT(s1hat);
+  polyVecMatrixPointWiseMontgomery(t1, mat, s1hat);
+  polyVecKReduce(t1);
+  polyVecKInvNTTToMont(t1);
+  polyVecKAdd(t1, t1, s2);
+  polyVecKCAddQ(t1);
+  polyVecKPower2round(t1, t0Computed, t1);
+  zeroize(key, s1hat);
+  return { rho, tr, s1, s2, t0, t1, t0Computed };
+}
 
-  if (sig.length !== CryptoBytes) {
-    return false;
+export function publicKeyFromSecretKey(sk, params = DILITHIUM5) {
+  checkSk(sk, params);
+  const { rho, s1, s2, t0, t1, t0Computed } = recomputeT(sk, params);
+  zeroize(s1, s2, t0, t0Computed);
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  packPk(pk, rho, t1);
+  return pk;
+}
+
+// Returns { valid, failed } where failed names the checks that did not hold: rho, eta, t1, t0 and tr
+export function validateKeyPair(pk, sk, params = DILITHIUM5) {
+  if (pk.length !== params.cryptoPublicKeyBytes) {
+    throw new InvalidLengthError('pk', pk.length, params.cryptoPublicKeyBytes);
   }
-  if (pk.length !== CryptoPublicKeyBytes) {
-    return false;
+  checkSk(sk, params);
+  const { rho, tr, s1, s2, t0, t1, t0Computed } = recomputeT(sk, params);
+  const failed = [];
+
+  if (rho.some((b, i) => b !== pk[i])) {
+    failed.push('rho');
+  }
+  if (polyVecLChkNorm(s1, params.eta + 1) !== 0 || polyVecKChkNorm(s2, params.eta + 1) !== 0) {
+    failed.push('eta');
+  }
+  const pkComputed = new Uint8Array(params.cryptoPublicKeyBytes);
+  packPk(pkComputed, pk.subarray(0, SeedBytes), t1);
+  if (pkComputed.some((b, i) => b !== pk[i])) {
+    failed.push('t1');
+  }
+  if (t0.vec.some((p, i) => p.coeffs.some((c, j) => c !== t0Computed.vec[i].coeffs[j]))) {
+    failed.push('t0');
+  }
+  const trComputed = shake256Hash(params.trBytes, pk);
+  if (trComputed.some((b, i) => b !== tr[i])) {
+    failed.push('tr');
   }
+  zeroize(s1, s2, t0, t0Computed);
+  return { valid: failed.length === 0, failed };
+}
 
-  unpackPk(rho, t1, pk);
-  if (unpackSig(c, z, h, sig)) {
-    return false;
+// Every signing function and method takes a last verifyAfterSign argument, see checkSignature
+export function cryptoSignSignature(
+  sig,
+  m,
+  sk,
+  randomizedSigning,
+  params = DILITHIUM5,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkSk(sk, params);
+  const mu = shake256Hash(CRHBytes, getTr(sk, params), m);
+  const result = signOnce(sig, mu, sk, randomizedSigning, params, entropySource);
+  if (verifyAfterSign) {
+    // eslint-disable-next-line no-use-before-define
+    checkSignature(sig, new PreparedPublicKey(publicKeyFromSecretKey(sk, params), params), { m });
   }
-  if (polyVecLChkNorm(z, GAMMA1 - BETA)) {
-    return false;
+  return result;
+}
+
+// External mu: sig over a mu computed elsewhere, so the machine holding sk never needs the message
+export function cryptoSignSignatureMu(
+  sig,
+  mu,
+  sk,
+  randomizedSigning,
+  params = DILITHIUM5,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkSk(sk, params);
+  if (mu.length !== CRHBytes) {
+    throw new InvalidLengthError('mu', mu.length, CRHBytes);
+  }
+  const result = signOnce(sig, mu, sk, randomizedSigning, params, entropySource);
+  if (verifyAfterSign) {
+    // eslint-disable-next-line no-use-before-define
+    checkSignature(sig, new PreparedPublicKey(publicKeyFromSecretKey(sk, params), params), { mu });
   }
+  return result;
+}
 
-  /* Compute CRH(H(rho, t1), msg) */
-  let state = new SHAKE(256);
-  let outputLength = SeedBytes;
-  state.update(pk.slice(0, CryptoPublicKeyBytes));
-  mu.set(state.digest({ buffer: Buffer.alloc(outputLength) }));
+export function cryptoSign(
+  msg,
+  sk,
+  randomizedSigning,
+  params = DILITHIUM5,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  const { cryptoBytes } = params;
+  const sm = new Uint8Array(cryptoBytes + msg.length);
+  const mLen = msg.length;
+  for (let i = 0; i < mLen; ++i) {
+    sm[cryptoBytes + mLen - 1 - i] = msg[mLen - 1 - i];
+  }
+  // cryptoSignSignature has no failure result: the rejection loop runs until a signature passes, and one that fails
+  // verify-after-sign throws FaultDetectedError
+  cryptoSignSignature(sm, msg, sk, randomizedSigning, params, entropySource, verifyAfterSign);
+  return sm;
+}
 
-  state = new SHAKE(256);
-  outputLength = CRHBytes;
-  state.update(Buffer.from(mu.slice(0, SeedBytes), 'hex'));
-  state.update(Buffer.from(m, 'hex'));
-  mu.set(state.digest({ buffer: Buffer.alloc(outputLength) }));
+// The parts of the verification equation that only depend on pk: A-hat and NTT(t1 * 2^d)
+function expandPk(pk, params) {
+  const rho = new Uint8Array(SeedBytes);
+  // eslint-disable-next-line no-unused-vars
+  const mat = new Array(params.k).fill().map((_) => new PolyVecL(params));
+  const t1 = new PolyVecK(params);
 
-  /* Matrix-vector multiplication; compute Az - c2^dt1 */
-  polyChallenge(cp, c);
+  unpackPk(rho, t1, pk);
   polyVecMatrixExpand(mat, rho);
+  polyVecKShiftL(t1);
+  polyVecKNTT(t1);
+  return { mat, t1 };
+}
+
+// Verifies sig against mu = CRH(H(pk) || m), expanding pk unless it was prepared already, and returns a VERIFY_REASON
+function verifyInternal(sig, mu, pk, params, expandedPk = null) {
+  let i;
+  const { k, gamma1, beta, cTildeBytes, cryptoBytes, cryptoPublicKeyBytes, polyW1PackedBytes } = params;
+  const buf = new Uint8Array(k * polyW1PackedBytes);
+  const c = new Uint8Array(cTildeBytes);
+  const c2 = new Uint8Array(cTildeBytes);
+  const cp = new Poly();
+  const z = new PolyVecL(params);
+  const ct1 = new PolyVecK(params);
+  const w1 = new PolyVecK(params);
+  const h = new PolyVecK(params);
+
+  if (sig.length !== cryptoBytes || pk.length !== cryptoPublicKeyBytes) {
+    return VERIFY_REASON.BAD_LENGTH;
+  }
+
+  if (unpackSig(c, z, h, sig, params)) {
+    return VERIFY_REASON.MALFORMED_HINT;
+  }
+  if (polyVecLChkNorm(z, gamma1 - beta)) {
+    return VERIFY_REASON.NORM_BOUND_EXCEEDED;
+  }
+
+  /* Matrix-vector multiplication; compute Az - c2^dt1 */
+  const { mat, t1 } = expandedPk || expandPk(pk, params);
+  polyChallenge(cp, c, params);
 
   polyVecLNTT(z);
   polyVecMatrixPointWiseMontgomery(w1, mat, z);
 
   polyNTT(cp);
-  polyVecKShiftL(t1);
-  polyVecKNTT(t1);
-  polyVecKPointWisePolyMontgomery(t1, cp, t1);
+  polyVecKPointWisePolyMontgomery(ct1, cp, t1);
 
-  polyVecKSub(w1, w1, t1);
+  polyVecKSub(w1, w1, ct1);
   polyVecKReduce(w1);
   polyVecKInvNTTToMont(w1);
 
   /* Reconstruct w1 */
   polyVecKCAddQ(w1);
-  polyVecKUseHint(w1, w1, h);
-  polyVecKPackW1(buf, w1);
+  polyVecKUseHint(w1, w1, h, params);
+  polyVecKPackW1(buf, w1, params);
 
   /* Call random oracle and verify challenge */
-  state = new SHAKE(256);
-  outputLength = SeedBytes;
-  state.update(Buffer.from(mu, 'hex'));
-  state.update(Buffer.from(buf, 'hex'));
-  c2.set(state.digest({ buffer: Buffer.alloc(outputLength) }));
-
-  for (i = 0; i < SeedBytes; ++i) if (c[i] !== c2[i]) return false;
-  return true;
+  c2.set(shake256Hash(cTildeBytes, mu, buf));
+
+  for (i = 0; i < cTildeBytes; ++i) if (c[i] !== c2[i]) return VERIFY_REASON.CHALLENGE_MISMATCH;
+  return VERIFY_REASON.OK;
+}
+
+// Returns { valid, reason } with a VERIFY_REASON telling why a signature was rejected
+export function cryptoSignVerifyDetailed(sig, m, pk, params = DILITHIUM5) {
+  /* Compute CRH(H(rho, t1), msg) */
+  const mu = shake256Hash(CRHBytes, shake256Hash(params.trBytes, pk), m);
+  const reason = verifyInternal(sig, mu, pk, params);
+  return { valid: reason === VERIFY_REASON.OK, reason };
+}
+
+export function cryptoSignVerify(sig, m, pk, params = DILITHIUM5) {
+  return cryptoSignVerifyDetailed(sig, m, pk, params).valid;
+}
+
+export function cryptoSignVerifyMu(sig, mu, pk, params = DILITHIUM5) {
+  if (mu.length !== CRHBytes) {
+    return false;
+  }
+  return verifyInternal(sig, mu, pk, params) === VERIFY_REASON.OK;
 }
 
-export function cryptoSignOpen(sm, pk) {
-  if (sm.length < CryptoBytes) {
+export function cryptoSignOpen(sm, pk, params = DILITHIUM5) {
+  const { cryptoBytes } = params;
+  if (sm.length < cryptoBytes) {
     return undefined;
   }
 
-  const sig = sm.slice(0, CryptoBytes);
-  const msg = sm.slice(CryptoBytes);
-  if (!cryptoSignVerify(sig, msg, pk)) {
+  const sig = sm.slice(0, cryptoBytes);
+  const msg = sm.slice(cryptoBytes);
+  if (!cryptoSignVerify(sig, msg, pk, params)) {
     return undefined;
   }
 
   return msg;
 }
+
+function checkChunk(chunk) {
+  if (!(chunk instanceof Uint8Array)) {
+    throw new Error(`invalid chunk ${typeof chunk} | Expected a Uint8Array`);
+  }
+}
+
+// Feeds every chunk of a WHATWG ReadableStream or a Node Readable (any async iterable) to update
+async function readStream(source, update) {
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const { done, value } = await reader.read(); // eslint-disable-line no-await-in-loop
+        if (done) {
+          return;
+        }
+        update(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of source) {
+      update(chunk);
+    }
+    return;
+  }
+  throw new Error('invalid stream | Expected a Node Readable or a WHATWG ReadableStream');
+}
+
+// Absorbs tr || m one chunk at a time, so mu never needs the whole message in memory
+function newMuHasher(tr) {
+  const state = new KeccakState();
+  let finalized = false;
+  shake256Init(state);
+  shake256Absorb(state, tr);
+
+  return {
+    update(chunk) {
+      if (finalized) {
+        throw new Error('message already finalized');
+      }
+      checkChunk(chunk);
+      shake256Absorb(state, chunk);
+    },
+    finalize() {
+      if (finalized) {
+        throw new Error('message already finalized');
+      }
+      finalized = true;
+      shake256Finalize(state);
+      const mu = new Uint8Array(CRHBytes);
+      shake256Squeeze(mu, state);
+      return mu;
+    },
+  };
+}
+
+// sk is copied, so the caller may wipe its buffer before sign(). The copy is wiped once sign() has run
+export function createSigner(
+  sk,
+  randomizedSigning,
+  params = DILITHIUM5,
+  entropySource = getEntropySource(),
+  verifyAfterSign = false
+) {
+  checkSk(sk, params);
+  const key = sk.slice();
+  const hasher = newMuHasher(getTr(key, params));
+
+  const signer = {
+    update(chunk) {
+      hasher.update(chunk);
+      return signer;
+    },
+    async updateStream(source) {
+      await readStream(source, hasher.update);
+      return signer;
+    },
+    sign() {
+      const mu = hasher.finalize();
+      const sig = new Uint8Array(params.cryptoBytes);
+      try {
+        signOnce(sig, mu, key, randomizedSigning, params, entropySource);
+        if (verifyAfterSign) {
+          // eslint-disable-next-line no-use-before-define
+          checkSignature(sig, new PreparedPublicKey(publicKeyFromSecretKey(key, params), params), { mu });
+        }
+      } finally {
+        zeroize(key);
+      }
+      return sig;
+    },
+  };
+  return signer;
+}
+
+export function createVerifier(pk, params = DILITHIUM5) {
+  if (pk.length !== params.cryptoPublicKeyBytes) {
+    throw new InvalidLengthError('pk', pk.length, params.cryptoPublicKeyBytes);
+  }
+  const hasher = newMuHasher(shake256Hash(params.trBytes, pk));
+
+  const verifier = {
+    update(chunk) {
+      hasher.update(chunk);
+      return verifier;
+    },
+    async updateStream(source) {
+      await readStream(source, hasher.update);
+      return verifier;
+    },
+    verify(sig) {
+      return verifyInternal(sig, hasher.finalize(), pk, params) === VERIFY_REASON.OK;
+    },
+  };
+  return verifier;
+}
+
+// ML-DSA keys sign M' = 0 || len(ctx) || ctx || m, as mlDsaSignature does. Round-3 Dilithium signs m and has no context
+function encodeMessage(m, ctx, params) {
+  if (params.fips204) {
+    return formatMessage(m, ctx);
+  }
+  if (ctx.length !== 0) {
+    throw new UnsupportedAlgorithmError(`invalid ctx for ${params.name} | Expected an empty ctx, only ML-DSA has one`);
+  }
+  return m;
+}
+
+// Caches everything verification derives from pk, for keys that verify many signatures
+export class PreparedPublicKey {
+  constructor(pk, params = DILITHIUM5) {
+    if (pk.length !== params.cryptoPublicKeyBytes) {
+      throw new InvalidLengthError('pk', pk.length, params.cryptoPublicKeyBytes);
+    }
+    this.pk = pk.slice();
+    this.params = params;
+    this.tr = shake256Hash(params.trBytes, pk);
+    this.expandedPk = expandPk(pk, params);
+  }
+
+  // ctx is the FIPS 204 context string of ML-DSA keys, as in mlDsaVerify
+  verify(sig, m, ctx = new Uint8Array(0)) {
+    if (ctx.length > ContextMaxBytes) {
+      return false;
+    }
+    return this.verifyMu(sig, shake256Hash(CRHBytes, this.tr, encodeMessage(m, ctx, this.params)));
+  }
+
+  verifyMu(sig, mu) {
+    if (mu.length !== CRHBytes) {
+      return false;
+    }
+    return verifyInternal(sig, mu, this.pk, this.params, this.expandedPk) === VERIFY_REASON.OK;
+  }
+}
+
+// A glitch or bit-flip while signing can produce a faulty signature, and a single one can leak the secret key. With
+// verifyAfterSign a fresh signature is checked against the pk derived from sk before it is released, and wiped with
+// FaultDetectedError when it fails. A message m, already encoded as the signer hashed it, is hashed with H(pk) rather
+// than the tr in sk, so a fault there shows
+function checkSignature(sig, publicKey, { m, mu }) {
+  const signature = sig.subarray(0, publicKey.params.cryptoBytes);
+  const valid = publicKey.verifyMu(signature, m === undefined ? mu : shake256Hash(CRHBytes, publicKey.tr, m));
+  if (!valid) {
+    signature.fill(0);
+    throw new FaultDetectedError('signature failed verification after signing');
+  }
+}
+
+// Verifies [{ sig, m, pk, ctx }], preparing each distinct pk once; pk may also be a PreparedPublicKey and ctx is
+// optional. Keys are told apart by tr = H(pk), so each item hashes its pk once and keys the cache on the 64-byte tr
+export function verifyMany(items, params = DILITHIUM5) {
+  const prepared = new Map();
+  return items.map(({ sig, m, pk, ctx }) => {
+    if (pk instanceof PreparedPublicKey) {
+      return pk.verify(sig, m, ctx);
+    }
+    if (pk.length !== params.cryptoPublicKeyBytes) {
+      return false;
+    }
+    const key = Array.from(shake256Hash(params.trBytes, pk), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    if (!prepared.has(key)) {
+      prepared.set(key, new PreparedPublicKey(pk, params));
+    }
+    return prepared.get(key).verify(sig, m, ctx);
+  });
+}
+
+// Keeps the expanded sk and the rejection loop scratch polynomials for signing services that sign many messages
+export class PreparedSecretKey {
+  constructor(sk, params = DILITHIUM5) {
+    checkSk(sk, params);
+    this.params = params;
+    this.publicKey = null;
+    this.expandedSk = expandSk(sk, params, true);
+    this.pk = this.expandedSk.pk;
+    this.scratch = newSignScratch(params);
+  }
+
+  // ctx is the FIPS 204 context string of ML-DSA keys, so signatures match mlDsaSignature for those and
+  // cryptoSignSignature for Dilithium5
+  sign(m, randomizedSigning, ctx = new Uint8Array(0), entropySource = getEntropySource(), verifyAfterSign = false) {
+    if (this.expandedSk === null) {
+      throw new KeyDestroyedError('PreparedSecretKey has been destroyed');
+    }
+    if (this.params.fips204) {
+      checkContext(ctx);
+    }
+    const message = encodeMessage(m, ctx, this.params);
+    const sig = this.signMu(shake256Hash(CRHBytes, this.expandedSk.tr, message), randomizedSigning, entropySource);
+    if (verifyAfterSign) {
+      checkSignature(sig, this.getPreparedPublicKey(), { m: message });
+    }
+    return sig;
+  }
+
+  signMu(mu, randomizedSigning, entropySource = getEntropySource(), verifyAfterSign = false) {
+    if (this.expandedSk === null) {
+      throw new KeyDestroyedError('PreparedSecretKey has been destroyed');
+    }
+    if (mu.length !== CRHBytes) {
+      throw new InvalidLengthError('mu', mu.length, CRHBytes);
+    }
+    const sig = new Uint8Array(this.params.cryptoBytes);
+    signInternal(sig, mu, this.expandedSk, this.scratch, randomizedSigning, this.params, entropySource);
+    if (verifyAfterSign) {
+      checkSignature(sig, this.getPreparedPublicKey(), { mu });
+    }
+    return sig;
+  }
+
+  // Expanded on the first verifyAfterSign, so keys that never use it do not pay for it
+  getPreparedPublicKey() {
+    if (this.publicKey === null) {
+      this.publicKey = new PreparedPublicKey(this.pk, this.params);
+    }
+    return this.publicKey;
+  }
+
+  // Wipes the expanded secret key; sign and signMu throw afterwards
+  destroy() {
+    if (this.expandedSk !== null) {
+      zeroizeExpandedSk(this.expandedSk);
+      this.expandedSk = null;
+    }
+  }
+}
@@ -1,16 +1,19 @@
 import {
+  KeccakState,
   shake128Absorb,
   shake128Finalize,
   shake128Init,
   shake256Absorb,
   shake256Finalize,
   shake256Init,
+  shake256Squeeze,
 } from './fips202.js';
 import { CRHBytes, SeedBytes } from './const.js';
+import { InvalidLengthError } from './errors.js';
 
 export function dilithiumShake128StreamInit(state, seed, nonce) {
   if (seed.length !== SeedBytes) {
-    throw new Error(`invalid seed length ${seed.length} | expected ${SeedBytes}`);
+    throw new InvalidLengthError('seed', seed.length, SeedBytes);
   }
   const t = new Uint8Array(2);
   t[0] = nonce & 0xff;
@@ -24,7 +27,7 @@ export function dilithiumShake128StreamInit(state, seed, nonce) {
 
 export function dilithiumShake256StreamInit(state, seed, nonce) {
   if (seed.length !== CRHBytes) {
-    throw new Error(`invalid seed length ${seed.length} | expected ${CRHBytes}`);
+    throw new InvalidLengthError('seed', seed.length, CRHBytes);
   }
   const t = new Uint8Array(2);
   t[0] = nonce & 0xff;
@@ -35,3 +38,16 @@ export function dilithiumShake256StreamInit(state, seed, nonce) {
   shake256Absorb(state, t);
   shake256Finalize(state);
 }
+
+export function shake256Hash(outputLength, ...inputs) {
+  const state = new KeccakState();
+  shake256Init(state);
+  inputs.forEach((input) => shake256Absorb(state, input));
+  shake256Finalize(state);
+
+  const out = new Uint8Array(outputLength);
+  shake256Squeeze(out, state);
+  // The inputs are often secret (seeds, key, rhoPrime), and the state could otherwise be used to recompute them
+  state.s.fill(0);
+  return out;
+}
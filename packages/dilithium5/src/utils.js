@@ -0,0 +1,50 @@
+// Helpers shared by the key classes and key encodings, not part of the public API
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87, SeedBytes } from './const.js';
+import { cryptoSignKeypair } from './sign.js';
+import { shake256Hash } from './symmetric-shake.js';
+import { InvalidLengthError, KeyMismatchError } from './errors.js';
+
+export const ParamSets = Object.freeze([ML_DSA_44, ML_DSA_65, ML_DSA_87, DILITHIUM5]);
+
+export function checkLength(name, value, expected) {
+  if (!(value instanceof Uint8Array) || value.length !== expected) {
+    throw new InvalidLengthError(name, value && value.length, expected);
+  }
+}
+
+export function equalBytes(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+export function keypairFromSeed(seed, params) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  cryptoSignKeypair(seed, pk, sk, params);
+  return { pk, sk };
+}
+
+// Checks a decoded { pk, priv } pair, where priv is either the seed or the expanded sk
+export function resolveKeyPair(params, pk, priv) {
+  checkLength('pk', pk, params.cryptoPublicKeyBytes);
+  if (priv === undefined) {
+    return { params, pk, seed: null, sk: null };
+  }
+  if (priv instanceof Uint8Array && priv.length === SeedBytes && params.fips204) {
+    const keypair = keypairFromSeed(priv, params);
+    if (!equalBytes(keypair.pk, pk)) {
+      throw new KeyMismatchError('private and public key do not belong to the same key');
+    }
+    return { params, pk, seed: priv, sk: keypair.sk };
+  }
+  checkLength('sk', priv, params.cryptoSecretKeyBytes);
+  // sk holds tr = H(pk) after rho and key
+  const tr = priv.subarray(2 * SeedBytes, 2 * SeedBytes + params.trBytes);
+  if (!equalBytes(shake256Hash(params.trBytes, pk), tr)) {
+    throw new KeyMismatchError('private and public key do not belong to the same key');
+  }
+  return { params, pk, seed: null, sk: priv };
+}
@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+import { compactSecretKey, expandSecretKey } from '../src/compact.js';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, ML_DSA_65, SeedBytes } from '../src/const.js';
+import { Dilithium } from '../src/dilithium.js';
+import { InvalidLengthError, KeyMismatchError } from '../src/errors.js';
+import { mlDsaKeypair } from '../src/mldsa.js';
+import { cryptoSignKeypair, cryptoSignSignature, cryptoSignVerify } from '../src/sign.js';
+
+function keypair() {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  const seed = cryptoSignKeypair(null, pk, sk);
+  return { pk, sk, seed };
+}
+
+describe('compact secret keys', () => {
+  it('should round-trip a key pair through its 32-byte seed', () => {
+    const { pk, sk, seed } = keypair();
+    const compact = compactSecretKey(sk, seed);
+    expect(compact.length).to.equal(SeedBytes);
+    expect(compact).to.deep.equal(seed);
+    expect(compact).to.not.equal(seed);
+
+    const expanded = expandSecretKey(compact);
+    expect(expanded.pk).to.deep.equal(pk);
+    expect(expanded.sk).to.deep.equal(sk);
+
+    const sig = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(sig, new Uint8Array([1]), expanded.sk, false);
+    expect(cryptoSignVerify(sig, new Uint8Array([1]), pk)).to.equal(true);
+    expect(Dilithium.fromSeed(compact).getPK()).to.deep.equal(pk);
+  });
+
+  it('should expand keys of other parameter sets', () => {
+    const pk = new Uint8Array(ML_DSA_65.cryptoPublicKeyBytes);
+    const sk = new Uint8Array(ML_DSA_65.cryptoSecretKeyBytes);
+    const seed = mlDsaKeypair(null, pk, sk, ML_DSA_65);
+
+    expect(compactSecretKey(sk, seed, ML_DSA_65)).to.deep.equal(seed);
+    expect(expandSecretKey(seed, ML_DSA_65)).to.deep.equal({ pk, sk });
+  });
+
+  it('should throw KeyMismatchError for an sk that does not belong to the seed', () => {
+    const { sk } = keypair();
+    const other = keypair();
+    expect(() => compactSecretKey(sk, other.seed)).to.throw(
+      KeyMismatchError,
+      'seed and sk do not belong to the same key'
+    );
+  });
+
+  it('should throw InvalidLengthError for inputs of the wrong size', () => {
+    const { sk, seed } = keypair();
+    expect(() => compactSecretKey(sk.subarray(1), seed)).to.throw(InvalidLengthError, 'invalid sk length');
+    expect(() => compactSecretKey(sk, seed.subarray(1))).to.throw(InvalidLengthError, 'invalid seed length 31');
+    expect(() => expandSecretKey(new Uint8Array(64))).to.throw(InvalidLengthError, 'invalid seed length 64');
+  });
+});
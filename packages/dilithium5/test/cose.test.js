@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import { cborDecode, cborEncode } from '../src/cbor.js';
+import { DILITHIUM5, ML_DSA_65 } from '../src/const.js';
+import { exportCoseKey, importCoseKey } from '../src/cose.js';
+import { UnsupportedAlgorithmError } from '../src/errors.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+import { getHexFromUInt8Array } from './utility/testUtility.js';
+
+const SEED = new Uint8Array(32).fill(0xc0);
+
+function keypair(params) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  cryptoSignKeypair(SEED, pk, sk, params);
+  return { pk, sk };
+}
+
+describe('exportCoseKey and importCoseKey', () => {
+  it('should encode a deterministic COSE_Key map', () => {
+    const { pk } = keypair(ML_DSA_65);
+    const coseKey = exportCoseKey({ pk, seed: SEED }, ML_DSA_65);
+
+    // {1: 7, 3: -49, -1: h'...', -2: h'...'} with keys in bytewise order
+    expect(getHexFromUInt8Array(coseKey.subarray(0, 10))).to.equal('a40107033830205907a0');
+    expect(coseKey.subarray(10, 10 + pk.length)).to.deep.equal(pk);
+    expect(getHexFromUInt8Array(coseKey.subarray(10 + pk.length, 13 + pk.length))).to.equal('215820');
+  });
+
+  it('should round trip public keys, seeds and expanded secret keys', () => {
+    const { pk, sk } = keypair(ML_DSA_65);
+
+    expect(importCoseKey(exportCoseKey({ pk }, ML_DSA_65))).to.deep.equal({
+      params: ML_DSA_65,
+      pk,
+      seed: null,
+      sk: null,
+    });
+    expect(importCoseKey(exportCoseKey({ pk, seed: SEED }, ML_DSA_65))).to.deep.equal({
+      params: ML_DSA_65,
+      pk,
+      seed: SEED,
+      sk,
+    });
+    expect(importCoseKey(exportCoseKey({ pk, sk }, ML_DSA_65))).to.deep.equal({
+      params: ML_DSA_65,
+      pk,
+      seed: null,
+      sk,
+    });
+  });
+
+  it('should round trip a round-3 Dilithium5 key with the private use alg', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    const coseKey = exportCoseKey({ pk, sk }, DILITHIUM5);
+
+    expect(cborDecode(coseKey).get(3)).to.equal(-65537);
+    expect(importCoseKey(coseKey)).to.deep.equal({ params: DILITHIUM5, pk, seed: null, sk });
+    expect(importCoseKey(exportCoseKey({ pk }, DILITHIUM5))).to.deep.equal({
+      params: DILITHIUM5,
+      pk,
+      seed: null,
+      sk: null,
+    });
+    expect(() => exportCoseKey({ pk, seed: SEED }, DILITHIUM5)).to.throw(
+      UnsupportedAlgorithmError,
+      'invalid private key choice seed for Dilithium5'
+    );
+  });
+
+  it('should reject malformed COSE_Keys', () => {
+    const { pk } = keypair(ML_DSA_65);
+    const coseKey = cborDecode(exportCoseKey({ pk }, ML_DSA_65));
+    const withLabel = (label, value) => cborEncode(new Map([...coseKey, [label, value]]));
+
+    expect(() => exportCoseKey({ pk }, { name: 'ML-DSA-1' })).to.throw(
+      UnsupportedAlgorithmError,
+      'invalid parameter set ML-DSA-1'
+    );
+    expect(() => importCoseKey(withLabel(1, 1))).to.throw('invalid COSE_Key kty 1 | Expected 7 (AKP)');
+    expect(() => importCoseKey(withLabel(3, -7))).to.throw(UnsupportedAlgorithmError, 'invalid COSE_Key alg -7');
+    expect(() => importCoseKey(withLabel(-2, 'seed'))).to.throw('Expected byte strings');
+    expect(() => importCoseKey(withLabel(-1, pk.subarray(1)))).to.throw('invalid pk length 1951');
+    expect(() => importCoseKey(withLabel(-2, new Uint8Array(32)))).to.throw(
+      'private and public key do not belong to the same key'
+    );
+    expect(() => importCoseKey(cborEncode(5))).to.throw('invalid COSE_Key | Expected a CBOR map');
+  });
+});
+
+describe('cbor', () => {
+  it('should reject non-deterministic and malformed encodings', () => {
+    expect(cborDecode(new Uint8Array([0x18, 0x18]))).to.equal(24);
+    expect(cborDecode(new Uint8Array([0x39, 0x01, 0x00]))).to.equal(-257);
+    expect(() => cborDecode(new Uint8Array([0x18, 0x17]))).to.throw('invalid CBOR: non-minimal integer encoding');
+    expect(() => cborDecode(new Uint8Array([0x19, 0x00, 0xff]))).to.throw('non-minimal integer encoding');
+    expect(() => cborDecode(new Uint8Array([0x5f]))).to.throw('invalid CBOR additional information 31');
+    expect(() => cborDecode(new Uint8Array([0x42, 0x01]))).to.throw('invalid CBOR: truncated item');
+    expect(() => cborDecode(new Uint8Array([0x01, 0x02]))).to.throw('invalid CBOR: 1 trailing bytes');
+    expect(() => cborDecode(new Uint8Array([0xa2, 0x01, 0x01, 0x01, 0x02]))).to.throw('invalid CBOR map key 1');
+    expect(() => cborDecode(new Uint8Array([0x80]))).to.throw('invalid CBOR major type 4');
+  });
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, SeedBytes } from '../src/const.js';
+import { Dilithium, DilithiumPublicKey } from '../src/dilithium.js';
+import { cryptoSignKeypair, cryptoSignSignature } from '../src/sign.js';
+import { getUInt8ArrayFromHex, newDeterministicEntropySource } from './utility/testUtility.js';
+
+const SEED = getUInt8ArrayFromHex('8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216');
+const MESSAGE = getUInt8ArrayFromHex('00010204060901');
+
+function referenceKeypair(seed) {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  cryptoSignKeypair(seed, pk, sk);
+  return { pk, sk };
+}
+
+describe('Dilithium', () => {
+  it('should create the same keys as cryptoSignKeypair from a seed', () => {
+    const { pk, sk } = referenceKeypair(SEED);
+    const dilithium = Dilithium.fromSeed(SEED);
+
+    expect(dilithium.getPK()).to.deep.equal(pk);
+    expect(dilithium.getSK()).to.deep.equal(sk);
+    expect(dilithium.getSeed()).to.deep.equal(SEED);
+    expect(dilithium.getHexSeed()).to.equal('0x8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216');
+  });
+
+  it('should sign like cryptoSignSignature and verify its own signatures', () => {
+    const { sk } = referenceKeypair(SEED);
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+    const dilithium = Dilithium.fromSeed(SEED);
+    const signature = dilithium.sign(MESSAGE);
+
+    expect(signature).to.deep.equal(expected);
+    expect(dilithium.sign(MESSAGE)).not.to.equal(signature);
+    expect(dilithium.verify(MESSAGE, signature)).to.equal(true);
+    expect(dilithium.verify(new Uint8Array([1]), signature)).to.equal(false);
+  });
+
+  it('should generate a key with a fresh seed', () => {
+    const dilithium1 = Dilithium.generate();
+    const dilithium2 = Dilithium.generate();
+
+    expect(dilithium1.getSeed().length).to.equal(SeedBytes);
+    expect(dilithium1.getSeed()).not.to.deep.equal(dilithium2.getSeed());
+    expect(Dilithium.fromSeed(dilithium1.getSeed()).getPK()).to.deep.equal(dilithium1.getPK());
+  });
+
+  it('should take the seed from the given entropy source', () => {
+    const entropySeed = new Uint8Array(SeedBytes).fill(3);
+    const dilithium1 = Dilithium.generate(newDeterministicEntropySource(entropySeed));
+    const dilithium2 = Dilithium.generate(newDeterministicEntropySource(entropySeed));
+
+    expect(dilithium1.getPK()).to.deep.equal(dilithium2.getPK());
+  });
+
+  it('should restore the public key from a secret key', () => {
+    const { pk, sk } = referenceKeypair(SEED);
+    const dilithium = Dilithium.fromSecretKey(sk);
+
+    expect(dilithium.getPK()).to.deep.equal(pk);
+    expect(dilithium.getSeed()).to.equal(null);
+    expect(dilithium.getHexSeed()).to.equal(null);
+    expect(dilithium.sign(MESSAGE)).to.deep.equal(Dilithium.fromSeed(SEED).sign(MESSAGE));
+  });
+
+  it('should verify with a public-key-only instance', () => {
+    const dilithium = Dilithium.fromSeed(SEED);
+    const signature = dilithium.sign(MESSAGE);
+    const verifier = Dilithium.fromPublicKey(dilithium.getPK());
+
+    expect(verifier).to.be.an.instanceOf(DilithiumPublicKey);
+    expect(verifier).not.to.be.an.instanceOf(Dilithium);
+    expect(verifier.sign).to.equal(undefined);
+    expect(verifier.verify(MESSAGE, signature)).to.equal(true);
+    expect(dilithium.getPublicKey().verify(MESSAGE, signature)).to.equal(true);
+    expect(verifier.verify(MESSAGE, signature.subarray(1))).to.equal(false);
+  });
+
+  it('should copy the keys it is given', () => {
+    const { pk, sk } = referenceKeypair(SEED);
+    const verifier = Dilithium.fromPublicKey(pk);
+    const dilithium = Dilithium.fromSecretKey(sk);
+    pk.fill(0);
+    sk.fill(0);
+
+    expect(verifier.getPK()).not.to.deep.equal(pk);
+    expect(dilithium.getSK()).not.to.deep.equal(sk);
+  });
+
+  it('should return copies of its keys and seed', () => {
+    const dilithium = Dilithium.fromSeed(SEED);
+    const verifier = dilithium.getPublicKey();
+    const signature = dilithium.sign(MESSAGE);
+    [dilithium.getPK(), dilithium.getSK(), dilithium.getSeed(), verifier.getPK()].forEach((bytes) => bytes.fill(0));
+
+    const { pk, sk } = referenceKeypair(SEED);
+    expect(dilithium.getPK()).to.deep.equal(pk);
+    expect(dilithium.getSK()).to.deep.equal(sk);
+    expect(dilithium.getSeed()).to.deep.equal(SEED);
+    expect(dilithium.sign(MESSAGE)).to.deep.equal(signature);
+    expect(verifier.verify(MESSAGE, signature)).to.equal(true);
+  });
+
+  it('should throw an error for keys and seeds of the wrong length', () => {
+    expect(() => Dilithium.fromSeed(new Uint8Array(31))).to.throw('invalid seed length 31 | Expected length 32');
+    expect(() => Dilithium.fromSecretKey(new Uint8Array(10))).to.throw(
+      `invalid sk length 10 | Expected length ${CryptoSecretKeyBytes}`
+    );
+    expect(() => Dilithium.fromPublicKey(null)).to.throw(
+      `invalid pk length null | Expected length ${CryptoPublicKeyBytes}`
+    );
+  });
+});
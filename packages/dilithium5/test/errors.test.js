@@ -0,0 +1,180 @@
+import { expect } from 'chai';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, DILITHIUM5, ML_DSA_44 } from '../src/const.js';
+import { Dilithium } from '../src/dilithium.js';
+import {
+  InvalidEncodingError,
+  InvalidLengthError,
+  KeyDestroyedError,
+  KeyMismatchError,
+  UnsupportedAlgorithmError,
+  VERIFY_REASON,
+} from '../src/errors.js';
+import { exportJwk, importJwk } from '../src/jwk.js';
+import { importPublicKey } from '../src/keys.js';
+import { hashMlDsaSignature, mlDsaKeypair, mlDsaSignature, mlDsaVerifyDetailed } from '../src/mldsa.js';
+import {
+  PreparedSecretKey,
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignVerify,
+  cryptoSignVerifyDetailed,
+} from '../src/sign.js';
+
+const MESSAGE = new Uint8Array([1, 2, 3]);
+
+function signed() {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  cryptoSignKeypair(new Uint8Array(32).fill(5), pk, sk);
+  const sig = new Uint8Array(CryptoBytes);
+  cryptoSignSignature(sig, MESSAGE, sk, false);
+  return { pk, sk, sig };
+}
+
+describe('error classes', () => {
+  it('InvalidLengthError should carry the field and lengths', () => {
+    const sig = new Uint8Array(CryptoBytes);
+    let error;
+    try {
+      cryptoSignSignature(sig, MESSAGE, new Uint8Array(10), false);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(InvalidLengthError);
+    expect(error).to.be.instanceOf(Error);
+    expect(error.name).to.equal('InvalidLengthError');
+    expect(error.message).to.equal(`invalid sk length 10 | Expected length ${CryptoSecretKeyBytes}`);
+    expect([error.field, error.length, error.expected]).to.deep.equal(['sk', 10, CryptoSecretKeyBytes]);
+  });
+
+  it('cryptoSignKeypair should keep the InvalidLengthError', () => {
+    expect(() => cryptoSignKeypair(null, new Uint8Array(1), new Uint8Array(CryptoSecretKeyBytes))).to.throw(
+      InvalidLengthError,
+      'invalid pk length 1'
+    );
+  });
+
+  it('InvalidEncodingError should be thrown for malformed encodings', () => {
+    expect(() => importPublicKey(new Uint8Array([0x30, 0x05, 0x00]))).to.throw(InvalidEncodingError);
+    expect(() => importJwk({ kty: 'OKP' })).to.throw(InvalidEncodingError, 'invalid JWK kty OKP');
+  });
+
+  it('KeyMismatchError should be thrown for keys of different key pairs', () => {
+    const { pk } = signed();
+    const other = Dilithium.fromSeed(new Uint8Array(32).fill(6));
+    expect(() => exportJwk({ pk, sk: other.getSK() }, DILITHIUM5)).to.throw(KeyMismatchError);
+  });
+
+  it('UnsupportedAlgorithmError should be thrown for parameter sets and hash algorithms that are not implemented', () => {
+    const { sk } = signed();
+    const sig = new Uint8Array(CryptoBytes);
+    expect(() => mlDsaSignature(sig, MESSAGE, sk, false, undefined, DILITHIUM5)).to.throw(
+      UnsupportedAlgorithmError,
+      'invalid parameter set Dilithium5'
+    );
+    expect(() => hashMlDsaSignature(sig, new Uint8Array(48), 'SHA-384', sk, false)).to.throw(
+      UnsupportedAlgorithmError,
+      'invalid hash algorithm SHA-384'
+    );
+    expect(() => importJwk({ kty: 'AKP', alg: 'ES256' })).to.throw(UnsupportedAlgorithmError, 'invalid JWK alg ES256');
+  });
+
+  it('hashMlDsaSignature should throw InvalidLengthError for a digest of the wrong size', () => {
+    expect(() =>
+      hashMlDsaSignature(new Uint8Array(CryptoBytes), new Uint8Array(31), 'SHA-256', new Uint8Array(10), false)
+    ).to.throw(InvalidLengthError, 'invalid digest length 31 | Expected length 32 for SHA-256');
+  });
+});
+
+describe('cryptoSignVerifyDetailed', () => {
+  it('should accept a valid signature', () => {
+    const { pk, sig } = signed();
+    expect(cryptoSignVerifyDetailed(sig, MESSAGE, pk)).to.deep.equal({ valid: true, reason: VERIFY_REASON.OK });
+  });
+
+  it('should report a signature or public key of the wrong length', () => {
+    const { pk, sig } = signed();
+    expect(cryptoSignVerifyDetailed(sig.subarray(1), MESSAGE, pk).reason).to.equal(VERIFY_REASON.BAD_LENGTH);
+    expect(cryptoSignVerifyDetailed(sig, MESSAGE, pk.subarray(1)).reason).to.equal(VERIFY_REASON.BAD_LENGTH);
+  });
+
+  it('should report a malformed hint', () => {
+    const { pk, sig } = signed();
+    // The last k bytes hold the running hint counts, which cannot exceed omega
+    sig[CryptoBytes - DILITHIUM5.k] = DILITHIUM5.omega + 1;
+    expect(cryptoSignVerifyDetailed(sig, MESSAGE, pk)).to.deep.equal({
+      valid: false,
+      reason: VERIFY_REASON.MALFORMED_HINT,
+    });
+  });
+
+  it('should report z outside of the norm bound', () => {
+    const { pk, sig } = signed();
+    // The packed value 2^20 - 1 unpacks to z = gamma1 - (2^20 - 1) = -gamma1 + 1
+    sig.set([0xff, 0xff], DILITHIUM5.cTildeBytes);
+    sig[DILITHIUM5.cTildeBytes + 2] |= 0x0f;
+    expect(cryptoSignVerifyDetailed(sig, MESSAGE, pk).reason).to.equal(VERIFY_REASON.NORM_BOUND_EXCEEDED);
+  });
+
+  it('should report a challenge mismatch for another message', () => {
+    const { pk, sig } = signed();
+    expect(cryptoSignVerifyDetailed(sig, new Uint8Array([1, 2, 4]), pk).reason).to.equal(
+      VERIFY_REASON.CHALLENGE_MISMATCH
+    );
+  });
+
+  it('should be available on DilithiumPublicKey', () => {
+    const dilithium = Dilithium.fromSeed(new Uint8Array(32).fill(5));
+    const sig = dilithium.sign(MESSAGE);
+    expect(dilithium.getPublicKey().verifyDetailed(MESSAGE, sig).reason).to.equal(VERIFY_REASON.OK);
+    expect(dilithium.verifyDetailed(MESSAGE, sig.subarray(1)).reason).to.equal(VERIFY_REASON.BAD_LENGTH);
+  });
+});
+
+describe('destroy', () => {
+  it('should wipe a Dilithium key and throw KeyDestroyedError afterwards', () => {
+    const seed = new Uint8Array(32).fill(5);
+    const dilithium = Dilithium.fromSeed(seed);
+    const sig = dilithium.sign(MESSAGE);
+
+    dilithium.destroy();
+    expect(dilithium.sk.every((b) => b === 0)).to.equal(true);
+    expect(dilithium.seed.every((b) => b === 0)).to.equal(true);
+    expect(seed.every((b) => b === 5)).to.equal(true);
+    ['sign', 'getSeed', 'getHexSeed', 'getSK'].forEach((method) => {
+      expect(() => dilithium[method](MESSAGE)).to.throw(KeyDestroyedError, 'Dilithium key has been destroyed');
+    });
+    expect(dilithium.verify(MESSAGE, sig)).to.equal(true);
+  });
+
+  it('should wipe a PreparedSecretKey and throw KeyDestroyedError afterwards', () => {
+    const { pk, sk, sig } = signed();
+    const signer = new PreparedSecretKey(sk);
+    expect(signer.sign(MESSAGE, false)).to.deep.equal(sig);
+
+    signer.destroy();
+    expect(() => signer.sign(MESSAGE, false)).to.throw(KeyDestroyedError, 'PreparedSecretKey has been destroyed');
+    expect(() => signer.signMu(new Uint8Array(64), false)).to.throw(KeyDestroyedError);
+    expect(cryptoSignVerify(sig, MESSAGE, pk)).to.equal(true);
+    expect(sk.some((b) => b !== 0)).to.equal(true);
+  });
+});
+
+describe('mlDsaVerifyDetailed', () => {
+  it('should report the context', () => {
+    const pk = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(new Uint8Array(32).fill(5), pk, sk, ML_DSA_44);
+    const sig = new Uint8Array(ML_DSA_44.cryptoBytes);
+    const ctx = new Uint8Array([7]);
+    mlDsaSignature(sig, MESSAGE, sk, false, ctx, ML_DSA_44);
+
+    expect(mlDsaVerifyDetailed(sig, MESSAGE, pk, ctx, ML_DSA_44).reason).to.equal(VERIFY_REASON.OK);
+    expect(mlDsaVerifyDetailed(sig, MESSAGE, pk, undefined, ML_DSA_44).reason).to.equal(
+      VERIFY_REASON.CHALLENGE_MISMATCH
+    );
+    expect(mlDsaVerifyDetailed(sig, MESSAGE, pk, new Uint8Array(256), ML_DSA_44).reason).to.equal(
+      VERIFY_REASON.BAD_LENGTH
+    );
+  });
+});
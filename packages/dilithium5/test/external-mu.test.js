@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import {
+  CryptoBytes,
+  CryptoPublicKeyBytes,
+  CryptoSecretKeyBytes,
+  CRHBytes,
+  ML_DSA_44,
+  ML_DSA_87,
+} from '../src/const.js';
+import { computeMu, mlDsaKeypair, mlDsaSignature, mlDsaVerify, signMu, verifyMu } from '../src/mldsa.js';
+import { cryptoSignKeypair, cryptoSignSignature, cryptoSignSignatureMu, cryptoSignVerifyMu } from '../src/sign.js';
+import { shake256Hash } from '../src/symmetric-shake.js';
+import { newDeterministicEntropySource } from './utility/testUtility.js';
+
+const SEED = new Uint8Array(32).fill(0x11);
+const MESSAGE = new Uint8Array([0, 1, 2, 4, 6, 9, 1]);
+const CTX = new Uint8Array([0x51, 0x52, 0x4c]);
+
+function keypair(params) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  mlDsaKeypair(SEED, pk, sk, params);
+  return { pk, sk };
+}
+
+describe('external mu', () => {
+  [ML_DSA_44, ML_DSA_87].forEach((params) => {
+    it(`should sign mu like mlDsaSignature signs the message, with ${params.name}`, () => {
+      const { pk, sk } = keypair(params);
+      const expected = new Uint8Array(params.cryptoBytes);
+      mlDsaSignature(expected, MESSAGE, sk, false, CTX, params);
+      const mu = computeMu(pk, MESSAGE, CTX, params);
+      const sig = signMu(mu, sk, false, params);
+
+      expect(mu.length).to.equal(CRHBytes);
+      expect(sig).to.deep.equal(expected);
+      expect(verifyMu(mu, sig, pk, params)).to.equal(true);
+      expect(mlDsaVerify(sig, MESSAGE, pk, CTX, params)).to.equal(true);
+      expect(verifyMu(computeMu(pk, MESSAGE, new Uint8Array(0), params), sig, pk, params)).to.equal(false);
+    });
+  });
+
+  it('should sign mu like mlDsaSignature with randomized signing', () => {
+    const { pk, sk } = keypair(ML_DSA_87);
+    const entropySeed = new Uint8Array(32).fill(5);
+    const expected = new Uint8Array(ML_DSA_87.cryptoBytes);
+    mlDsaSignature(expected, MESSAGE, sk, true, CTX, ML_DSA_87, newDeterministicEntropySource(entropySeed));
+    const mu = computeMu(pk, MESSAGE, CTX);
+
+    expect(signMu(mu, sk, true, ML_DSA_87, newDeterministicEntropySource(entropySeed))).to.deep.equal(expected);
+  });
+
+  it('should sign and verify a round-3 mu with the cryptoSign functions', () => {
+    const pk = new Uint8Array(CryptoPublicKeyBytes);
+    const sk = new Uint8Array(CryptoSecretKeyBytes);
+    cryptoSignKeypair(SEED, pk, sk);
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+    const mu = shake256Hash(CRHBytes, shake256Hash(32, pk), MESSAGE);
+    const sig = new Uint8Array(CryptoBytes);
+    cryptoSignSignatureMu(sig, mu, sk, false);
+
+    expect(sig).to.deep.equal(expected);
+    expect(cryptoSignVerifyMu(sig, mu, pk)).to.equal(true);
+  });
+
+  it('should reject mu, pk and parameter sets that do not fit', () => {
+    const { pk, sk } = keypair(ML_DSA_87);
+    const mu = computeMu(pk, MESSAGE);
+    const sig = signMu(mu, sk, false);
+
+    expect(() => signMu(mu.subarray(1), sk, false)).to.throw('invalid mu length 63 | Expected length 64');
+    expect(() => computeMu(pk.subarray(1), MESSAGE)).to.throw('invalid pk length');
+    expect(() => computeMu(pk, MESSAGE, new Uint8Array(256))).to.throw('invalid ctx length 256');
+    expect(() => computeMu(new Uint8Array(CryptoPublicKeyBytes), MESSAGE, CTX, { name: 'Dilithium5' })).to.throw(
+      'invalid parameter set Dilithium5'
+    );
+    expect(verifyMu(mu.subarray(1), sig, pk)).to.equal(false);
+    expect(verifyMu(mu, sig.subarray(1), pk)).to.equal(false);
+  });
+});
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { Shake256Rate } from '../src/const.js';
+import {
+  KeccakF1600StatePermute,
+  KeccakState,
+  ROL,
+  load64,
+  shake128AbsorbOnce,
+  shake128Squeeze,
+  shake256Absorb,
+  shake256Finalize,
+  shake256Init,
+  shake256SqueezeBlocks,
+  store64,
+} from '../src/fips202.js';
+import bigIntPermute from './utility/bigIntKeccak.js';
+import { getHexFromUInt8Array } from './utility/testUtility.js';
+
+const MESSAGE = new Uint8Array(200).fill(0xa3);
+const SHAKE128_EMPTY = '7f9c2ba4e88f827d616045507605853ed73b8093f6efbc88eb1a6eacfa66ef26';
+const SHAKE256_EMPTY = '46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762f';
+const SHAKE128_MESSAGE =
+  '131ab8d2b594946b9c81333f9bb6e0ce75c3b93104fa3469d3917457385da037cf232ef7164a6d1eb448c8908186ad852d3f85a5cf28da1ab6fe3438171978467f1c05d58c7ef38c284c41f6c2221a76f12ab1c04082660250802294fb87180213fdef5b0ecb7df50ca1f8555be14d32e10f6edcde892c09424b29f597afc270c904556bfcb47a7d40778d390923642b3cbd0579e60908d5a000c1d08b98ef933f806445bf87f8b009ba9e94f7266122ed7ac24e5e266c42a82fa1bbefb7b8db0066e16a85e0493f';
+const SHAKE256_MESSAGE =
+  'cd8a920ed141aa0407a22d59288652e9d9f1a7ee0c1e7c1ca699424da84a904d2d700caae7396ece96604440577da4f3aa22aeb8857f961c4cd8e06f0ae6610b1048a7f64e1074cd629e85ad7566048efc4fb500b486a3309a8f26724c0ed628001a1099422468de726f1061d99eb9e93604d5aa7467d4b1bd6484582a384317d7f47d750b8f5499512bb85a226c4243556e696f6bd072c5aa2d9b69730244b56853d16970ad817e213e470618178001c9fb56c54fefa5fee67d2da524bb3b0b61ef0e9114a92cdb';
+
+describe('fips202', () => {
+  it('should compute SHAKE128 and SHAKE256 of the empty string', () => {
+    const state = new KeccakState();
+    const out = new Uint8Array(32);
+    shake128AbsorbOnce(state, new Uint8Array(0));
+    shake128Squeeze(out, state);
+    expect(getHexFromUInt8Array(out)).to.equal(SHAKE128_EMPTY);
+
+    const blocks = new Uint8Array(Shake256Rate);
+    shake256Init(state);
+    shake256Finalize(state);
+    shake256SqueezeBlocks(blocks, 0, 1, state);
+    expect(getHexFromUInt8Array(blocks.subarray(0, 32))).to.equal(SHAKE256_EMPTY);
+  });
+
+  it('should compute SHAKE128 and SHAKE256 of a multi-block message', () => {
+    const state = new KeccakState();
+    const out = new Uint8Array(200);
+    shake128AbsorbOnce(state, MESSAGE);
+    shake128Squeeze(out.subarray(0, 7), state);
+    shake128Squeeze(out.subarray(7), state);
+    expect(getHexFromUInt8Array(out)).to.equal(SHAKE128_MESSAGE);
+
+    const blocks = new Uint8Array(2 * Shake256Rate);
+    shake256Init(state);
+    shake256Absorb(state, MESSAGE.subarray(0, 3));
+    shake256Absorb(state, MESSAGE.subarray(3));
+    shake256Finalize(state);
+    shake256SqueezeBlocks(blocks, 0, 2, state);
+    expect(getHexFromUInt8Array(blocks.subarray(0, 200))).to.equal(SHAKE256_MESSAGE);
+  });
+
+  it('should match the BigInt lane permutation', () => {
+    const lanes = new BigUint64Array(25);
+    const words = new Uint32Array(50);
+    for (let i = 0; i < 25; i++) {
+      lanes[i] = BigInt(i + 1) * 0x9e3779b97f4a7c15n;
+      words[2 * i] = Number(lanes[i] & 0xffffffffn);
+      words[2 * i + 1] = Number(lanes[i] >> 32n);
+    }
+    for (let i = 0; i < 3; i++) {
+      bigIntPermute(lanes);
+      KeccakF1600StatePermute(words);
+    }
+    expect(Array.from(new Uint32Array(lanes.buffer))).to.deep.equal(Array.from(words));
+  });
+
+  it('should keep the deprecated 64-bit lane helpers', () => {
+    const bytes = Uint8Array.from({ length: 8 }, (_, i) => i + 1);
+    const lane = load64(bytes, 0);
+    expect(lane).to.equal(0x0807060504030201n);
+    expect(ROL(lane, 8n)).to.equal(0x0706050403020108n);
+    const out = new Uint8Array(8);
+    store64(out, 0, lane);
+    expect(out).to.deep.equal(bytes);
+  });
+});
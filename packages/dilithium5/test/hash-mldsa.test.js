@@ -0,0 +1,106 @@
+import { expect } from 'chai';
+import { ML_DSA_44, ML_DSA_87 } from '../src/const.js';
+import { hashMlDsaSignature, hashMlDsaVerify, mlDsaKeypair, mlDsaSignature, mlDsaVerify } from '../src/mldsa.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
+
+// Vectors cross-checked against an independent FIPS 204 implementation, digests are of the message 00010204060901
+const SEED = '8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216';
+const CTX = '5a4f4e44';
+const SHA256_DIGEST = '3423f16b164f33c12f605bf499d2d323c7f97bb5175b9f8bef290e62771827e1';
+const SHA256_SIGNATURE =
+  'e176ad5f4d1930abf4989565f19c2eef30e39dca2c842ea64ad2ea37e7ebc43041ac470f2ede0b18e3c2a0f4060206c393e7292cdbd4825faea669331b09a01c37dc6ecb8b51c3b1fb5426e8b4d0c9ce17bb29bda464ae191debce5e8fe5429e395a048bcc5de07b5fe50d3238cd34bff318210ebcc50fab0f5e160257948d35979b288b5e04b6f1d1a560161b22d4aea5ef676489026db2d53b11fa74baa0f96326b0196f71227ca8fa2d304b1e32612dcb846a7c2f04f99a2bc62f40e873639d828015f0177c0055ebf7da9d56e1a795cabd3ddf4f2888263df84a9c6999b9a21142a12dfc875107ab88e1c57b77846beb0ea39d565d1032f8a4452a1e556406df9fa62936faf70d2f34271ab292bf6503b0cc284a75e1a314d24cfb18291495e352d11835e1cd0f82b0310e4c52c7e2f1c8b168fc179094b76333d1ea14fbcf2cad4cc8d976b98564cc0dcb157d9ec852850fa4123bbb139f3449bf5735c57df861772654ce2d641c84dc0e19ef2cd305bdd1a25f498872c94ab5e398bba84a3f8e03b53eef7aca51bd85ea184bc12f22927783536d10e38833b1da8bbe646fb69b7164c7def96f7513ff700fd37cdbc508b7a14030c91bb3a56c3018fcd80956a8a4e6e3dbb3721c9dc66fc07823acd6d265f7a58fe5476c9ef6bf02641154e63107f8bfb66c398718127b47babffde78565b261037bbff94661c1981851cf62fda675f8f369b74ed878d4121a2d30b35b4060ded799d95db2a1600df332d268501ed7c937adde676acd12aa9c30fecc0cd2bbe3eb81a6e83dcadb28a9029e463d5dc623450771d6bf0dc04a3190dbc045d600ba137b4ab779a6c296a863ec8afa767bdeb2101b52a8b7b6be4e9b046d15b4484a659343dedb8b11c87522267a12c10639babe449f5eed87256094ae1d49f4b8b87a24224ec7aa1fffdc3fec21259effbacb80bcde9d6a2fe1d5a129ca57c123331bf1ae5e7b76465ff0c35495ea8fb59737ddbaf0eee2129b31f83c36fbed60dba07c22350af1f26c2f338687d6c15a912e71abf6aa4a150e9bbac0226d8ea61efe151441e8f834208714d93c363dc98b656635999bfa8bb1c39df721136945505263468e683ae685b6620985c83126b84afaa7e3baa8881158601c6fb8d4b6ac827fe9e7e42e412fba0fb203e4fc2a959b88c7231659403736c3dcf502d396dc012e2f0bfd13e4f664b0f0d988e8e8ee9d2243098cfda3ab29262564832cc65fa07ff32a9fc6c9aa4580d1eeec0a891bd2b7491d49995eff21e66a2da78520d9cae4dd4cbcdbf05222021eaf9fad94672b3eafe51a6d4562ea09c92dd77c880eac1e007159ad7ad0b27cf37221a69913bd39dfaf11b5f11932ff7d0c15e7cfde30e895fb184adf3053d9bd311aba77ad4a8d07c2baa0148bfcd04b51b61246af543802a064fd3ce190c957f579bb5cf391a385d9930cba2d176d3a4719c9b56a965264115f0e4b540aefc27850503f59f4d25245639c00c076cc104eb2be80480265a61d8d466d8ccf3fc0e28f1260844a1a4fa1dcd51cf84df591379281438e2b0e742e6cc11ab53249cbd49a492e1e4ec05ab20c3989c073c7233f5a1aa17f7dc60cf95461e1112794720a30a1c2673d8f8f6014d8793895faf9f9b463f7a71ed6e055f11afabb3c9dd12e845479e9cd678f4ee49cb0886aac6c5a55b3b4750eb0c7c15e82afa991ef41965d71d8f41979a383a513dee108f426d247fc99447241a7ba40983b4138eb8601889fff38f55c341059a67c929a02a69bf5a8e093e0936205c5b6b3948a531ca005a763096197062286a92e1d71d6617144e5d28907d441ef3f63622386bc2ef448b8f60f4514fa8c879971f177eb62671afcbf55f8281846858a7b6464f7d07a52526acce2de2d4523a94e1f30d618dd0cfafd0c2ad62cb3dbb854ebd9cc291226bc2d4d782fc95d27c2b26dc99cfa24544dfe4483576ffec5cd96b84217838dd86077db615808f600299ebeb36af174acdf1971aea7e11e0c3f23115432b51ba26a2b83021e85661f0f4367723201ec50dd9bc0497976aa51fb03c8a7183dbb8d461df6dd143135b18f41b2ef7e392fc39b54be6763b8a5f070c6ed7e20737ea1afdfc23b5c96f9eab4a4067846c073485d14c6be0a65c889c866e8ef5fb0ddc47a9504a843a84b19de3fe65fb642ae17e76f215ab9d0df7f007abee3b320c6c934211c1c24809453f8bb6a3ed9aaf0358a6eeae02a9ff49c00fb7586dfbd302608f1e8b083add397404883438969a8858fdf483b6aee8d0e1c2807e96c1476747ad2f4db338cac86b6842e95dcdc3dd3ad65d7f4e07f54e895dc370dbd07c2df996ecc782fd49848e6b787d4e855fbddb466bf95b8b049aa145351990f54451f5ce18b19d4a4ad7c90323c8a1321638b1c60f8ecc0e7d173780b5ab947ea6f0aa2e741761017546bd822f4d1f6fde733695b10b29760e7b4565827d589a7a7bcfbdf573884b3e64c3f62ac7565a67b80fe07624c92ae46f8fa76df86b04e2435795e9899f4cbdeb9f84d45cefb70e8af28908124f784b0ebcea3ef249b1bb9aa8c4e3e6beb3addf05680357bf8af25b96921a3fcbdbf9a338cdf11a621d37eec1ef4005eb2a652b5b7ea353da508447ee64739d66b69507d9ab65c03caa68757623b8242b6a730169341d35322ac61fc370a67ab64277cc506bfc35c269a628c6f8e30b84720377493d8bc82f255f2b347ca97c74c4559fe164ba72822950620cf790531f577d1027b99b026806e4b6d04fde2c0b3a72677aadf83afe417e1e2126790767846a959ebbaa6b7725896a2d2b7fc9718482ab576cae088f3b262af76c21628381a6a9ad39ba4826c2bc772188f0463bbbb6f032d9ff3874f75860201b65ec1226964ff8de09c9baf0ee44262212a8242a9e0b2b6768cc11cfaaa085f9176fc20461d7e1c4ee3a2e0712d8afc877d98c0c88f60c360b80d42fec127a602f55a720eab4783589d3c79706181e12bc0db343a17f1e1ad1446dde0f467b9db63ca076a281d0fd9508d4c55256480ac00cb5d37172dc7694c31a580bcb8a0eb982732a166f0e32ea97c22bb87d479f47b0db2f17d2fce92ddecfe2c0cc4738314e42709b6e50803864ba0d2e6c21b1bb122193e2370954c408fc1635950734a38ba0d0c44235f3c36ad7e4971166676841f35f82fb34261e40af03384f8e224ed0a3899ce93ae519303fa04c938fb8c6f697c2274e52efbc9c176c939e523537a2a6273e2ccd39794cfe36d6db076636dbbc44da554e663db94adac6b81c556aabc6cb106ccf827f782e7749198a9d4a42cc445f3e62313dfcbdc55baf10633eac88676d55d916dd87498d5fb7c1686efe17ff083f0abb625e2a5329461598386c4c1615513ed332559d5f91340cd48876a3e2b51dc4bcb3beef833713eed17674607c02967111dfe7122292a2eacd9d46b94fa26289faaeec0633ada5d196a9c66d5418a8e439a7a4570eab234091340cd7c80d7d58a76ba58043e9262c789c811317aaa983bef0310bda32110373599e34f70eed6c602c590443aad12f0fb0b75f5d673e246cc9f9dbb08d39678caa2f4654b0f3e1b4ed8b4c62e20d9e5c2e72277a4a5b5607c7b264c181d2e75992975fecf2ca763112369a82fcfe3c4d90868b4dc14e612e9cfca73cebb20363a2879a10287093af59bf5ceb3f8a77b8312ce3abc8542d5457e97f5c109237062ddc46b86abf4e454f885fe4baf8dd900eae97b82121b48a580af74fa3993af16edb0b299142d1d1766aa8faf3b59ac063c3ac8f9477dba8f4da2be28d8fc283fcc478669e005b2666505888e7ad740847c4300b7f76b83942fd539623d9d8c0c22b8fc62ef4530dcba873b4e1716526d475710ffb0cb5a23ff4d376e820a748f27571811015d4e0606ed73df5df908ee2fcbd3fad7cbccd1c96f247c233ff0b92cb2c23e37ac615a8d0ae3d5a1c4dff6be3edea65549d348e8616a2b54e19acbc03df0cca7b3c1d13b6dd827cd7c38ec7ac7814d6c7389cf936618302223b860ada7774112ddb4482a1c4eb87b0c6437366179d2b24ae2195cf72d4bbadd8780b2b0c329a656237ec9517c1a310998dcdf75182b88ac717956977687a7380e74a57540c18dcb75138175a70f0686fc119baf09b5daa8e7fdb681dc2068d7a5f0a84c278b53c0a415889c004bca8b77ebad57071c1751825cb34ca2355826ff92bced6a4d83f462368fed8978e1d4c49ce0191c042cdab91763179e13429547bd686b22144ab818042b743f4d6138993c0d6569c8ca8401c9beceb2df8fa3026f7b87f30faa02a8b56c43b7f664dd31070d8c27c1757f12f0dfe2e308a1f92fd659f3ab06c0a838a597655f83b49eb30b5972ccaabca2e85b9a510464dc3797e02a704199a8829c8adf5c5edf626d1ea5029bd9e1a56a4070af4d5ce41002025a59b5cab337bf76c789777b0d3df6fb500addb0318d65a9cd168b27d9f818f9af2e84f83008e59a34514727abf182f0fcc3a94647406b12d8f64039de36e9ca36c798d9795141939f9b64fd2bef5a00e3540da8d4a9383b6360784864bf8cc157ae4e239df0580cc62a61e422efc1707a5376e436569bd516a4b502307586a61d2036954b54e0d4df3a8211cc7ab2195ed40bd0433c73342d893e63fb83db47ca66a17cb5405e59a423416365cf74a537bf9ea7ec1fa82562a36aa42bbe3b192a068b2329d0ee72fa9233e863d9c93a39aafd6865e23357b7bacc0d28ca3298b1994b05439595f55d662c216667894b0d0e83d9d72200db3a5b2f7a11d65d81e73783095c09ae460b607b5b0503853dc0d20196a215cbd711c29ed6bda85a2846476fdfbba60eb16f1fb7eb58a238414cf2bfb946ba6f05a704841663d70aa10db5bc413a6b68a47f664063b3da09b367c0a955c89bae4f6bb47051b3717f815a0b1ca4969eaaa781a433158085f800c4c803a492cabf42cb0878aa97d1f935a1bffdedd404499750168a43153db4866cc77d4fb87d1c7b85ef7f968af7e3cba76661adc16e17a22091ffc6ceddbbb9148d642d871d96b2cf28b68e09f767cc9c7dae7d743edd03fafdc8ea44b1eb0a7cba9e06465e58e1be39b8ae1f816d3b5fba1b717740670e776b2fdba1bad4299c4f3077704e854a03eb8c85ae618b689a8f89559f0f87f8ff7715e1ed8f81108ef34796607d08122920067619657289a6e078127a7ee6b405197d615934829428df54bc64f49f301d4225030c1818c1f77a0228f2669315834720d0e97643e241edcff049ea62f6c5498ef930a215430d42ab74c45bb2959ac086fbbba984e8df0715337ee6d1ad1853419f86f1e969fb5b71198ea49f816f17dcb2ff8bb7ee402e1fe959f8024089878eeaed4caa5d2a7f4c041aeb68693cbf0f8264e46d3c68393c741dd748c96d4b17cf8f313b97a4973e0b253f9ca342d7517907f723fc9fe9eefa81421ad7eb9d34ec62821af6b33286ea58674833dc1c2d18c415c6075fdad0ea225057071efc300b4bb3d385ae34b5a65239c6ed0c2f41ece05a9cafbbea6f18205dbfaa6c4e2ff87d95657e3a4ad3e6d6057aec2e36000a95cf769ab7ad96f7eb1e6beea3f316d0dcd32651f7d5bf2d3c5c33b00b651644841c8a9933723e993123ea8d9e1bc1fa09a60216e40ad0327faf5a0ac06fc41324b3028474fb7c139656b15e19f26ad2500e28c420e6b1d311fba3ceae72bec93a8a5a230728230a8b54c7d6cb9b70bc5c105e77728db437dc547a1a90474620220f660ee243357792225d83c6bbf1ca5d11f126b65b96b8ca5cc26b6e3cf2ce793f4c138550e02f6ba4741be9c2678ab11583700df7822f6b1bbbab6228422d5426e0f3bfc370f76e86f2bc74fead33e7d0acb4e81375c28ea38bf59336fc71064e898bdeb4073dfe57f1e2be1ab0f88a3f136f8731457f4a5054cd509a62dae18a94805a15b8d32933e9123c81a8b05fedf313314e6f68bf643856ada718f981d3fb92d65805f6d6cb824dbdf8dde936bcdf8b2c30bb7903a903f4c0a4ed4b1c5ee2adef2ba504d0d3f9d20520e31a2257cade913aee5a3d124ee1d2b6da434f099f2a2862473022c89822ba4fe71a2793deedfeecf055f7ce5f92cacb78f3aba8a96d5f0ef90a6b3c50125c047583f8499c59b49e820ac92583d127a75a1b6d3cb108595e34052fad37c2d330aa7be4ec73755856e290a76b41d81c7f17f0b6ecaffae4e0ecc464a0dd8c8759be3b1c0c08b6c4a0af3f6d2a27f12ac69720ec7f81e8b6213dfbe3a5ce0795a7fb50d1c1a059525b86d5bac02178a6b58e0e5a3bc290fa2788ce5878b6d4272b1a07f7f1b2bb5d094ede61b5b6fe7f8f434e4a940a34a9d7f450986776b99426d70e6905085dfde705c1391ee2a93c040aa20e16346d77003e454ea2b5bdd0d956649ba8eaebf009537c193d566d9da2c8d11a5d79dee6042e46a4f02b2e444b4e8b000000000000000000000000000000000000000000000000000000050e151820252a30';
+const SHA512_DIGEST =
+  '4ffa565ec3a16f0629d93e65cfecc37347fa58873241fea29b7ffed3e82300b1bc1a5248e714ae1790014b3c45c4f65ca2af37940972b5fec55cd0dfb2cd29f1';
+const SHA512_SIGNATURE =
+  'e594749bf5c82b4e1d1d540030cf6dbf30b8e7ec41c4d4a0cb176e136340f3b6878ad9598dcb3ac762098907888ceda4df2a38f954c6e4c18058b21a439e97f8e2b16a7caa1d6f200cc39c8eb4433f4aa508f0003eb78c2566fcbe2debbf0ce71e0fd996d155e8043758e84dae1c868f924c5338a67d201bd6bb65c162fe58b39224854675f77d4ff6b7d843838b9fcb59a1a5e98911f985b8f0406c7ca3247a5747be08070efd8423f7853023127fe004b83eb8721641912e20b5def0b194dbb3ea4655c2c4ebaf951858e7c7ca94b50cc026200403b841c09ec290b92d52fa21d07dbeee7346a56cb29775edbff1b4794f558b48c2f2bf422a238275beb155b441506faeac3ae7092fe71030ea27f144df3b8e2387cd8688b9f83105936bed2bc02d46f3a2e30690b434638061162cedc4bfaba051cbb33a43a5ce8b38a116476235728664607a721980e11eb5e75b8e7ea21f818981db2bd9290bbcfc668cb8182138fde4e881e90cb0fd88096e816faa1ea13e8ea2ca329b178a6335d8220febac09166bea02f54ec392001d2325e955dc2692bbe2ccde647bdad9b568b632200cac87482922687b6e050cf1f53484f4276000c4e4b24fb532d8ffaef0fe0cbb37bbbc1d3a599999c5dba66676ec77cd1a522d7bf00a7bb6601af27a7caff81f6908ec20c59c1bde96c892812229d593c539093b7e73160ff1903ba2bb17e159c91ca9fd53fda9d41a7bc14e6615eb4ae886e7540fe9ca38d21fae14e5d468f32d9988faa9c41b316caf4b49372407b877399267874a281794a73ac2c298848f7f074779273015f80cd17286bd257f32e0211b1ef2580eda547d24a5af8dfced948c053c9c2f65c59d7165b7d56a9c8054619f5abf4706d7c5671313a8b13a4ec2c01db6d127a0503e9a9017b89258e4bba057c408a89f12d5648315080b857aaaa43f1f9c29c22e049db5db8902568fc76ffa83c08c671f0cf476f053617eb3050343d33d3b8c5eb357eff63ed6e78092063dd0478bb769c9ba7cb23ad96b66e8bc40c91b75cc1f2774b0c1c5b60e1b9c163bcaea1c9be2099fc12cc8a102826e6ae92568fc6920d4c0896e2d8c45f8539f947bee64cd8e17152b84d1963231eb5410b5295c786dc7cc868deefaa8e3112d070dfdb6e4709febe73f065c4d380492420762d11277b79dc5429129d18d44b27446dbf62c0924cab1dd4157ef4d1f0ef020c3389795a6efac02c69382734253ca60b80de15d40c058e572c72fa82d058d743d39fa9132cdb1a9143f6254ff8813a200ecb77ce05b1e8969d258c578c1fe69ebcef12260364944e01484765542fa59c370bf92c2ba87cd2015557fda341006b84cf5408897b72bb1162df83a21948c6e170771ef14f44ef958790533b3aa3d9bbc41b4438922922489bfee57b99fc8b994144a0fd1c1468ff2ea2f68352cd93d948425dec789162f57020ee44f701bd33962160b1bc3acc7f313816db95c75f9a56e49e09059fd3dcf14acd44dc16a3ed41aea2a3cda19c0704eb6935a60762cc115570f56879c4c657971f1394bdf10dfd088255981e39b6141b69d357a60912d98edcf6ca70b53f53165cc909991eafcfb223769ba0587722dd5f3b250a5454d4ccb60c2c2cbb99958613e8b4b47638290a98bb857c3845cf6100c5db72dfe001cfec47fbe39f704ec3ed2a298e1c45651d2bcb6cce59fe65b58358f07a0e2ccfb9232d254628a5c5443a5c76b209704972804d64eca5883e0c8b8e50eaa27fd9d34e481c1b21f3537b4b27b8079dc5b0dbc936c91191e44a20cf80f14a858ffef26f23f63d8e7f64196af6cf109291a384b577f0473a185d3648ba55735726487eb9e0366c96d4fb62798d1b6de3cdeb349f1d1413af0427ffbb4c629fe11d79e8b2e04a54413ae8b75670eb4c0f7c49db65d2348f5643e95bd00802d5006b7af1f3f2b371ef88e8ab265d2466ff985e7e8ebf5609ed4cf4282fa99395d8052caeeec6e3a7c3624bf541e31e440e4ca9760e41d269d139ae91a85cb8d22f6a4f89bb9b3a195aca9d357d0ce38b5ceadaf2e9a16557ab52e403f05b7c7108256ce86e54a6d97af8f18362ae1aaec4a01c37f95956d1e540a65df1a8e694886ffdda7980fae7dd1c4497cb5b11d14712f71c96ec5d115a2e3c8a7266e45b568e670f914be3228650bf97fbbbc22318cc86311f31f26eec13b45861eb93cf7f2a4b3c4745f3eda438c6c905860053d5983bea0016bb7d314aed134732cdd33269ec04f442936d7ae6118f075a85ef3603356d15b71db3ebe8a0cddcf89c1fa3a4d46723006db1a5cede28965e1962aaf639d477b34279f40bded8b3926152c44c3f011c91a6455353188a34d7469a2e887da3643dd91dbca5d588fd36d8dfb8db9a5c4cd5e749fb23ad3d464c5f5f905e38ec6e2ef4e404278a47e111acb1061e52426a6170e77704b09f8177f874c8fadb971943ce5b6071c4b2277f48aced4cf6f3a8549c42958c99c780d6ec672025d063fbfb72f72e197d2f301f6780f7ef53eb60da2f4bf2e9e8b69eb1f24b1b0b5c0305e06a1818892e7abc4e5b32842b25464441c1c49fbecdca162a7fd1401ffc939a1474616f8aeba0bcb91c0a24b0bb18d7cec28d3009dcaf188d17f635c1906c7eff8a0e09dde6a4a10f6c24d0bddb31acd48e4bdcd54effeb389a620abd49ee347b7c95e8008c493e398afec10ea9680c06cc15d28d0ea5ed8858073534f9e3856e3a1788e734c2832951329f57bd8a3cac80589513715e130395e2fff8c72cfcf68e0932e795a75d21bfe4df59f60a1c17c377c944aa77125e2bff681bac73116f527bda26dc3a9567f707a1c577d914efd8c019c214b5143603b509099d8d4d3ba0af1818874d7e104dc959b09701d158d20c684ee03ca0d23594dca77b56589657750f482e8f265a1a1c902ec081634e9a319ffab1fe29c1e6dd47b644222205fca998c5221024e7156078d51ee76c321fe335a3ba1faa84d4f0889c6e3940251ec1cf6455acf420dddd361f25cc1257179eb05c4af62bfd7346f04ae5bb73a19ae09027c376691d14c2afa73d4b85f74db643695f21fcf856e67d27ed0b90abe1d0c92a53b3062c3a8d6056f5f025e7b8adcf21553aecccc45739919267349027280cb4a162ffa3696d5d5992144fa10abbe17dc8997241b4dc6fde1eb73f6867675fbb7700fb26af08492262a2679557ec4009826d886ed9e68759b694aba5678e7a25ec7496e63b7279d6af2a3badb2b56a483ed0f63ed5346bcf75064ca7074f8ef5b8f4e5c5a26ccffdb03b95037a28c6cd15a20becb1af49e16ce19aaff4f95ac8b01538943df16fa3833251049147e10688a85d8235cfa292b1ae5aee560bc708b2930e815a93fc1b8ae382f3afeb334e8d47fb5bccdee760a9eea2945d99926b74dd967aca4e940ee44684c1bd64c55d0e7da53cce38d045975d4f97d909f9c4797a7911c7102fa7819fa329b134ec696ede5dacfe01ee4259ce26aa01aa579fce3db39d4e7a9cce6152150b463a68a41edd4a439c3fe87b9adf680cc4ec452502816fbd8f77bd05197980350e15d1d1ba16d377e88e4fabcdcad6257f874a3bce8a9e018b09577d594b34f30f97df4b6afea31059fadf94f53eb4171979673800c793aec567a24f4c5f9e458035a145ca00561b5d4b096ce9695cc2dedf304e7d4153c3de2c575892758735d97352bd883fee267382760414c72f6ad209a9ff02be6b5aa549361dbc754986f06bd486c0b0e990f1ee2fbb7eb7a5bcb79ca008cb4da9a83a1221560c6a0b3deb4229a833509933147d4fc99bee0dde02feaf04fd028cbc3fbc48850c158205e46bc52e4963aaa835d9bd401c44146c973d52fe015e525a3f1ae17b9d99f7eded143f4b099fbbd1fb5cdc160b526e398ab57d293c67f71c0c289dabfc736e766956be6b8c876a3748506dd342c268a3012b8436eafffa69ac4cb4f4480738dedbdc1cddb6417b12985184d597782cfc5228d8d23b306344aa6a73c426f5ccc125abc283068779c98dd4168adea027a2f09c1bdd72cfc891da2fec248e487ce5726378ef17032c67e06333b6287d057d24c2fa90f30a806c96722bdc9e52d4b061aa159340da459c2e743df727a1d9eae3f49ed6c23c2ba752322c1f9d2cc05492c1c6a92f45dfb7e25cb00e66e59a0f786bf8a638b1574a1556eaf68247d5be213b1d43fd5bfb51fb9cab4d9618eb8ed9404e2ce97d51995715f0c67407aa707b73f6eee5634e8b9730f59e70b2c0748e66bf1b378ccd7b9032b1ef59c6618b0b720d3284a1671331b5fac2b3c95662df717d1410f1a8c249b4b920bad7d78c7c9b8e6320eb9b9743febc6f056101c4e9b96067483ae40dfddd3ad6e8955f58ed0bc7eb7c8c86423baf5b046543af6f56af00ad546ea97d5d5d55fec58787251902d3fc8b75c1e141213036615ff107261ba026288f6762cc8eabec1be8c11cddf82871d0680fb4d41d121e033bda64fda8163b4f7a30f23e22fcbd320d1392d31794cb3fcf055b20bd02e7d51f85805880288f1f5e9827453fcf206ceb963cd4ac7474c1a754bc8b5178e30072c0ff57b3a87bf93c373f09172ddd417364be46249c4af8e017532b494dc3696bcc80492889eb186275d54b220ca00514025d4a812d26428bca65d6af4a5e9363c0a6722f050c13de1a91760155c53f831d2e63e24c03e681bb7d14915bad297c93868a429ec3b14a154a7ca33e31ca4341a1ad63c6146583536982ff74f16432b306f6b20b292192abd64f1f576838a33d3c8883e8bda7f851d7affca087487d70b6f8b77384c0e6e8c2c3c4fc308f39f8262ac131af603eefed65135db7540f245e552c616730e4a06f8bcd408f839daa45ce187be218c44d07634eb1aae5ddfc72bbfb75ed705bc858236b13117c6f1ac16edef5b92bb06947969a9db5ec1157788f861d9849fc77ef48464212385050a4fe6248d9ec48c9fa74ad9239caf7687582d1cea88b36a112ea2e2bbd78cf252e5a972e6ab490a096a1662e6060e0aae0d05e6b2f6359a4111a859917d640b31885abe02b378b9647d828b5c10cc896113d4f3e0870027741db26e2b398c328b031371fbc685134e0198006e0a30221888931d49debc3c33a9d65408080d67c627205959788aa868efd51e8c10872487fc6add0e510b8fd7e44a80edfb976ca5e59e08b298922c4bd2fb9bd7c9742e41827c99ff53c557a37cc55e510db008a28f2afff03d5cda2d2739fb698a959846d12dcc25af68cb0e68e2d50e39018a67aa9a0fa13bd0a2683e87d09009e848037a0cca08c667096a787e56d5c6d6163d2ac706ccd9cbf970fded7bd779ec5fe1b99f9e95504d3490e85784c13533875e005e115f1069811f7e3743a1caeef981ba5e4406b8e5d8720ee34e17a18a4c788a21db912a6b82c7faad8ab760de8515aad9f9babacd067a5ac9f5516b0d003a7d1862504b0dff1dffd159b87eeb053e539987340b0054c234643edad8ca322903a6d5f00ad22c9e02a9ad6fd07ab637a369cd4ceab8d205e38bb14b34c20a400fcf4c4be6f89b8d9f42977f2b03357ba8efb4795285052ba26e3d785f69fc5d887fe13899d301bdbacefd3aaf356906cf8955e0f3d9d0544d5f123988f3cda1b4e1099c3b35e3d8cb41f16245bc971cf5ff40b44e6253f219acc15bd29203b8dc8680df43420efe99a245783cd8c4204910e7277c6c9857eae5d47e88e0b5de1091d155e98bf3a1d719d9e9b5662a648bea4d919263aad6312e20caf7966501692fe433e28023dd834a7b72e9f7c0a077be2873214baa468471246850c277af96d2181f7737eb83a08d075bca271b21f375bf785d4bccbb9ccc3c741181ae7fcb47563d065c666afd1461260d943300a987fbff25a388ffb7dd74acb02fed22b4849cdc8bcbaf8ef7b650b72f5e74e8225b149223fa80e825e2ebcf2a464399c6669867808594c36bc33098ec6401dea86e4e7b8b53b8e92da28b40beb89b7146cb49f1c8fff2b5270cd04a83777d24e6cb8193f349d989d9326a8f141696236a75a898c6d36014c7e1ff5c9b7a1e3573ebf93926b5782b3e8e5b168e6c9d0ed57b43bdc30a77875d6f5fa566b7725b9ef364b4027e091984538f643b5969b619f33ad1722ff6d32f1504d211bfac68e5298c96690993d81e40c60f81e6bee9a42db91101187ae8537f697a8a77596a8f13228d52621d713412d0cdbde708aa515671a40eb3a09d6c13d4c7aef8c4cc22e785d79f935ab02dd6589863a3e81a56a034dfad92de6333c8ab00988fbe3bc1f1bc216cad908c357eb1e415da4b868cf66412559dc31e432e1964630461b590faed923fa240f401d0db8f3d5ef9530f7ed49456078c130d23176f6e0b6e76925c25f445051128415b5e74a3a40e3c808d8e95a4a7abd7e6f8697fddf3fe0b4268b1c4d60c28333745547ea2e01821293a4052727db6c3d1d8e7181e22242a31556a7f9cb4cad348505ab3b8f0000009151a2029364349';
+const SHAKE256_DIGEST =
+  '58f36c19708659d9801b1617edc095ef61ae619d0d97f0b713a9b3228f5468cd2c53872ee698d38468292c94efe1c10c6070e33e6d0d992d6eeabaec8f8e372e';
+const SHAKE256_SIGNATURE =
+  '5df18007c70c1c6909a0303708f0c64d77feda3740b53151208c7e702e15467c61870182fbef5c56fb1d96d26deb0a3a8e63c7a946f8d0475e0050496a55a352412dfc18254bf17dbb705c1e1f2c8271bd46e86d4e1b0e6a8a782b975e4a00c5293bbe3215b7f146818be68921418135611af1fa53b283612a8a07761e4e0c453f1af23bb13bcd063dc88b358bc0530523e1f3dceb7ef6713b8acebb8b98afa9ec6684015d5d96111b4b494b40b5a13a93f3001e9b2fc86256638a6468727bf996796928edab1296af790d5aed77f55a5840f9bcfe7bea9243a80520eaea2fc6a6e0c78a77a1b40384f4254602e88eff9d347c8a6024ca05ba703db8d97713e9249b4ee84c5b51beb87c3d2ede5e692810410cb73e0b36ed30e7d7f6d6bd92d71c4e0cbffbbdb443b8c2e3a15f270b0f4c4b3a13fef84eba3a290f1ac4047dea398f83be0da4dce1f1970e356af3d4527c99c8264ac3efc5138e8de62c9aefd3eced5a203316e599e88ad73cd04a330fc301c16523db29aa9ecaa8357fe3bcf4f064908346f7e5a8ad76d540bf1c71340280752f40187f436d6a5e9e45169cd83812be184e84d3eaa9a4ab1a68200fd0c61f1858bdc66ff7d3570132864973597d04783dc4cf01cf4fc01b0f0557558dbbee0f300e1a737b3f9919a003aef2da1f05f4bf5e2bfe0ce767b8e97f00daedfdb5c0b95477839cfb7fb3d4ee4ae6dfef756c776122b928827564fd5440793defdb5d1c78a158bb65673391157236409702117d7ea03ab45edf90b6d170d0a6c77cd96559829de790f492d64727e2fbe6f337cc2474d244d4077cbfba28a022aa041ff1d9fe7e22333a27c7f6e5e361a6e64f328421b39f303c78f5a9d78f7334d42caccc1a97ecc2b40b7cd31bc9914c4c0af3138c5aa3e8150bec1c1a4aa5b92a2ea58050bd0e31cec5134c86428fd53de8f02bf2eafc823779734589b6311454f0b47f452477a32b33e0fd71108a8a528ae80464807963e27ecfef2fc58990cdae95f3ce0e8f6673f55d4a8ba823798bdfc69eedf2bd05f999b459161f66eda50e7fb853f90bd14edb21a3934be2e24a6f01fb8fdc074f46a94eb9ab75c56ed2f3aa60d16c0c2715a83e6e648b451a2105487b00008241b915d5aa5a38c95741cede4e1a4035497270625db16dc7813a2ca613e74d7ddd15789786c495808aa34a2c33fc4010eba4b612cb8e96b210ccb2dd0b5a6a01fa767236cdb57fc16f97eb8703dd0928e6e7d997e0e74261a7d3de586c9ee9a302ffec2dc2976bc2de3ce7e46aa272151d11cc53e3bf4c918a0d80e276093809fb200dc10157d8260793bd97b8386b006ce33125220b37bc10c5a841416d1b8adaa8f983969436f3e04afb4c24732814b224c6d71fad6ccc437bf76a4406d91ae069fd4e71271bf727437827afc26571c6293b964cee93c06190457644ef2ced40535fed2dcde5ee8865a243cecf072c6c2761de08821841313d06bd75387bd7885aa46aeb1006ff0735e17805359a7fbb883bda974d5598e783a91fc3af063aef991b092988c28960f2e7997ba9661129907f56503f02d1a7d5e31cf638b75cf14b9af6764cf6b5d68cbad8d859e1a01dc507d9d91ee54f0bef8a1ce15586719c47de1ac422286a6a59e1111ce91cef251e3ebef8fd580779d1a4ff390e4cfd582829f68e8cdcf8e411fcc262d6b4b47d1891709a0ec1ca9ded35ccafb290e7db450d8bed4d2d228878aab52c71dd6fb6b8f3e00ec4c912ef617248e1f31095312244a460643e4d86087b779750954cbca6ccd21af097f8bf347105677efb95003c927142e6f197ced6b240c3b3541219430b21be530712720a217c00953703880d05ff13768a6888d429787123fa00c3efb92f31f2f9792ac2a72fc81bd8088684a91202601f6128aca8c59cf2e79076dc29874151c0f4535731de12d17df049381548d0f6931ef9dc43ebc7fe2c4921a63f702a559def95d6c0684a83fabdd78776c46c4261b5e831cda19e9a4d2ce44327077d5b432b581cc688f39805fc15e0a3d484085956ebcd0c06f111528f0754de64fe475038ec535ab662afa5540195131ab419b70bde88d76e1a6fb4a16fb7ae27dc1fc6be05fe0b37e4e83cd7e1c897fba7249fc8b0314c1e2479ac68ed7b18b90097397655272b55a9b5ad544a985f2ba58cfb5c46f8e049b913f562ea854b9f32349130c30deffc7ba56d4441f7d2554aec72909098319bae3d1ea023be1149f5a45b2735cb4c8bb128526f5b1689742bc68df1bf3d995c3bd7045668a532ef8bbb73a248a6301861ff997c1576bd249bbee352b5c902765b7be3e8ddffa8afd3e90a729abb8540f3438f777efb5c25cb2caeff4bb41d54f82aa549ba70ab37bed161213fba5fb0d74298eb3429f11d95e009f2f8eef3e93e1008f6718f826fd7b66c3166a5373cf5c3c6ced23bf784e2a1bdfa8a0e09cda0349359139a1789a0f75c0f63edd56d90503a6d7a4ff045600408bd6ce7fa692ac4f913602955722a2241282584d6c7fc109f1fccc226a91d57f9e47488a9d360688b454feff04b99e03c32c742bde211a908b79afe179f3f904e2dbd2228c4eddbfc85e3bb575d0cd759cb856bf56a7e9975330f01a8a5ca2864f8e52b5341623087bfbe7cdb6552c49b30d882836643f6faf050e68554c1a081752d164335978234e6f14cb1e9a6e494fd71d14adc2bfe246c368d487d71aeb213db7d9032f067e96bedf2cbddeffe7669f54a48dffd970298087d9783cba2712982f6106eb3e98b7d4e1313d0413314c9e7cdc14a512f096991d57785e97167041ef7e5833388e2c1a49561d2f99d65e2f8909b04739e7efe9a6e2ac2c8fbd32b10d18ac538959dbc16cbd562189ee27518cbd8d86814cf3b304a28d1dde1f662cb510f4d5a4b192aa9f887c89c81481cc0088e5a5d52ce06bd108d1fc34fd0e073c5a017ead0fff7cd04e05d745d8c86adfcdce6f7cefa142c99712128cb954321ca551c300cfcb4bac8c11f60ec3b2ad81dc4c635cbfb5dbabe6999aa2c5cdd550c8f54fb53e72397b2709830a384db93943d88c797b05f64a8b30c6cbfa0582dba852f95ea6523d1fb26881fe94ae1258e62a3e64bd325e61153619a443e983c1da0d056665ff078ba62a7b14fe67ebf9d47f6a6fcd3b28efa2d5b4e2f985cf9bb65a612b1c2fc25c6eb539dda13c3db4bc3f15d1ff75747275e35f9bbb5f2cd0deb3e6504f4f36b580901e2cd0762dcbb97e11c0f298fe19d78e39da7e86525d649c15b1ea12ea5e90db55212a7ce4dd911b8204931e4f24f5b54c90411a96b6518e298c5e8e69cf76ec9fbb089d5d157b10f218d059cd9c20a26f730ec6ef59921d7e72dc94f796d15e7f3a9877f07e44867fc67b844e9bdaa00a8a2fdf1b27f11543b893c2c4b9ea1e0c7a87a9772c0f698e14ec2a857f73586e9d84c0d9e184378533a55229482b3a422ea57b91f5c3bb80b6e123d7d90cf96579c362a192a6a57bbb0e27b6f12b6291b5523a8ed3157d2096cc43ec7f22adc14710fc6433f4a7e03cb4034da1cb455a12569af2723aca5b3f4f498708af62bc2b0fdb8b5f6fd2e0245fd492ce8584bd23f193a3330c53ce121f2cd16289c47ed8fa647481a694cb965b57ae8de3051c8885aae6896f3c09c68a075c6bab9e770f86b8558fdb127765a57f41733d6df868a2f91afbb6fd5239330ea0aa77c098aed321f2be7839ad3ac64f5d3e0c565e8c910b55fd8f8b127dfe91c780836da7449268e746984849e08c86cd1370405824d5088cb03b477de28200ac7d569d8a78cf3a7ccf360604af7221efb12f9bb886dc9c35a9304b9c839f053096a610941b0d275cae9cb692b88bcc2565dac448a8eb1d08bcd323b3de2338e2a6dfd273a19d1569e79afe7a6ac8797785fe84087348b296c5e498a931d9e271506ad679342548452e79a918c60858c279b3471de3df9ba489dfbb1b6b508e80fb94974a7afefc2aab257bf0c8ac370198092fd17b9fd674feb60fccaa54d033b68970c9bac7aa8d391361d661ef2a9c312936995f05bce7529d8ead22253da354ed81c378f85ff85e7972a117f2fcb05c556f3d4356d5c7d9650e74471520268176495d3229a1096421c8f758813799cafe49f576741e929b7864a58b17fb3d787f0943eb1c70d6274ccef32cd187a45342109c0568d119df6f14b50dc8bee8c9dfab91ad7ec1d18adf45c722fdd5f8bb5fd27d73e88f45f229d9c783d18db658faabdc0aa9df1f2bd24a6ab07c43d65a09745e5654e5866580e82f46db50a8c12f30f97e895971fe400648222feb8a01e336440eadef527aa497a9d0a296089e1de723c98e79bf79637d456501e2dd9a0599a6850f28646e8654f42edaa86de7260a47711214f514fa09e00918d497f22c4202a97cb5140d8557d05d066d3a2cb7bb4fccf6a8730d388e8ee5b85d2e0bbf5be4e30b0bb3c4b411f2d53a0af701e3b6240853cb27cbd67327f9f1dd581d41f8dd81e7959c4b32fc5d44eb4ea90ede32cd9fde1eb0e044e1d44754f67fcb9911b63764c9166dc60e1b8095bc83d2822374e80723c1c6c57fca89221745f6df67429221948656d5bb9af4b590184d89ac79cd387838a2296f35878ea0b84a7337b631514f69dc4974c9398de2fb935784204d250f38c364a0b69440e98927ae959745e76126973be092f89215b4da146911c928dd9c80c15a39e824df9c09a1b2947455e7ad32c78ba11fcf435e2cc858a048474b3bfc109ec6c09fa5484229ea63b493f0100b53bb1c0eb030fbb720fd75f1f46e3549497df575bf85be70bbef8a8130170c7324fdcd38625f86a85dd066644cb71878e05d4844e9c1890c6fc93b66ca96dd36500b715d63e49d405ba85012df79935fd65c12583ecbeb906aefe0f58ff2f5c18bab0827f52e5b3dc7b11e57a2f8fada27ab40202b5a9d4d2c91fad124f8a314d7b711591824a59676504d5d23b84d002ec7bc9f0fea73e994c89a95486edf50b1f2f21b085c0b6335adf9a629dc72d71f28c765cdb4287b075f40110ca5b61f67f372026829a181f8e88a939ef2760874f01ddce461fffc93f6e88a523f9b080a694bf0e7ce76e611b450d66cb56211d806c75f2f7f5b45f289c766cc305d9ecd4d6665cd8e5aed39c263610156df36505e8bbf41a9a672305982e2afb1781f3fdd74503a893bc1ebf6d82a71efbab477b06077491c352d503aa06d0d985e31932d71f9d8ebf82d914445a1e00dd6226181d03ef4a2228a1bcfbcf44c385c128a4270b9d35376c48c17fd304e5980bd04b5271a4256716af09282823451807602ae1e0a76abe59004bcb8b54674e1ac550cc6b3f760540ffe5308e3bc08243eb96a396ad71227db09c285f001deda20b085fb328594f8b88ce09e612d07d2c0a19d4b2bcfb9e932f570e71de39e271d35485792fccf4523e32d39c8729e92934f64bfff18b15b5c3ac0334ce9771213eba7c18b9b6ca6e49e0e49dce400a10688bb0fe74943a183b5794a951a67bb54294af1a15a6d1e31544de50d4d7f10372cb6cea726ef5821b7b80ba3f3abca8e6b5235059079d30635db7567de89df8d112e6f480f6849aff4682ad4d1b2dd593aed53d89275c6ed20fb0112cfb7cc6a217e96b4e2a35bb84ef62ed7683ec4c6c2297e4b421f809c0951887c055efbd25aea56d8bd58cec391fbbde58083afcc4206b9dba305a896d60c932c0be239387c6e5cbaaa7d3ee97683ffdc358ce20ba8d624eca19201c1151cb16a7029abbbb2c106b7ad395601425eef8e5536d4aabc6938bcae1e686b4ac1273045634564eae6ecf2af5a9ce38767f1f395461ef3793a9b61ea25cfd3a22114b165a72eec87b8fef438c855fa0ac79c2a088dc2d481cc4943b6093984418d302ba0582d8b8f2ff051e79b0ec4bcec0ef97b6fe0e018834c4561ca18116466603037ab98135debd83c41184940a47b4619a76293b2ee9774091fc054292d5849716f04af3f1cd1e4fba90d245543171c7b61e05f4dfe1bb6356551af0d45c04df60df120d3d39a951d436a9fb6e0dab745ca186df4862a3028a10dc0ea71b90350942de568838d90e1cdd0d766ddf32cec9875402172f73f6459841e6a20659a54c8896448fa13e576d7eea600301dafa390afac39994350e68ad0a82926bc1c728a7825badd6b2fc16c14afd76b8b1aed2853b6f9767640165c843b4cccd5e014d40fe0bf43ab71eabfd718860507a83357b3c7d31ae0f20a697138e455542372412b905880764e9db57d21eebf6b2019f8229cdc88bf33b8f0287bbe720030c4a72a8ec20129f4f95916ecfced7a82e6ab7b208e12abd1586f0221c07fc63728aed591e1c013ae7b363b91b2342a4cd2e7e7966ff6446e028b51ed65e305ed53a0b2f113a56576fbfdae54a6a9bb6bb404e4f78fd22239baacfd5f84f5a7091959a1448588bc0d518292d4fb4e1657d8593a0b6e4f3000000000000000000000000000000000000000000000000080d12191f252b33';
+
+const pk = new Uint8Array(ML_DSA_87.cryptoPublicKeyBytes);
+const sk = new Uint8Array(ML_DSA_87.cryptoSecretKeyBytes);
+mlDsaKeypair(getUInt8ArrayFromHex(SEED), pk, sk);
+
+[
+  ['SHA-256', SHA256_DIGEST, SHA256_SIGNATURE],
+  ['SHA-512', SHA512_DIGEST, SHA512_SIGNATURE],
+  ['SHAKE256', SHAKE256_DIGEST, SHAKE256_SIGNATURE],
+].forEach(([hashAlg, DIGEST, SIGNATURE]) => {
+  describe(`HashML-DSA with ${hashAlg}`, () => {
+    it('should produce the expected deterministic signature', () => {
+      const sig = new Uint8Array(ML_DSA_87.cryptoBytes);
+      hashMlDsaSignature(sig, getUInt8ArrayFromHex(DIGEST), hashAlg, sk, false, getUInt8ArrayFromHex(CTX));
+      expect(getHexFromUInt8Array(sig)).to.equal(SIGNATURE);
+    });
+
+    it('should verify the expected signature', () => {
+      const sig = getUInt8ArrayFromHex(SIGNATURE);
+      expect(hashMlDsaVerify(sig, getUInt8ArrayFromHex(DIGEST), hashAlg, pk, getUInt8ArrayFromHex(CTX))).to.equal(true);
+    });
+
+    it('should not verify with a different context or as a pure ML-DSA signature', () => {
+      const sig = getUInt8ArrayFromHex(SIGNATURE);
+      expect(hashMlDsaVerify(sig, getUInt8ArrayFromHex(DIGEST), hashAlg, pk)).to.equal(false);
+      expect(mlDsaVerify(sig, getUInt8ArrayFromHex(DIGEST), pk, getUInt8ArrayFromHex(CTX))).to.equal(false);
+    });
+
+    it('should reject a digest of the wrong length', () => {
+      const digest = getUInt8ArrayFromHex(DIGEST).subarray(1);
+      expect(() => {
+        hashMlDsaSignature(new Uint8Array(ML_DSA_87.cryptoBytes), digest, hashAlg, sk, false);
+      }).to.throw(`invalid digest length ${digest.length}`);
+      expect(hashMlDsaVerify(getUInt8ArrayFromHex(SIGNATURE), digest, hashAlg, pk, getUInt8ArrayFromHex(CTX))).to.equal(
+        false
+      );
+    });
+  });
+});
+
+describe('HashML-DSA', () => {
+  it('should not verify a signature under a different hash algorithm', () => {
+    const sig = getUInt8ArrayFromHex(SHA512_SIGNATURE);
+    expect(
+      hashMlDsaVerify(sig, getUInt8ArrayFromHex(SHA512_DIGEST), 'SHAKE256', pk, getUInt8ArrayFromHex(CTX))
+    ).to.equal(false);
+  });
+
+  it('should not verify a pure ML-DSA signature', () => {
+    const sig = new Uint8Array(ML_DSA_87.cryptoBytes);
+    const digest = getUInt8ArrayFromHex(SHA256_DIGEST);
+    mlDsaSignature(sig, digest, sk, false);
+    expect(hashMlDsaVerify(sig, digest, 'SHA-256', pk)).to.equal(false);
+  });
+
+  it('should round trip with ML-DSA-44', () => {
+    const pk44 = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk44 = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(null, pk44, sk44, ML_DSA_44);
+    const sig = new Uint8Array(ML_DSA_44.cryptoBytes);
+    const digest = getUInt8ArrayFromHex(SHA256_DIGEST);
+    hashMlDsaSignature(sig, digest, 'SHA-256', sk44, true, undefined, ML_DSA_44);
+    expect(hashMlDsaVerify(sig, digest, 'SHA-256', pk44, undefined, ML_DSA_44)).to.equal(true);
+  });
+
+  it('should throw for an unsupported hash algorithm', () => {
+    expect(() => {
+      hashMlDsaSignature(new Uint8Array(ML_DSA_87.cryptoBytes), new Uint8Array(48), 'SHA-384', sk, false);
+    }).to.throw('invalid hash algorithm SHA-384');
+    expect(() => {
+      hashMlDsaVerify(new Uint8Array(ML_DSA_87.cryptoBytes), new Uint8Array(48), 'SHA-384', pk);
+    }).to.throw('invalid hash algorithm SHA-384');
+  });
+
+  it('should throw for a context longer than 255 bytes', () => {
+    expect(() => {
+      hashMlDsaSignature(
+        new Uint8Array(ML_DSA_87.cryptoBytes),
+        getUInt8ArrayFromHex(SHA256_DIGEST),
+        'SHA-256',
+        sk,
+        false,
+        new Uint8Array(256)
+      );
+    }).to.throw('invalid ctx length 256');
+  });
+});
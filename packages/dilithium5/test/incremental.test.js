@@ -0,0 +1,129 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, ML_DSA_65 } from '../src/const.js';
+import { createMlDsaSigner, createMlDsaVerifier, mlDsaKeypair, mlDsaSignature, mlDsaVerify } from '../src/mldsa.js';
+import { createSigner, createVerifier, cryptoSignKeypair, cryptoSignSignature, cryptoSignVerify } from '../src/sign.js';
+
+const SEED = new Uint8Array(32).fill(0x42);
+const CTX = new Uint8Array([1, 2, 3]);
+const MESSAGE = new Uint8Array(100000).map((_, i) => (i * 31) & 0xff);
+
+function chunks(message, size) {
+  const out = [];
+  for (let i = 0; i < message.length; i += size) {
+    out.push(message.subarray(i, i + size));
+  }
+  return out;
+}
+
+const pk = new Uint8Array(CryptoPublicKeyBytes);
+const sk = new Uint8Array(CryptoSecretKeyBytes);
+cryptoSignKeypair(SEED, pk, sk);
+
+describe('createSigner', () => {
+  it('should sign the chunks like cryptoSignSignature signs the whole message', () => {
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+    const signer = createSigner(sk, false);
+    chunks(MESSAGE, 777).forEach((chunk) => signer.update(chunk));
+
+    expect(signer.sign()).to.deep.equal(expected);
+    expect(createSigner(sk, false).update(new Uint8Array(0)).sign()).to.deep.equal(createSigner(sk, false).sign());
+  });
+
+  it('should sign with a copy of sk taken when the signer is created', () => {
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+    const caller = sk.slice();
+    const signer = createSigner(caller, false).update(MESSAGE);
+    caller.fill(0);
+
+    expect(signer.sign()).to.deep.equal(expected);
+    expect(() => signer.sign()).to.throw('message already finalized');
+  });
+
+  it('should sign a Node Readable', async () => {
+    const signer = await createSigner(sk, true).updateStream(Readable.from(chunks(MESSAGE, 4096)));
+
+    expect(cryptoSignVerify(signer.sign(), MESSAGE, pk)).to.equal(true);
+  });
+
+  it('should sign a WHATWG ReadableStream', async () => {
+    const parts = chunks(MESSAGE, 5000);
+    const stream = new ReadableStream({
+      pull(controller) {
+        if (parts.length === 0) {
+          controller.close();
+        } else {
+          controller.enqueue(parts.shift());
+        }
+      },
+    });
+    const signer = await createSigner(sk, false).updateStream(stream);
+
+    expect(cryptoSignVerify(signer.sign(), MESSAGE, pk)).to.equal(true);
+  });
+
+  it('should throw an error for invalid input', async () => {
+    const signer = createSigner(sk, false);
+    signer.sign();
+
+    expect(() => createSigner(new Uint8Array(10), false)).to.throw('invalid sk length 10');
+    expect(() => createSigner(sk, false).update('message')).to.throw('invalid chunk string | Expected a Uint8Array');
+    expect(() => signer.update(MESSAGE)).to.throw('message already finalized');
+    expect(() => signer.sign()).to.throw('message already finalized');
+
+    let error;
+    try {
+      await createSigner(sk, false).updateStream(MESSAGE);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('invalid stream | Expected a Node Readable or a WHATWG ReadableStream');
+  });
+});
+
+describe('createVerifier', () => {
+  const sig = new Uint8Array(CryptoBytes);
+  cryptoSignSignature(sig, MESSAGE, sk, false);
+
+  it('should verify the chunks like cryptoSignVerify verifies the whole message', () => {
+    const verifier = createVerifier(pk);
+    chunks(MESSAGE, 1000).forEach((chunk) => verifier.update(chunk));
+
+    expect(verifier.verify(sig)).to.equal(true);
+    expect(createVerifier(pk).update(MESSAGE.subarray(1)).verify(sig)).to.equal(false);
+    expect(createVerifier(pk).update(MESSAGE).verify(sig.subarray(1))).to.equal(false);
+  });
+
+  it('should verify a Node Readable', async () => {
+    const verifier = await createVerifier(pk).updateStream(Readable.from(chunks(MESSAGE, 4096)));
+
+    expect(verifier.verify(sig)).to.equal(true);
+  });
+
+  it('should throw an error for an invalid pk', () => {
+    expect(() => createVerifier(new Uint8Array(10))).to.throw(
+      `invalid pk length 10 | Expected length ${CryptoPublicKeyBytes}`
+    );
+  });
+});
+
+describe('createMlDsaSigner', () => {
+  it('should match mlDsaSignature and mlDsaVerify with a context', () => {
+    const mlDsaPk = new Uint8Array(ML_DSA_65.cryptoPublicKeyBytes);
+    const mlDsaSk = new Uint8Array(ML_DSA_65.cryptoSecretKeyBytes);
+    mlDsaKeypair(SEED, mlDsaPk, mlDsaSk, ML_DSA_65);
+    const expected = new Uint8Array(ML_DSA_65.cryptoBytes);
+    mlDsaSignature(expected, MESSAGE, mlDsaSk, false, CTX, ML_DSA_65);
+
+    const signer = createMlDsaSigner(mlDsaSk, false, CTX, ML_DSA_65);
+    chunks(MESSAGE, 3333).forEach((chunk) => signer.update(chunk));
+    const sig = signer.sign();
+
+    expect(sig).to.deep.equal(expected);
+    expect(mlDsaVerify(sig, MESSAGE, mlDsaPk, CTX, ML_DSA_65)).to.equal(true);
+    expect(createMlDsaVerifier(mlDsaPk, CTX, ML_DSA_65).update(MESSAGE).verify(sig)).to.equal(true);
+    expect(createMlDsaVerifier(mlDsaPk, new Uint8Array(0), ML_DSA_65).update(MESSAGE).verify(sig)).to.equal(false);
+  });
+});
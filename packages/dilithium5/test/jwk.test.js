@@ -0,0 +1,80 @@
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_87 } from '../src/const.js';
+import { exportJwk, importJwk, jwkThumbprint } from '../src/jwk.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+
+const SEED = new Uint8Array(32).map((_, i) => i);
+
+function keypair(params) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  cryptoSignKeypair(SEED, pk, sk, params);
+  return { pk, sk };
+}
+
+describe('exportJwk and importJwk', () => {
+  it('should encode an AKP public key', () => {
+    const { pk } = keypair(ML_DSA_44);
+    const jwk = exportJwk({ pk }, ML_DSA_44);
+
+    expect(Object.keys(jwk)).to.deep.equal(['kty', 'alg', 'pub']);
+    expect(jwk.kty).to.equal('AKP');
+    expect(jwk.alg).to.equal('ML-DSA-44');
+    expect(jwk.pub).to.match(/^[A-Za-z0-9_-]+$/);
+    expect(importJwk(jwk)).to.deep.equal({ params: ML_DSA_44, pk, seed: null, sk: null });
+  });
+
+  it('should keep the seed as priv when it is known and the expanded sk otherwise', () => {
+    const { pk, sk } = keypair(ML_DSA_87);
+    const seedJwk = exportJwk({ pk, seed: SEED, sk });
+    const skJwk = exportJwk({ pk, sk });
+
+    expect(importJwk(seedJwk)).to.deep.equal({ params: ML_DSA_87, pk, seed: SEED, sk });
+    expect(importJwk(JSON.parse(JSON.stringify(skJwk)))).to.deep.equal({ params: ML_DSA_87, pk, seed: null, sk });
+  });
+
+  it('should round trip a round-3 Dilithium5 key with its expanded sk', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    const jwk = exportJwk({ pk, sk }, DILITHIUM5);
+
+    expect(jwk.alg).to.equal('Dilithium5');
+    expect(importJwk(jwk)).to.deep.equal({ params: DILITHIUM5, pk, seed: null, sk });
+    expect(() => exportJwk({ pk, seed: SEED }, DILITHIUM5)).to.throw('invalid private key choice seed for Dilithium5');
+  });
+
+  it('should reject malformed and mismatched keys', () => {
+    const { pk, sk } = keypair(ML_DSA_44);
+    const other = keypair(ML_DSA_87);
+    const jwk = exportJwk({ pk, seed: SEED }, ML_DSA_44);
+
+    expect(() => importJwk({ ...jwk, kty: 'OKP' })).to.throw('invalid JWK kty OKP | Expected AKP');
+    expect(() => importJwk({ ...jwk, alg: 'ML-DSA-87' })).to.throw('invalid pk length 1312 | Expected length 2592');
+    expect(() => importJwk({ ...jwk, alg: 'EdDSA' })).to.throw('invalid JWK alg EdDSA');
+    expect(() => importJwk({ ...jwk, pub: `${jwk.pub}=` })).to.throw('invalid base64url');
+    expect(() => importJwk({ ...jwk, priv: exportJwk(other).pub })).to.throw('invalid sk length');
+    const foreignPk = new Uint8Array(ML_DSA_87.cryptoPublicKeyBytes);
+    cryptoSignKeypair(new Uint8Array(32), foreignPk, new Uint8Array(ML_DSA_87.cryptoSecretKeyBytes), ML_DSA_87);
+    expect(() => importJwk({ ...exportJwk(other), pub: exportJwk({ pk: foreignPk }).pub })).to.throw(
+      'private and public key do not belong to the same key'
+    );
+    expect(() => exportJwk({ pk: other.pk, sk }, ML_DSA_87)).to.throw('invalid sk length');
+    const otherSeed = SEED.slice();
+    otherSeed[0] ^= 1;
+    expect(() => exportJwk({ pk, seed: otherSeed }, ML_DSA_44)).to.throw(
+      'private and public key do not belong to the same key'
+    );
+  });
+});
+
+describe('jwkThumbprint', () => {
+  it('should hash the required members in lexicographic order as in RFC 7638', () => {
+    const { pk, sk } = keypair(ML_DSA_44);
+    const jwk = exportJwk({ pk, sk }, ML_DSA_44);
+    const canonical = `{"alg":"ML-DSA-44","kty":"AKP","pub":"${jwk.pub}"}`;
+    const expected = createHash('sha256').update(canonical).digest('base64url');
+
+    expect(jwkThumbprint(jwk)).to.equal(expected);
+    expect(jwkThumbprint({ pub: jwk.pub, alg: jwk.alg, kty: 'AKP', kid: 'ignored' })).to.equal(expected);
+  });
+});
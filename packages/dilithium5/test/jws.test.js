@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import { base64UrlDecode, base64UrlEncode } from '../src/base64.js';
+import { ML_DSA_44, ML_DSA_87 } from '../src/const.js';
+import { InvalidEncodingError, InvalidSignatureError, JwsHeaderError, JwtClaimError } from '../src/errors.js';
+import * as jws from '../src/jws.js';
+import { mlDsaKeypair } from '../src/mldsa.js';
+
+const NOW = 1700000000000;
+const clock = () => NOW;
+
+function keypair(params, fill) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  mlDsaKeypair(new Uint8Array(32).fill(fill), pk, sk, params);
+  return { pk, sk };
+}
+
+function decodeHeader(token) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(token.split('.')[0])));
+}
+
+function withHeader(token, header) {
+  const [, payload, sig] = token.split('.');
+  return `${base64UrlEncode(new TextEncoder().encode(JSON.stringify(header)))}.${payload}.${sig}`;
+}
+
+const KEY = keypair(ML_DSA_87, 1);
+
+describe('jws', () => {
+  it('should sign and verify a compact JWS over bytes and strings', () => {
+    const bytes = new Uint8Array([0, 255, 1]);
+    const token = jws.sign(bytes, KEY.sk, { alg: 'ML-DSA-87', kid: 'validator-1' });
+
+    expect(token.split('.')).to.have.length(3);
+    expect(token).to.match(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(decodeHeader(token)).to.deep.equal({ alg: 'ML-DSA-87', kid: 'validator-1' });
+    expect(jws.verify(token, KEY.pk)).to.deep.equal({
+      header: { alg: 'ML-DSA-87', kid: 'validator-1' },
+      payload: bytes,
+    });
+    expect(jws.sign('hello', KEY.sk)).to.equal(jws.sign(new TextEncoder().encode('hello'), KEY.sk));
+  });
+
+  it('should sign with the other ML-DSA parameter sets', () => {
+    const { pk, sk } = keypair(ML_DSA_44, 2);
+    const token = jws.sign('hello', sk, { alg: 'ML-DSA-44' });
+
+    expect(jws.verify(token, pk).header.alg).to.equal('ML-DSA-44');
+    expect(() => jws.verify(token, pk, { algorithms: ['ML-DSA-87'] })).to.throw(
+      'invalid JWS alg ML-DSA-44 | Expected one of ML-DSA-87'
+    );
+    expect(() => jws.verify(token, KEY.pk)).to.throw('invalid pk length 2592 | Expected length 1312 for ML-DSA-44');
+  });
+
+  it('should reject tampered tokens and unexpected headers', () => {
+    const token = jws.sign('hello', KEY.sk, { kid: 'a' });
+    const [header, , sig] = token.split('.');
+
+    expect(() => jws.verify(`${header}.${base64UrlEncode(new TextEncoder().encode('hellp'))}.${sig}`, KEY.pk)).to.throw(
+      InvalidSignatureError,
+      'invalid JWS signature'
+    );
+    expect(() => jws.verify(token, keypair(ML_DSA_87, 3).pk)).to.throw(InvalidSignatureError, 'invalid JWS signature');
+    expect(() => jws.verify(token, KEY.pk, { kid: 'b' }))
+      .to.throw(JwsHeaderError, 'invalid JWS kid a | Expected b')
+      .with.property('parameter', 'kid');
+    expect(() => jws.verify(withHeader(token, { alg: 'none' }), KEY.pk)).to.throw(
+      JwsHeaderError,
+      'invalid JWS alg none'
+    );
+    expect(() => jws.verify(withHeader(token, { alg: 'ML-DSA-87', crit: ['exp'] }), KEY.pk)).to.throw(
+      JwsHeaderError,
+      'invalid JWS crit'
+    );
+    expect(() => jws.verify(withHeader(token, { alg: 'ML-DSA-87', kid: 'a' }), KEY.pk)).not.to.throw();
+    expect(() => jws.verify(`${token}.x`, KEY.pk)).to.throw('invalid JWS with 4 parts');
+    expect(() => jws.verify(`${token}=`, KEY.pk)).to.throw('invalid base64url');
+    expect(() => jws.verify(`e30.${token.split('.')[1]}.${sig}`, KEY.pk)).to.throw('invalid JWS alg undefined');
+    expect(() => jws.verify(`WzFd.${token.split('.')[1]}.${sig}`, KEY.pk)).to.throw(
+      'invalid JWS header | Expected a JSON object'
+    );
+    expect(() => jws.sign('hello', KEY.sk, { alg: 'ES256' })).to.throw('invalid JWS alg ES256');
+    expect(() => jws.sign(5, KEY.sk)).to.throw(TypeError, 'invalid JWS payload number');
+  });
+});
+
+describe('jwt', () => {
+  it('should sign claims as a JWT and check exp, nbf and aud against the clock', () => {
+    const now = NOW / 1000;
+    const claims = { sub: 'Q010500', aud: ['wallet', 'explorer'], nbf: now - 10, exp: now + 60 };
+    const token = jws.sign(claims, KEY.sk, { kid: 'auth' });
+
+    expect(decodeHeader(token)).to.deep.equal({ alg: 'ML-DSA-87', kid: 'auth', typ: 'JWT' });
+    expect(jws.verify(token, KEY.pk, { clock, audience: 'wallet', kid: 'auth' }).payload).to.deep.equal(claims);
+    expect(() => jws.verify(token, KEY.pk, { clock, audience: 'bridge' })).to.throw(
+      'invalid JWT aud wallet,explorer | Expected bridge'
+    );
+    expect(() => jws.verify(token, KEY.pk, { clock: () => NOW + 60000 }))
+      .to.throw(JwtClaimError, `JWT expired at ${now + 60}`)
+      .with.property('claim', 'exp');
+    expect(() => jws.verify(token, KEY.pk, { clock: () => NOW + 60000, clockTolerance: 5 })).not.to.throw();
+    expect(() => jws.verify(token, KEY.pk, { clock: () => NOW - 11000 })).to.throw(`JWT not valid before ${now - 10}`);
+    expect(() => jws.verify(jws.sign({ exp: 'soon' }, KEY.sk), KEY.pk)).to.throw('invalid JWT exp soon');
+  });
+
+  it('should check the claims of a token without typ when the caller asks for it', () => {
+    const now = NOW / 1000;
+    // RFC 7519 makes typ optional, so this token carries claims without saying it is a JWT
+    const token = jws.sign(new TextEncoder().encode(JSON.stringify({ aud: 'wallet', exp: now - 1 })), KEY.sk);
+
+    expect(decodeHeader(token)).to.deep.equal({ alg: 'ML-DSA-87' });
+    expect(jws.verify(token, KEY.pk).payload).to.be.instanceOf(Uint8Array);
+    expect(() => jws.verify(token, KEY.pk, { claims: true })).to.throw(JwtClaimError, 'JWT expired');
+    expect(() => jws.verify(token, KEY.pk, { clock })).to.throw(JwtClaimError, `JWT expired at ${now - 1}`);
+    expect(() => jws.verify(token, KEY.pk, { audience: 'wallet' })).to.throw(JwtClaimError, 'JWT expired');
+    expect(jws.verify(token, KEY.pk, { clock: () => NOW - 2000, audience: 'wallet' }).payload).to.deep.equal({
+      aud: 'wallet',
+      exp: now - 1,
+    });
+  });
+
+  it('should reject tokens whose claims cannot be checked as asked', () => {
+    expect(() => jws.verify(jws.sign('claims', KEY.sk), KEY.pk, { audience: 'wallet' })).to.throw(
+      InvalidEncodingError,
+      'invalid JWS payload'
+    );
+    expect(() => jws.verify(jws.sign('[1]', KEY.sk), KEY.pk, { claims: true })).to.throw(
+      InvalidEncodingError,
+      'invalid JWS payload | Expected a JSON object'
+    );
+    expect(() => jws.verify(jws.sign({ sub: 'a' }, KEY.sk), KEY.pk, { claims: false, clock })).to.throw(
+      TypeError,
+      'invalid JWS options'
+    );
+    expect(jws.verify(jws.sign({ sub: 'a' }, KEY.sk), KEY.pk, { claims: false }).payload).to.be.instanceOf(Uint8Array);
+  });
+
+  it('should use the current time by default', () => {
+    const token = jws.sign({ exp: Math.floor(Date.now() / 1000) - 1 }, KEY.sk);
+
+    expect(() => jws.verify(token, KEY.pk)).to.throw('JWT expired');
+  });
+});
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { CryptoPublicKeyBytes, CryptoSecretKeyBytes, DILITHIUM5 } from '../src/const.js';
+import { InvalidEncodingError, InvalidLengthError } from '../src/errors.js';
+import { aes256EncryptBlock, newNistDrbg, parseRsp } from '../src/kat.js';
+import { cryptoSign, cryptoSignKeypair, cryptoSignOpen } from '../src/sign.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
+
+// PQCgenKAT_sign seeds the DRBG with the bytes 0..47 and draws one seed and a 33 * (count + 1) byte message per entry
+const KatEntropyInput = Uint8Array.from({ length: 48 }, (_, i) => i);
+const FirstKatSeed = '061550234d158c5ec95595fe04ef7a25767f2e24cc2bc479d09d86dc9abcfde7056a8c266f9ef97ed08541dbd2e1ffa1';
+
+// Round-3 (v3.1) Dilithium5 vectors in the PQCgenKAT_sign layout. This is not a copy of the NIST archive: pk, sk and sm
+// were generated from the DRBG inputs and match, entry for entry, the PQClean clean reference implementation run on
+// the same inputs. The SHA-256 pins the vendored file, so an edit to it cannot go unnoticed
+const KatFile = readFileSync(new URL('./kat/PQCsignKAT_Dilithium5.rsp', import.meta.url));
+const KatFileSha256 = '7ded97a6e6c809b43b54c248171d7504fa6a0cab651bf288bb00034782667481';
+const entries = parseRsp(KatFile.toString('utf8'));
+
+describe('NIST KAT', () => {
+  it('AES-256 matches the FIPS 197 example vector', () => {
+    const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+    const block = getUInt8ArrayFromHex('00112233445566778899aabbccddeeff');
+    expect(getHexFromUInt8Array(aes256EncryptBlock(key, block))).to.equal('8ea2b7ca516745bfeafc49904b496089');
+  });
+
+  it('the vendored file has the pinned SHA-256', () => {
+    expect(createHash('sha256').update(KatFile).digest('hex')).to.equal(KatFileSha256);
+  });
+
+  it('parseRsp and newNistDrbg reject malformed input', () => {
+    expect(() => parseRsp('count = 0\nseed = 0')).to.throw(InvalidEncodingError, 'invalid rsp line 2');
+    expect(() => parseRsp('seed = 00')).to.throw(InvalidEncodingError, 'Expected count before seed');
+    expect(() => parseRsp('count = 0\nmlen = 2\nmsg = 00\nsmlen = 1\nsm = 00')).to.throw(
+      InvalidEncodingError,
+      'invalid rsp entry 0'
+    );
+    expect(() => newNistDrbg(new Uint8Array(32))).to.throw(InvalidLengthError, 'invalid entropy input length 32');
+  });
+
+  it('the DRBG reproduces the seed and message of every entry', () => {
+    const drbg = newNistDrbg(KatEntropyInput);
+    expect(entries).to.have.length(100);
+    entries.forEach((entry, i) => {
+      expect(entry.count).to.equal(i);
+      expect(getHexFromUInt8Array(drbg(48))).to.equal(getHexFromUInt8Array(entry.seed));
+      expect(getHexFromUInt8Array(drbg(33 * (i + 1)))).to.equal(getHexFromUInt8Array(entry.msg));
+    });
+    expect(getHexFromUInt8Array(entries[0].seed)).to.equal(FirstKatSeed);
+  });
+
+  entries.forEach(({ count, seed, msg, pk, sk, sm }) => {
+    it(`count = ${count}`, () => {
+      // The keypair draws its 32 byte seed from the DRBG reseeded with the entry seed, as randombytes does
+      const genPk = new Uint8Array(CryptoPublicKeyBytes);
+      const genSk = new Uint8Array(CryptoSecretKeyBytes);
+      cryptoSignKeypair(null, genPk, genSk, DILITHIUM5, newNistDrbg(seed));
+      expect(getHexFromUInt8Array(genPk)).to.equal(getHexFromUInt8Array(pk));
+      expect(getHexFromUInt8Array(genSk)).to.equal(getHexFromUInt8Array(sk));
+
+      const genSm = cryptoSign(msg, genSk, false);
+      expect(getHexFromUInt8Array(genSm)).to.equal(getHexFromUInt8Array(sm));
+      expect(getHexFromUInt8Array(cryptoSignOpen(genSm, genPk))).to.equal(getHexFromUInt8Array(msg));
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87, PolyT0PackedBytes, SeedBytes } from '../src/const.js';
+import { cryptoSignKeypair, publicKeyFromSecretKey, validateKeyPair } from '../src/sign.js';
+
+function keypair(params, fill = 3) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  cryptoSignKeypair(new Uint8Array(SeedBytes).fill(fill), pk, sk, params);
+  return { pk, sk };
+}
+
+// Offsets of the packed s1 and t0 in sk = rho || key || tr || s1 || s2 || t0
+const s1Offset = (params) => 2 * SeedBytes + params.trBytes;
+const t0Offset = (params) => params.cryptoSecretKeyBytes - params.k * PolyT0PackedBytes;
+
+describe('publicKeyFromSecretKey', () => {
+  [DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87].forEach((params) => {
+    it(`should rebuild the ${params.name} public key`, () => {
+      const { pk, sk } = keypair(params);
+      expect(publicKeyFromSecretKey(sk, params)).to.deep.equal(pk);
+    });
+  });
+
+  it('should reject a secret key of the wrong length', () => {
+    expect(() => publicKeyFromSecretKey(new Uint8Array(10))).to.throw('invalid sk length 10');
+  });
+});
+
+describe('validateKeyPair', () => {
+  [DILITHIUM5, ML_DSA_65].forEach((params) => {
+    it(`should accept a ${params.name} key pair`, () => {
+      const { pk, sk } = keypair(params);
+      expect(validateKeyPair(pk, sk, params)).to.deep.equal({ valid: true, failed: [] });
+    });
+  });
+
+  it('should report the public key of another key pair', () => {
+    const { sk } = keypair(DILITHIUM5);
+    const other = keypair(DILITHIUM5, 4);
+    expect(validateKeyPair(other.pk, sk)).to.deep.equal({ valid: false, failed: ['rho', 't1', 'tr'] });
+  });
+
+  it('should report a corrupted tr', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    sk[2 * SeedBytes] ^= 1;
+    expect(validateKeyPair(pk, sk)).to.deep.equal({ valid: false, failed: ['tr'] });
+  });
+
+  it('should report a corrupted t0', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    sk[t0Offset(DILITHIUM5)] ^= 1;
+    expect(validateKeyPair(pk, sk)).to.deep.equal({ valid: false, failed: ['t0'] });
+  });
+
+  it('should report s1 coefficients outside of eta', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    // The 3 bit value 7 unpacks to eta - 7 = -5
+    sk[s1Offset(DILITHIUM5)] |= 0x07;
+    const { valid, failed } = validateKeyPair(pk, sk);
+    expect(valid).to.equal(false);
+    expect(failed).to.include('eta');
+  });
+
+  it('should reject keys of the wrong length', () => {
+    const { pk, sk } = keypair(DILITHIUM5);
+    expect(() => validateKeyPair(pk.subarray(1), sk)).to.throw('invalid pk length');
+    expect(() => validateKeyPair(pk, sk.subarray(1))).to.throw('invalid sk length');
+  });
+});
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import { DILITHIUM5, ML_DSA_44, ML_DSA_65, ML_DSA_87 } from '../src/const.js';
+import { exportPrivateKey, exportPublicKey, importPrivateKey, importPublicKey } from '../src/keys.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
+
+const SEED = getUInt8ArrayFromHex('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+// Prefixes of the ML-DSA-87 encodings in the IETF LAMPS ML-DSA certificate draft
+const SPKI_PREFIX_87 = '30820a32300b060960864801650304031303820a2100';
+const PKCS8_SEED_PREFIX_87 = '3034020100300b06096086480165030403130422802000';
+
+function keypair(params) {
+  const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+  const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+  cryptoSignKeypair(SEED, pk, sk, params);
+  return { pk, sk };
+}
+
+function withByte(bytes, index, value) {
+  const out = bytes.slice();
+  out[index] = value;
+  return out;
+}
+
+function concat(...arrays) {
+  const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  arrays.reduce((offset, a) => {
+    out.set(a, offset);
+    return offset + a.length;
+  }, 0);
+  return out;
+}
+
+describe('exportPublicKey and importPublicKey', () => {
+  it('should encode an ML-DSA-87 SubjectPublicKeyInfo', () => {
+    const { pk } = keypair(ML_DSA_87);
+    const der = exportPublicKey(pk);
+
+    expect(getHexFromUInt8Array(der.subarray(0, 22))).to.equal(SPKI_PREFIX_87);
+    expect(der.subarray(22)).to.deep.equal(pk);
+  });
+
+  [ML_DSA_44, ML_DSA_65, ML_DSA_87, DILITHIUM5].forEach((params) => {
+    it(`should round trip a ${params.name} public key through DER and PEM`, () => {
+      const { pk } = keypair(params);
+      const pem = exportPublicKey(pk, 'pem', params);
+
+      expect(importPublicKey(exportPublicKey(pk, 'spki', params))).to.deep.equal({ params, pk });
+      expect(pem.startsWith('-----BEGIN PUBLIC KEY-----\n')).to.equal(true);
+      expect(pem.split('\n').every((line) => line.length <= 64)).to.equal(true);
+      expect(importPublicKey(pem, 'pem')).to.deep.equal({ params, pk });
+    });
+  });
+
+  it('should reject malformed public keys', () => {
+    const { pk } = keypair(ML_DSA_44);
+    const der = exportPublicKey(pk, 'spki', ML_DSA_44);
+
+    expect(() => importPublicKey(der.subarray(0, der.length - 1))).to.throw('invalid DER: element length');
+    expect(() => importPublicKey(concat(der, [0x05, 0x00]))).to.throw('invalid DER: unexpected element');
+    expect(() => importPublicKey(withByte(der, 0, 0x31))).to.throw('invalid DER tag 0x31 | Expected 0x30');
+    expect(() => importPublicKey(withByte(der, 16, 0x14))).to.throw(
+      'unsupported algorithm OID 2.16.840.1.101.3.4.3.20'
+    );
+    expect(() => importPublicKey(withByte(der, 21, 1))).to.throw('must have no unused bits');
+    expect(() => importPublicKey(concat([0x30, 0x80], der.subarray(2)))).to.throw('invalid DER: indefinite length');
+    expect(() => importPublicKey(concat([0x30, 0x83, 0x00], der.subarray(2)))).to.throw(
+      'invalid DER: non-minimal length'
+    );
+    expect(() => importPublicKey(concat([0x30, 0x81, 0x05], der.subarray(2, 7)))).to.throw(
+      'invalid DER: non-minimal length'
+    );
+
+    // AlgorithmIdentifier parameters must be absent, not NULL
+    const withNull = concat([0x30, 0x82, 0x05, 0x34, 0x30, 0x0d], der.subarray(6, 17), [0x05, 0x00], der.subarray(17));
+    expect(() => importPublicKey(withNull)).to.throw('invalid DER: unexpected element 0x05');
+
+    const shortPk = exportPublicKey(pk, 'spki', ML_DSA_44).subarray(0, 1000);
+    shortPk.set([0x30, 0x82, 0x03, 0xe4], 0);
+    shortPk.set([0x03, 0x82, 0x03, 0xd3], 17);
+    expect(() => importPublicKey(shortPk)).to.throw('invalid pk length 978');
+  });
+
+  it('should reject wrong formats, labels and parameter sets', () => {
+    const { pk } = keypair(ML_DSA_87);
+    const pem = exportPublicKey(pk, 'pem');
+
+    expect(() => exportPublicKey(pk, 'jwk')).to.throw('invalid format jwk | Expected spki or pem');
+    expect(() => exportPublicKey(pk, 'spki', ML_DSA_44)).to.throw('invalid pk length 2592');
+    expect(() => exportPublicKey(pk, 'spki', { name: 'Falcon' })).to.throw('invalid parameter set Falcon');
+    expect(() => importPublicKey(pem.replace(/PUBLIC KEY/g, 'PRIVATE KEY'), 'pem')).to.throw(
+      'invalid PEM label PRIVATE KEY | Expected PUBLIC KEY'
+    );
+    expect(() => importPublicKey(pem.replace('END PUBLIC', 'END PRIVATE'), 'pem')).to.throw('mismatched BEGIN/END');
+    expect(() => importPublicKey(pem.replace('M', '*'), 'pem')).to.throw('invalid PEM: missing');
+    expect(() => importPublicKey(pem.replace('\n', '\nA'), 'pem')).to.throw('invalid PEM: malformed base64');
+  });
+});
+
+describe('exportPrivateKey and importPrivateKey', () => {
+  it('should encode an ML-DSA-87 seed private key', () => {
+    const der = exportPrivateKey({ seed: SEED });
+
+    expect(getHexFromUInt8Array(der)).to.equal(PKCS8_SEED_PREFIX_87 + getHexFromUInt8Array(SEED).slice(2));
+  });
+
+  [ML_DSA_44, ML_DSA_65, ML_DSA_87].forEach((params) => {
+    it(`should round trip the seed, expanded and both choices for ${params.name}`, () => {
+      const { sk } = keypair(params);
+
+      expect(importPrivateKey(exportPrivateKey({ seed: SEED }, 'pkcs8', params))).to.deep.equal({
+        params,
+        seed: SEED,
+        sk,
+      });
+      expect(importPrivateKey(exportPrivateKey({ sk }, 'pkcs8', params))).to.deep.equal({ params, seed: null, sk });
+      expect(importPrivateKey(exportPrivateKey({ seed: SEED, sk }, 'pem', params), 'pem')).to.deep.equal({
+        params,
+        seed: SEED,
+        sk,
+      });
+    });
+  });
+
+  it('should round trip an expanded Dilithium5 private key and refuse a seed', () => {
+    const { sk } = keypair(DILITHIUM5);
+
+    expect(importPrivateKey(exportPrivateKey({ sk }, 'pkcs8', DILITHIUM5))).to.deep.equal({
+      params: DILITHIUM5,
+      seed: null,
+      sk,
+    });
+    expect(() => exportPrivateKey({ seed: SEED }, 'pkcs8', DILITHIUM5)).to.throw(
+      'invalid private key choice seed for Dilithium5'
+    );
+  });
+
+  it('should reject malformed private keys', () => {
+    const { sk } = keypair(ML_DSA_87);
+    const seedDer = exportPrivateKey({ seed: SEED });
+    const otherSk = sk.slice();
+    otherSk[100] ^= 1;
+    const both = exportPrivateKey({ seed: SEED, sk });
+    const mismatched = both.slice();
+    mismatched[both.length - 1] ^= 1;
+
+    expect(() => importPrivateKey(withByte(seedDer, 4, 1))).to.throw('invalid PKCS#8 version | Expected v1 (0)');
+    expect(() => importPrivateKey(withByte(seedDer, 20, 0x81))).to.throw('invalid private key tag 129');
+    expect(() => importPrivateKey(withByte(seedDer, 21, 0x21))).to.throw('invalid DER: element length 33');
+    expect(() => importPrivateKey(mismatched)).to.throw('seed and sk do not belong to the same key');
+    expect(() => exportPrivateKey({ seed: SEED, sk: otherSk })).to.throw('seed and sk do not belong to the same key');
+    expect(() => exportPrivateKey({})).to.throw('invalid private key | Expected a seed, an sk or both');
+    expect(() => exportPrivateKey({ seed: SEED.subarray(1) })).to.throw('invalid seed length 31');
+    expect(() => importPrivateKey(exportPrivateKey({ seed: SEED }, 'pem'), 'pkcs8')).to.throw(
+      'invalid DER string | Expected a Uint8Array'
+    );
+  });
+});
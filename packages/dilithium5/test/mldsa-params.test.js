@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import { ML_DSA_44, ML_DSA_65 } from '../src/const.js';
+import { mlDsaKeypair, mlDsaSignature, mlDsaVerify } from '../src/mldsa.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
+
+// Vectors cross-checked against an independent FIPS 204 implementation
+const SEED = '8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216';
+const MESSAGE = '00010204060901';
+const CTX = '5a4f4e44';
+
+const PK_44 =
+  'ddc99fdb63088e2856d0c4a2099a447a5343022fed1f611d6cb9fbc5dad054f90575bc5fe2da51056d7237c3b0037573e5bb1a8bebf352d2d51cf3d99d731a1498b8ddf087af0b1f3bd8be136240efdcb4eeaee49739c77ab618d9f18ae9655aa1ac4d3d41a4b2932d7d6e97fe33a52c727b6ddd7d04dd98d6a2ddf8f5962956281d2678839c12cb5a97866cdeb586a150135d6bf846aebbfbe0eee7f232cd4078418eed73c82233bc563ba25fb7e1858da390f5e54e43f17121b8ca07b95af4eef30a0fd0fee5c5dbc25d5d66b9e12dbf470dcf8928e6b3345d205e62110fda4682a5a8bd682952e373baa7c87adb8f99b169c867cbd044e96a3047dd579f7d636775874c3243b475ae4ee1dde6d7924696bdf447b89896c3729293481d0031c7fb779d1185a29284e86122c14e2a602492aa0499b7f27140c8b0c47078c22e85610ac5a9fe2cab85b7e2ae481a8d9675c5524b4b03498aca21ff467c50e2334801f6daa2ff098e3b4cd70a0dc4ddec96bad16729e374a870685b72c34ab806e8f69a756de319a19e6661ab57a8d3f0a25abdb9aaee19d8f21e904c457dc25e64103f420a819c3356dd0225451f03bceaadbe8b93cc5c2246df8e1982a4a008b68caca350f7627a9835c1132fa14e372d6b4a651460f1898691a9a4242a9f340d8a04d72975ef11c5d99c47b89ad37f4970eb135ad9fe5d5a2b94206d2affec9dad93499399d10c9484f243236cccd8e0fd3e4226329a597aafcf25809d2de932ca1ea6b180cb35ce774654ae71a837659abefbf1f0f0af0f43dc937859a0190d9340bb43ef8ee0117e2c98cad7b4d833ba54ad361727148e9c2e6588cf2f00040b36d04a713e22e08ed9379f7e940149af85de1275c17ed22282988a7600db4b4901664c1959502af90053895a231ae9cd5552aca9fd633fc98b70beb6fbce123948191ac2069c97a618261be5eff179c1e6797397db6fe986a3314352b8bea23a2d2f09176f57862244b07bb45af7ba2c50752ae2079f1a843d796ab0e7e8343997449f339c1ed2ec15175705af32563262aeeedd9dd6f90ee2856b36598976c09ad044fd918a09751ef5f98ca9287d13072397315fabaa8c75547fb5cb3cf7d24eed7a9dbd55690299278cb32b892186cdd49e6e5aa0326e59f2dc6018f875821f210062bfe55182504ee4123b710d10aad411abac3cedebbc0ad8e6d9e2ce0dd09e563fe756586462ebafe6ed38ca0221a76d1d76499bf522d4742191139fd6a540193a2611717544b33019a6b13ffccb89b1c9cf5a248b91dd23e4005519f3af39e21571443ba5cfae322ca42caaa2f13454deaa4405a2889a7fe71b9d705c2adde3948f0722456faa7d9c4c908f142c4325a9969a42e277635403593eef5c54086b894af04375d0bf183e85b14381e12fa5fd79298b237eff72dfda78d6fabb3da642035c4d8b4e6482b1c3332b600c44f1c7a6d20f469bbdbd13f1363ec7a5c913563b7098c2e9539395d9689ee215a05f5cc9c8099923466c65e1b2a615be305808f1a8fae5b5870a3ba34237ae9e12a0a5d307606fb5b0edf4415be81790d087ff7452e909111b2cec07d56c433e6b0995bf15721ffb0c1e0e645d2c8e4b9fa91abe3ebe6a5e8e91984b7f23054b7607862960e1344e437aeaf9931db50c3e9830dd484e03059c9c9750362cc5c7530693e0c44c93a4f5d4ff3b6b32961690a89caa49debb825e6ba4edab081bbfe968a2c02d7116d282901dbd799cc6a35ae33ab053f34ce26d15c3bba08c074f325e8e720bfee0bacfe0118c363b761af548a1e841ef5b8606d3477b7cd62a356706db2f01ed2d2e9733e350a0';
+const SK_44 =
+  'ddc99fdb63088e2856d0c4a2099a447a5343022fed1f611d6cb9fbc5dad054f92ed7f59b85d92b72ab1afadb3921440085747a35d1f346e806241ad3c468544f7dc2746c63c93c8ceb00e0f9088fecde0caf47dbdced48edb6cb5b407de8c3285ef6fb1803e6f209a7f002d4b2e4ff351bdcf084a3cccc8f1690a1ffd0a167b201496989044a22486521254d0b246211300091888942242d19454ae0447144c2511184319ba88dc9a2005aa46c11386d0b332c041266982424d92290419064c2388851c48d1a25885808891485654938649a8629841849c884401b142948b06412070041b04009482253162c1b452580b20104306101036859282e8142614b380a99940100424519c9280a954de3908419364cd394850a268262447251860993a0291b090e4b8624e0200ad488009c861114415259880954b890492049121252c4120c83445162b04010256c0420085a28315ab66521142500496a08818d0a1049e2146624c76c1245414a9630a090440cb561dc00851825611c278584240020226ec296610a006600b92982c62142b430a184909c244a538885644880e1183121024880400a91260924c84dd0202013992119c52522a0458a42710b9109d1222500a37124166020130519344658142ce4408523326ddb1688832849031751dca64c40c62c5b2245a3a22d58188dc3463283a264c9b230d02669142824491081db426d08c82998380d9016921cc38dda286c99444824026d4090240c9108c2382edb8804a1867049c04011325204992001175149822858085104853152022a02830520a825891061c1480059308ee4348492066a59364c9048690c44659102701ca22118334811c3114194601b162d91a09018c961444205dcb231e1c209c300464488800c332660c00524187182423021c80093140c14a040189010e1b010e1024c00028d83826dc2b06d80404a44408c904850a4a2612026121aa371582464c9368481c24c6284110c904d1ab12964367090104ad9246eda4268a4220021074900144d9304414b32860aa6058ca491c124080036290b1722012066c486290c8761c0166c88428ec9300dd8380c14277201c6911a056c112188c1b00dca928114b380ca122114940d9c284c99468ee204720a124dc3166e08b0259204409a2865cba40823c82c09890913114d0191205a120d12c6115a8428d94284822412931841d2b42ddca6600ca71118354023a97181140c1c450ac284654906661c882dc3fc235cecf5e647bb1054e9188d1a91873e24d618ed781698b7e94457b93a70085e373a5cc1f7ca02368d6d381dfd0eef1bcd66c94f2f3f60198fb6100a7dafb7fe689b745c2aef908592000e4818a7d5514ca9f02342fbb1679a91e9c058c2a81d36c5ddc8fd1b00b41290982f8d73658c543951d4dcf539b8a113e179e4ad6f662087ad9e9df6dc8b8244a80039f3e33276a28c8dc8fef5356e78436a3f1eece6eef64f09ac959d08e5d9c20ca01fb753a3da7a6d792ac21f4872ea17d14199612a83fbffd38209d9f7c9c273d5eeea45f4f650b937075fbf6c2f35a2cc9a76c7c0813030177115d95bede43ed93dc4f210989c46c4804cd24957b5c6ed2e28f2832aa3f2c35bb6d0125080f03b9dacea75a4ececb623071c585cb60622d55fbe78825ae93dfa590bc3b1f273721b35fcfe1bf6721c23424d903830edf315f16979f373d77a2c51f9c7a594635320f0786f135db15b2af9e240725575524eceb5d68b1cd81ca040ecc2915ba343455d347ab2b146d168a1660279945d9294fd9d8fb9162d31c0b6285e8d245ab884f781efe3c90275e118974f90f1b8e936a62145cf096404b3656b042d36671a636827e565ed47152bf5630530454bd222964c537e894ce95b009afb9c9d524d6f5d07e02eb55545a9cd527c63063c914bbeb1f6a29cc7bd560f97c3d84cff59db15de377e86cb4be3c11740406c84d742aad250a8b2e03072323bf493a3290534e197bbca4af3386d77930bca8a2e40b6e6f4a9c0e83ea4d127c6f42e8f49546395ef03d78afc7519643297cb3c3326bbdd66d296a4b301965ff13bc8cad35dc519d66b8721965a5229c5c1c402c99edfa22d58ef45888fc2e6052109234e80918f90b72712cf82cd7d3d7b20d46d26267ae6be39f06fb68d31c7f81534b83e436a29d7bac1e1aaf7547646f6521832b4daf00f82494ad539d1e35eebea3969db1b0670f211d730abf4af3d65f8a213fa1cf7fc630ce64bb8d82923824a69f15516b293727c50220051495b89dbb010d3a4f23e69b9889f1cdcf6f85e922a7a8cedfc7f76cca8b079b274a6255270cbdb204db60cc53501c398fcec939d5710b41220a6f35ae179400e25bf32d0daf5a8033f38d6fc98c07af93d4e61f9c745000d5fea32c4c0712eb061a79e73c85c0ec340d2274f59101b8baa271e98e37638208dd81530461543412e7c1ce22b064f053fcb14d382be32ab039f7789dfcce90e6a384cba5bebebc84e50d64299d8b5d72141b9c4a96924fef7f29374cccf82f65a7f7c9339f985f12133aa5a1585fd3a09c735609cdb97a519f55089f2274363b3ae74f8fa776f4e79129c9eb6ddb7df6096ca9a3b83605344bf2b5e73ef8d2bed6161ba58a044cca7e257bb50fea4ebac970b3f392a7fb0c3abc89ae47b120f364036012662ba9b85268fb349df244ad024f6741e94dd85c540963b46b461a1edc7cd30d585124cc8bbd43fe000582644efb9141e2870c7e4f3961cee4b3c820631d1197f18ebd7fd8682fd7af1c9ea0366a150f5f3db5aa23e472d671198869ed7fad7c366e38126f76372cf04b6dd8b3c1316df8170df614d7eac3b7426373b647bd24d31f75ef3da806cb26d5aa2acd99a249a04071da4edaffbbb65785949591498aa11b96eae1ad93affaa8eb10e3e0adee656aa61e15d0e488fd4a7ebd7cb68a96a8a48365c6c1e481877b2b7b78a9594c0e8a5a7d475f4324e126d35271816dcc99e30379784912a809393b4a0a9e7632b0c6a180d936dcb388de39f759d0c6af8b32fc7724286f2d89be84cdabc893c451ffd3e223e0001d26c07a561a343aeabae060ccec89782e6e201bd83f199be9ef88d1128c95f1c362760707ead1532764c58539351c373e1f2fb2dc8a08d11794147dcc6f3e2cac44d34db018f06af761a0034d20e4517e300d85d15ffede23b0d907c9f868b44594919e8a675ab40095bc6b776d7d3e044639fa293310e7ed6930fa04208f1795dcf845c354607fb51f1882929235f2e9f224c9e9b6c98ae5b4bf1cb63b5dcf4292adeec95c43ac8607dfe773e86074425c72337ebde9425ab982d425a29e428b5b8958b9ff0672bdd2e86e2f0c2363833d3fea3d3e7a9fd0191ab2c75c923d6b6ed00c981d85e08a56ef78e6a9e220569bd48b53cfe3c85c4e4663faa8a82ed877e007cafe80ac16d1533f7f4c8a152b522c95f1be27d0dc61e534ec42af07f7cb4e86080949c3e000437f40ded3721de7f1d5a89fc35a85d90e24ddaddbda73d9e0efe819ff8bcc8b6310d8340fbf933fb88d0dd276bd6dcb66d5cb6589fc6df0fd3e2bcef5a7b7d8fdb29f42d3b6570778f';
+const SIGNATURE_44 =
+  'a989a7dc30b9c1b8ba7efd05ee48be4989ad8994df123eb8817e84e81ed0a2e7cd3014e260881f2864ce50ea73965572f864df28c6bea4062416ec6e0d149fb40de941d0ebb552fe313bfd4f4e7a37f1bd77cdf7fedee7a8fa560a594eff39ad6acd818c72c578fad136d5077848ed3b5ef5e31cf2528f465ec8febfcde57be3451c29ddc07f675a7bb3fcf4882589af6460957e25a8eac7ea2a4488e4c732faa58a2c2d29ac48038e47b632e22f69b8d88fb252a4ad8a02538d2a31b18577d05de61858702c7f331eeba6d9676db412c4a143867ecb5cc5b2ac96a8dd479780d517fbd7b18efbcc0ad7546517cde47eb0971d260867bc8539ed5b6fd931c9f0e880a0bf0fa182a64b7667d991ba465d9352fb17705eb3f1f497d0e26fc47f5c54bd511d0171f7071ae1fc6d35a7e9a4b901b5389f37c1b6a4e31ccb3a4d42ef18322fac44c37c53cdf43aa6d7da427c8d5e294f2ad4fe478ef849633e80bf0c2e8dc923d3bc8c0dc40a1688a27177a4914ffa6824cce639f6f6f87f4092c764891198921fbd1def3656615537c00671c7d2eec6cf1a1ba7fa451e570813a15b5da5942bbda14206a7233b619b7c2167af68334db9d7d95a46807ff546994875318d62fc1f44b9704220a45b893eeb577633d996cfb2cf31ddadf54f4e4d4113b14bea6f117b72d5fc047438b17fc3a0a87cad8d980ef23f6a6d87165246b25668369a8dd80df6677173a30db0c564a32e3cc31c85e09f92a88d76807c1f1d97bcb70c21414ef66793028d132dfd976ada726b82949862f1db019be4dd614e49447a163addad04d3e9ed25ff4d1177c9bb890eea4bbe40281ea7a5d5b1a4983df767589dd387f0cc69ce88c8e9d6578678e245be821975c739ce47bec44f6e786a1befba5dc138af9cea31efe90721a15f29ea135fe459b1355b382bc5b3452f13f86294ceb14713f2b18d0c8fe7238d84c95d6ac34ca1c31596f8bacc725edacc79673a5deee18951452fa8ac1cf16a358c62c940bca7cc34e1b56609e759f544ee1bed2b5d8aecafdc819123e0f1ceaf56d1c85af4ba95854f1c2189a36f46f74b57f082660415ad55e0f6c5584ea75792e7437dab899d053c5215b084688701b91fc0e45c9daf03b3ce5f1fc590949feb84bf5d807f8839a1771773a3d9529f2b731c4cb3bcd662106cea7f4af28379f4f639c1f434ddc7963b4a01f25afd1a1bb8735852b9e1c1d179cf56a4e8003d3cc6299f63fd217718bfe27881afe39f964dcd2bdd49f9f93b09d8856600292b49ef18859b411035bcc3ae47d2f784091f6edfcc8b360085a4fc3461ddfa87de9ef8d490c5697d29791efcb05b9ee1801cd176519eb0a21578be1059fecee11d4d67735e4a765347310cda5b260e1257841899ba9e475d888596d16dd93b2de7888903c4ef2ae92bf75745934f4cd1f11c21ff90d55c7fc3cfe8124b7b1bdfcdaa9dc55c9d2f6f2e15c82d88cff8262dfb4df2adb720bf4a6d6ab8d72df4d8c9d3a260240be0704be4f68b4de2e33fd2b938690790f55a99ee282aa389e34cdc0cc94004473fcaca8bc6fbb4e57b7f5281a10a6aeaec200c658bd289bbf0da91dbe0554b1c3f96e7d6456131a67afe4697599de995519d2a5c0b3e0167bc661b490d88067f82b3cab88d8c0cdb6e160800ff1f76b2f655b7357e990ad5b9f8d6ab851d1fb76e2ad11bb887f29d9f331c16cdcb5387caa0ab348cc07037a3f715b4b7f812cf8bf95310c4ba8354b431a860d383e49d109e98351395cf8432f56e74e7040d8ea1c0cb998dc4020864ea5bfd5c8e16e7553cea0620571c3c269df9caafb3a2d7e07cb8619826c5379dc7a9923811fdd2f40c47504112ecf91ea4a44797e1ebd4871c2f9465b31a5c57a0be789d37f402f57644b1afe99a60931cdca61744f530069dbbc60ad4e80025bd79a3debeb7fce9ef3f8feaabf91a1c7503e359d3c5c0f13c5670678f05211e27a7c2c1e6d87d80bf813a20cc608fb3bf31cc16fc41fc119c029062b66d4d8a62dc628e2258c149228cbe338abd68fa3e58ec0d125a470e4a3a10401f7dce9a15d0a68fd6a0a2d7d4c6b07389cc7253be98209242c8595b38875591dbc406f021e0a8af9efc7a2a24de1deaa0e8b36bc3de06f6c74233a46ad4ce23e544f5659ed5a4b3e850282ebf1a8606b6c9bbbc1621a0f5fab193804d37c7fe1c09a861672053b8a1624d7cd3babb0dd6a8a32a145a8a05f6b5e6eacaaaafea55c189d33a3cc763bbb426858ace5f8dcabc743b2435cf508833882daacdf75c2dfa636c599dddb1bdb4ccd46763f372966d403882a2a27394b45e38312e832610fff98d55924f01d7e08760d73d2e0bc43da886e9264e539e08fdcc5ac7d2b392c23f0d327db84bf6f6f1a9224a88a0d495f42733d902fbce60f234f3b0f7f859332cc81bf4790a8f3a920cc9cd31328655ed36f5631491bcc8095879b9e221d8c3ecda55f9e1b2f5b8fd9558fb31a3925ff9503cf3943f0ea0481e2fe921af0e47aec4ec5079fdf6330f3bfc13eaa8d5c119e8382c72353107e3ec18dad3d73699c0747e23c76e2450ef919f6a4c5609e08d833d80ca42f6bd79d420c5d726d508293f15b8e20d48364aed20796551176dbbbf7a7028a93415e94c7576bcd3ec888f32e475df802e3c7c9d48f157366c1f268cdf46865367984c7179342faf60d86407885f7a30ec5be8cdd491fd303e2922bda5d617f5468c78ee733cdb167fb32a674c41f8da766ae4e26ff8ebe6d7af7ecbd74ec6a8132eb82ec93641c0a4d982b832531c12deee9edffe6201a2d35eae73205b8287e6143c0d029ca807130c2504b398f174cd67c366facf9f3eee51a1dcefd7acc5276a12510c89b0d2adfb501b45995bc7623c6a53fb5838dc19c49bdbd97eee23410b7f21e9710a46837ef7268177dee84e5e39eaf82cb48426f54c99b31204b1897c51a808ff0a2464753e08599ba3eecc2a3682384df6bf0e580b743ea8637a26996a147bdc6b5e7ed505f06b08d8b681817802eff207ddeee3e01ba0cb4ea2826a897968e33240b7ad5b8a3efc49eedae3346c9ff6e6fcd1f4ffcc23a60f559bf25e788d5efe79effe25080fce4468a95e81e30860330334a8302f16f5d06f444f3dc114a4483ce5389861792ef45afa2fd8e944bb57a8546b84dda3aa4172c0f9dbd23f7af8c8ebcb193295a3896f9ab21aa0a324433f68697723945a176e52f3e03f8a755f149fdbfa15b53be66076411a444b6111de499816f3551e6ff3f5bd1ff7fb82b08781c7040e1e070f283d518186a5a7a8d0ef3b3f4b66696e747d7f969eb4b5e4ef03222358919ea2a4acb2c00407123a3d404347494a52737484a5a6b1c2ca00000000000000000000000000000000000000000000000c1b2639';
+
+const PK_65 =
+  'cedc1fdf7f8e6e461373877f42e61fb21468522557a3825bf9377fd802deffdf49ad877f2b045c6d8e3fd237fbc3403a91eddcc5595d04536a7b1537980f28fc4823343ead97db6021c57474e46c2e4f9c644361f8f3dc386441015072961852ddfb6f125dfb9580d0bb6fa34c7361cddae71e393017b5278825807b33f722ff5c5f8f9dcf00aba85bfc1514c3f79ca30763c78441fbb948f9be55d80e46e624d00a2ceaf5f1c55fc21564f54ac829edd1bc6fde3999853a396ba1934682dc055a7a5825e4481b02b36d18a4d016238e95d8b34977cd79f4ef79398f0c78c7cf1bde0ffef68574d56279fbd0c8d0066ed7371b76b8033ffe307cda4a18c4ebbf1868f554ed636b9a3b91bf65d439983f0212dc15e7b51b0e09e511c488c853b35fd2d9be619efe6c88e4aeccc11f83359ced4137ea6d2e6b9ba384a173d1c43eae122f8a9202b0f11f6ae33747c889360e3344a7f01e78fcfc617520cb38e6d92bd8bc7b36fc3a2800a4b0244743a5c5b7ac5ea57e38eaed1e530b7417f259707155e13b0a03fb8f5c923bf71dc670d3a501dcd4e8f8babb4acf5721100eaa43eff9096ed6d1688e5ba039e05e95dd4e22d2dd169b8ca7f8b76a350bf06e0a63ea854c293096ecac6c82c3e725954a0afb82c2ccc1def34a020bf656166d0acd04109d5f96849c23a14a7910bce2c5dac32cedbb18d05204d43354ba602b1574b53c5236e3c1f7566a491fc6e8be6df22065c424170cf1a7424342c3c534b08b785156fc98b18358eac0849630012d088a2cece785fcba55b3165a119ec8a285e7833fe16be5f5a57cd2d506a44df8c3a2a6ca2b8b938b24de442aff2d7a5acfa670d1fc5b710fe064ae4cdcbb1040099c92c599f3b87f5b92d13d9cadc13ecb96fa61ccd4bd65f608880468f541908ca9649504fc71940b542b309e545dbf27e7a7eff0264167abe8bcd6afe26c2515dfe7e528c3902347778e0603f6491e70d7add672189a0699c38c14cea788baf7c2a247757344dd4bb4be87641f5707cb840808fe3c006e2b750c3d0a6edf8acf2a9a1a0e6f4dd249436273f87a4b4ab25a63dc8141c596d19619a8d3e7699066202a2acab0c3640846234bcfbdbafe71ced484744f0ea2b21e3b0171c9f0e20e5aa92757350b1c0ad241057fc315f9eeca00e81b778758583798b8b04cc03bef9c25cd6b5a6bde75c71ccfaf3fc56ef664a749727c962f2918ec1994d216d9eeb29255a8c1e3489e3f2d3d2658fc5fd17d893c1f7bb6aad55f5b0076c41c18046decfbea4d7abc4f5fa3235c80b64cb7e2ed94cc9ec42c4d27f9c7fc5c372b9361e311be578148a66c7dbff0c989c364d38835aa1f3c9e3ec0691e52f859f79eae810104944ca1b397a1a728241183323d1a2032ad68b61a27c8b5c5f3c1974f25121e27f92f58f2afc0ec375ef1a85f7f27c4f374b205cf59d59bea92c32ec7c0ece352654a04b9c17986c6eba84ba088d71449f5e9f6b904a432486e5fa9dfc2069fca81d36356c401c8ff1b00775d27f11f9ff5107237d5520a195a047c21cf8630d9510bf38b886cd15932dffcf7d573986413e7957fcff507fd3d90196a56a9091bb4bda149ffa85c0e4af0916d75a2bf6670cc91cb689e50c888a321c365e027b188990e5caf8db26f50bb33283b4874cd1f3950848b959c4935af98b1166ed55bcaed9569ff92041140cd96afcc854eff27eac3e7060263b1c1025b12ff82a1208fa73774e07f1551e74e25183f7f820d99cbcb2d29c38912bbb6574571aa55d0f6566290c753b3421aaa341d2cd1ce36acb4fcd1c733f3fcb24b125427db33bd7c269f6173a9d74ea495ca8abeb70da4433c6871fcb71411e0b91ac8cb92d281ca8340d561bb462bf710d51bf74accf009baac18e629ee5c0d5a3f921741af9bc721febdfd758d7dfc9eef74521d3755373fcf3a2ce77acc114b715a9136da2ab2d366280650f83526954f520daa931f19fc106d27bc9210d822430169f6b0029995817e1b1bb63a63eda26ad9bb02ded76f2623979bf754601a4f5b37d9d3adaaaa0ea9086f615a7c8c3a215d9ed299030e9de50f3684d5663e6d343f8f97d444222af13d3f365a97e7f9c574d471c394df1ac2444ec45e22433be6fdeaf4d6d944e78bde41ca719ab3ab413cc404fb6de2fba169a7764a8f2896842de9a93a068294d0658cd431067781ea7ac0da3ffd6e95007ab4929c8aab014fb3c4fb440238e0bc8383a6d41c322f069ee678e5d3aec44a3b862c27f0a8d13248d4f3c9b6329808fb11f543ac3d513da960dd31c1da579b63d732c6afc4555f1a06429bf34aef64f5c87aff3f2344c2bf7d1aaf593531f96f17a498c8b02ac32161e65c2308d775a8b63f0475555597ba2473a08e33a0d0bc5b8b375d14be87c662aac1bba0e393cb75eef18f6bc2e82f6e0f0be7d2cf7682699017d68647bb851a9b83346879d6f56aa1a55661323f08dadcf8e915b57bbd0e74d40985ca1fd47e6e9aeff9ff826f8b7db7bc02d59d10fd9b2488bb1bc5fbe04715271a092c8897c281ff25332e751b0a09f2cbddce642c7dacfcb3f8ec7cacce55cb61ed4e9b9f1353a4dc1625700625aca878e4fb8fb3952606a918069312a21c21dd17a3ecbdc8db6e15c24faa96d17ae1f5a23018a2941f1fed55b308363c33cc8959ead009efb1893eb0fd81a405d9877e8e3f776742bcfa10bb498672e38bd9c93c87bc9a1d1690233832226685eb4b05fc3a';
+const SK_65 =
+  'cedc1fdf7f8e6e461373877f42e61fb21468522557a3825bf9377fd802deffdfa05a5ad6a0ec3d5d0b7b016bbc8e1daf803a42f5babda724b9c58dd351c317c2cdd6465a06de89682c25edc8bfd138a314b4ec3b75b3ea13d6e55afcd2e38b8dee79006a41bad27fb7d0f94f6aaac669def9f3a372fb558aec561027454b2f70510667014632864008471861700278661455048044607587314213407787302147645173050117733535730245513816258703262872737664500313612171161053283160161447484563057852484022031634350701378145082360204003611262214028710504147814304707175836780570204764715100475253855720545245718617077423558527054266078033555883881728664733450285501457207221645674668726375410388505367855175261640015042550850442430730800617804122532727686258432168372824247617504454530086867446451017287478811615282838376570005233477866062002722704363115355774374584500465563562131028284272003584010161076753081621617737885328081630775056056502748646717387772382337071142854472826077250178144600447785274406778565246388758246481012811306660030853747845618012583162560071040781862412072688070475112224363076714010051865553863202613214514245336120333650243362381686878766328052443684510150062814235257251226872305748617778250521842036454311816341814182118005856703883557284537850404406153521288042506564167654755531052420337233767418852117211230836337583864018834352226163183386303115355526838063006433452366186653208420547731503305114426078881254483117357506677848528724071787768220737114042153144603140820404205323178437441464018756745450613537121801666144245604215731761871118011472737843323221541351075014373445873003023720687783821660170378112007854786024284407382712154801774537872003370708742652076412663417870722245315560500645440316328888367773648660143731433007820608541358246210557585257516834181886057868248064340216875525243024462263533016202753762503353551154707835634832161863425513627648806885380373330665124475461154075812288370231840005012014476161324506538738255220421505638575734001253468563538560034341152245130065277538567340327165075037082127680462607821213286634151734160801541670586772125404745368060531635882053636601732336746246513714554578875602454721482424633567600773373446765771678634677863423370330875666880754033270112602258746468176227003577027055406253771800873336868418622851824081812225114767875736384875187601021407474144221760245858503822347710018217761417103321537688602254507787411553758555375653611082654418087512048513463621565007562881430405274184008282042448803803570080458042243523140158215622250488507714688224562431204102388013465434211408222724755658534538237445511583725230516242483584381784128818170837640565217466246671758543823135413755468152422537481130417384425643458606703854846011686442332846154261458414084184530067812716860553530302306540783662553666614648418310742310717187436313815681873125584438752876058318233682718840426235224141515577334668028064238337522064437558255533857342746275010662486343610231100388761660671042221668014603265677267277557253051262821285438281660272123378762627527638171004258638858237452583481287165806433510672873703837818361611825038361520424148562406585354744162706320436843554d184c3f1879693464dd78c7812b05183c3db802cb76fcd59c387a2eea0befcf0b3c508819b8598d594fc5fc3e4d4a1f85961a7df7af01ebad2289cc741f0dd8873e6df1ae73b0374244024d54dd00acc6d6bfeac314dc3473eb1ab41918b95db2f5351c8fcc86dcb77f6d45eb118786c05cacc96fed0879b3d2a6b8b398395efbbaed810598f3061a02c3fdf823f983c5690dcf5843898957e7a82976827120491d4053262e499143a18220eadc811df25a95c3862adef3190e2f02adb6af54b27df395480f28bda1c47569c59dc813f7aed6f7d9d7a80e3b9ed21ea565ca7643e5309d74fcd2f08f7c3272b74f8c84e6478aec710357df913809cd490d741426796523b8ff787360f71eb29e5db92d8e49c55e6a51cb163f3b43234a515e8d2027384713540d1f5e6bb9ee6d978d568370f63514901680d6fce484844e9d6840f8f06fb60a3cbbd6a06e710d2ffc7bf2c5feca3e407b0931665d358b526a980853e7a7ee97f833638e31672ba87a0792ac7d654b0543c0090d3a5bddd4ec262750a58bc8cbfd0e7f50ea31fbd96cf5f835b24b9d9052341f914129ce826285f682076796e282d2fc89492582194d5fbb796c16309f04cad2b2dd88d66b0101880c563ad317cb8db20d961d3e38ca060a872d3037e21a3947ea16556055ebb1f6bdde9053214b0ce4ddb324fe258d1f09bcd4fffe71bad8ee98701b9b90ab77b94516117a1274f383031c3882c07c835d1e92f3fb030d4f5f2c8edcd0181bca2669d762c7e27ec4d7d1db87890feae26f2f5f7f5e9e3822492a9f5d169b765efec4e54f78bba61d972d35c42b0ee941711716fefa6b4d98873e049937dd594fa4c777b420885390eeeda064a2f27bc73d76223f67bf0b218de67958c9f017914cf13086a9b295f11de1f53e76a01abacc9acfc991e455b9121f13b2e85fa5530b252d7d7c4408b32c833a8a0749d7af036ebac2e28d20d60e0947580e09760341d1211bc2e79739a02167c3f96941ea773e7abc3a674d3c6e5c4b58f20a0876dec65b0253a336732a19dcd363aafaf0878a22a99c3888fc9fab715871b0d77579b18f325664d65aa477819613030fbcfcde16a451aebc4b378dd3a6359a3c5c5a3d88585cc687155faa632f37260daa523364fb4f9b781f8f571d5bc1fe587bc339720f3719d2d927ef680559e88b3fb9cceaefab5645f71debc3e2a88a2d7eb1d42987397aa614c15ec43565b3ed9f0a71d5f39b9031d23c947f1e328cc7824ed7b2a84946779ee048fedaf563939b93f693d4ab22b16a267fdc8b8d402e5c1e6a1cdf6c19d59c16bab8069a5eed2284575cb12e43860868ba1fc4a1be4cd5e6a9a18da7b780e1c0b0dfb2842d1c2d5fe58fedacee59faa4e49f07beb56f7934ea02f7b9617bfd420d6a12d0d5fb022d9c796a1581b091cadb000e680fa154c664eb3ca763d09e62f03764f9a3b501f99b926159f2b8a76906d407d985cc0825be07ab3033ec199b6f2da2ad0256255a1a1ccdff740618956d0242541426f2379892ad4542c0f7fe62854dba06f8b8f8fe32314b6a7c1bfe3ad8c130dabf18bf2a2931ea51ea3574f7611d1f4268aa9bf85cb9f42887922618af5d841d3d582c057d4995dfce71175d40a37f20c67cc00ff1357e411ed1c18b77a20d4bb007b4dccb4e91ff33dd26cc1c2f41c1ab6b67f4aeb9e921c40d4e676fe85aeb2412878f1aedbd244d98a91d63eb071f85125f3edc743fdcf5ebb46bfa78f53b202b40e5f6e7af53186b36db2314bdf989b6a85883ab48c7a63ef8f03e511ed6a6a364dad99d497e1ef2c8f67ee04f6e11bc9c58f123799e365d1948db1fcc6013cc4843b2b93d0440ae92c194f0f4b300413f02174c151099595f90aa25ff63a72b2fef6e38d141d8af71656c523c727b421eca17f3f7b0856ddf9af36cfd18606e55610e5d420fc35d5bfa2604d8420d2b1b84e483f02865eef720608a84f5a4930945f4c044730fc13dad5e14e782d4334073d9c442381d7d2a8f34530da12d1c552b5e4ce8268298a5989a4b431fa15dc3003fd9f72fdfe7dfa93bcdc10890524d3f46c8766b9e4c7ac13643171a67dcf7693047147c7bc9790316dc4021dbd2ef400f49a7d43312fb38c0340af8816e57d091f1d7ab177b32920c1beca84ce65f916434cdccf0a7cd6e95ba6e802e148a12706f38226ae0077cd8a04e3cbee99be570b3a10ed659a89bb450254e1ad5ae0de53bdd9109408faa7b66e18139a5a3886599ae77849702d2b0be3de09743111e162945689255b10661eb624b854176702b375d1f11a635578bb6c0142cc0c6d0a66ee9b019a16fc851dac5e654fea601105f855b015305498f8e284e54a18f9364b1936b29e558147992b3e76feb56b222c6de229b4500961d3fad4982dea977c781d4f7d6db26da68bfa304de2d20399edab3029d941f4e7800c01e33124b4432f3699f3df3bb05609eb3683587cc684d9ed256788ef1bfcdd9d3ad819428a62375d00168dda905286d086a209fc643588a35556c7e62dd7abd108dd2a653e769c09c642d4f42e66803f9cd8a1a4cc5aaa539be53456949d539da8ef9d12fe5bbc375da5d35c7abcafa59be2e0920c9e771d3d061f2ff0cdfb0a150260313ee60b7e15d957558a95389ed2f164666e8e600d6b7f55755f533e6e2830aa3b902166a8ccf6b3da9137faf6786996b68f47f8613c2824033ea87b0d7a2054cd9fd79f6096833a35fea77e2acbb6932be0dc58cb14a604469363b801e3dec6ea097b36916801957ac1b5a0cbbad2b2653d0f0250abec17e9cfa419abb09c0ee0151dba9f14c371025da5514e2002718bc18e0df9cd2659b67970a63638e44bc875c699fb4d7f44d75b040b4741154734ec7365e468d7c73875b94cd60901995f14129b0316506dfd296d547310b2b1c1e7e8e17f63bff594f728a7e1fe6951058970157b6fbad5595f65814bf7ffcdc326a75286843c4614b5739c4ac25a97fda76efd67483e809b6d5069330b4c154b02ec6a20a5ff05119e19a9fe06701ea0dcc87c017da7f106d3fc381b183f475c20a38eef2ac6057df888aa8a6f3194dca4775b6fb54ac67248ee67b6b8f7dcb333a5f375f50e5c57e4d4739c9ead267edf3266d35b4f0fb35ab1ce0088cacc831b2f5e726f7d0c326b35b13c199eca882262f20efd8a531f2e75562d5df595633e42c096ba796192a59e6196aa797fe0c6f1de9cd03c5609271afd7e2b00a5a91d892ec08118f801217def7f1beabbb22ec9a52ca5219825c2599a3c7ad2e8b817adf5ee109159e222939fd8b14bab3f592dbe60296ee9c4a6b1a87cb98ab4829a053aba046629d782c34e15b5cd192f6f1e4d05f69d1f9e17e2e403b6f0c31c2505f5f0dc935b51919dbdc37ba572deda4e3dc80e9008fad74bc0cc277781b2e0d662de4df03097e82f9e66f1ea1ea9b23ba371339ae193c42c8edd849aeab910d41f1d5a98a494679dae218034a6747fe3b8a8205a279c6d30afe54';
+const SIGNATURE_65 =
+  '64a19bab9f0da7bac1584957172f8b9dbbede9404085018bf3bf8bde000a7f788e21deeec4ece46f28ccd0fd05f58b7276e2746c9fe41c9b50737947b1c2faaee28b85ebd2aa0060f9e26a3b95cfe9990fad58cc13830a3473252c4b8b569b77ce43b9fd1bbd4e7ce2bb61aa758c0890a016a2a716b253128418d069eae302ad363815f26251242f345fe5010604e21baa8c61a3d9d47edba583debd52c186e4025a8d31615592c7af85e0b84abe09248edfe29b7ac578788421a9803b67e6b4a201b1a6e5ea95b1837e0d27094144e9900d6b9fb9fc04462891f23db4ce24d64accb2885a62d13c79706d3b3770d8dc8f93beaac69e5daa2726c5784bce75470757b0819342bd6f433863b7c60ba581cbdf9354dde5a7fd1095a58575fa534a2c72ad503624b748aae918fc69f39fff422fbc4b6aa1f356cc93a005bdf5022cca79daff013cb79f3301f7854fa334fc267036ed942a7a45254dea4c0aa10fd6ac81f53012e57fa7849d354b511e1d8930474d88020d7420a27e83c65c93cb00397bee2918902aedae22c1fcf931fcabd08df3a854b21035fc12234b9aba67dc24b217ccf57e9092b3d3c4bed306efae53a7e551fa822a2c1d2ab009275a59c5def386b72269fdeaa95f552c7c7e72947275511a61206752ca5b53a3acee6cd124ff71fdac7a777981d67322aa3e265ded62ce46b36b44db66432f90cb8735b6239814500bcd1523ccc4ec8ac7c5e25380079eb5fe6cb812050628e6c3029b8559731cbf79e9013570a209bdeee03442a57c0a290c9de8816fbd1657121d71ab3b381f757f0c3bd91cf7db9d88deb4e717a436d490fc6a95051a9d5341b6400c1c6ed6fd0c9b658bf62b34a92e29a1a4e07daa19f8260e1c65d1d304bb61c82054290512e01d58ebcbae046b2e8d829d13cca4cf8622d3c6f4deadb022e9dc08af0f3c48e707b9b411613aeab1f86403ecdf22bd3bf21b254f59f877cd1ba31cd4ccb732244666d335ac79c007242d9a7fe74a36272e97afaef73b6acb779df6c879c912af62030f6eb0e8763582d6dcf0c147fc3e68800d961eab40c5406a7100d4d838bace524cc7331239c7f7ccc88d1984f27ab9ed59311ca29742819cdfce195eda06b71de20f7cc00469b2e7e4086d5d55c599ead6a233dfcb1e84edf3de930a45cf8bec68a5cdcaea0fbef2e0b5ab28fc2d615d84123d9db90b6472a6a60ee28ba9fcb93e519741b9a4cc8941fca1c83716f17ef781887deca5e45a882a968b10e9c3514d6e2acfe60406b233eead4e197a7101f8ad3cd30b728d89cdd4f1e884f6db38560acbbe75a8b8d7c4d9d0e49fc88028997a97b66436360cc6ecd1ca7f807fa27226aaa0c63aaab9ecfa4996a8708b6124245c138d4f5661651a3022a6fcf18537c67d212bd868201a7769d7850dfb6f18683f03af1fe81bd3338ab357e813465df19f3ace73f90d68e95c8de9e8952ec0bbc6bcfbfa69e618f46788e964a98565c604f5ef8fb9adb5a139b8019645e185d79e58cef084df74da32719e01a9f3855bf6319f2fd883a138846415bbf37c0f13980ce82310d5b6b26ee0355995eae32d6db25e3c753643d354be3b544b21a203c41577572bf54d6f8b77d638c137e93e63347c2f94f13eb2cffe7ed850f4849e3d5c9ed2b668744a62f7c6356ddd09bf6690b753792590eec19f6b7643689d0109b0731b6c470fcc6f916bcaf7bbbd5250956e1952ec92d6b3d789eac1793574bad1b691e80e60a99dd7621daaf71a17718ad83ed6a3218e7aaeff654f5001d3cdffa63dfbc65cfe4e1ab8698a28e2abfcc9fc9699fc319f15ef329f753afb2a1de361ea755eb05c5578be195e530f71549320901267c6a074f46ee7c7d5524c6ad4b159f9228022ffa10659fc0c3b5bb6a6490c99b941b73df975085b7b863ccebf1388a7d0a97c20fa8d73af6e06ae006094dc408e0cdeb0ec6db8e35b28dbef689b4535054d05a3db0a3e90167e67dd84eb0e6ffd3a29c23dd2249c22fde7fe37b29fcf04cb053a71c62b5593b8022cc4dc7bae0175b81e29fd6f92a4e31c0a20d840c304c6e8124985a277f50d7198b7588d4d4eb0e943e15050ef0d4050f47e2928f96b5dd52ddd02d3cd9e1a1cd387839eca12e9528afa04a287586defa80f404ad681c118eab242e9ca7230ceea45eb0bb579d5f613193cbdb110d09f59d5bab4240ce1a1eb8e117db9f482092e9fd1c51dd52c4a6906e6118bff164846f73cbc1d81e779a7e297f47d93712c5e33c2088db63c35ab22e26577818cb3119116944164ec663f6cfbfeac9d0cf8f147da7342e3a884c503429803f089c40f572363d36b468f961cfe62b3e6316088af9da93dacdf30024cbcf4620495ce57d0f147f1936f62a7deb1209d0b6ba5786f3baad75d6a5cb9d51e0f6feb85595ef3c7b2b0a0e35d5492622edaca1ce5f355dd758d309590ce6cd2d04890aa0e333bdce8264e3341b42c4dd6bb5f79169ace9f1bd35bda7339752a9839ea5d6e4f4a87c874e802758b4e30fae125fe0ecd2ed81da4e13db1fa7b2deb5bca24d354e4ca6a1785ad4d9cef23cc8436ddb607596d904c64f67a944429546d0bc652366156b5057decc09f7c236549b4053b1d669a6cf5dc7b3eb6bbf72507382bfc1921c32523477c26087e8d37dc94ae7eddb0c367cdfbe8f401f3141d261e42b297663a117cf1be4414cd7e0910ed6bb0922e33ba58a18c339ba2e809ff178c831ca0031d306247c968b26322bdffe5ab8adbc5ca27b91ce11c00dcc8faade0dc647d1abc86fd72aeeb19f7d4f5a1653975684fb1b6341e5c317dc3541365bf736946b68cc3877a01c4e451c3b5d9a7582aee9698ed6f2f206306b6912316a6a4bde772fdc3896b7d577d74d36fe17dd2ee1326c0570b4c4a4921803c207a924fee0882e2ddedef0b07f8396ee9f2c567ccda9c66649ad3c146880ea65bc70f00440c9448dbb8e64edd178980b408bed13c9469ec1d94197756cdcb9ae8c2bb19f4bd32f4343af957e79d442b4bb21a810b451607590fb892df00119b990dea30c68b2bc26842fd49f6e2c8866ddbf86f3def8abec74a3f22095f0c683a2c78ef8dec44edd08e8e01b6c93b4e9ea9e155625780af725c8e91ed0d6f185bc96cfda8d3efe56a7c57a266dd5e459383f81829380c3d847ace7c0aa98ac3ac03856d87485c831437823a089a17dfdc24f18bdf0b600133a4f19074bd32185cc1a088627a49492c9057158095f196cdbd469bef46eb1b92493f9f9c50b41815ac56b2ab7c1f534a437685b9d54e7fe1a996a1361b0ef751297958a01cd008208ffa1be29c7c5a6349f63b5160e52256adbf4dc15244d114fd9e8b56a73f4103bec3d845658fffc85a197d67db5a37fbfdd798093468a72b2b0d30c14ac8c2a8e25039a8da648f11151c25524666c5b3036fe59693b7193d860f63cefc372b4db9856ab1d4778d9d212fffdce9e9a3ca442d3a268fc3c485521581741825c1c98226bd809a8d6e021518e23451f66976418371632342d18614c076b7bff97a968282014724f17693d2ecf060a369bb79ce938bc2343a7dbd0e2333942d73d5a2334276daf5ae3702f6cd9876601ce1725eb810a9470b0fb3cd0a0fad4e483fbd06c43c582324cd1394b9c62afb9b4443e86880518c24cc726c2e492b569cd07c04cbe02553205520ba41eb9397980dbf7a0547e3380870d520153ab87809b3dbb204f0bbff84afd46c6c407d27f0ffa49bac4a3903a2d426622b53ca40eb05b60c10ea19ada7f70c6a508f01284d129cb9bc58169e91edbec9d78d3a12f956b3ed5ff5bec018ca322264d638a4e676c4efff57bad621f646ed487e3321e42ac367eb5f6f74d573634dfc88b59381b89d9f9d3ea57db81c96b6e48c774c0e2ede44375d08b47b4f200f45b377de3c13110860a7341f3151a976456bc1ed2a066de3208b613f693fa3ce4a8155b2bd7608c95955b309d07edbb67248375e680a61c616836810673a41d6c9f37a53739ed4076b6eac11a990fd13fc2ec6f8cad95750d484f9bb3ab97a563c3700ce3d9d55c9be0b8e7ba90232a40992346e9e3e297739789368302cbb81da0d0fb1fb7afea155f552b04fed10b0ff7079f5a5365cb4066ce14dfec976ecd1290cc1f65c069570bd9b52343e779555d42177743f12e6518a32ea86d46b9980f6edcad07a537d3d4c54091650c02282a414097709d500ab421f5e3c19111ec568014969b2c5c91572cc51bc396395aa13b4a7c85754bd9505c9dcd443d3e68be4aabb4c9cfac9ae9ecda9d0382cfd4b3551ac2fb16d2979c89ee9fbe6b1058c750505fdaa7e513ddf27ba0caab703a933fa8c7a053ac551fb6993f53679e10077a73fec00fe22a7eaa420185700a318b13cb448715243516faa88c884148c13bffd3daee1b5bb7d15d71b8e1cfddc38bdbd2ebd040bfae711a8c34d019c90e4648958078486d5768ead60bb8835817f70ebfc5004fbfbe1cf53278d13e05ef29594c702f7b9311949659c3c5200c1d44a65ee14e34acd1f7440d007ab4a7a13ae3da95bcda55bdcacb766cf7e7b560500171932393f364f5c95fb00032a72b90f2b487a88a3c8e9f3056b7ea9acebfd33737c8ec3c70000000000000000000000000000000000060b10192026';
+
+[
+  [ML_DSA_44, PK_44, SK_44, SIGNATURE_44],
+  [ML_DSA_65, PK_65, SK_65, SIGNATURE_65],
+].forEach(([params, PK, SK, SIGNATURE]) => {
+  describe(params.name, () => {
+    it('should generate the expected pk and sk', () => {
+      const pk = new Uint8Array(params.cryptoPublicKeyBytes);
+      const sk = new Uint8Array(params.cryptoSecretKeyBytes);
+
+      mlDsaKeypair(getUInt8ArrayFromHex(SEED), pk, sk, params);
+      expect(getHexFromUInt8Array(pk)).to.equal(PK);
+      expect(getHexFromUInt8Array(sk)).to.equal(SK);
+    });
+
+    it('should produce the expected deterministic signature', () => {
+      const sig = new Uint8Array(params.cryptoBytes);
+      mlDsaSignature(
+        sig,
+        getUInt8ArrayFromHex(MESSAGE),
+        getUInt8ArrayFromHex(SK),
+        false,
+        getUInt8ArrayFromHex(CTX),
+        params
+      );
+      expect(getHexFromUInt8Array(sig)).to.equal(SIGNATURE);
+    });
+
+    it('should verify a hedged signature', () => {
+      const sig = new Uint8Array(params.cryptoBytes);
+      mlDsaSignature(
+        sig,
+        getUInt8ArrayFromHex(MESSAGE),
+        getUInt8ArrayFromHex(SK),
+        true,
+        getUInt8ArrayFromHex(CTX),
+        params
+      );
+      expect(
+        mlDsaVerify(sig, getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(PK), getUInt8ArrayFromHex(CTX), params)
+      ).to.equal(true);
+    });
+
+    it('should reject a signature under a different parameter set or message', () => {
+      const sig = getUInt8ArrayFromHex(SIGNATURE);
+      expect(
+        mlDsaVerify(sig, getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(PK), getUInt8ArrayFromHex(CTX))
+      ).to.equal(false);
+      expect(
+        mlDsaVerify(sig, getUInt8ArrayFromHex('00'), getUInt8ArrayFromHex(PK), getUInt8ArrayFromHex(CTX), params)
+      ).to.equal(false);
+    });
+  });
+});
+
+describe('parameter set selection', () => {
+  it('should accept a Uint8Array seed', () => {
+    const pk = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(new Uint8Array(getUInt8ArrayFromHex(SEED)), pk, sk, ML_DSA_44);
+    expect(getHexFromUInt8Array(pk)).to.equal(PK_44);
+  });
+
+  it('should reject a round-3 parameter set for ML-DSA', () => {
+    expect(() => {
+      mlDsaKeypair(
+        getUInt8ArrayFromHex(SEED),
+        new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes),
+        new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes),
+        { name: 'Dilithium5' }
+      );
+    }).to.throw('invalid parameter set Dilithium5');
+  });
+
+  it('should reject buffers sized for another parameter set', () => {
+    expect(() => {
+      cryptoSignKeypair(
+        getUInt8ArrayFromHex(SEED),
+        new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes),
+        new Uint8Array(ML_DSA_65.cryptoSecretKeyBytes),
+        ML_DSA_44
+      );
+    }).to.throw('invalid sk length');
+  });
+});
@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import {
+  MLDSA87CryptoBytes,
+  MLDSA87CryptoPublicKeyBytes,
+  MLDSA87CryptoSecretKeyBytes,
+  CryptoBytes,
+  CryptoPublicKeyBytes,
+  CryptoSecretKeyBytes,
+} from '../src/const.js';
+import { mlDsaKeypair, mlDsaOpen, mlDsaSign, mlDsaSignature, mlDsaVerify } from '../src/mldsa.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
+
+// Vectors cross-checked against an independent FIPS 204 implementation
+const SEED = '8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216';
+const PK =
+  'baee0137b50c2f3255e88a5c673eca2ceba5109e3ab8931a75842e3ba3fc25d8e647ddd8efa36655525e31ae96c2d8851d2a3050ee2fbd0784ebbfd26f685726d2ffc11ff77eeb4b77afc232306d8ccbaf95279e7b41dc32cca39cf543d6f4c5a4e4f792bc941d14ffea48aabe53b3996cfdf4d7881bc85c6ae073ea1055b3f160a32a6732e81813921c15a9d3a3dbc5a97512633108aa175a356470eac06a164ba8993f1a4098c7ec8979a613b279b987be228bf01ed7c166688c66baad543ca98956616e123c1a76d43d580a211127e99514bb8e368fe4f3e344b0cee3a5c4169c0f281e4ed4add5092e2651f81c41843c2aa91111c0cab8fd39780eabfcc8c2bc59edb4d0b6e516f0723545b988f82d8b99788d26916d340fc8bce5d818ca441232ed537a97abbbcbb69b9dfb6f5bd329ff79c4349472a6a92f110406a39c4a3101a4962a321f3e8e84b407b5f2b1466764be75bd00f003f051e5a164a67ac57490a77376ab707f198d186c0d18ebecfa6b0292eb20201980321e5d45014d561ab901c2db9ba42b0ad1340f62c55e5a8deeb46e75601b3ea226f7e870427cc0b84988bce54f9b5ef8958b688ce01df868b24e9620b534351a220f8008c3df0aa2e2efd905544012f053a9c258afc6240aaa328c4d09d67a69533507efeb990c65830daf8fc868cbccc22d9f1cb858241af0d5ce74a1346d50d27f9dcbfa379524a0c914d6eb32ad03045c406b20c3d0ed02dd1c631d6cd59a9f5a57d1599cb8f5cb1c6526693a99d372658ee2a3dcac61707a09914c58a63c70ea136883f76fc0c95aa6ecc669a8a0365f62d7994a53fd7b2db5c8e828e80a85c4f20a49db5176e59f000ed9c833a0b6d73eebe34c0bbc01935a8eabe0c81b5fea2e56a0db4358668027605f470c0aa0cd045ce7d0efcc58079b856c4864b83c333cc7fd7ff9f98c4ec3b818cd7d887eb0772fdac4591377592ff580a30a85fce48a0bf69591b5b7d47a651eea3349b74a7e10579a0fd1e9bc0833748b536ed44e07a2f2816e996e5fe63d8b70d496053e5edf9f28359e98fe105ac8013284593860b91e4a6249d5127e8f4b7e96384a0e03e075ab2480888dd9f9782a44ebc7fb70133f1bc13a97b5f480fbaba3c7e3ccd85e0d22696689236093bdc6a29d04c689d877262ce3d6d8d7b394fda4898ef60a2bd3067fdbf97f059dbefefd7486834392b342d672c84e494818c8f2d2345fd35214c50e0f14b8b0c58b523b18db81b5b7181121c33de43ea4fcbe02b476def50c6b89e44c082b15bfe097b66cbb1be900e0e7cd0ef18e7e9d81d5d0b43dd1135c681c4cc270a6716a7b78f839b8722e492078c6f8add3338c9fd6c86ba57d951fdcee062687bbfc9437d5766e0d6fbfefd2f29983d632f713c456f49b259ecaa9ac40bc7ef609f9384dc51906d6a07649611c7e4c5a2f5369aed826e2a795e972c60a77d25e44e5233eb71829cb3ae590e217aa1ac363e6318f5174d6dca829e88e6a4b32ee3afc155bd59709fb4edcf0b53308614abf46b6f461bc3c0e337a5539b5a29695fb6f221133b6bd88ca756dfff0a30702a35c6b02d47c7f25d6e776b7176bcab7cf30b045487e52b8c61ddc023f65c3d4cce218377394ceae1998032ce68cef61b5713af5f5e8ae8c868ab692a038ef8cc847f97c109d108374d012a5c8f4c22bd29cd88f0346b4f5f600e93c03d9dec30554f7a70536111a8e494b6f5f2469eee6b7bb953f828f8eda8aa41f8392b1d2b6eb875f27645dca514179bd460af146759800f40376e180a88637a9301ca0dc5ab609962a2a1ef408258130798cdc669fcc1efbf9fcb302ca051b605d67057d74308c1f907e9796ad01196a747df5851defee36e32a6cde5d133a7cb72e0733fecc86e69f17be7d834cb4cac1d86fa7c3b69d9755f2f96de7cdc4130d1fc85375543878e9beeaa783ac8a8a249336fb41979d6712238f4e59bf6c6cb6d2b44b96950bf91672bf51ed0c157e87cb092ae26372cbb5b535466437714fcf6656c21b358acc1f8c6ed25a18e804eb3ee2496ad6fe7d1e8d162b89753ee3ef8bc7bed38b849778a4eedaee7d6147695b702078b8b2ae5b856406779f2e085d470269a22bdd78e6b78afd87e043fb1402aa59a975bbe6b147f926ba618d52d110f6052737d67f8ce04fc683cabaf3ef737fbf13dc0c134fbd7b29bcb16560a5a90b5a35e04349654811894359128af6cea458fd17d026c6a5f77db574b545ce0390db261158853013a6dd10e9eebb78f26de2aab6117ee749fe79594ee00417038317be2714206ccbb2e0afcd8b8e8afba8945d5a4cea8a3c3cf0d733848b2595ef643acbf7f1dc90cfcd651d3c37c8488685a67a4b0b1ee14654abb04ffb3b693ceb6aabf47678830c095ff58b3f670ba91a198fc4cd89f1a188bd17e6b7b52a2c2f79e361313ffc7ff64dde625bd284f3408e344e2380124a694ee20a4136a95209f597ed216097d5c6850434448ebdf402d7aa6e6cc4643d203f30a02084b27964f03d82f843026780c0b8c0c91506d0850b60238f6e892e69662d0ea9e81942ba74b04631d9ac767fc0d7b9993b9f460e7e3ff494ac8635cd78893ace3daec4c4347784ca8c71f926bb74428bdaf34fbec562bbe4d2389932184a0e8e24c916432d2e870d5687e46211d199d5c9819501bc9fd634e45e365583710d7e5ff975ad13c789c8bfb43a8135cadacc54810c46899522a04eb4f2d76d88af09d2cd0d8fcfd5bf7ad2b683419923112d870880cedabc18a7d5f22f066eacf2c1f987048e7eb6c67450a74cf3d7312b1af4fc4d6bf6f56985e9535709e950d72a98f9465f6b5021aa8b0e691d5758af668c9057c373eb8e44888ddc9b1c2db46c757ea49aafe7434aee6654b2eff4659278b7ab303aad67a4ff43917888ef362b255273df8306c123862e8987ea1bb1fc967cfcf5befe542f3f0117062fa258e9d9ba57e35de4827e0c94fc709cc59503ad4deb39bdff186863ba60bd5b8923d8bcdff4b1e186981d912d5b398cad0b7726bae7cb4adecaaad6f04df202980df38bb451fb9338c313ca18963b8bbb014085b5f7b9046e6dda24131753d0e61f4817b7a6b00dae43d99ae7f1f04788b714d95132d20bd195c613f6f7e8dc6734b01e09b3e819a6f9cdf5a20d062855c72cf2e87dc2ae539492ef6b420618f0ecbdbbba8ca3fb1a2ca0623541cabd48f03e4c9f2b88ce2c5f4ee07c1b4393555bff4afefddd31903841f92eda336050c338322b5b4c2ece7ea65ac6a7677144c230c0d4c865c9fdc0608fa953cdc2432ac4f6e669427c5f570c59cfa7e30e4e3f112fde4c1e694bf8f29ecb47871f3b7d69507b200de99cb207e4ef6d59ee9aecf74e84199902171617d5447777bd6adc3f2a58d59740efd4c931484f416309fbd43269b6e84711ef5119674feb1a2d508d3a26537ffb900f2d5f31021dc9dd2e8a5b503ae6832dbd626ca4d0af85769813707351e89eb26427df06451cce011cb9ffab7dca740a3fe7db1004364dc0c842c7dac6ea73faeade9d190a84df8b3beb249910c679c4dc0dd9d783e0876e376884453c9576b6729daed06904010eb02bc340be644d886b823c1cc0112d43ba25c4a37facc84c8ea7ef9a132adee99947ce';
+const SK =
+  'baee0137b50c2f3255e88a5c673eca2ceba5109e3ab8931a75842e3ba3fc25d8e8f9f297623fad8cee65e813551b4531901683bfd8dfbc526bde0257216bb1e5d8ca4f2b35277b3b206b6588f2a6ecdd8d74da4fa1049b9a9efcdd95cae6431dbf10851e1c4d0ebeb5bbb790aca6e944d62182837f9ce57c65b71e13dfd4f74d08b020108651124525c3a40812a0609146440b036adac64c20c149d14086983032e3860120060e1939845c2430624892e3382e48948d4192310b052c98c06451926d01265212416c43380c54b42ddab628013952213009d42609c84024800490501609e0a00124324409c3016010890b234912228e0034841922021025028cb87158c2911c159082a2240c266cc4b41018c60104841054380e0225500ab24448302610028d01872c4a284e20c20459965098962d11a06d812005c3406018396edc9630c03449219709c0082a60c26109004a0c396412a3101b82004c4089901622113345e0980ddb00241b8910c012518cb62d10118c18a44c41a8106006604912251a346c8046011a110d49b080499010d9848ccb06888ca6301c20080b1926521692d1b84c139591ccb4881196450132092410111404640c486e438865028630a1a4255a24040924700c300d41163148486c09499022458d88882c5ac445da46915ab8404b96645ab62018270a13274e84385294c48913130c1100680a0186c934050c9369112041409225610072d0428aa020909984480c464903418de1422c84a8898cb44d6226842433019ac2296092040019728cc2900b435044c68459884102085261c65193028a00151284060c20828044b449d848259b929150488963262e63284160288d932886633421a30220211750214025dc9031d4221084b651820224013521c0360c0c12228c10022118056244508014720a385180420d9bb46861428c0a33924c4825a41212d2445062a284d2242e63886c24432681488ce3a0298038241b002541a068c196511cc56910196608326dc0004d1ab20d2426918bc80d5342092488050c00900bb5455202860c834020388263486254b268db464e10c30914308a209891400028a3320408162dd3366284b6084cc061a39840a2304e604050caa2684b088e4088440b255121484d98c2858c140519286143842418b56982c849420804d216060b408d1bc2840c42204c388a22472603480ac4a4915ba6498c32668832440b100291a650e48841da344d21422d6140315a88851bc78d2027450a154a140931cca42c4b86115cb648c02686223510e400024b200212a6644286091382288c486c48b261e11045080271482291230805a3a0418c404d0a954911c90c1ba35159a80822890d0a876512483060224d1a832493801004236458302e48462c14870909296d41402e0b340a40020080986163b88d11c50804230c01306412b22cc8002219c140198221632086d8a86cd02832233250d0188c41b441484490928630091025cba06418971120b368899210da265110072d02c320d3386203238e4b844d40844d234051e0282a09a02c9cc08d59c86821174e09c50848c0850b8171cc2002e3b044c1428d0a480a530661e4262a1108441a01295cc47109192c88308640002150a804c184708022810c29694120055b10700a952c081652120111ca344154a22519b34d98324c98a4440c4761d8966c0998818b202914a24559c05012a885c2104110902882243203a511e0324d83962d0a35084bb4681cc33148b89121474444a441d8927123b24143340613324442482a12282463382e01a94451a228238011209540c30285104851d8b26000c44d243230d4026a438085c80081132511188948d138706400911b266d03b68c4bb690e480311914502381210220840a047289162e9b208423256482842d02c9808a2812a0064d9284488ba205a22202a0b608e1086e04c3491044810902489904620c37915c346184346d149365402068c4380590225291b0849b48709b4406800411590869d8b81089464594324d1b402019230258a46590383092c009939445c806619240208446114a0650a4c48010408821030052c66889144023826dc12822940412d8a47042382d0123098436510084910a43429444620119891002906282848b189159068e0c42501830911b373050127113190cca060141404e4a0450a22228fe805f229ad5526bc0a4a25af8c5c2f54f438f7d320712988edb36c9bdfc7efdf213c8a634c8f33a869da4dcc05c50ae2efd1fd361f1f247bf6ac22640fcbfdaff68992d2f998500d7d6b7ce07a0499ba9ea7a806bc23e39de47613365cf22e8e0b13707ba80605068277e68ae4ea5660432bfbf6b4a22660bf62fb9684c5d47cd36ddf1518f12cfda76a612af24c6681279b7ddc703f7b2f8daded0c157241a9a493ce52c3aecd9550c26182e3721ef7bb21a87c4a0b17a361fb3a2d2accd6409f229d5f1d8962b2ac4cbb11f022cb676468ad7ead94435c4a2aea9ca774159c95dec9aac1d0ebdcd3c16d3a08df32dac2d3f296134f40e2b5b4e7e176abc2a38ab563452b9114e35c4bdb8213ede7911014db1ca516e85011abf360845d5aa7140cc41560978f41329fbc78523bbcd3d1c4e4ab8efc953c9d055c210650506fb34b71f2324ceea8a5b37282950b1bfa3f3cc00d5026ef1dbc8761419844e1066c755b596f2fa9269633222e8c67754990dd5fb97ec9f03979d2b46e9b17117385967ffb1b79744c7fd731ec8be34c53225391e4daa85c8e9b63ae905a9f9558ffe2bf2bdced19fbf3dd38dbf8d2846b44eec5ec8b7dddfced52b58b57bc78ffe881ab54b2b6bd3bfad2fbd92dd3b6c11436b34c2d189a80ee1114cbcfc1bff6bebb40ee40e1109755e6439c22f6fb7b21832ce99e061acbeaf3a5ec030d4d4c5fd131b864588dd929fc64d0814b6d9264b521b571cdd9c8774e0aa50b9cda97397a785e005253b0ad380f02dfa24cf110bbd1f08984eca8c6e717ce431044a6e287afa10588fee2e0491e22f970dfc94c928a972c908154020dd6f9d69c27dc8546934f6f3968060f9838b1d3634aecd0d5eb72db6744f6d8e8e55464df95769bd77dc73b91390d2effeaf0349688bff372280585edeb2237ed79fa8924bb3d07b2533e0ff15717f83cc1d64b3475d10d265117d2d638ab3a4be8d144c17757d311ecd29c3487f37f6c54fb8b99713a21c0c25f6fad1d0ca081017d675926dc04f77693ec66502b43c1d6a9d13e6e905681c57c8ba3b8517712c9e7f6d77b6370aa9662a53a6b7a8cbf8ce5e059c1a1ec0246e23906f697b7fa38c5acff86a54ea76b49e6b25578d3f6f6cbad7b0e5b504e6043d0aad8a4082fd08a2b37d0636c5088f7945c7c07da31f476009a7e3a710bbc4a531e358de8299498971b10ef9abbf9255f59c58db22e80f471f2cff4d834737d1511c6efa6a78ceae3b7a951a2113e9062eb1cc878ee485990446982b04d97b4035b7e049ab2df37911c17fd6323495a31ccf652181c8d099d1fc49723ed9ef8c7b7f251034bb7f7819755f0b38888748c6f7176f335306f5d86eb54ca5fc419f57977e369f87c8854d2084ebd158ed79b5fa66b89b157f5390d1215a80d73c58a3d6054f31391f8e96e44c8f18bcbf0025e5dd61b69ee22cae2a66efa614ca71746d37c5d43835a5849795d296b9d2eea56df590e5cfc0c6f384d82216a055af7d076681fb0d2566101fe19107e5272fcd158a9a1edf21819f8b20907509209190a26b2aa84c71a501f316821e62feed2f406f660d5effa62a37d53805711dc8c0c5652f06e6f8992d275832272f8110129d44add9b2be1436e00e04c80123bec5756a0ef37cb94f1af342e156cb4b1cb0fb4b28e4f2930ca8444cd0b7d76ace2f0ed4c8631ec28170d2dfd03b2896db6ebd6f307bdc1553b383aea3a6146129854a25498b7bde2bc11d873dd80cf6a3822d9f08d19eaf51914cbacd70faf93bbe070a37b98bfb24ee889c29cf43d0216b93a554852159c61dce1887f4082017eeafaf254406f0ccb1fa854ff7b7af419cd71374367f8cb1d22bd7c491f0c0052ae9b82a41948cee984d6e7e4c003cb5d26817d5a5c703af10668c9ec574e9e2e2f9f7e809961f3d961a5a14c6849d869fa175523255edc9f76a03834d9d80a9712eac3267980ea6db00b1af593c13464400fc44f59f32753c162d6a7b0d5d52292e8c6ffaade7ae11d81e563e5792305c9b63c23eafb05ff7a7dd5313ec71bd1c2d3dcc67902263cae2894dff9fdcdaf187c0326da308658a12e8ba49a4da1671a1a8a31f39da6ae911856aff11b1a6f587065c90ec4cf07325707482c45e62a0c6883b5d98aa676161920aa8cfd9ba9cd8deae84e151df440117f1b42e28c820f41509a3f1c56394bff1a6fc240da6df1dae7e5204b37f90bb3ccb90d209cdcca4ebb116295951abc94f89d50307aaf53b9ae45ee9954b9fc8a848669cccae9695af35742395bdb1f2a3cbbefd177d504bcb99f8c52e6ad763664beec00311b2d53b1951f371db038d637a3898597a0ac59f735b1877592f2ebbb9967df8164580a42e07a065737cd1233bb05b1c7e63fd089387afcf3b29b9c4cee76c49b465eb450811bd58bdbdd3dfe082ae42d7a93fad485bd924288f6bf61bb6d74042dc71b0fa57d5c6514f34597492006daa07c519300238b9df4201737d1acc97eab58c9794b126cf7162fd939847f2c2b888374ab9322a24e56dbdc02c0cd23c18e89210fd694554c955ecdb18df295815b49d298bd936d10ec61fea29dd0f826162ad9c81c690153922313c8cdd34922c7b946c786294cc341a96d6c526bc3b8ac899e88a357ff059fa84ddf12b4f96ad1d1e03510f6ee216d85706770ff5c00cca34ab7dc364a38df4c7a5f3f61e387d1a79aa073e1ee5b59f25dc613edf1dc840a1003c759414b4a251d58f6a138507e90d02c7e70cdd555b5826cca21a36992bbb7eb784543ba431e4073e138032efcd633732a941f4b37814e7ff4cd555d3bae55aaf6348a7f89e52620ba81150f2ce2f19b09e9e8ec2b6fcffa905a9ad2a5b4f965ba8ab39d02bfad5e80c1fc64159ca002ee1a5f48943502a9118d150b0049836a058c69b643419074b05db0d19b2e290815bfd67ccd584799166b0f01f9d8638dd8a0f62e8ea0f8a771b392ab3c1ee594e603fd02710e9a80996ada44858d8ed22aaeab8f2e8b2752cafba123c793004416ee4ebfa55472c71c2c1a8926e271aa8ff885b22911c792c85596049a4c807453b3c32df1b61d6687852b59b3768924d54518aa2a69579e01082822b43f177f5895c58f36455a71d4d4a41e4926089529272aada5e2c8159ea40d91fc779260ad6c3d7465c559f167ac67ec284017de892d8e034d9dad7d810c81bddb16ad14505b0282a58627856404d10050509c1186bcecdc4dd989f2d202f6ff45ee8c7fee8e1091efa6475ef4e306ee18bb3f3a6078af28d44e249ceaad2e45561794710a67c0319bcf50b433899150782949cea16a381b23cbd2b06e97c57f320d9d4e52b8452fff2ea45a7e59dcff49fc0ab51b01c3126bcfc5e86b89ed9ceb0022386a7ed5ab782b58bf3be4199c073ad530bf8b676d1e02c07842b0694ed32a8295de24e3d94966b206834fd3726451cfaf7557f8b0bb243962856e023ccd996d3ebcfccba5bd43e57a395eff5126d52ba124539be039efd48f0784b0e6d840e994a70eb4ee6d730333c62ef9ae0d77216fbd0d9d8a951c8eb0808f4bc4b12d91ad231c2da158a7878c95365fa7553aa2b16d5c43c67d7b123bfb885382b0b4736e796d875f2976af638fae61242e2c6a980b7e61e44c4fb3af6a7cd32be2d2e377041b171d782b47ef30f14dc6986d87ab51c5c4c21a4250fda54dea7e6fc029e0032369b0f0bd38b1f5120e9bd4ce9dacddd22237bd422657ea305f35a013d3078206e10fde571227fff46dd1be10a7ba41b731b6d0844bd54bdff89a4f2894722c22b2a439a2a89dbbb178873f4feca0f9b21f4c328b58e7c901f288c05d16fef4fda4e3b681d7dd3d0b1ec3fcc23a1795e76841bdd0190d04fbbc3946d996175cca3de21ecfa0056cd5b8b6e1555aa98798c36a249539c42f1cd5fcb2415431a8644f73b5e462f27ef6b6e983d2ab5dac62543833f05b78a92e54e3bb93726cc5e686d712fcf23a582f826229a218258ad434a82c8f94f789c1a30ca9447c56c24076a49424c803264a9f9776e0876d3043cff3e8beb64a676f8dd79cde2c692056b99fc9b5f7f41d3c8db03315db22ffd7b8456f58a23503efaa4bd34f9771e4cdebd2c3438dc0946ca5bc0060567a80a881920e9a4286eb1cad32d0572dbac356019c7f0d8f32a585392905a2797cf5fa8f7c12f3b77a8eef28cdc912b6a2b9cf71a5d431107843cd1fb34fa70abcda13e0d60f8f8cf6c89c8c1d22c2a2315eaf1c31d84bc2fcb4965573ab9835b092ee112929e8ddcf4c2798cf8130858aa3b9cb01fa51d38152f4a524fde659e5271883ef7fe3478de0421cbb2b7461c4a39135d3885fbb8608892f526b0a252a61b654c9961ee04ae624be6a4a8fc6603f1e313c2b027cebbb6febeee99645bc74cef43e59d34d384bc66bb08c3f169ec59606c11eb01d4ae3628b9813d92c01b3709c830036e2b836a93d66257b042a061db21565a1b1c17287d7de0b555f6447c2f6357c6e8c142f200c498e2f2cd56b2c2173e033d5b3be004b18276da3e1edd65e63fb0c4fdd06739daed30224281f68475e51eec87562db23375dd35c83936edcd3914f1250a24bd24542a7bdec09c088874466b91c16e7985bce97b7fb3ed59f141fff371b21fa6a7675f2b3951e370ba4c989da5fb5b7d72043fc1b6458d4e65d73351c2';
+const MESSAGE = '00010204060901';
+const CTX = '5a4f4e44';
+const SIGNATURE =
+  '123c2610147d55a2bc1fec16c07bb9e4615c35f55edc215bd6f8af7c5a4f959f2d9051253030fcd3b9a5aa0886c836c8697bb2877d29359fe5205b3e2ecba1a7dd3a83cfe9c912035c80630eeffedd8f1a4f1848b5f84f03111f68a13d96e73221396f6f18c2ce2d881512815cad836fdde4f81b6344d40489c181c157ea0fef45ced69d7dd4b514d6b1dcca218b9f87dc80d17b0a151560782bde24fbcf4278e2dedc2e8ab3b564a754b9c6b39bfa3ca6c61511162da2384db146a71a428750040e1d4bae27ca6db6cb5865158567452cb1c812c6f04726936ffb77198bcb83c52b5b7682d127856090f05327bda167255d320cb3b5941a638d0d6f2d209dd0792a7b2f44d66255e479d359e24c59b9ad5e2ee356002c59a4abc4e5de7ce01631af8262c365ac9444d5acf169e9fafd4986d614e0adc96e194334e86b2ffb7847a69fdec904a93e8a20b17130d7039dd3de3ddd29f9ad98ac2ffc9ae1cdc3bfa108e6573a38e80cbe74cb5c04316fad5334d7945f1fe1266aa4a1dbf32016a22246b0e16b57b3da18f31e9d3bac0782d0b98b517a5ef5e632b0649bd94f4bf0767e94c598ef79dbaa16e2896c712c8bcb02c36fc4225d1e57993d9ed1005e08be2b87d8874a68c7ea1c6bf35b31a553e96af81a27e2e069debf9dd4646114dbf02afda44dba1f60493c63cbc67193b040f0869a83d615e0d6ab522c6ea18b448e4fdb6f99d43c8efebb1732feb124f8583af272fa1e7ff54734320abefbd4d0bf1525f5c826d9904544ca8efc06618b685dfc1f3d14641062d2d01471362f8417836dd4c7379c0d843e8122c05a9366c755b4deb2bb67650536e12cf81078d2ccc9397b30895f18f8e62a5fff3dd54f27d238343531dbd26e37ed709562479cee72472bb55a143b094f60801c56ffad8af7f7b19226c6c8c860962aef916f906acade2973de29fb00293cfc0f326b2135acf87de75c7f00ca2e602449c6bce7b65de4800f7ff5a2e1733fb0a93338e978943c963efe37c77ed450d683d8311c5e7809c1815c70a46ead22c2f06cb40da746a68612c1567df81897f93f2e2f75ff5d30d8517365738b6e6b6152aecfdaa78a8f0cd27fa0209ff7992072ce177f594b8d8a3cbb5596cb8b12b934f60f862fc71e7f76a982d08fd4c8327ade7bc76bcb90735c200320129bee1ae1629284efcda5687c81db4f11eb8b82582f43df2c3a005848217a0bf85c2dc0344e31aa2ac5f21db45c4042dfc425391034242f6ed11155f69012be122cf9cf7894341f011548bf9112945628c34438286af56b00aea0a4b79859c948f12ad30c1ba67eb447c0b650aa725c7522f0446d8df37857aa23400fcb2b508a2e2e353268781559531ff99412a98d583807b2d948e7e4da339bc6af6712808ef3a77c36b7eaf4fad102276e3181761bbbaba676e2910ee0c0a654fc4acbc132140fa5ca851c29a995a54b12081aba68a4e5472a8aa08c08c802bf970878b6861567a8f03c8437609c471ce5ec9e3f615984b515a597d02b4ee1cd1eb4b127e3f9600064fcec524e36aaed1b5206f68770abae5104794b45cbf2a9ac1afd9de2a0a6baee0f54727f35699b66a814c9c0db6c3533a6c5d04a93dc42a9b34406632def2fe69cbf917ba200c7b55c1a831b0ad4624d90fba42af378463a41783c69e4773f7aa6d1e720e19165e168b4a231379cc91f34927a9a47d93c88fd5e493632c982efcd4c853b2d1ccce93c661b1f558582c22b424fd28bfc5434074aa91eed03c10ffe4286961b49b364770b3e1617aaa0f5a3769c64eaaf64804df40aca7e4da4016b9cb24a258d5bea900893076b3f2ad521a73c61768d0d01ca66b9bdd171a5d1547f7e0db9bb520ded778a69da98308f2a1a3819fae0e57ad1bc59e4e5f54e719fc05c8709ed302a522b39ddc7939a34db8d3e3cac14c5f516861404abed26a4e486b631bfbac90c32fffa667f9111757c92e25b90aa5847cde69e5fbf235e634b8540ba65ca55f6834b0b352a26ec7b44eea66199aeec2e93579f3a8bfa4750225f260788e6031a702f60ebed23c5eb035e4c636299168f870b442ada27930c7a73a4b7677b780c7e2096b3d503a1e11d7134b9a9cc4b48ea688e1d308c6fd67cd8f21efccfd3fb7728e30e848664ede95c4931baea34f6277dd47d077ecfa75537a635568b01dd83f13f6feeba6423beb31f2095fef142671591cc8fc3dc5f06738e2eebae0c50a82b8182f4e7b999fc28ceb3400f511c487d0bf4a616a8ee2fa900f03273d3a9a1a235166d7ed51c64d4c03b99afc58963eca53dce762b66a8114c39af6e99e8be35e099576560ae4cbc313f4831f0696ae8406cf21cf902377678769500d7e119476e06dd71cdde4c005f569a0adfdd614cdc2644ec78d931dead5c4490977293ebfd246534e408e665107d35365de293705234fc86e3f69319438d4d08ec06a3e2093bb41ade0395e367bcb18a6cded85745ede42eefbd29aeb2ea4545bb75d642e0d0e9ed88084505e7cd05bbbb24c2a2c7e7d37e5bdc69a40fc3f09fee7c2a2f3d28e950ba72f3ccfd7ca85f3c71cf30ed0a5006675a58fe26d11c4e6b6eddaf7f7f2c08d92456da8c3b4defd87a7cfd624505b96a1e1a5c8f8de6461bde7093f58fc5a1247d7ad202b78b1fe1fd3c032beaa7c82cf28a6e784a46756173d94e0c6312321a98abe3c7b530651d22368c19b044e5cd0de53eea026e80a45162cb74ce3bcf82d3278a9b18ad34593a89355c178d0f61018bfdb83d4bd3ea5d682b7ff5e319626f703f08713372fbc421e2f5389daa99cbaaea5b823c58d639750c7b6ba5819bc66be932f664dbfe014190e1dcb8e314a3c08ac097de8e108a7eb34fe1df1eb3eb2b9824f7e8beedca3457e8b090dbdf787eab09ec2b69643f1a981c585fee98256a1190c1cb845247f43fbcb2accda1a5092c2cc2c0523cb3004901bcd6065b73962798ff130b2ca4e640858ef30fdb71201393a912f2ba83938cebd67444b6ca223b77b3855808e925d938670160a5645d87667e2a0cc4c81bec33d20825890cd014f1f27faf8e8ed977b922dc270945289fa215372c4399a37b805e2916d24d5e3d5500462510c3294db44ffd28aa986d07cfaf05d56bbe8a309f0f7925037ace54fb83507ef66c3d824f695885453d912d98c62fade6d1f4b7ee7352187823927d34b651ad597d7a4a20f5034d2e5af594ea3c5d47919a5464042f8833fa9cc2a9c2f8f05bd29de3def6121dc4d64d7b98849183e48f5bf650c5b26a02f198ff61d6674650ad68c0814d8514e896367fac0728228672cbebba5e5933ded9ddb5eb923d3770f222b8a25cf95e246edcef11e04f083af0211c0588b2e18511383b1699089d17c43e988682b6eec6fcc46686582a7cf2dfadf63463eefb76aded219ce901adff6acb6a46b9e00c89e3b64e2390d9a8df9296d7352aa631beb8ae43e7f5d3040a8498cf591c79dd8394368bb82220479b6e70aa5231e465a20c8886626e743d1b75e774b7ccbde3a52545323054a85e165016f289f1435cace38a9f54f882b6ff6527d02a74b2571f996b42350443f94126ebd9d54c5bf22f21c6ff708f6244d5cb2ed6636a7aadded2572f674e1e1c1944e1ba0a540328e5486a30d5eeb3ffc30735571ea9bfa15f776ce7f7511258abeb2351fdee8f02e58d8d9d482cf16124feb36faf161d7270499045b3783f4bb0b920caaff3e11f0c0f967a852a0b80f1abe3b41e8fbf7f33ff1724370c9b064d7dd87ee8137e644d932e58b42f2ad830f79a1c3ea4b74f0d0871fce1bb8e408b2abf88c56f09dd99c271b6c3c0b8dd243cd18e9322fd0ab392826275ea1aeb5cf801cec6d0b7deb786f9bf47a6b7e872a182b9a5bf218a86e80ac1a03fa6b2bbf19a2462eaba4c1d440f7971952d7c3dc449b5fc6566d2b1894c3be1cdb2ec7d5abc0c8ee531eaddbecc1a0e74ce929ca0f4491b0759df19ee808c9b970f6b590e041d3bca7e513c6697e75c07a321f0fa29470e690d65f39f0eb3e6541e138cf47ffbeff84b93f21ae60fa7610669c64c656afea259bde93ba37f1c52ba54d41dfbcda73aa43b666299174a01b32e21bec6143cd03ea5375ab58e924eae231e59af7378c1287ded7bc1532e3a0035af2b5782bf6ad41ae07d0ff10f8ef5dd53b24acc5357377c47bb227cfd7ad6dd300fb4dec4fa4137990f139ea8719dcd59fb766d2ad0d826353c9a5f5e04354cfa8726c6c8af9b8d47090fef7c78a0332c9faea5f7448476db1b04b9a71cb3af25a4e1acf4d7e183f3da91bb30ce7f0cef555d34f19262b7851d5b46915920cf3ac25ad8a9eb2db01a2e3289916d272b967b97db9346d4712fd74e5833099a3be7944890ec0fab8cdc0d4e0ef899dd8741087d0e0e9aebf496f18974a8d87a3d02b4c6ede90494e826fad1f5c7258fd6b8c8cd75da1dcf506ccc0748c50aae427c2afa288d5c375ec7b572b5ab99f0153234b848d391950dd87fb7bd7f4e5fd1f7a6886c48ac8b29d2953ea1c1b9592a56db29f3dc7ccda8236697f9e1fee90fd9ae8150d2a6afbe386a9a81b7b9451ee2e181e168bb563dfb3f96913345bc7b456229fa8015e198466ea0d473c539cd31f104cd77091824f8b93d68810f1f9a9d8c0534d448214037dedcc26c7a51f4829925ac0fd6ebf3e99a118de5c9793255bf35c014e4b088cacec7dba86226f39986347a59bb6e7007fb00af6d40ed99ead13c4717ec1167a5d3afd89eddefdaca6c0ad2e2cdbf7e76ffed0964c38a737451973d875bbe656a31bcae8cf2a1a7d2dd1981a72d09a315267ae248dc9821748f747ae5eaaf597157c232365d422734db85c526a8565f592a10e4ba0bd1bb0d7a45d3bd89c79d4447bdcc7556aee5ee40a6fbf4493bfd6e1fb6f859cdb997afcc6b4c9cb4b5b6389cf6ed657823b0487f25ea4295ca84303e563cfafb9ae3c46b1481c02daaac45627a3b00b29c89e8c05762f75bead5508de8807b9986b368f5ff998bcfa8fde44409c80f696a1766dcccb62d7cfc1710a6565de2db4183b98f8c7e1e9057b2991631d9a41badf52ef24449f7c61fa1160eb54097cfcbddd05e8b45515253c79349cbd62bf12f9ada5a6f8238ffdac728907b5f6d405b8e21b665ad8ba0e158cfdbf5a5b0577f0b48a9c6f835dc3052f406db308a3315cc70e6cd86fdd8498f9010410ea526f584d050436bfe180eab764211cf8a84c45682420bba48392c49e36df9762c98b9dc529ac1925f4c06690cdf7a85735e0909b5010dc86fe5a5862ef15d052ec58e6649f9da01ea03d13b07bba322d8d665ed43cdea2ffa1caaaaf65de830271a34d152770200f6a7827eab5e4141c8663c1c881970555c21a09ff758547587faaec451599ed92028f9b3f0d66c6d132148975f899e3bf32c21e36b7de6f446500df7803606b834cb883ca29b04f9c3fde65e33314638d4890648f36bfd0e5e02b1097205eadffda0315aeef74ebb6acf7350afb7d9bc49b37c0f43552bdd3e907b2e693afaa3ad69a8f35c3b5c4650f062945f6d68a4faaf5f2834da38094d4635c197a75f5be39cc6a9b60751d679c18febc03b171dfa493778c6897dccc07073d5a99bce6421a1ba7059b4e5929cac5e9308c3f284f04d50b408bc2bc8affe8566260f4079d41655159d1bac452f78452251c664129f2aecbd9b912a09530ac8f46d1a51c8f8fb4b5a13f8d94ddf9b8a4a54b83211006ba06447353a1774a657a164e9c36a2c6ec2355635050ba39e5f3ad43a2fd28697f79c791a510ba00aa5b6113461347a3db779e46c76a8cf149ca78d64a094737713f4e13dfd44bf69dcc989c102ee77e39efa632dc4436ae28445092e1de40081884a6e83adda47f3b0df2b4db73409731b43e457fe45cf0036cb90a1d468f3736d017e77eb3c2a73ebd7c0d239f9ab60aa43df1457970268879d1ea8bc7c499e2974b792701cd9d647e983229853b82bc10ef5bbf3f55788e37d4e4395a54d4a3525026f0ff4f93e29491e5ce86cdc3692f8741386f698571d38c7e03119dbd9b6b4fe5258bce83071af918922c8d135b47964095cc4db919d6dec3edaad2d4fbee6716eef237ce00dda19c3558ac4026b1919c15d928849aa6fa3982ba65044735b53ffffcc0d145bfaf1f3e6e464f61baa36201218975346a78b1eea2259e800a9d393defb657c617ff92fe4f7cf129e3ade95370f0e5d7114c7de50b391c2319988c727e6c47342a78b228798e7f5daa7c8d8a03f2074602de76e7c051d17db77d1dc6d161437060451a5ad60d8a8045ed6d0cc2dc9fcd74110b91e25c3fd3575a8df5f2718ba9d6f4d6de3a44a330d4cd4b2708bcb51419b7dfbcd1cfea997d99df5683efdc1bd4b8fa509e93dfdf7ec6f5507e79c7f112f8cbee10d13217388ccd5e5f22226546b858df620216694292c49729cc5fb055d6976798a95b2c4e5f138c7ccdc1d345761688ad4f10000000000000000000000000000000000000000050e1519202b2f37';
+// Hedged signature over MESSAGE with CTX, produced by the independent implementation
+const HEDGED_SIGNATURE =
+  '1f235cb16513aeb3c9edb07b3c65c5c8b8cc12ce457a74169c46957a6e90acd571caa04914a33467b2f53659dca9ad2db00cd6e77d6b65f99a09fcc26dfc4a75f96baf483f56e7534f98a1f3530947bf3e691da2c1664ee0150cc608b8057de874dc1b45a102ce3c7f417f56df321e0f091e337025be87e93e9fa854711b42d9e8f852df412669fbc1e003e2ddf2a42b5c8a6e9ef322a7f009d9ad4ab9164b9c6c157d37558f3620fdc4c06e9999c9785ec1af70f3a89d8d822d15f8cb0bd92e782e868d3cd36179f8029bd153dc6950be96c37b0e8fe5ed74b37f5af4217ccce3aa6668e36640059817abeea9709e3ae55f2ce59aea8eff92c61e91fff846a918fa2f7d79720e704d803367b4a805dbd9afe53a5093d8fccc1f1f77d365e144186ac41b59636f59e0be952a3a0b497026ad83cb3c836f081f783414b10f633b75009cc21d415d2586ecec17148a2de7321287a50922cf06efe13c78edfa9ddd4202a6ae7fec8e61b1fd12778664853e143f1fbdbc7b9e49b4746b891227b73a2ca0eaebc490c64658a5f821676c52d998fa16ace06cb6753cf499666f39e400d32ee02155a9ce4f118c45c7fe8bb2f1fc09c750740e361d88cac92670491f9e08619b75bd99544979fe803011e58b2c0dc81775ee9ea8117891bd46bc13508eb238e95c6ffa7792abeb808593d8bcd3fa62f731a19d6cd9fa7fc4a38f2c1fde9ccbfaab2a5b0311986b690e4fadb393c7088abf98aca035d464d2c298d93fb909eb1769f43319bf81702d6044be15907d5243e0c81883a151c4e077fd9c06b291d10f3ee728c1e106f1de8285c3ae507dbbc19ab93d4c24d312dfdb8c2232e3708d791a1d2a9c4f9a46d805e00a1a6ce8e431b341e912adfa0870ff7652ee3cd96f606e18be0a7f6e6c9760ac0fcd77ed6f731c0e1dc21d51df746492372702515ab60ca49c480716fe90dd737ca9b0ed0b3b65f0744fdf61244eb733798897ef2748a5c3b77bebff01c5db9343c37953b21f58d1454dca34fc75180415681b13f06c708adda6e4500fecb9f143fdee303bfdd1a1b192e07466f97b82b6f011eb96479f9edb54a4fb1cb7e927cc2745991bc862c20def4da57640b24dfd124928c0f4242e6d65430a4fb42ab7eb6fe16443cfe5e64e53ca864a0648155cb377083fef97bc4190488fc04c8a91edea8ab901ebba72dea3a1f494fdec8f84fdf046920ab268a58a6df247d951218171501494ed2469d39e34c729f70b739919c0c7e6d3703da628723fbe21c61a5e5663f10c9e5fc5c0f0a0ee7846ca4469b1d590c8a681827ac47166e834c658526b16e6f8f276ab4ab820c46c54734107d7a2e96e2e54b5eeab333f62e115a5a87597ebda156cbabc63c1bb8859f5cb0efa400ebb5eba5568ff7729549337e281886c37307e3e3ee3dccefacf74b0fa5c250676ad6684825a0dffb21cd0544f672c63c1f7f4f668dec6be5fd7f5db5b24a7e2f8526e388b6d9a2844d04bfdbe331fc6709b61e3eaada4f13bb778b836c4ead91057f7bb6b37881cb97bb9143bc82f739094aad8316d41865f77948ab80442f8ddf18380fdc53dbfede805548f420e73e16a002e505c201f0d281f34071051fada2f44053b06ca93b8012a34516cee0a8d120f61b3b4209893a551f1edfa369e1d46cc97c311d6bd98905f99d3cebb7344f2d09244a9a2fde9cdcd06e67109a91976eb30639eecd85a1936a7fddca94346b7742284cc8837dc8a248241b0cbd5619baf659db95dab829bdbdf9000c5e4e0062cd2f4c25d5cb62c2dbf2e748bfa37da545f4078ad3a669e34e932c0cbda0ca9395c54baf5a796d3a48742db75acbb3fff870bbf94fc4f61a8f31e053d3d4989cf93ee4fb804d5e97c6621df3df06b68b4fee33db2e35a09896d9b25eb2770febf924b4e3c5ee9761756f3b3b127fea360defce895a6b8d8f18e8b2ac7595acf845af34a53acf2bc56a09022cbd8c136b56e9be21ff34b616eae34bb8063ee3b04c9b9e5a1f6c1d6f0cf2a1e53f32e1c6f9ccfb1aa489126ed27580e83b18612694eee17e51ddb3c9ee7dc8545f94407855e8d64712dea53e5b16daf99ec7e0cd1d4a6cd6c3df5fd057f9b0a01ab9ef51bc59a869e852a9377c9a646024e7aec17281d24951c14d4f5f3c1834e96a9b2f0e94e94de24b4fee34c6fadef056c2fadf592a269267f462b6d85ecc630f65eef768df805395ab8b212ab1b33e7e80da8add08281706acb201bbb32ea517545dd8893a8cc05f920d46b8fb6ad3c253053c0e87fd7c5dd26382ab0ccfcdd0816f15159a286f536dcb96e2f0ab36a6fea504854ec212f5f22dc61dae7c17122d40a7ea6e9ef79271e1050e639e547c90c6194f26615656c117b630de8fbad5533b0effe43c71cae9393800fb7b4702c5f0689299b3dff46209d5138897a508302bca5ab9c9e0290dc3218de96890a20741d7e2c09169765251ea762d9f9dab6947a68edb2198abe4f946c6d4f0b8f77d78935c6cff26b5de8f5dc78accb4a350ec0f8c060d4ffcf0f4dff3494af9c530bc83aa1336a574feabb0ed2d4c2d8cff7e7a1035772ef051e9b62e12b184b11be27b805f4296bf20a319449c9aceb658c8bfc1b6859e04ce2a8be5e6f8fad91869b9f2f33a27d5702aa1bd15cd27917817dc09255ef71e3f0a081fc8f47075fec0c21ca8db1c8cb9bfbe58a3e1f4917694c5505afbdf151417e4d0723758e3bb187062eb96b7fb86369b2b0512da1bc5d1d6ae0c13dcfc880d94edb517a5d6165c0ed0e8e344063b891c259c5a1ebe6fe50fc9792c91b1359aadc7c015725bc7c7935e0805585184f50bfb73cde7e75dcd595dfd7fb31a8969adb327d5aaa1f032daa1d420f88d361419c461470aa89b337867b12502c3b671f11f693ec4a75148b5926fa2b1e425bc08e40df8ecbe308c67c8a5cfb965047f504adf1079fd28fb9e7c1d272ac823e6b830c8988ad70dd24d06cfa18b8b51d2ac0ca635894069dc425bb6b2d8bc1c3e7ffa54e382bfa81b4d35c99b61bd08cb2ff819b95c76712ee98499ee92f2753cffa6bd337e0f314b577c6682c193a728d6252eec0dbcc6c9fbef42e7013ec8c9006f397ffce6ad5b2ffc653192a77536520807b97d10b5f2c71f97e7e700ceb3e93912df821fc5713516477cbb6622c157ef6219b66192d2d1c476925b3cb8d1ba59ffddd0cc815b6733fad32ad30bd56c1f07f537c8a4066013b0d76ce20ad4d52f27c4f3b831940d5ceda61d1d5f5663484471df515620df02e989c025097d8bdd3da33cfba1b4f22e37469b57afc719fa496a57b08cbe15e4037a6d87edec67dcbddedcdd7ddd9c748eaab100da575aa7b4741e789a44c70bad0fd3e689b9226f855c253b5630af3edc1c17d7ec882902721c51200f1163e1354808f6200f82f46ecf26914e569efad65672414f2d2c8f2d03361565fbca256fec98cb76650bf904022a626aabc6d4e3d4a5f6b76a9b0f6f68f9e4172ffd57f73b3f83751fabb3a2781b5c4317dfeb7cb512743f36984204094ab56a46b5746b433616a6cf6f64ce0c547acdd465354c098ee4633593a0be05626c85c4fa9c0c0e943a2ad3f4081687736b0b89df82732c43fcd347387378cb1251dd1ded120d90dc4390cad60924a9d8b19b9d2c4faa65d1062980cfc6d7a08eb3e352c9e02505284778e72fcc6e0d06c4a18f40344e4d6535808316dcec8cf8bc69ac38f428d7e98c0a1ccbd28f07d5472eb0f9ef7631694a5fcbca263c407c189f103782d450fbea98479adbc436c5021073923012011956898abb417ffe0c81d8a8fda64afbbf124e7a15f99ab0dcb1a808b0f9d22070f83ec5880c5e94c8d560253f2370aa05e317536e634ce0798e468879b7ce20ea301e6bf5fa46432decf4de40870ac67219a8379ce907f3a9daa2d5fe959d87ecefa666877f53cb0882607ad68247bfcd2f043de665dc895477a74abe185e8db6daeb417acfd3b126c48f505534752fb5b3e2870d053aa64505e5a8e7473c51027d1129c40cf512a8abdde0847bceb9ac7d16e32ef03503edadac5dfc690addcbdc1aead8c6e62e8205186bb11d6c760e00560ec843ee4df9c9dcf964e715bdca2ac322b06e1ddac3e762dd122e5c07c07f5f9258454b293e1a001a1b477ef0454fc6ed9729cad7a7d4d948940a71f3c913fcb63f095d730b1a692df81cf2806cb77da46b6d3517d58c8da49d1011712a17c214a416ac1c6809a3e4bbe601e8440e51404fdc800e02133102b34f5cc75b4ab33866cfa8af2a2c0cd3b4749823581940b361b3d6e9f54ff8f460cc5cb826166de579dc97a5088e57cb83f903e8a7c8a1c48c07c56e8392bbc86c6016b71a3bf90cf03e15be4f68e923f37e478e6dfddd4bd96be20add79ad4670636fc859dba9642686804d938de015143ea8e99b76d76bda4227a232ceafb354ea39c2311a68f2e66578828e495c30bcb0a18b0ae506d851b3987d1f449dc62b4eec45acf818b787f12aec1065808e3a1d699d1801ce511fe2f06e79c84d572a0b2e57e854d23907a6d7de125a86cde167c28687e835082f40616a699273481fbe5a586aca63a56d784fd40b6870ff8aad488f0cea4b6ffecf09865317b46fe4624bb22586beb434c589b54958b765def9ea6c194219699926eedabb74fefab79b96abcd24c99a61022034bb130eed3d3ca6405aa1317332c59416b405ad4e8fbea9b9f4ec7cf582bfa894758c0079732406c57b1bb49b04e49acd60ad84b6d2277b44db2b973574e140325aabaa1d8223c403780da3054da6a55138bc7ecfbb7dba76926d58b3f2e08d7b0c9ae23a02d6b5cb192c4e851ddc8d868c5abaa4da54c76ab42439c8752a18fee20987a62fc579840ab296474dfe6a0a1dc776c9914afab905139f6cf51fb7646c79b102f99dd5afd8c6763453e43c17866285396c7e762e9e684da3cfd142b5e4888a5e2728c3cee518b3691817d6c1d22194c572d84773f5a8251834e9dc247864b2f1b036aa349948e34f5c776b3ecf264c954b3f671b00815dba77e1c8295a4436051c9d43bb40a22bb4422cb8565e7a46350a25965f71576fba86b80d30a2760382362b3c360b6e9ddfc7216220ba8dc94ba77fbd9bfd1613e2213547939b626f806dee7ac2aad2aa8ee7da0db083dd35486bad10fe799af447ee911c26068d38c5a4e292534c63782417f88a1d3bbda341146717f66bac0b771bdb80081773683d358d0d79ef1cc968eee743035937cc3675b117ba3456f26a55cf4b3d8356a961db44b9dddd60b5b313fe27ddf058a238d5e22f6b44714d98ea0a474161fa85b10762dac45ca8898e4afc94cd0f0eb18b798d6550594f95f3088fe4984bc9de44a65fe6dea5b188a32f86a3ad5030e6e0ee6cfe7b268c65a753f68f6501b08758fc69a9b9bbcaa1d252b0e11b91e116dd88db4cd7180904761e4155af9285b52fb454eee41408673015e08a5b8d8bcadb72ab09931f9d01518d208e44ffc7041024e888774980db34069c64cdb3503e858c8f5a10fa5ce3ddf8094a8c1435d86ae320f8a36958c708c7e2d90ba41169f79608f1693da360fb6f9ae689155cad0f72b3ec27787840ffce7878863851b214226110d9d12d27cdbe9233b67cde107985dd96b3f74cf878fad08a6bbece14f9c77ac15b1140fe97b821be0e251f604cd8fdd3dc873a46761bc92174925c8739addb49d1730f3e87c2fe16d7bef8507a60b72a580b7531680a605eb8f2d1f2c130b3951aed1ef97d6bd932e0aa452588ffc2c21a24af1d5a761b87089e1419d9e0f8a0a8d77eafadeebcd43d7e30837bef531a4201a072fb17265e21a6c016b6066f9a4c413f047521dc5af6507ce87b9d2e87aba17b75cca7839f5830d2bbf5e6bc649adadc796e687a5c1a90c28ca86b1a1cfb40fda2c767a6d0f1425243a63a26ff075b0bf1f0b0c552005f8c76e4873d7e8b37aee4d248486ea234fc9c2f384be615a7d2c55a1fd5f7a68692d9d45d9e5b416cb50f05ac6fdce098b86a71c7a56c17a77b12602209783384ca3e3c6643bf70dd2597f2d5c9a752ecd0777dae0e936551c700ed572af3633755b605d7ea457e460564dd4b866a8eb04b2c29540f4cbde90ae3858203d3e6cb19ad6dbf6ca425f85a7a46823ec44017a2c17cc999a9361c69cad3441617a7b220e8fca29f48df316d71f796872a854dd505e20e1802e7ae01dbf299e6f8d0336ce77f37bf39c33be998e9952e8671e077dc6d7fbaaa1393e797210203ac92c49e98e393013f94d1815473b34823be3f37e259b8a18b8dd63ed3f50ac45ed3ae85bb8134d80ea8891d7195f04a503e89d2393985b66c7e117d780e48effed9ed04b52b55d42e6a9635d6429fff7dafc299acd3ad166a6d9d78f15ac1a6e4e68360924256973999ab6027580bae91f224d4f6e990009729bcfd80a0b24303a3e447ba56278989fa8b2dfe26eadb7bffe4a9fb6bdd30000000000000000000000000000000000000000000000080d1319222a2f34';
+
+describe('mlDsaKeypair', () => {
+  it('should generate the expected pk and sk', () => {
+    const pk = new Uint8Array(MLDSA87CryptoPublicKeyBytes);
+    const sk = new Uint8Array(MLDSA87CryptoSecretKeyBytes);
+
+    mlDsaKeypair(getUInt8ArrayFromHex(SEED), pk, sk);
+    expect(getHexFromUInt8Array(pk)).to.equal(PK);
+    expect(getHexFromUInt8Array(sk)).to.equal(SK);
+  });
+
+  it('should derive keys different from round-3 Dilithium5 for the same seed', () => {
+    const pk = new Uint8Array(CryptoPublicKeyBytes);
+    const sk = new Uint8Array(CryptoSecretKeyBytes);
+
+    cryptoSignKeypair(getUInt8ArrayFromHex(SEED), pk, sk);
+    expect(getHexFromUInt8Array(pk)).to.not.equal(PK);
+  });
+
+  it('should throw an error if the pk or sk had an invalid length', () => {
+    expect(() => {
+      mlDsaKeypair(getUInt8ArrayFromHex(SEED), new Uint8Array(MLDSA87CryptoPublicKeyBytes), new Uint8Array(12));
+    }).to.throw('invalid sk length 12');
+    expect(() => {
+      mlDsaKeypair(getUInt8ArrayFromHex(SEED), null, new Uint8Array(MLDSA87CryptoSecretKeyBytes));
+    }).to.throw('pk/sk cannot be null');
+  });
+});
+
+describe('mlDsaSignature', () => {
+  it('should produce the expected deterministic signature', () => {
+    const sig = new Uint8Array(MLDSA87CryptoBytes);
+    mlDsaSignature(sig, getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(SK), false, getUInt8ArrayFromHex(CTX));
+    expect(getHexFromUInt8Array(sig)).to.equal(SIGNATURE);
+  });
+
+  it('should produce a different verifiable signature when hedged', () => {
+    const sig = new Uint8Array(MLDSA87CryptoBytes);
+    mlDsaSignature(sig, getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(SK), true, getUInt8ArrayFromHex(CTX));
+    expect(getHexFromUInt8Array(sig)).to.not.equal(SIGNATURE);
+    expect(
+      mlDsaVerify(sig, getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(PK), getUInt8ArrayFromHex(CTX))
+    ).to.equal(true);
+  });
+
+  it('should throw on invalid sk length', () => {
+    expect(() => {
+      mlDsaSignature(new Uint8Array(MLDSA87CryptoBytes), getUInt8ArrayFromHex(MESSAGE), new Uint8Array(1), false);
+    }).to.throw('invalid sk length');
+  });
+
+  it('should throw on a context longer than 255 bytes', () => {
+    expect(() => {
+      mlDsaSignature(
+        new Uint8Array(MLDSA87CryptoBytes),
+        getUInt8ArrayFromHex(MESSAGE),
+        getUInt8ArrayFromHex(SK),
+        false,
+        new Uint8Array(256)
+      );
+    }).to.throw('invalid ctx length 256');
+  });
+});
+
+describe('mlDsaVerify', () => {
+  it('should verify signatures from another FIPS 204 implementation', () => {
+    const pk = getUInt8ArrayFromHex(PK);
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const ctx = getUInt8ArrayFromHex(CTX);
+
+    expect(mlDsaVerify(getUInt8ArrayFromHex(SIGNATURE), msg, pk, ctx)).to.equal(true);
+    expect(mlDsaVerify(getUInt8ArrayFromHex(HEDGED_SIGNATURE), msg, pk, ctx)).to.equal(true);
+  });
+
+  it('should reject a signature under a different context', () => {
+    const sig = getUInt8ArrayFromHex(SIGNATURE);
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const pk = getUInt8ArrayFromHex(PK);
+
+    expect(mlDsaVerify(sig, msg, pk)).to.equal(false);
+    expect(mlDsaVerify(sig, msg, pk, new Uint8Array(256))).to.equal(false);
+  });
+
+  it('should reject a round-3 sized signature', () => {
+    expect(mlDsaVerify(new Uint8Array(CryptoBytes), getUInt8ArrayFromHex(MESSAGE), getUInt8ArrayFromHex(PK))).to.equal(
+      false
+    );
+  });
+});
+
+describe('mlDsaSign and mlDsaOpen', () => {
+  it('should round trip the signed message', () => {
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const ctx = getUInt8ArrayFromHex(CTX);
+    const sm = mlDsaSign(msg, getUInt8ArrayFromHex(SK), false, ctx);
+
+    expect(getHexFromUInt8Array(sm)).to.equal(SIGNATURE + MESSAGE);
+    expect(getHexFromUInt8Array(mlDsaOpen(sm, getUInt8ArrayFromHex(PK), ctx))).to.equal(MESSAGE);
+    expect(mlDsaOpen(sm, getUInt8ArrayFromHex(PK))).to.equal(undefined);
+  });
+});
@@ -0,0 +1,81 @@
+import { WORD_LIST } from '@theqrl/xmss';
+import { expect } from 'chai';
+import { CryptoPublicKeyBytes, CryptoSecretKeyBytes, DILITHIUM5, ML_DSA_44, ML_DSA_87 } from '../src/const.js';
+import { Dilithium } from '../src/dilithium.js';
+import { InvalidEncodingError, InvalidLengthError, KeyDestroyedError } from '../src/errors.js';
+import { MnemonicWords, mnemonicToSeed, seedToMnemonic } from '../src/mnemonic.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+
+const SEED = Uint8Array.from({ length: 32 }, (_, i) => i);
+
+describe('seedToMnemonic and mnemonicToSeed', () => {
+  it('should round-trip a seed into cryptoSignKeypair', () => {
+    const pk = new Uint8Array(CryptoPublicKeyBytes);
+    const sk = new Uint8Array(CryptoSecretKeyBytes);
+    const seed = cryptoSignKeypair(null, pk, sk);
+
+    const mnemonic = seedToMnemonic(seed);
+    const words = mnemonic.split(' ');
+    expect(words).to.have.length(MnemonicWords);
+    expect(words.every((word) => WORD_LIST.includes(word))).to.equal(true);
+
+    const restored = mnemonicToSeed(mnemonic);
+    expect(restored.params).to.equal(DILITHIUM5);
+    expect(restored.seed).to.deep.equal(seed);
+    const pk2 = new Uint8Array(CryptoPublicKeyBytes);
+    const sk2 = new Uint8Array(CryptoSecretKeyBytes);
+    cryptoSignKeypair(restored.seed, pk2, sk2, restored.params);
+    expect(pk2).to.deep.equal(pk);
+    expect(sk2).to.deep.equal(sk);
+  });
+
+  it('should prefix the descriptor of the parameter set', () => {
+    // 0x20 0x00 0x01 gives the 12-bit word indices 0x200 and 0x001
+    expect(seedToMnemonic(SEED).split(' ').slice(0, 2)).to.deep.equal([WORD_LIST[0x200], WORD_LIST[0x001]]);
+    expect(seedToMnemonic(SEED, ML_DSA_87).split(' ')[0]).to.equal(WORD_LIST[0x230]);
+    [DILITHIUM5, ML_DSA_44, ML_DSA_87].forEach((params) => {
+      expect(mnemonicToSeed(seedToMnemonic(SEED, params))).to.deep.equal({ params, seed: SEED });
+    });
+  });
+
+  it('should throw for malformed mnemonics', () => {
+    const words = seedToMnemonic(SEED).split(' ');
+    expect(() => mnemonicToSeed(words.slice(1).join(' '))).to.throw(
+      InvalidLengthError,
+      `invalid mnemonic length ${MnemonicWords - 1} | Expected length ${MnemonicWords}`
+    );
+    expect(() => mnemonicToSeed(['notaword', ...words.slice(1)].join(' '))).to.throw(
+      InvalidEncodingError,
+      'invalid mnemonic | Invalid word in mnemonic'
+    );
+    // 0x10 is the signature type of an XMSS descriptor
+    expect(() => mnemonicToSeed([WORD_LIST[0x100], ...words.slice(1)].join(' '))).to.throw(
+      InvalidEncodingError,
+      'invalid mnemonic descriptor 0x10'
+    );
+    expect(() => seedToMnemonic(SEED.subarray(1))).to.throw(InvalidLengthError, 'invalid seed length 31');
+  });
+});
+
+describe('Dilithium mnemonics', () => {
+  it('should restore a key from its mnemonic', () => {
+    const dilithium = Dilithium.fromSeed(SEED);
+    const restored = Dilithium.fromMnemonic(dilithium.getMnemonic());
+    expect(restored.getPK()).to.deep.equal(dilithium.getPK());
+    expect(restored.getSeed()).to.deep.equal(SEED);
+    expect(Dilithium.fromSecretKey(dilithium.getSK()).getMnemonic()).to.equal(null);
+  });
+
+  it('should only accept Dilithium5 mnemonics', () => {
+    expect(() => Dilithium.fromMnemonic(seedToMnemonic(SEED, ML_DSA_87))).to.throw(
+      InvalidEncodingError,
+      'invalid mnemonic for ML-DSA-87 | Expected a Dilithium5 mnemonic'
+    );
+  });
+
+  it('should throw KeyDestroyedError after destroy', () => {
+    const dilithium = Dilithium.fromSeed(SEED);
+    dilithium.destroy();
+    expect(() => dilithium.getMnemonic()).to.throw(KeyDestroyedError);
+  });
+});
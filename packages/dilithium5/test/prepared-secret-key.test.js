@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import {
+  CryptoBytes,
+  CryptoPublicKeyBytes,
+  CryptoSecretKeyBytes,
+  CRHBytes,
+  ML_DSA_44,
+  ML_DSA_65,
+} from '../src/const.js';
+import { InvalidLengthError, UnsupportedAlgorithmError } from '../src/errors.js';
+import { mlDsaSignature, mlDsaVerify } from '../src/mldsa.js';
+import {
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignSignatureMu,
+  publicKeyFromSecretKey,
+  PreparedSecretKey,
+} from '../src/sign.js';
+import { newDeterministicEntropySource } from './utility/testUtility.js';
+
+const MESSAGES = [new Uint8Array([1]), new Uint8Array(1000).fill(7), new Uint8Array(0), new Uint8Array([4, 5])];
+
+function keypair(params) {
+  const pk = new Uint8Array(params ? params.cryptoPublicKeyBytes : CryptoPublicKeyBytes);
+  const sk = new Uint8Array(params ? params.cryptoSecretKeyBytes : CryptoSecretKeyBytes);
+  cryptoSignKeypair(new Uint8Array(32).fill(9), pk, sk, params);
+  return { pk, sk };
+}
+
+function time(f, n) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < n; i++) f();
+  return Number(process.hrtime.bigint() - start);
+}
+
+describe('PreparedSecretKey', () => {
+  it('should sign repeatedly exactly like cryptoSignSignature', () => {
+    const { sk } = keypair();
+    const prepared = new PreparedSecretKey(sk);
+    MESSAGES.forEach((m) => {
+      const expected = new Uint8Array(CryptoBytes);
+      cryptoSignSignature(expected, m, sk, false);
+      expect(prepared.sign(m, false)).to.deep.equal(expected);
+    });
+  });
+
+  it('should sign exactly like mlDsaSignature with randomized signing and ML-DSA parameter sets', () => {
+    const { pk, sk } = keypair(ML_DSA_65);
+    const prepared = new PreparedSecretKey(sk, ML_DSA_65);
+    const entropySeed = new Uint8Array(32).fill(1);
+    const ctx = new Uint8Array([1, 2, 3]);
+    MESSAGES.forEach((m) => {
+      const expected = new Uint8Array(ML_DSA_65.cryptoBytes);
+      mlDsaSignature(expected, m, sk, true, undefined, ML_DSA_65, newDeterministicEntropySource(entropySeed));
+      const sig = prepared.sign(m, true, undefined, newDeterministicEntropySource(entropySeed));
+      expect(sig).to.deep.equal(expected);
+      expect(mlDsaVerify(sig, m, pk, undefined, ML_DSA_65)).to.equal(true);
+
+      mlDsaSignature(expected, m, sk, false, ctx, ML_DSA_65);
+      expect(prepared.sign(m, false, ctx)).to.deep.equal(expected);
+    });
+  });
+
+  it('should check the ctx', () => {
+    const { sk } = keypair(ML_DSA_44);
+    expect(() => new PreparedSecretKey(sk, ML_DSA_44).sign(MESSAGES[0], false, new Uint8Array(256))).to.throw(
+      InvalidLengthError,
+      'invalid ctx length 256'
+    );
+    expect(() => new PreparedSecretKey(keypair().sk).sign(MESSAGES[0], false, new Uint8Array(1))).to.throw(
+      UnsupportedAlgorithmError,
+      'invalid ctx for Dilithium5'
+    );
+  });
+
+  it('should derive the same pk as publicKeyFromSecretKey', () => {
+    [undefined, ML_DSA_44, ML_DSA_65].forEach((params) => {
+      const { pk, sk } = keypair(params);
+      expect(new PreparedSecretKey(sk, params).pk).to.deep.equal(pk);
+      expect(publicKeyFromSecretKey(sk, params)).to.deep.equal(pk);
+    });
+  });
+
+  it('should sign mu exactly like cryptoSignSignatureMu', () => {
+    const { sk } = keypair();
+    const mu = new Uint8Array(CRHBytes).fill(3);
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignatureMu(expected, mu, sk, false);
+
+    expect(new PreparedSecretKey(sk).signMu(mu, false)).to.deep.equal(expected);
+    expect(() => new PreparedSecretKey(sk).signMu(mu.subarray(1), false)).to.throw('invalid mu length 63');
+  });
+
+  it('should throw an error for an sk of the wrong length', () => {
+    expect(() => new PreparedSecretKey(new Uint8Array(10))).to.throw(
+      `invalid sk length 10 | Expected length ${CryptoSecretKeyBytes}`
+    );
+  });
+
+  it('should sign faster than cryptoSignSignature', () => {
+    const { sk } = keypair();
+    const prepared = new PreparedSecretKey(sk);
+    const sig = new Uint8Array(CryptoBytes);
+    time(() => cryptoSignSignature(sig, MESSAGES[0], sk, false), 3);
+    time(() => prepared.sign(MESSAGES[0], false), 3);
+
+    const before = time(() => cryptoSignSignature(sig, MESSAGES[0], sk, false), 10);
+    const after = time(() => prepared.sign(MESSAGES[0], false), 10);
+    expect(after).to.be.below(before);
+  });
+});
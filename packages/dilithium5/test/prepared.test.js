@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, ML_DSA_44, ML_DSA_65 } from '../src/const.js';
+import { mlDsaSignature } from '../src/mldsa.js';
+import {
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignVerify,
+  PreparedPublicKey,
+  verifyMany,
+} from '../src/sign.js';
+import { shake256Hash } from '../src/symmetric-shake.js';
+
+function keypair(fill, params) {
+  const pk = new Uint8Array(params ? params.cryptoPublicKeyBytes : CryptoPublicKeyBytes);
+  const sk = new Uint8Array(params ? params.cryptoSecretKeyBytes : CryptoSecretKeyBytes);
+  cryptoSignKeypair(new Uint8Array(32).fill(fill), pk, sk, params);
+  return { pk, sk };
+}
+
+function sign(message, sk, params, ctx) {
+  const sig = new Uint8Array(params ? params.cryptoBytes : CryptoBytes);
+  if (params && params.fips204) {
+    mlDsaSignature(sig, message, sk, false, ctx, params);
+  } else {
+    cryptoSignSignature(sig, message, sk, false, params);
+  }
+  return sig;
+}
+
+function time(f, n) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < n; i++) f();
+  return Number(process.hrtime.bigint() - start);
+}
+
+const KEY1 = keypair(1);
+const KEY2 = keypair(2);
+const MESSAGES = [new Uint8Array([1]), new Uint8Array([2, 3]), new Uint8Array(0)];
+
+describe('PreparedPublicKey', () => {
+  it('should verify like cryptoSignVerify', () => {
+    const prepared = new PreparedPublicKey(KEY1.pk);
+    MESSAGES.forEach((m) => {
+      const sig = sign(m, KEY1.sk);
+      expect(prepared.verify(sig, m)).to.equal(true);
+      expect(prepared.verify(sig, new Uint8Array([9]))).to.equal(false);
+      expect(prepared.verify(sign(m, KEY2.sk), m)).to.equal(false);
+      expect(prepared.verify(sig.subarray(1), m)).to.equal(false);
+    });
+  });
+
+  it('should verify mu', () => {
+    const prepared = new PreparedPublicKey(KEY1.pk);
+    const sig = sign(MESSAGES[0], KEY1.sk);
+    const mu = shake256Hash(64, shake256Hash(32, KEY1.pk), MESSAGES[0]);
+
+    expect(prepared.verifyMu(sig, mu)).to.equal(true);
+    expect(prepared.verifyMu(sig, mu.subarray(1))).to.equal(false);
+  });
+
+  it('should verify ML-DSA signatures like mlDsaVerify', () => {
+    const { pk, sk } = keypair(3, ML_DSA_44);
+    const prepared = new PreparedPublicKey(pk, ML_DSA_44);
+    const ctx = new Uint8Array([7, 7]);
+
+    expect(prepared.verify(sign(MESSAGES[1], sk, ML_DSA_44), MESSAGES[1])).to.equal(true);
+    expect(prepared.verify(sign(MESSAGES[1], sk, ML_DSA_44, ctx), MESSAGES[1], ctx)).to.equal(true);
+    expect(prepared.verify(sign(MESSAGES[1], sk, ML_DSA_44, ctx), MESSAGES[1])).to.equal(false);
+    expect(prepared.verify(sign(MESSAGES[1], sk, ML_DSA_44), MESSAGES[1], new Uint8Array(256))).to.equal(false);
+  });
+
+  it('should reject a ctx for Dilithium5 keys', () => {
+    expect(() =>
+      new PreparedPublicKey(KEY1.pk).verify(sign(MESSAGES[0], KEY1.sk), MESSAGES[0], new Uint8Array(1))
+    ).to.throw('invalid ctx for Dilithium5');
+  });
+
+  it('should copy the pk and keep working when the caller reuses it', () => {
+    const pk = KEY1.pk.slice();
+    const prepared = new PreparedPublicKey(pk);
+    pk.fill(0);
+
+    expect(prepared.verify(sign(MESSAGES[0], KEY1.sk), MESSAGES[0])).to.equal(true);
+  });
+
+  it('should throw an error for a pk of the wrong length', () => {
+    expect(() => new PreparedPublicKey(new Uint8Array(10))).to.throw(
+      `invalid pk length 10 | Expected length ${CryptoPublicKeyBytes}`
+    );
+  });
+
+  it('should verify faster than cryptoSignVerify', () => {
+    const prepared = new PreparedPublicKey(KEY1.pk);
+    const sig = sign(MESSAGES[0], KEY1.sk);
+    time(() => cryptoSignVerify(sig, MESSAGES[0], KEY1.pk), 3);
+    time(() => prepared.verify(sig, MESSAGES[0]), 3);
+
+    const before = time(() => cryptoSignVerify(sig, MESSAGES[0], KEY1.pk), 10);
+    const after = time(() => prepared.verify(sig, MESSAGES[0]), 10);
+    expect(after).to.be.below(before);
+  });
+});
+
+describe('verifyMany', () => {
+  it('should verify a batch signed by several keys', () => {
+    const prepared = new PreparedPublicKey(KEY2.pk);
+    const items = [
+      { sig: sign(MESSAGES[0], KEY1.sk), m: MESSAGES[0], pk: KEY1.pk },
+      { sig: sign(MESSAGES[1], KEY2.sk), m: MESSAGES[1], pk: KEY2.pk },
+      { sig: sign(MESSAGES[2], KEY1.sk), m: MESSAGES[2], pk: KEY1.pk },
+      { sig: sign(MESSAGES[0], KEY1.sk), m: MESSAGES[1], pk: KEY1.pk },
+      { sig: sign(MESSAGES[2], KEY2.sk), m: MESSAGES[2], pk: prepared },
+      { sig: sign(MESSAGES[2], KEY2.sk), m: MESSAGES[2], pk: KEY2.pk.subarray(1) },
+    ];
+
+    expect(verifyMany(items)).to.deep.equal([true, true, true, false, true, false]);
+    expect(verifyMany([])).to.deep.equal([]);
+  });
+
+  it('should verify ML-DSA signatures with and without a ctx', () => {
+    const key = keypair(4, ML_DSA_65);
+    const ctx = new Uint8Array([1]);
+    const items = [
+      { sig: sign(MESSAGES[0], key.sk, ML_DSA_65), m: MESSAGES[0], pk: key.pk },
+      { sig: sign(MESSAGES[1], key.sk, ML_DSA_65, ctx), m: MESSAGES[1], pk: key.pk, ctx },
+      { sig: sign(MESSAGES[1], key.sk, ML_DSA_65, ctx), m: MESSAGES[1], pk: key.pk },
+      { sig: sign(MESSAGES[2], key.sk, ML_DSA_65), m: MESSAGES[2], pk: new PreparedPublicKey(key.pk, ML_DSA_65) },
+    ];
+
+    expect(verifyMany(items, ML_DSA_65)).to.deep.equal([true, true, false, true]);
+  });
+});
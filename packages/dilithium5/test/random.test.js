@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { CryptoPublicKeyBytes, CryptoSecretKeyBytes, ML_DSA_87 } from '../src/const.js';
+import { mlDsaKeypair, mlDsaSignature } from '../src/mldsa.js';
+import { defaultEntropySource, getEntropySource, randomBytes, setEntropySource } from '../src/random.js';
+import { cryptoSignKeypair } from '../src/sign.js';
+import { getHexFromUInt8Array, newDeterministicEntropySource } from './utility/testUtility.js';
+
+const SEED = new Uint8Array(32).fill(7);
+const MESSAGE = new Uint8Array([0, 1, 2, 4, 6, 9, 1]);
+
+function keypair(entropySource) {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  if (entropySource) {
+    cryptoSignKeypair(null, pk, sk, undefined, entropySource);
+  } else {
+    cryptoSignKeypair(null, pk, sk);
+  }
+  return { pk, sk };
+}
+
+describe('random', () => {
+  afterEach(() => {
+    setEntropySource(null);
+  });
+
+  it('should default to globalThis.crypto.getRandomValues', () => {
+    expect(getEntropySource()).to.equal(defaultEntropySource);
+    expect(randomBytes(70000).length).to.equal(70000);
+    expect(keypair().pk).to.not.deep.equal(keypair().pk);
+  });
+
+  it('should use a global entropy source for key generation', () => {
+    setEntropySource(newDeterministicEntropySource(SEED));
+    const first = keypair();
+    setEntropySource(newDeterministicEntropySource(SEED));
+    const second = keypair();
+
+    expect(getHexFromUInt8Array(first.pk)).to.equal(getHexFromUInt8Array(second.pk));
+    expect(getHexFromUInt8Array(first.sk)).to.equal(getHexFromUInt8Array(second.sk));
+  });
+
+  it('should share the global entropy source through globalThis', () => {
+    const source = newDeterministicEntropySource(SEED);
+    setEntropySource(source);
+
+    expect(globalThis[Symbol.for('@theqrl/entropy-source')]).to.equal(source);
+    expect(getEntropySource()).to.equal(source);
+  });
+
+  it('should prefer a per-call entropy source over the global one', () => {
+    setEntropySource(() => {
+      throw new Error('global source used');
+    });
+    const first = keypair(newDeterministicEntropySource(SEED));
+    const second = keypair(newDeterministicEntropySource(SEED));
+
+    expect(getHexFromUInt8Array(first.pk)).to.equal(getHexFromUInt8Array(second.pk));
+  });
+
+  it('should use the entropy source for randomized signing', () => {
+    const pk = new Uint8Array(ML_DSA_87.cryptoPublicKeyBytes);
+    const sk = new Uint8Array(ML_DSA_87.cryptoSecretKeyBytes);
+    mlDsaKeypair(SEED, pk, sk);
+
+    const sign = (randomized, entropySource) => {
+      const sig = new Uint8Array(ML_DSA_87.cryptoBytes);
+      mlDsaSignature(sig, MESSAGE, sk, randomized, undefined, ML_DSA_87, entropySource);
+      return getHexFromUInt8Array(sig);
+    };
+
+    const hedged = sign(true, newDeterministicEntropySource(SEED));
+    expect(sign(true, newDeterministicEntropySource(SEED))).to.equal(hedged);
+    expect(sign(false, newDeterministicEntropySource(SEED))).to.not.equal(hedged);
+  });
+
+  it('should surface entropy failures as errors', () => {
+    expect(() => {
+      keypair(() => {
+        throw new Error('HSM offline');
+      });
+    }).to.throw('entropy source failed: HSM offline');
+    expect(() => {
+      keypair(() => new Uint8Array(16));
+    }).to.throw('entropy source returned 16 bytes');
+    expect(() => {
+      keypair(() => undefined);
+    }).to.throw('entropy source returned undefined bytes');
+  });
+
+  it('should reject an entropy source that is not a function', () => {
+    expect(() => {
+      setEntropySource(new Uint8Array(32));
+    }).to.throw('invalid entropy source object');
+  });
+});
@@ -0,0 +1,36 @@
+import { expect } from 'chai';
+import { Q, QInv } from '../src/const.js';
+import { montgomeryMul, montgomeryReduce } from '../src/reduce.js';
+
+// Reference Montgomery reduction of a * b over 64-bit BigInts
+function montgomeryMulBigInt(a, b) {
+  const p = BigInt(a) * BigInt(b);
+  const t = BigInt.asIntN(32, BigInt.asIntN(32, p) * BigInt(QInv));
+  return Number(BigInt.asIntN(32, (p - t * BigInt(Q)) >> 32n));
+}
+
+describe('reduce', () => {
+  it('montgomeryMul matches the 64-bit reference', () => {
+    const values = [0, 1, -1, 2, Q - 1, -Q + 1, Q, -Q, 41978, 8 * Q, -8 * Q, 0x7fffffff, -0x80000000, 0xffff, -0x10000];
+    let x = 0x12345678;
+    for (let i = 0; i < 80; i++) {
+      x = Math.imul(x, 1103515245) + 12345;
+      values.push(x | 0, (x >> 5) % (9 * Q));
+    }
+    values.forEach((a) => {
+      values.forEach((b) => {
+        expect(montgomeryMul(a, b)).to.equal(montgomeryMulBigInt(a, b));
+      });
+    });
+  });
+
+  it('montgomeryReduce still reduces a BigInt product', () => {
+    [
+      [41978, Q - 1],
+      [-8 * Q, 0x7fffffff],
+      [12345, -67890],
+    ].forEach(([a, b]) => {
+      expect(Number(montgomeryReduce(BigInt(a) * BigInt(b)))).to.equal(montgomeryMul(a, b));
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { expect } from 'chai';
-import { makeHint } from '../src/rounding.js';
+import { Q } from '../src/const.js';
+import { decompose, makeHint, useHint } from '../src/rounding.js';
 
 describe('rounding', () => {
   it('makeHint', () => {
@@ -8,4 +9,38 @@ describe('rounding', () => {
     expect(makeHint(-261888, 1)).to.equal(1);
     expect(makeHint(-261888, 0)).to.equal(0);
   });
+
+  it('makeHint should match the reference comparisons around both bounds', () => {
+    [(Q - 1) / 32, (Q - 1) / 88].forEach((gamma2) => {
+      [-gamma2 - 2, -gamma2 - 1, -gamma2, -gamma2 + 1, -1, 0, 1, gamma2 - 1, gamma2, gamma2 + 1, 2 * gamma2].forEach(
+        (a0) => {
+          [0, 1, 15, 43].forEach((a1) => {
+            const expected = a0 > gamma2 || a0 < -gamma2 || (a0 === -gamma2 && a1 !== 0) ? 1 : 0;
+            expect(makeHint(a0, a1, gamma2)).to.equal(expected);
+          });
+        }
+      );
+    });
+  });
+
+  it('decompose with gamma2 = (Q-1)/88', () => {
+    const gamma2 = (Q - 1) / 88;
+    const a0 = new Int32Array(1);
+    for (let a = 0; a < Q; a += 4093) {
+      const a1 = decompose(a0, 0, a, gamma2);
+      expect(a1).to.be.within(0, 43);
+      expect(a0[0]).to.be.within(-gamma2, gamma2);
+      expect((((a1 * 2 * gamma2 + a0[0]) % Q) + Q) % Q).to.equal(a);
+    }
+    expect(decompose(a0, 0, Q - 1, gamma2)).to.equal(0);
+    expect(a0[0]).to.equal(-1);
+  });
+
+  it('useHint with gamma2 = (Q-1)/88 wraps around 43', () => {
+    const gamma2 = (Q - 1) / 88;
+    expect(useHint(43 * 2 * gamma2 + 1, 1, gamma2)).to.equal(0);
+    expect(useHint(1, 0, gamma2)).to.equal(0);
+    expect(useHint(gamma2 - 1, 1, gamma2)).to.equal(1);
+    expect(useHint(Q - 2, 1, gamma2)).to.equal(43);
+  });
 });
@@ -1,6 +1,19 @@
 import { expect } from 'chai';
-import { CryptoPublicKeyBytes, CryptoSecretKeyBytes, CryptoBytes } from '../src/const.js';
-import { cryptoSign, cryptoSignKeypair, cryptoSignOpen, cryptoSignVerify, cryptoSignSignature } from '../src/sign.js';
+import { CryptoPublicKeyBytes, CryptoSecretKeyBytes, CryptoBytes, DILITHIUM5, ML_DSA_44 } from '../src/const.js';
+import { Dilithium } from '../src/dilithium.js';
+import { FaultDetectedError } from '../src/errors.js';
+import * as jws from '../src/jws.js';
+import { mlDsaKeypair, mlDsaSignature, signMu } from '../src/mldsa.js';
+import {
+  PreparedSecretKey,
+  createSigner,
+  cryptoSign,
+  cryptoSignKeypair,
+  cryptoSignOpen,
+  cryptoSignVerify,
+  cryptoSignSignature,
+} from '../src/sign.js';
+import { getHexFromUInt8Array, getUInt8ArrayFromHex } from './utility/testUtility.js';
 
 const HASHEDSEED = '8078f74eb51029b5b96cfbe2bd0ab8433252bf4c6c8fbad92789add5e3cca216';
 const PK =
@@ -16,9 +29,9 @@ describe('cryptoSignKeypair', () => {
     const pk = new Uint8Array(CryptoPublicKeyBytes);
     const sk = new Uint8Array(CryptoSecretKeyBytes);
 
-    cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pk, sk);
-    expect(Buffer.from(pk, 'binary').toString('hex')).to.equal(PK);
-    expect(Buffer.from(sk, 'binary').toString('hex')).to.equal(SK);
+    cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pk, sk);
+    expect(getHexFromUInt8Array(pk)).to.equal(PK);
+    expect(getHexFromUInt8Array(sk)).to.equal(SK);
   });
 });
 
@@ -34,30 +47,30 @@ describe('cryptoSignKeypair with null seed generates pk/sk', () => {
 
 describe('cryptoSign', () => {
   it('should return the expected signature message', () => {
-    const msg = Buffer.from(MESSAGE, 'hex');
-    const sk = Buffer.from(SK, 'hex');
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const sk = getUInt8ArrayFromHex(SK);
 
     const sigMessage = cryptoSign(msg, sk, false);
 
-    expect(Buffer.from(sigMessage, 'binary').toString('hex')).to.equal(SIGNATURE + MESSAGE);
+    expect(getHexFromUInt8Array(sigMessage)).to.equal(SIGNATURE + MESSAGE);
   });
 });
 
 describe('cryptoSignOpen', () => {
   it('should return the expected message', () => {
-    const sigMessage = Buffer.from(SIGNATURE + MESSAGE, 'hex');
-    const pk = Buffer.from(PK, 'hex');
+    const sigMessage = getUInt8ArrayFromHex(SIGNATURE + MESSAGE);
+    const pk = getUInt8ArrayFromHex(PK);
 
     const openedMessage = cryptoSignOpen(sigMessage, pk);
-    expect(Buffer.from(openedMessage, 'binary').toString('hex')).to.equal(MESSAGE);
+    expect(getHexFromUInt8Array(openedMessage)).to.equal(MESSAGE);
   });
 });
 
 describe('cryptoSignVerify', () => {
   it('should return true', () => {
-    const sig = Buffer.from(SIGNATURE, 'hex');
-    const msg = Buffer.from(MESSAGE, 'hex');
-    const pk = Buffer.from(PK, 'hex');
+    const sig = getUInt8ArrayFromHex(SIGNATURE);
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const pk = getUInt8ArrayFromHex(PK);
 
     expect(cryptoSignVerify(sig, msg, pk)).to.equal(true);
   });
@@ -65,14 +78,93 @@ describe('cryptoSignVerify', () => {
 
 describe('cryptoSignSignature', () => {
   it('should throw on invalid sk length', () => {
-    const sk = Buffer.from('00', 'hex');
-    const msg = Buffer.from(MESSAGE, 'hex');
-    const sig = Buffer.alloc(CryptoBytes);
+    const sk = getUInt8ArrayFromHex('00');
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const sig = new Uint8Array(CryptoBytes);
 
     expect(() => {
       cryptoSignSignature(sig, msg, sk, false);
     }).to.throw('invalid sk length');
   });
+
+  it('should give the same signature with verifyAfterSign', () => {
+    const sk = getUInt8ArrayFromHex(SK);
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const sig = new Uint8Array(CryptoBytes);
+
+    cryptoSignSignature(sig, msg, sk, false, DILITHIUM5, undefined, true);
+    expect(getHexFromUInt8Array(sig)).to.equal(SIGNATURE);
+  });
+
+  it('should throw FaultDetectedError and wipe the signature when it does not verify', () => {
+    const sk = getUInt8ArrayFromHex(SK);
+    // A flipped bit in tr stands in for a fault: signing hashes the message with the wrong H(pk)
+    sk[64] ^= 1;
+    const msg = getUInt8ArrayFromHex(MESSAGE);
+    const sig = new Uint8Array(CryptoBytes);
+
+    expect(() => cryptoSignSignature(sig, msg, sk, false, DILITHIUM5, undefined, true)).to.throw(
+      FaultDetectedError,
+      'signature failed verification after signing'
+    );
+    expect(sig.every((b) => b === 0)).to.equal(true);
+    expect(cryptoSignSignature(sig, msg, sk, false)).to.equal(0);
+  });
+});
+
+describe('verifyAfterSign entry points', () => {
+  const msg = getUInt8ArrayFromHex(MESSAGE);
+
+  // A flipped bit in tr, as in the cryptoSignSignature test above
+  function faultySk() {
+    const sk = getUInt8ArrayFromHex(SK);
+    sk[64] ^= 1;
+    return sk;
+  }
+
+  it('should give the same signatures with verifyAfterSign', () => {
+    const sk = getUInt8ArrayFromHex(SK);
+    const prepared = new PreparedSecretKey(sk);
+
+    expect(getHexFromUInt8Array(Dilithium.fromSecretKey(sk).sign(msg, true))).to.equal(SIGNATURE);
+    expect(getHexFromUInt8Array(prepared.sign(msg, false, undefined, undefined, true))).to.equal(SIGNATURE);
+    expect(getHexFromUInt8Array(createSigner(sk, false, DILITHIUM5, undefined, true).update(msg).sign())).to.equal(
+      SIGNATURE
+    );
+    expect(
+      getHexFromUInt8Array(cryptoSign(msg, sk, false, DILITHIUM5, undefined, true).subarray(0, CryptoBytes))
+    ).to.equal(SIGNATURE);
+  });
+
+  it('should throw FaultDetectedError from every message signing entry point', () => {
+    const sk = faultySk();
+    const fault = [FaultDetectedError, 'signature failed verification after signing'];
+
+    expect(() => Dilithium.fromSecretKey(sk).sign(msg, true)).to.throw(...fault);
+    expect(() => new PreparedSecretKey(sk).sign(msg, false, undefined, undefined, true)).to.throw(...fault);
+    expect(() => cryptoSign(msg, sk, false, DILITHIUM5, undefined, true)).to.throw(...fault);
+    expect(Dilithium.fromSecretKey(sk).sign(msg)).to.have.length(CryptoBytes);
+
+    const pk44 = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk44 = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(new Uint8Array(32).fill(1), pk44, sk44, ML_DSA_44);
+    sk44[64] ^= 1;
+    const sig44 = new Uint8Array(ML_DSA_44.cryptoBytes);
+    expect(() => mlDsaSignature(sig44, msg, sk44, false, undefined, ML_DSA_44, undefined, true)).to.throw(...fault);
+    expect(sig44.every((b) => b === 0)).to.equal(true);
+    expect(() => jws.sign('hello', sk44, { alg: 'ML-DSA-44', verifyAfterSign: true })).to.throw(...fault);
+  });
+
+  it('should check mu signatures against mu', () => {
+    const pk44 = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk44 = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(new Uint8Array(32).fill(2), pk44, sk44, ML_DSA_44);
+    const mu = new Uint8Array(64).fill(3);
+    const prepared = new PreparedSecretKey(sk44, ML_DSA_44);
+
+    expect(signMu(mu, sk44, false, ML_DSA_44, undefined, true)).to.deep.equal(signMu(mu, sk44, false, ML_DSA_44));
+    expect(prepared.signMu(mu, false, undefined, true)).to.deep.equal(signMu(mu, sk44, false, ML_DSA_44));
+  });
 });
 
 describe('signingErrors', () => {
@@ -82,13 +174,13 @@ describe('signingErrors', () => {
     const pk = new Uint8Array(CryptoPublicKeyBytes);
     const sk = new Uint8Array(CryptoSecretKeyBytes);
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pkBad, sk);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pkBad, sk);
     }).to.throw('pk/sk cannot be null');
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pk, skBad);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pk, skBad);
     }).to.throw('pk/sk cannot be null');
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pkBad, skBad);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pkBad, skBad);
     }).to.throw('pk/sk cannot be null');
   });
   it('should throw an error if the pk or sk had an invalid length', () => {
@@ -97,13 +189,13 @@ describe('signingErrors', () => {
     const pk = new Uint8Array(CryptoPublicKeyBytes);
     const sk = new Uint8Array(CryptoSecretKeyBytes);
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pkBad, sk);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pkBad, sk);
     }).to.throw('invalid pk length 12');
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pk, skBad);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pk, skBad);
     }).to.throw('invalid sk length 12');
     expect(() => {
-      cryptoSignKeypair(Buffer.from(HASHEDSEED, 'hex'), pkBad, skBad);
+      cryptoSignKeypair(getUInt8ArrayFromHex(HASHEDSEED), pkBad, skBad);
     }).to.throw('invalid pk length 12');
   });
 });
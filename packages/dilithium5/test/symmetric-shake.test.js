@@ -1,5 +1,6 @@
 import { expect } from 'chai';
-import { dilithiumShake128StreamInit, dilithiumShake256StreamInit } from '../src/symmetric-shake.js';
+import { dilithiumShake128StreamInit, dilithiumShake256StreamInit, shake256Hash } from '../src/symmetric-shake.js';
+import { getHexFromUInt8Array } from './utility/testUtility.js';
 
 describe('symmetric-shake', () => {
   it('invalid key length in dilithiumShake128StreamInit throws', () => {
@@ -12,4 +13,13 @@ describe('symmetric-shake', () => {
       dilithiumShake256StreamInit(1, 2, 3, 4);
     }).to.throw();
   });
+  it('shake256Hash absorbs its inputs in order', () => {
+    const abc = new Uint8Array([0x61, 0x62, 0x63]);
+    expect(getHexFromUInt8Array(shake256Hash(32, abc))).to.equal(
+      '483366601360a8771c6863080cc4114d8db44530f8f1e1ee4f94ea37e78b5739'
+    );
+    expect(shake256Hash(200, abc.subarray(0, 1), new Uint8Array(0), abc.subarray(1))).to.deep.equal(
+      shake256Hash(200, abc)
+    );
+  });
 });
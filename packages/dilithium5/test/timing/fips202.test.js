@@ -0,0 +1,24 @@
+import { expect } from 'chai';
+import { KeccakF1600StatePermute } from '../../src/fips202.js';
+import bigIntPermute from '../utility/bigIntKeccak.js';
+
+function time(f, n) {
+  const start = performance.now();
+  for (let i = 0; i < n; i++) f();
+  return performance.now() - start;
+}
+
+describe('fips202 throughput', function testFunction() {
+  this.timeout(0);
+
+  it('should permute faster than the BigInt lane permutation', () => {
+    const lanes = new BigUint64Array(25);
+    const words = new Uint32Array(50);
+    time(() => bigIntPermute(lanes), 200);
+    time(() => KeccakF1600StatePermute(words), 200);
+
+    const before = time(() => bigIntPermute(lanes), 1000);
+    const after = time(() => KeccakF1600StatePermute(words), 1000);
+    expect(after).to.be.below(before / 2);
+  });
+});
@@ -0,0 +1,58 @@
+import { register } from 'node:module';
+import { expect } from 'chai';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes } from '../../src/const.js';
+import * as current from '../../src/sign.js';
+
+// Keygen, sign and verify with the current fips202.js against the same code running on the BigInt Keccak it replaced
+function time(f, n) {
+  const start = performance.now();
+  for (let i = 0; i < n; i++) f(i);
+  return performance.now() - start;
+}
+
+function run(impl, n) {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  const sig = new Uint8Array(CryptoBytes);
+  const messages = Array.from({ length: n }, (_, i) => new Uint8Array(32).fill(i));
+  const sigs = [];
+  const keygen = time((i) => impl.cryptoSignKeypair(new Uint8Array(32).fill(i), pk, sk), n);
+  const sign = time((i) => {
+    impl.cryptoSignSignature(sig, messages[i], sk, false);
+    sigs.push(sig.slice());
+  }, n);
+  const verify = time((i) => {
+    if (!impl.cryptoSignVerify(sigs[i], messages[i], pk)) throw new Error('signature did not verify');
+  }, n);
+  return { keygen, sign, verify, pk, sk, sigs };
+}
+
+describe('sign throughput', function testFunction() {
+  this.timeout(0);
+
+  let bigInt;
+
+  before(async () => {
+    register('../utility/bigIntFips202Hooks.js', import.meta.url);
+    // The query is resolved by the hooks, not on disk
+    // eslint-disable-next-line import/no-unresolved
+    bigInt = await import('../../src/sign.js?keccak=bigint');
+  });
+
+  it('should produce the same keys and signatures as with the BigInt Keccak', () => {
+    const a = run(current, 2);
+    const b = run(bigInt, 2);
+    expect(a.pk).to.deep.equal(b.pk);
+    expect(a.sk).to.deep.equal(b.sk);
+    expect(a.sigs).to.deep.equal(b.sigs);
+  });
+
+  it('should keygen, sign and verify faster than with the BigInt Keccak', () => {
+    run(current, 2);
+    const b = run(bigInt, 10);
+    const a = run(current, 10);
+    ['keygen', 'sign', 'verify'].forEach((op) => {
+      expect(a[op], `${op}: ${a[op].toFixed(0)} ms against ${b[op].toFixed(0)} ms`).to.be.below(b[op] / 2);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+import { CryptoBytes, CryptoPublicKeyBytes, CryptoSecretKeyBytes, DILITHIUM5 } from '../../src/const.js';
+import { Poly, polyChkNorm, polyMakeHint } from '../../src/poly.js';
+import { cryptoSignKeypair, cryptoSignSignature } from '../../src/sign.js';
+import { LeakageThreshold, leakageT } from '../utility/dudect.js';
+
+// Not part of `npm test`: timings are only meaningful on an otherwise idle machine. Run with `npm run test-timing`,
+// and set DUDECT_SAMPLES to trade running time against sensitivity.
+const SAMPLES = Number(process.env.DUDECT_SAMPLES || 2000);
+
+function randomPoly(bound) {
+  const a = new Poly();
+  const bytes = globalThis.crypto.getRandomValues(new Uint32Array(a.coeffs.length));
+  bytes.forEach((v, i) => {
+    a.coeffs[i] = (v % (2 * bound - 1)) - (bound - 1);
+  });
+  return a;
+}
+
+describe('constant-time signing', function testFunction() {
+  this.timeout(0);
+
+  it('polyChkNorm should not reveal where the bound is exceeded', () => {
+    const bound = DILITHIUM5.gamma1 - DILITHIUM5.beta;
+    const t = leakageT({
+      samples: SAMPLES,
+      repetitions: 100,
+      // Class 1 exceeds the bound in its first coefficient, which an early return would skip the rest for
+      prepare: (cls) => {
+        const a = randomPoly(bound);
+        if (cls === 1) a.coeffs[0] = bound;
+        return a;
+      },
+      run: (a) => polyChkNorm(a, bound),
+    });
+    expect(Math.abs(t)).to.be.below(LeakageThreshold, `t = ${t}`);
+  });
+
+  it('polyMakeHint should not depend on how many hints are set', () => {
+    const { gamma2 } = DILITHIUM5;
+    const t = leakageT({
+      samples: SAMPLES,
+      repetitions: 100,
+      prepare: (cls) => ({
+        h: new Poly(),
+        a0: randomPoly(cls === 0 ? gamma2 : 2 * gamma2),
+        a1: randomPoly(16),
+      }),
+      run: ({ h, a0, a1 }) => polyMakeHint(h, a0, a1),
+    });
+    expect(Math.abs(t)).to.be.below(LeakageThreshold, `t = ${t}`);
+  });
+
+  it('cryptoSignSignature should not depend on the secret key', () => {
+    // Two keys sign fresh random messages, so both classes see the same distribution of rejection loop iterations
+    const keys = [1, 2].map((fill) => {
+      const pk = new Uint8Array(CryptoPublicKeyBytes);
+      const sk = new Uint8Array(CryptoSecretKeyBytes);
+      cryptoSignKeypair(new Uint8Array(32).fill(fill), pk, sk);
+      return sk;
+    });
+    const sig = new Uint8Array(CryptoBytes);
+    const t = leakageT({
+      samples: Math.ceil(SAMPLES / 4),
+      prepare: (cls) => ({ sk: keys[cls], m: globalThis.crypto.getRandomValues(new Uint8Array(32)) }),
+      run: ({ sk, m }) => cryptoSignSignature(sig, m, sk, false),
+    });
+    expect(Math.abs(t)).to.be.below(LeakageThreshold, `t = ${t}`);
+  });
+});
@@ -0,0 +1,187 @@
+// fips202.js as it was before Keccak-f[1600] moved to 32-bit lane halves: BigInt lanes, byte-wise absorb and squeeze,
+// and the BigInt permutation from bigIntKeccak.js. bigIntFips202Hooks.js loads it in place of src/fips202.js so the
+// timing tests can compare whole operations before and after
+import { Shake128Rate, Shake256Rate } from '../../src/const.js';
+import bigIntPermute from './bigIntKeccak.js';
+
+// poly.js and symmetric-shake.js reset the state with fill(0), which a BigUint64Array only takes as 0n
+class Lanes extends BigUint64Array {
+  fill(value) {
+    return super.fill(BigInt(value));
+  }
+}
+
+export class KeccakState {
+  constructor() {
+    this.s = new Lanes(25);
+    this.pos = 0;
+  }
+}
+
+function load64(x, xOffset) {
+  let r = BigInt(0);
+
+  for (let i = 0; i < 8; i++) r = BigInt.asUintN(64, r | BigInt.asUintN(64, BigInt(x[xOffset + i]) << BigInt(8 * i)));
+
+  return r;
+}
+
+function store64(xP, xOffset, u) {
+  const x = xP;
+  for (let i = 0; i < 8; i++) x[xOffset + i] = Number((u >> BigInt(8 * i)) & 0xffn);
+}
+
+const KeccakF1600StatePermute = bigIntPermute;
+
+export function keccakInit(sP) {
+  const s = sP;
+  for (let i = 0; i < 25; i++) s[i] = 0n;
+}
+
+export function keccakAbsorb(sP, posP, r, input) {
+  const s = sP;
+  let pos = posP;
+  let inLen = input.length;
+  let i;
+  let inputOffset = 0;
+  while (pos + inLen >= r) {
+    for (i = pos; i < r; i++)
+      s[Math.floor(i / 8)] = BigInt.asUintN(
+        64,
+        s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset++]) << BigInt(8 * (i % 8)))
+      );
+    inLen -= r - pos;
+    KeccakF1600StatePermute(s);
+    pos = 0;
+  }
+
+  for (i = pos; i < pos + inLen; i++) {
+    s[Math.floor(i / 8)] = BigInt.asUintN(
+      64,
+      s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset++]) << BigInt(8 * (i % 8)))
+    );
+  }
+
+  return i;
+}
+
+export function keccakFinalize(sP, pos, r, p) {
+  const s = sP;
+  s[Math.floor(pos / 8)] = BigInt.asUintN(64, s[Math.floor(pos / 8)] ^ (BigInt(p) << BigInt(8 * (pos % 8))));
+  s[Math.floor(r / 8) - 1] = BigInt.asUintN(64, s[Math.floor(r / 8) - 1] ^ (1n << 63n));
+}
+
+export function keccakSqueeze(outP, s, posP, r) {
+  let pos = posP;
+  const out = outP;
+  let outLen = out.length;
+  let outputOffset = 0;
+  let i = 0;
+
+  while (outLen) {
+    if (pos === r) {
+      KeccakF1600StatePermute(s);
+      pos = 0;
+    }
+    for (i = pos; i < r && i < pos + outLen; i++)
+      out[outputOffset++] = Number((s[Math.floor(i / 8)] >> BigInt(8 * (i % 8))) & 0xffn);
+    outLen -= i - pos;
+    pos = i;
+  }
+
+  return pos;
+}
+
+export function keccakAbsorbOnce(sP, r, input, p) {
+  const s = sP;
+  let inLen = input.length;
+  let inputOffset = 0;
+  let i;
+
+  for (i = 0; i < 25; i++) s[i] = 0;
+
+  while (inLen >= r) {
+    for (i = 0; i < Math.floor(r / 8); i++) s[i] = BigInt.asUintN(64, s[i] ^ load64(input, inputOffset + 8 * i));
+    inputOffset += r;
+    inLen -= r;
+    KeccakF1600StatePermute(s);
+  }
+
+  for (i = 0; i < inLen; i++)
+    s[Math.floor(i / 8)] = BigInt.asUintN(
+      64,
+      s[Math.floor(i / 8)] ^ (BigInt(input[inputOffset + i]) << BigInt(8 * (i % 8)))
+    );
+
+  s[Math.floor(i / 8)] = BigInt.asUintN(64, s[Math.floor(i / 8)] ^ (BigInt(p) << BigInt(8 * (i % 8))));
+  s[Math.floor((r - 1) / 8)] = BigInt.asUintN(64, s[Math.floor((r - 1) / 8)] ^ (1n << 63n));
+}
+
+export function keccakSqueezeBlocks(output, outputOffsetP, nBlocksP, s, r) {
+  let nBlocks = nBlocksP;
+  let outputOffset = outputOffsetP;
+  while (nBlocks) {
+    KeccakF1600StatePermute(s);
+    for (let i = 0; i < Math.floor(r / 8); i++) store64(output, outputOffset + 8 * i, s[i]);
+    outputOffset += r;
+    nBlocks -= 1;
+  }
+}
+
+export function shake128Init(stateP) {
+  const state = stateP;
+  keccakInit(state.s);
+  state.pos = 0;
+}
+
+export function shake128Absorb(stateP, input) {
+  const state = stateP;
+  state.pos = keccakAbsorb(state.s, state.pos, Shake128Rate, input);
+}
+
+export function shake128Finalize(stateP) {
+  const state = stateP;
+  keccakFinalize(state.s, state.pos, Shake128Rate, 0x1f);
+  state.pos = Shake128Rate;
+}
+
+export function shake128Squeeze(out, stateP) {
+  const state = stateP;
+  state.pos = keccakSqueeze(out, state.s, state.pos, Shake128Rate);
+}
+
+export function shake128AbsorbOnce(stateP, input) {
+  const state = stateP;
+  keccakAbsorbOnce(state.s, Shake128Rate, input, 0x1f);
+  state.pos = Shake128Rate;
+}
+
+export function shake128SqueezeBlocks(out, outputOffset, nBlocks, state) {
+  keccakSqueezeBlocks(out, outputOffset, nBlocks, state.s, Shake128Rate);
+}
+
+export function shake256Init(stateP) {
+  const state = stateP;
+  keccakInit(state.s);
+  state.pos = 0;
+}
+
+export function shake256Absorb(stateP, input) {
+  const state = stateP;
+  state.pos = keccakAbsorb(state.s, state.pos, Shake256Rate, input);
+}
+
+export function shake256Finalize(stateP) {
+  const state = stateP;
+  keccakFinalize(state.s, state.pos, Shake256Rate, 0x1f);
+  state.pos = Shake256Rate;
+}
+
+export function shake256Squeeze(out, stateP) {
+  const state = stateP;
+  state.pos = keccakSqueeze(out, state.s, state.pos, Shake256Rate);
+}
+
+export function shake256SqueezeBlocks(out, outputOffset, nBlocks, state) {
+  keccakSqueezeBlocks(out, outputOffset, nBlocks, state.s, Shake256Rate);
+}
@@ -0,0 +1,16 @@
+// Module hooks for the timing tests: importing a src module with the query ?keccak=bigint loads a second copy of its
+// import graph in which src/fips202.js is replaced by bigIntFips202.js
+const Tag = '?keccak=bigint';
+const SrcUrl = new URL('../../src/', import.meta.url).href;
+const BigIntFips202Url = new URL('./bigIntFips202.js', import.meta.url).href;
+
+// eslint-disable-next-line import/prefer-default-export
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const tagged = resolved.url.endsWith(Tag) || (context.parentURL && context.parentURL.endsWith(Tag));
+  if (!tagged || !resolved.url.startsWith(SrcUrl)) return resolved;
+
+  const url = resolved.url.split('?')[0];
+  if (url === `${SrcUrl}fips202.js`) return { ...resolved, url: BigIntFips202Url };
+  return { ...resolved, url: `${url}${Tag}` };
+}
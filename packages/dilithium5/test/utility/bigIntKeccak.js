@@ -0,0 +1,79 @@
+// The BigInt lane permutation fips202.js used before it moved to 32-bit lane halves, kept as the reference for
+// equivalence and timing
+const RC = [
+  0x0000000000000001n,
+  0x0000000000008082n,
+  0x800000000000808an,
+  0x8000000080008000n,
+  0x000000000000808bn,
+  0x0000000080000001n,
+  0x8000000080008081n,
+  0x8000000000008009n,
+  0x000000000000008an,
+  0x0000000000000088n,
+  0x0000000080008009n,
+  0x000000008000000an,
+  0x000000008000808bn,
+  0x800000000000008bn,
+  0x8000000000008089n,
+  0x8000000000008003n,
+  0x8000000000008002n,
+  0x8000000000000080n,
+  0x000000000000800an,
+  0x800000008000000an,
+  0x8000000080008081n,
+  0x8000000000008080n,
+  0x0000000080000001n,
+  0x8000000080008008n,
+];
+const RHO = [
+  1n,
+  3n,
+  6n,
+  10n,
+  15n,
+  21n,
+  28n,
+  36n,
+  45n,
+  55n,
+  2n,
+  14n,
+  27n,
+  41n,
+  56n,
+  8n,
+  25n,
+  43n,
+  62n,
+  18n,
+  39n,
+  61n,
+  20n,
+  44n,
+];
+const PI = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+const rol = (a, n) => BigInt.asUintN(64, (a << n) | (a >> (64n - n)));
+
+export default function bigIntPermute(s) {
+  const a = s;
+  const c = new Array(5);
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) c[x] = a[x] ^ a[x + 5] ^ a[x + 10] ^ a[x + 15] ^ a[x + 20];
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rol(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) a[y + x] ^= d;
+    }
+    let cur = a[1];
+    for (let t = 0; t < 24; t++) {
+      const next = a[PI[t]];
+      a[PI[t]] = rol(cur, RHO[t]);
+      cur = next;
+    }
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) c[x] = a[y + x];
+      for (let x = 0; x < 5; x++) a[y + x] = c[x] ^ (~c[(x + 1) % 5] & c[(x + 2) % 5]);
+    }
+    a[0] ^= RC[round];
+  }
+}
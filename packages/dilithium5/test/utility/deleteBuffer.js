@@ -0,0 +1,3 @@
+/* Removes the Node Buffer global so the suites run as they would in a browser or worker. */
+
+delete globalThis.Buffer;
@@ -0,0 +1,42 @@
+// dudect-style leakage detection (Reparaz, Balasch and Verbauwhede, "Dude, is my code constant time?", 2017).
+// Inputs of two classes are timed in random order and Welch's t-test compares the two timing distributions.
+// |t| above LeakageThreshold means the running time depends on the class, i.e. on the secret data.
+
+export const LeakageThreshold = 4.5;
+
+export function welchT(a, b) {
+  const mean = (x) => x.reduce((sum, v) => sum + v, 0) / x.length;
+  const variance = (x, m) => x.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (x.length - 1);
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return (meanA - meanB) / Math.sqrt(variance(a, meanA) / a.length + variance(b, meanB) / b.length);
+}
+
+// prepare(cls) builds the input for class 0 or 1 before any timing starts, and run(input) is timed repetitions times
+// per sample. The slowest samples, mostly garbage collection and JIT pauses, are cropped above cropPercentile.
+export function leakageT({ samples, prepare, run, repetitions = 1, cropPercentile = 0.9 }) {
+  const classes = globalThis.crypto.getRandomValues(new Uint8Array(samples)).map((byte) => byte & 1);
+  const inputs = Array.from(classes, (cls) => prepare(cls));
+
+  for (let i = 0; i < Math.min(samples, 50); i++) {
+    run(inputs[i]);
+  }
+
+  const times = new Float64Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const start = performance.now();
+    for (let r = 0; r < repetitions; r++) {
+      run(inputs[i]);
+    }
+    times[i] = performance.now() - start;
+  }
+
+  const cutoff = Float64Array.from(times).sort()[Math.floor(cropPercentile * (samples - 1))];
+  const byClass = [[], []];
+  times.forEach((time, i) => {
+    if (time <= cutoff) {
+      byClass[classes[i]].push(time);
+    }
+  });
+  return welchT(byClass[0], byClass[1]);
+}
@@ -0,0 +1,20 @@
+/* The following functions are only used within this library for testing purposes, and not part of the library for end user. */
+
+import { shake256Hash } from '../../src/symmetric-shake.js';
+
+export const getUInt8ArrayFromHex = (hexString) => {
+  const uInt8Array = new Uint8Array(hexString.length / 2);
+  for (let i = 0; i < uInt8Array.length; i++) {
+    uInt8Array[i] = parseInt(hexString.substring(i * 2, i * 2 + 2), 16);
+  }
+  return uInt8Array;
+};
+
+export const getHexFromUInt8Array = (uInt8Array) =>
+  Array.from(uInt8Array, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// Seeded generator for tests: successive requests squeeze SHAKE256(seed || counter)
+export const newDeterministicEntropySource = (seed) => {
+  let counter = 0;
+  return (length) => shake256Hash(length, seed, new Uint8Array([counter++]));
+};
@@ -0,0 +1,2 @@
+export * from './pool.js';
+export { SCHEME } from './schemes.js';
@@ -0,0 +1,285 @@
+/**
+ * @typedef {{ message: Uint8Array, signature: Uint8Array, pk: Uint8Array, ctx?: Uint8Array }} BatchItem
+ * @typedef {{
+ *   post: (request: object) => void,
+ *   listen: (onReply: (reply: object) => void, onError: (error: Error) => void) => void,
+ *   ref: () => void,
+ *   unref: () => void,
+ *   terminate: () => Promise<unknown> | void
+ * }} WorkerHandle
+ */
+
+import { SCHEME } from './schemes.js';
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/** @returns {boolean} */
+function isNode() {
+  return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+}
+
+/** @returns {Promise<number>} */
+async function defaultSize() {
+  if (isNode()) {
+    const os = await import('node:os');
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+  return (globalThis.navigator && globalThis.navigator.hardwareConcurrency) || 4;
+}
+
+/**
+ * Workers only keep a Node process alive while they run a task, so an idle pool does not block its exit.
+ *
+ * @param {string | URL} [workerUrl]
+ * @returns {Promise<() => WorkerHandle>}
+ */
+async function newSpawner(workerUrl) {
+  if (isNode()) {
+    const { Worker } = await import('node:worker_threads');
+    return () => {
+      const worker = new Worker(workerUrl ?? new URL('./worker.js', import.meta.url));
+      worker.unref();
+      return {
+        post: (request) => worker.postMessage(request),
+        listen: (onReply, onError) => {
+          worker.on('message', onReply);
+          worker.on('error', onError);
+        },
+        ref: () => worker.ref(),
+        unref: () => worker.unref(),
+        terminate: () => worker.terminate(),
+      };
+    };
+  }
+  return () => {
+    // Bundlers only pick up the worker entry point when the URL is written out in the Worker constructor
+    const worker =
+      workerUrl === undefined
+        ? new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+        : new Worker(workerUrl, { type: 'module' });
+    return {
+      post: (request) => worker.postMessage(request),
+      listen: (onReply, onError) => {
+        worker.addEventListener('message', (event) => onReply(event.data));
+        worker.addEventListener('error', (event) => {
+          event.preventDefault();
+          onError(new Error(event.message));
+        });
+      },
+      ref: () => {},
+      unref: () => {},
+      terminate: () => worker.terminate(),
+    };
+  };
+}
+
+export class WorkerPool {
+  /**
+   * @param {() => WorkerHandle} spawn
+   * @param {number} size
+   */
+  constructor(spawn, size) {
+    this.spawn = spawn;
+    this.capacity = size;
+    this.queue = [];
+    this.running = new Map();
+    this.xmssSigning = [];
+    this.crashes = 0;
+    this.terminated = false;
+    this.handles = Array.from({ length: size }, () => this.newHandle());
+  }
+
+  /** @returns {number} */
+  get size() {
+    return this.handles.length;
+  }
+
+  /**
+   * Signs with `cryptoSignSignature`, `mlDsaSignature` or the XMSS tree of an extended seed. XMSS needs `options.index`,
+   * the next unused one-time key, which the caller must persist before using the signature. Each worker keeps the trees
+   * it built, so only its first task for a key, or one at a lower index than its last, rebuilds the tree.
+   *
+   * A second XMSS task for the same key and index is rejected while the first one is in flight, as it would reuse a
+   * one-time key. This guard only sees the tasks of this pool: other pools, processes or machines signing with the same
+   * key are not checked, and neither are indexes that were signed earlier.
+   *
+   * @param {string} scheme
+   * @param {Uint8Array} message
+   * @param {Uint8Array} key sk, or the extended seed for XMSS
+   * @param {{ randomized?: boolean, ctx?: Uint8Array, index?: number, verifyAfterSign?: boolean }} [options]
+   * @returns {Promise<Uint8Array>}
+   */
+  sign(scheme, message, key, options) {
+    const index = options && options.index;
+    // Without an integer index the worker rejects the task, so there is no one-time key to guard
+    if (scheme !== SCHEME.XMSS || !Number.isInteger(index)) {
+      return this.run('sign', [scheme, message, key, options]);
+    }
+    if (this.xmssSigning.some((entry) => entry.index === index && equalBytes(entry.key, key))) {
+      return Promise.reject(new Error(`XMSS index ${index} is already being signed with this key`));
+    }
+    const entry = { key, index };
+    this.xmssSigning.push(entry);
+    return this.run('sign', [scheme, message, key, options]).finally(() => {
+      this.xmssSigning = this.xmssSigning.filter((other) => other !== entry);
+    });
+  }
+
+  /**
+   * @param {string} scheme
+   * @param {Uint8Array} message
+   * @param {Uint8Array} signature
+   * @param {Uint8Array} pk pk, or the extended pk for XMSS
+   * @param {{ ctx?: Uint8Array }} [options]
+   * @returns {Promise<boolean>}
+   */
+  verify(scheme, message, signature, pk, options) {
+    return this.run('verify', [scheme, message, signature, pk, options]);
+  }
+
+  /**
+   * Splits the items into one chunk per worker. Results keep the order of `items`.
+   *
+   * @param {string} scheme
+   * @param {BatchItem[]} items
+   * @returns {Promise<boolean[]>}
+   */
+  async verifyBatch(scheme, items) {
+    const chunkSize = Math.ceil(items.length / this.handles.length);
+    const chunks = [];
+    for (let i = 0; i < items.length; i += chunkSize) {
+      chunks.push(items.slice(i, i + chunkSize));
+    }
+    const results = await Promise.all(chunks.map((chunk) => this.run('verifyBatch', [scheme, chunk])));
+    return results.flat();
+  }
+
+  /**
+   * Rejects queued and running tasks and stops every worker.
+   *
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    this.terminated = true;
+    const error = new Error('WorkerPool has been terminated');
+    this.queue.splice(0).forEach((task) => task.reject(error));
+    this.running.forEach((task) => task.reject(error));
+    this.running.clear();
+    const handles = this.handles.splice(0);
+    await Promise.all(handles.map((handle) => handle.terminate()));
+  }
+
+  /**
+   * @param {string} op
+   * @param {Array} args
+   * @returns {Promise<any>}
+   */
+  run(op, args) {
+    if (this.terminated) {
+      return Promise.reject(new Error('WorkerPool has been terminated'));
+    }
+    if (this.handles.length === 0) {
+      return Promise.reject(new Error('WorkerPool has no workers left'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ op, args, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /** @returns {WorkerHandle} */
+  newHandle() {
+    const handle = this.spawn();
+    handle.listen(
+      (reply) => this.settle(handle, reply),
+      (error) => this.fail(handle, error)
+    );
+    return handle;
+  }
+
+  drain() {
+    this.handles.forEach((handle) => {
+      while (this.queue.length > 0 && !this.running.has(handle)) {
+        const task = this.queue.shift();
+        this.running.set(handle, task);
+        handle.ref();
+        try {
+          handle.post({ op: task.op, args: task.args });
+        } catch (e) {
+          // e.g. a DataCloneError for an argument that cannot be sent to a worker
+          this.running.delete(handle);
+          handle.unref();
+          task.reject(e);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {WorkerHandle} handle
+   * @param {{ result?: any, error?: { name: string, message: string } }} reply
+   */
+  settle(handle, { result, error }) {
+    const task = this.running.get(handle);
+    this.running.delete(handle);
+    this.crashes = 0;
+    handle.unref();
+    if (task !== undefined) {
+      if (error !== undefined) {
+        const rebuilt = new Error(error.message);
+        rebuilt.name = error.name;
+        task.reject(rebuilt);
+      } else {
+        task.resolve(result);
+      }
+    }
+    this.drain();
+  }
+
+  /**
+   * A worker that crashed is replaced whether it was idle or running a task. Once more workers than the pool size have
+   * crashed without a reply in between, they are no longer replaced, so workers that fail on start-up cannot respawn
+   * forever.
+   *
+   * @param {WorkerHandle} handle
+   * @param {Error} error
+   */
+  fail(handle, error) {
+    const task = this.running.get(handle);
+    this.running.delete(handle);
+    this.handles = this.handles.filter((other) => other !== handle);
+    handle.terminate();
+    if (task !== undefined) {
+      task.reject(error);
+    }
+    this.crashes += 1;
+    if (!this.terminated && this.crashes <= this.capacity) {
+      this.handles.push(this.newHandle());
+    }
+    if (this.handles.length === 0) {
+      this.queue.splice(0).forEach((queued) => queued.reject(error));
+    }
+    this.drain();
+  }
+}
+
+/**
+ * Starts a pool of `size` workers, one per core by default. `workerUrl` overrides the location of `worker.js`.
+ *
+ * @param {{ size?: number, workerUrl?: string | URL }} [options]
+ * @returns {Promise<WorkerPool>}
+ */
+export async function createPool({ size, workerUrl } = {}) {
+  const poolSize = size ?? (await defaultSize());
+  if (!Number.isInteger(poolSize) || poolSize < 1) {
+    throw new Error(`invalid pool size ${poolSize} | Expected a positive integer`);
+  }
+  return new WorkerPool(await newSpawner(workerUrl), poolSize);
+}
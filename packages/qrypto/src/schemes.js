@@ -0,0 +1,157 @@
+import {
+  DILITHIUM5,
+  ML_DSA_44,
+  ML_DSA_65,
+  ML_DSA_87,
+  cryptoSignSignature,
+  cryptoSignVerify,
+  mlDsaSignature,
+  mlDsaVerify,
+  shake256Hash,
+  verifyMany,
+} from '@theqrl/dilithium5';
+import { newXMSSFromExtendedSeed, verify as xmssVerify } from '@theqrl/xmss';
+
+/** The signature schemes a pool can run. */
+export const SCHEME = Object.freeze({
+  DILITHIUM5: 'dilithium5',
+  ML_DSA_44: 'ml-dsa-44',
+  ML_DSA_65: 'ml-dsa-65',
+  ML_DSA_87: 'ml-dsa-87',
+  XMSS: 'xmss',
+});
+
+const ML_DSA_PARAMS = Object.freeze({
+  [SCHEME.ML_DSA_44]: ML_DSA_44,
+  [SCHEME.ML_DSA_65]: ML_DSA_65,
+  [SCHEME.ML_DSA_87]: ML_DSA_87,
+});
+
+/** How many XMSS trees each worker keeps, least recently used first. Evicted trees are destroyed. */
+const XMSS_TREE_CACHE_SIZE = 16;
+
+/** @type {Map<string, object>} */
+const xmssTrees = new Map();
+
+/**
+ * Returns the cached tree of an extended seed, or builds it. Building takes a full key generation, while a cached tree
+ * only replays the BDS traversal from its current index. A tree past the requested index cannot rewind and is rebuilt.
+ * The cache is keyed on a hash of the extended seed, so the seed itself is not kept as a string.
+ *
+ * @param {Uint8Array} extendedSeed
+ * @param {number} index
+ * @returns {object}
+ */
+function xmssTree(extendedSeed, index) {
+  const id = Array.from(shake256Hash(32, extendedSeed), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  let xmss = xmssTrees.get(id);
+  xmssTrees.delete(id);
+  if (xmss === undefined || xmss.getIndex() > index) {
+    if (xmss !== undefined) {
+      xmss.destroy();
+    }
+    xmss = newXMSSFromExtendedSeed(extendedSeed);
+  }
+  xmssTrees.set(id, xmss);
+  if (xmssTrees.size > XMSS_TREE_CACHE_SIZE) {
+    const [[oldest, evicted]] = xmssTrees;
+    xmssTrees.delete(oldest);
+    evicted.destroy();
+  }
+  xmss.setIndex(index);
+  return xmss;
+}
+
+/**
+ * @param {string} scheme
+ * @returns {object}
+ */
+function mlDsaParams(scheme) {
+  const params = ML_DSA_PARAMS[scheme];
+  if (params === undefined) {
+    throw new Error(`invalid scheme ${scheme} | Expected one of ${Object.values(SCHEME).join(', ')}`);
+  }
+  return params;
+}
+
+/**
+ * @param {string} scheme
+ * @param {Uint8Array} message
+ * @param {Uint8Array} key sk, or the extended seed for XMSS
+ * @param {{ randomized?: boolean, ctx?: Uint8Array, index?: number, verifyAfterSign?: boolean }} [options]
+ * @returns {Uint8Array}
+ */
+function sign(scheme, message, key, { randomized = false, ctx, index, verifyAfterSign = false } = {}) {
+  if (scheme === SCHEME.XMSS) {
+    if (!Number.isInteger(index)) {
+      throw new Error('XMSS signing needs the index of an unused one-time key');
+    }
+    return xmssTree(key, index).sign(message, verifyAfterSign).sigMsg;
+  }
+  if (scheme === SCHEME.DILITHIUM5) {
+    const sig = new Uint8Array(DILITHIUM5.cryptoBytes);
+    cryptoSignSignature(sig, message, key, randomized, DILITHIUM5, undefined, verifyAfterSign);
+    return sig;
+  }
+  const params = mlDsaParams(scheme);
+  const sig = new Uint8Array(params.cryptoBytes);
+  mlDsaSignature(sig, message, key, randomized, ctx, params, undefined, verifyAfterSign);
+  return sig;
+}
+
+/**
+ * @param {string} scheme
+ * @param {Uint8Array} message
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} pk pk, or the extended pk for XMSS
+ * @param {{ ctx?: Uint8Array }} [options]
+ * @returns {boolean}
+ */
+function verify(scheme, message, signature, pk, { ctx } = {}) {
+  if (scheme === SCHEME.XMSS) {
+    return xmssVerify(message, signature, pk);
+  }
+  if (scheme === SCHEME.DILITHIUM5) {
+    return cryptoSignVerify(signature, message, pk);
+  }
+  return mlDsaVerify(signature, message, pk, ctx, mlDsaParams(scheme));
+}
+
+/**
+ * Items whose synchronous verification throws, e.g. for a truncated pk, verify as false.
+ *
+ * @param {string} scheme
+ * @param {{ message: Uint8Array, signature: Uint8Array, pk: Uint8Array, ctx?: Uint8Array }[]} items
+ * @returns {boolean[]}
+ */
+function verifyBatch(scheme, items) {
+  if (scheme === SCHEME.DILITHIUM5) {
+    return verifyMany(items.map(({ message, signature, pk }) => ({ sig: signature, m: message, pk })));
+  }
+  if (scheme !== SCHEME.XMSS) {
+    mlDsaParams(scheme);
+  }
+  return items.map(({ message, signature, pk, ctx }) => {
+    try {
+      return verify(scheme, message, signature, pk, { ctx });
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+const TASKS = Object.freeze({ sign, verify, verifyBatch });
+
+/**
+ * Runs one pool task on the calling thread. Workers call this for every message they receive.
+ *
+ * @param {string} op 'sign', 'verify' or 'verifyBatch'
+ * @param {Array} args
+ * @returns {Uint8Array | boolean | boolean[]}
+ */
+export function runTask(op, args) {
+  if (!Object.prototype.hasOwnProperty.call(TASKS, op)) {
+    throw new Error(`invalid task ${op} | Expected sign, verify or verifyBatch`);
+  }
+  return TASKS[op](...args);
+}
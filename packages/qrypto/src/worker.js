@@ -0,0 +1,27 @@
+import { runTask } from './schemes.js';
+
+/**
+ * @param {(reply: object) => void} post
+ * @returns {(request: { op: string, args: Array }) => void}
+ */
+function newHandler(post) {
+  return ({ op, args }) => {
+    try {
+      post({ result: runTask(op, args) });
+    } catch (e) {
+      post({ error: { name: e.name, message: e.message } });
+    }
+  };
+}
+
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+  import('node:worker_threads').then(({ parentPort }) => {
+    parentPort.on(
+      'message',
+      newHandler((reply) => parentPort.postMessage(reply))
+    );
+  });
+} else {
+  const handle = newHandler((reply) => globalThis.postMessage(reply));
+  globalThis.addEventListener('message', (event) => handle(event.data));
+}
@@ -0,0 +1,345 @@
+import {
+  CryptoBytes,
+  CryptoPublicKeyBytes,
+  CryptoSecretKeyBytes,
+  ML_DSA_44,
+  cryptoSignKeypair,
+  cryptoSignSignature,
+  cryptoSignVerify,
+  mlDsaKeypair,
+  mlDsaVerify,
+} from '@theqrl/dilithium5';
+import { COMMON, HASH_FUNCTION, newXMSSFromSeed, verify } from '@theqrl/xmss';
+import { expect } from 'chai';
+import { WorkerPool, createPool } from '../src/pool.js';
+import { SCHEME, runTask } from '../src/schemes.js';
+
+const MESSAGE = new Uint8Array([1, 2, 3, 4]);
+
+// Handles that never run anything, so a test can make them reply or crash
+function newFakeSpawner() {
+  const handles = [];
+  const spawn = () => {
+    const handle = {
+      posted: [],
+      post: (request) => handle.posted.push(request),
+      listen: (onReply, onError) => {
+        handle.reply = onReply;
+        handle.crash = onError;
+      },
+      ref: () => {},
+      unref: () => {},
+      terminate: () => {
+        handle.terminated = true;
+      },
+    };
+    handles.push(handle);
+    return handle;
+  };
+  return { spawn, handles };
+}
+
+function dilithiumKeys(fill) {
+  const pk = new Uint8Array(CryptoPublicKeyBytes);
+  const sk = new Uint8Array(CryptoSecretKeyBytes);
+  cryptoSignKeypair(new Uint8Array(32).fill(fill), pk, sk);
+  return { pk, sk };
+}
+
+describe('WorkerPool', function testFunction() {
+  this.timeout(0);
+
+  let pool;
+
+  before(async () => {
+    pool = await createPool({ size: 2 });
+  });
+
+  after(async () => {
+    await pool.terminate();
+  });
+
+  it('should reject an invalid size', async () => {
+    let error;
+    try {
+      await createPool({ size: 0 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('invalid pool size 0 | Expected a positive integer');
+  });
+
+  it('should sign and verify Dilithium5 like the synchronous functions', async () => {
+    const { pk, sk } = dilithiumKeys(1);
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+
+    const sig = await pool.sign(SCHEME.DILITHIUM5, MESSAGE, sk);
+    expect(sig).to.deep.equal(expected);
+    expect(await pool.verify(SCHEME.DILITHIUM5, MESSAGE, sig, pk)).to.equal(true);
+    expect(await pool.verify(SCHEME.DILITHIUM5, new Uint8Array([1]), sig, pk)).to.equal(false);
+  });
+
+  it('should sign and verify ML-DSA with a context', async () => {
+    const pk = new Uint8Array(ML_DSA_44.cryptoPublicKeyBytes);
+    const sk = new Uint8Array(ML_DSA_44.cryptoSecretKeyBytes);
+    mlDsaKeypair(new Uint8Array(32).fill(2), pk, sk, ML_DSA_44);
+    const ctx = new Uint8Array([9]);
+
+    const sig = await pool.sign(SCHEME.ML_DSA_44, MESSAGE, sk, { ctx, randomized: true });
+    expect(mlDsaVerify(sig, MESSAGE, pk, ctx, ML_DSA_44)).to.equal(true);
+    expect(await pool.verify(SCHEME.ML_DSA_44, MESSAGE, sig, pk, { ctx })).to.equal(true);
+    expect(await pool.verify(SCHEME.ML_DSA_44, MESSAGE, sig, pk)).to.equal(false);
+  });
+
+  it('should forward verifyAfterSign to the worker', async () => {
+    const { sk } = dilithiumKeys(11);
+    const expected = new Uint8Array(CryptoBytes);
+    cryptoSignSignature(expected, MESSAGE, sk, false);
+    expect(await pool.sign(SCHEME.DILITHIUM5, MESSAGE, sk, { verifyAfterSign: true })).to.deep.equal(expected);
+
+    // A flipped bit in tr makes the signature fail verification against the pk derived from sk
+    sk[64] ^= 1;
+    let error;
+    try {
+      await pool.sign(SCHEME.DILITHIUM5, MESSAGE, sk, { verifyAfterSign: true });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal('FaultDetectedError');
+    expect(error.message).to.equal('signature failed verification after signing');
+  });
+
+  it('should sign XMSS at the given index', async () => {
+    const xmss = newXMSSFromSeed(
+      new Uint8Array(COMMON.SEED_SIZE).fill(3),
+      4,
+      HASH_FUNCTION.SHAKE_128,
+      COMMON.SHA256_2X
+    );
+    const extendedSeed = xmss.getExtendedSeed();
+    xmss.setIndex(5);
+    const { sigMsg } = xmss.sign(MESSAGE);
+
+    const sig = await pool.sign(SCHEME.XMSS, MESSAGE, extendedSeed, { index: 5 });
+    expect(sig).to.deep.equal(sigMsg);
+    expect(await pool.verify(SCHEME.XMSS, MESSAGE, sig, xmss.getPK())).to.equal(true);
+  });
+
+  it('should reject a second XMSS task for the same key and index while the first is in flight', async () => {
+    const xmss = newXMSSFromSeed(
+      new Uint8Array(COMMON.SEED_SIZE).fill(9),
+      4,
+      HASH_FUNCTION.SHAKE_128,
+      COMMON.SHA256_2X
+    );
+    const extendedSeed = xmss.getExtendedSeed();
+    const other = newXMSSFromSeed(
+      new Uint8Array(COMMON.SEED_SIZE).fill(10),
+      4,
+      HASH_FUNCTION.SHAKE_128,
+      COMMON.SHA256_2X
+    ).getExtendedSeed();
+
+    const results = await Promise.allSettled([
+      pool.sign(SCHEME.XMSS, MESSAGE, extendedSeed, { index: 2 }),
+      pool.sign(SCHEME.XMSS, new Uint8Array([5]), extendedSeed.slice(), { index: 2 }),
+      pool.sign(SCHEME.XMSS, MESSAGE, other, { index: 2 }),
+      pool.sign(SCHEME.XMSS, MESSAGE, extendedSeed, { index: 3 }),
+    ]);
+    expect(results.map(({ status }) => status)).to.deep.equal(['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    expect(results[1].reason.message).to.equal('XMSS index 2 is already being signed with this key');
+    expect(pool.xmssSigning).to.deep.equal([]);
+  });
+
+  it('should verify a batch across workers in order', async () => {
+    const keys = [dilithiumKeys(4), dilithiumKeys(5)];
+    const items = [0, 1, 2, 3, 4].map((i) => {
+      const { pk, sk } = keys[i % 2];
+      const message = new Uint8Array([i]);
+      const signature = new Uint8Array(CryptoBytes);
+      cryptoSignSignature(signature, message, sk, false);
+      return { message, signature, pk };
+    });
+    items[3] = { ...items[3], message: new Uint8Array([42]) };
+    items[4] = { ...items[4], pk: new Uint8Array(10) };
+
+    const results = await pool.verifyBatch(SCHEME.DILITHIUM5, items);
+    expect(results).to.deep.equal([true, true, true, false, false]);
+    expect(results.slice(0, 4)).to.deep.equal(
+      items.slice(0, 4).map(({ message, signature, pk }) => cryptoSignVerify(signature, message, pk))
+    );
+    expect(await pool.verifyBatch(SCHEME.DILITHIUM5, [])).to.deep.equal([]);
+  });
+
+  it('should verify an XMSS batch like verify', async () => {
+    const xmss = newXMSSFromSeed(
+      new Uint8Array(COMMON.SEED_SIZE).fill(6),
+      4,
+      HASH_FUNCTION.SHAKE_128,
+      COMMON.SHA256_2X
+    );
+    const pk = xmss.getPK();
+    const items = [0, 1, 2].map((i) => ({
+      message: new Uint8Array([i]),
+      signature: xmss.sign(new Uint8Array([i])).sigMsg,
+      pk,
+    }));
+    items[1] = { ...items[1], message: new Uint8Array([7]) };
+
+    const results = await pool.verifyBatch(SCHEME.XMSS, items);
+    expect(results).to.deep.equal(items.map(({ message, signature }) => verify(message, signature, pk)));
+    expect(results).to.deep.equal([true, false, true]);
+  });
+
+  it('should reject with the error thrown in the worker', async () => {
+    let error;
+    try {
+      await pool.sign(SCHEME.DILITHIUM5, MESSAGE, new Uint8Array(10));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal('InvalidLengthError');
+    expect(error.message).to.equal(`invalid sk length 10 | Expected length ${CryptoSecretKeyBytes}`);
+
+    error = undefined;
+    try {
+      await pool.verify('rsa', MESSAGE, MESSAGE, MESSAGE);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^invalid scheme rsa/);
+
+    error = undefined;
+    try {
+      await pool.sign(SCHEME.XMSS, MESSAGE, new Uint8Array(COMMON.EXTENDED_SEED_SIZE));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('XMSS signing needs the index of an unused one-time key');
+  });
+
+  it('should keep working while more tasks than workers are queued', async () => {
+    const { pk, sk } = dilithiumKeys(7);
+    const messages = [0, 1, 2, 3, 4, 5].map((i) => new Uint8Array([i]));
+    const sigs = await Promise.all(messages.map((m) => pool.sign(SCHEME.DILITHIUM5, m, sk)));
+    const valid = await Promise.all(sigs.map((sig, i) => pool.verify(SCHEME.DILITHIUM5, messages[i], sig, pk)));
+    expect(valid).to.deep.equal([true, true, true, true, true, true]);
+  });
+
+  it('should reject tasks after terminate', async () => {
+    const other = await createPool({ size: 1 });
+    const { sk } = dilithiumKeys(8);
+    const pending = other.sign(SCHEME.DILITHIUM5, MESSAGE, sk).catch((e) => e);
+    await other.terminate();
+
+    let error = await pending;
+    expect(error.message).to.equal('WorkerPool has been terminated');
+    expect(other.size).to.equal(0);
+
+    error = undefined;
+    try {
+      await other.verify(SCHEME.DILITHIUM5, MESSAGE, MESSAGE, MESSAGE);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('WorkerPool has been terminated');
+  });
+});
+
+describe('WorkerPool crashes', () => {
+  it('should replace a worker that crashed while idle', () => {
+    const { spawn, handles } = newFakeSpawner();
+    const pool = new WorkerPool(spawn, 2);
+
+    handles[0].crash(new Error('out of memory'));
+    expect(handles[0].terminated).to.equal(true);
+    expect(pool.size).to.equal(2);
+    expect(pool.handles).to.deep.equal([handles[1], handles[2]]);
+  });
+
+  it('should replace a worker that crashed with a task and reject only that task', async () => {
+    const { spawn, handles } = newFakeSpawner();
+    const pool = new WorkerPool(spawn, 1);
+    const first = pool.verify(SCHEME.DILITHIUM5, MESSAGE, MESSAGE, MESSAGE).catch((e) => e);
+    const second = pool.verify(SCHEME.DILITHIUM5, MESSAGE, MESSAGE, MESSAGE);
+
+    handles[0].crash(new Error('worker crashed'));
+    expect((await first).message).to.equal('worker crashed');
+    expect(pool.size).to.equal(1);
+    expect(handles[1].posted).to.have.length(1);
+    handles[1].reply({ result: true });
+    expect(await second).to.equal(true);
+  });
+
+  it('should stop replacing workers that crash without a reply in between', async () => {
+    const { spawn, handles } = newFakeSpawner();
+    const pool = new WorkerPool(spawn, 2);
+
+    handles[0].crash(new Error('bad worker'));
+    handles[1].crash(new Error('bad worker'));
+    expect(pool.size).to.equal(2);
+    handles[2].crash(new Error('bad worker'));
+    expect(pool.size).to.equal(1);
+    const pending = pool.verify(SCHEME.DILITHIUM5, MESSAGE, MESSAGE, MESSAGE).catch((e) => e);
+    handles[3].crash(new Error('bad worker'));
+    expect(pool.size).to.equal(0);
+    expect((await pending).message).to.equal('bad worker');
+
+    let error;
+    try {
+      await pool.verify(SCHEME.DILITHIUM5, MESSAGE, MESSAGE, MESSAGE);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('WorkerPool has no workers left');
+  });
+
+  it('should count crashes again after a reply', () => {
+    const { spawn, handles } = newFakeSpawner();
+    const pool = new WorkerPool(spawn, 1);
+
+    handles[0].crash(new Error('bad worker'));
+    handles[1].reply({ result: true });
+    handles[1].crash(new Error('bad worker'));
+    expect(pool.size).to.equal(1);
+    expect(handles).to.have.length(3);
+  });
+});
+
+describe('XMSS signing in a worker', function testFunction() {
+  this.timeout(0);
+
+  function time(f) {
+    const start = process.hrtime.bigint();
+    f();
+    return Number(process.hrtime.bigint() - start);
+  }
+
+  it('should reuse the tree of a key and rebuild it only to rewind', () => {
+    const xmss = newXMSSFromSeed(
+      new Uint8Array(COMMON.SEED_SIZE).fill(7),
+      4,
+      HASH_FUNCTION.SHAKE_128,
+      COMMON.SHA256_2X
+    );
+    const extendedSeed = xmss.getExtendedSeed();
+    xmss.setIndex(1);
+    // Each signature moves the tree to the next index
+    const expected = [1, 2, 3].map(() => xmss.sign(MESSAGE).sigMsg);
+    const sign = (index) => runTask('sign', [SCHEME.XMSS, MESSAGE, extendedSeed, { index }]);
+
+    let first;
+    const built = time(() => {
+      first = sign(2);
+    });
+    let second;
+    const cached = time(() => {
+      second = sign(3);
+    });
+    expect(first).to.deep.equal(expected[1]);
+    expect(second).to.deep.equal(expected[2]);
+    expect(cached).to.be.below(built / 2);
+    expect(sign(1)).to.deep.equal(expected[0]);
+  });
+});
@@ -1,6 +1,7 @@
 /// <reference path="typedefs.js" />
 
 import { COMMON, CONSTANTS } from './constants.js';
+import { InvalidLengthError } from './errors.js';
 
 class TreeHashInstClass {
   constructor(n = 0) {
@@ -145,7 +146,7 @@ export function newQRLDescriptor(height, hashFunction, signatureType, addrFormat
  */
 export function newQRLDescriptorFromBytes(descriptorBytes) {
   if (descriptorBytes.length !== 3) {
-    throw new Error('Descriptor size should be 3 bytes');
+    throw new InvalidLengthError('Descriptor size should be 3 bytes');
   }
 
   return new QRLDescriptorClass(
@@ -162,7 +163,7 @@ export function newQRLDescriptorFromBytes(descriptorBytes) {
  */
 export function newQRLDescriptorFromExtendedSeed(extendedSeed) {
   if (extendedSeed.length !== COMMON.EXTENDED_SEED_SIZE) {
-    throw new Error(`extendedSeed should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
+    throw new InvalidLengthError(`extendedSeed should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
   }
 
   return newQRLDescriptorFromBytes(extendedSeed.subarray(0, COMMON.DESCRIPTOR_SIZE));
@@ -174,7 +175,7 @@ export function newQRLDescriptorFromExtendedSeed(extendedSeed) {
  */
 export function newQRLDescriptorFromExtendedPk(extendedPk) {
   if (extendedPk.length !== CONSTANTS.EXTENDED_PK_SIZE) {
-    throw new Error(`extendedPk should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
+    throw new InvalidLengthError(`extendedPk should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
   }
 
   return newQRLDescriptorFromBytes(extendedPk.subarray(0, COMMON.DESCRIPTOR_SIZE));
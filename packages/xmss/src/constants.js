@@ -23,6 +23,14 @@ export const COMMON = Object.freeze({
   SHA256_2X: 0,
 });
 
+/** Reason codes returned by verifyDetailed */
+export const VERIFY_REASON = Object.freeze({
+  OK: 'ok',
+  BAD_LENGTH: 'bad-length',
+  DESCRIPTOR_MISMATCH: 'descriptor-mismatch',
+  ROOT_MISMATCH: 'root-mismatch',
+});
+
 export const WOTS_PARAM = Object.freeze({
   K: 2,
   W: 16,
@@ -0,0 +1,69 @@
+/** Thrown when a seed, key, address, descriptor or signature does not have the expected size. */
+export class InvalidLengthError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidLengthError';
+  }
+}
+
+/** Thrown when a QRL descriptor names a signature type, address format or height this library does not support. */
+export class InvalidDescriptorError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidDescriptorError';
+  }
+}
+
+/** Thrown when every one-time signature of an XMSS tree has been used. */
+export class KeyExhaustedError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'KeyExhaustedError';
+  }
+}
+
+/** Thrown when setIndex would move a tree back to a one-time key it may already have used. */
+export class InvalidIndexError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidIndexError';
+  }
+}
+
+/** Thrown when an XMSS tree is used after destroy() wiped its secrets. */
+export class KeyDestroyedError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'KeyDestroyedError';
+  }
+}
+
+/**
+ * Thrown when a signature fails verification right after signing, e.g. after a glitch or bit-flip. `index` is the
+ * one-time key the faulty signature used up.
+ */
+export class FaultDetectedError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [index]
+   */
+  constructor(message, index) {
+    super(message);
+    this.name = 'FaultDetectedError';
+    this.index = index;
+  }
+}
+
+/** Thrown when a mnemonic has an odd word count, an unknown word or decodes to the wrong size. */
+export class InvalidMnemonicError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidMnemonicError';
+  }
+}
@@ -2,6 +2,7 @@
 
 import { HASH_FUNCTION } from './constants.js';
 import { addrToByte, setKeyAndMask, sha256, shake128, shake256, toByteLittleEndian } from './helper.js';
+import { InvalidLengthError } from './errors.js';
 
 /**
  * @param {HashFunction} hashFunction
@@ -36,6 +37,8 @@ export function coreHash(hashFunction, out, typeValue, key, keyLen, input, inLen
     default:
       break;
   }
+  // buf holds the key, which is secret for prf
+  buf.fill(0);
 }
 
 /**
@@ -59,7 +62,7 @@ export function prf(hashFunction, out, input, key, keyLen) {
  */
 export function hashH(hashFunction, out, input, pubSeed, addr, n) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const buf = new Uint8Array(2 * n);
@@ -1,9 +1,14 @@
 import { sha256 as sha2Func256 } from '@noble/hashes/sha256';
-import jsSha3CommonJsPackage from 'js-sha3';
+import { shake128 as sha3Shake128, shake256 as sha3Shake256 } from '@noble/hashes/sha3';
 import { COMMON, ENDIAN } from './constants.js';
 import WORD_LIST from './wordList.js';
+import { InvalidLengthError, InvalidMnemonicError } from './errors.js';
 
-const { shake256: sha3Shake256, shake128: sha3Shake128 } = jsSha3CommonJsPackage;
+/** Largest number of bytes crypto.getRandomValues fills in one call */
+const MAX_RANDOM_BYTES_PER_CALL = 65536;
+
+/** Key of the global entropy source on globalThis, shared with @theqrl/dilithium5 */
+const ENTROPY_SOURCE_KEY = Symbol.for('@theqrl/entropy-source');
 
 /**
  * @param {Uint8Array} out
@@ -11,10 +16,9 @@ const { shake256: sha3Shake256, shake128: sha3Shake128 } = jsSha3CommonJsPackage
  * @returns {Uint8Array}
  */
 export function shake128(out, msg) {
-  const hash = sha3Shake128(msg, 8 * out.length);
-  for (let i = 0, h = 0; i < out.length; i++, h++) {
-    out.set([parseInt(hash.substring(h * 2, h * 2 + 2), 16)], i);
-  }
+  const hashOut = sha3Shake128(msg, { dkLen: out.length });
+  out.set(hashOut);
+  hashOut.fill(0);
   return out;
 }
 
@@ -24,10 +28,9 @@ export function shake128(out, msg) {
  * @returns {Uint8Array}
  */
 export function shake256(out, msg) {
-  const hash = sha3Shake256(msg, 8 * out.length);
-  for (let i = 0, h = 0; i < out.length; i++, h++) {
-    out.set([parseInt(hash.substring(h * 2, h * 2 + 2), 16)], i);
-  }
+  const hashOut = sha3Shake256(msg, { dkLen: out.length });
+  out.set(hashOut);
+  hashOut.fill(0);
   return out;
 }
 
@@ -41,6 +44,72 @@ export function sha256(out, msg) {
   for (let i = 0, h = 0; i < out.length && h < hashOut.length; i++, h++) {
     out.set([hashOut[h]], i);
   }
+  hashOut.fill(0);
+  return out;
+}
+
+/**
+ * Overwrites secret buffers with zeros. null and undefined are skipped.
+ *
+ * @param {...(Uint8Array | Uint32Array | null | undefined)} buffers
+ */
+export function zeroize(...buffers) {
+  buffers.forEach((buffer) => {
+    if (buffer) {
+      buffer.fill(0);
+    }
+  });
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function defaultEntropySource(length) {
+  const { crypto } = globalThis;
+  if (!crypto || typeof crypto.getRandomValues !== 'function') {
+    throw new Error('globalThis.crypto.getRandomValues is not available');
+  }
+  const out = new Uint8Array(length);
+  for (let i = 0; i < length; i += MAX_RANDOM_BYTES_PER_CALL) {
+    crypto.getRandomValues(out.subarray(i, Math.min(length, i + MAX_RANDOM_BYTES_PER_CALL)));
+  }
+  return out;
+}
+
+/**
+ * Sets the entropy source shared with @theqrl/dilithium5. Pass null or undefined to go back to
+ * globalThis.crypto.getRandomValues.
+ *
+ * @param {EntropySource | null | undefined} source
+ */
+export function setEntropySource(source) {
+  if (source !== null && source !== undefined && typeof source !== 'function') {
+    throw new Error(`invalid entropy source ${typeof source} | Expected a function (length) => Uint8Array`);
+  }
+  globalThis[ENTROPY_SOURCE_KEY] = source || undefined;
+}
+
+/** @returns {EntropySource} */
+export function getEntropySource() {
+  return globalThis[ENTROPY_SOURCE_KEY] || defaultEntropySource;
+}
+
+/**
+ * @param {number} length
+ * @param {EntropySource} [source]
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length, source = getEntropySource()) {
+  let out;
+  try {
+    out = source(length);
+  } catch (e) {
+    throw new Error(`entropy source failed: ${e.message}`);
+  }
+  if (!(out instanceof Uint8Array) || out.length !== length) {
+    throw new Error(`entropy source returned ${out && out.length} bytes | Expected a Uint8Array of length ${length}`);
+  }
   return out;
 }
 
@@ -159,7 +228,7 @@ function toByteBigEndian(out, input, bytes) {
  */
 export function addrToByte(out, addr, getEndianFunc = getEndian) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   switch (getEndianFunc()) {
@@ -184,7 +253,7 @@ export function addrToByte(out, addr, getEndianFunc = getEndian) {
  */
 export function binToMnemonic(input) {
   if (input.length % 3 !== 0) {
-    throw new Error('byte count needs to be a multiple of 3');
+    throw new InvalidMnemonicError('byte count needs to be a multiple of 3');
   }
 
   const buf = [];
@@ -218,7 +287,7 @@ export function binToMnemonic(input) {
  */
 export function seedBinToMnemonic(input) {
   if (input.length !== COMMON.SEED_SIZE) {
-    throw new Error(`input should be an array of size ${COMMON.SEED_SIZE}`);
+    throw new InvalidLengthError(`input should be an array of size ${COMMON.SEED_SIZE}`);
   }
 
   return binToMnemonic(input);
@@ -230,7 +299,7 @@ export function seedBinToMnemonic(input) {
  */
 export function extendedSeedBinToMnemonic(input) {
   if (input.length !== COMMON.EXTENDED_SEED_SIZE) {
-    throw new Error(`input should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
+    throw new InvalidLengthError(`input should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
   }
 
   return binToMnemonic(input);
@@ -244,7 +313,7 @@ export function mnemonicToBin(mnemonic) {
   const mnemonicWords = mnemonic.split(' ');
   const wordCount = mnemonicWords.length;
   if (wordCount % 2 !== 0) {
-    throw new Error(`Word count = ${wordCount} must be even`);
+    throw new InvalidMnemonicError(`Word count = ${wordCount} must be even`);
   }
 
   const wordLookup = {};
@@ -261,7 +330,7 @@ export function mnemonicToBin(mnemonic) {
     const w = mnemonicWords[i];
     const found = w in wordLookup;
     if (!found) {
-      throw new Error('Invalid word in mnemonic');
+      throw new InvalidMnemonicError('Invalid word in mnemonic');
     }
     const value = wordLookup[w];
 
@@ -294,7 +363,7 @@ export function mnemonicToSeedBin(mnemonic) {
   const output = mnemonicToBin(mnemonic);
 
   if (output.length !== COMMON.SEED_SIZE) {
-    throw new Error('Unexpected MnemonicToSeedBin output size');
+    throw new InvalidMnemonicError('Unexpected MnemonicToSeedBin output size');
   }
 
   const sizedOutput = new Uint8Array(COMMON.SEED_SIZE);
@@ -317,7 +386,7 @@ export function mnemonicToExtendedSeedBin(mnemonic) {
   const output = mnemonicToBin(mnemonic);
 
   if (output.length !== COMMON.EXTENDED_SEED_SIZE) {
-    throw new Error('Unexpected MnemonicToExtendedSeedBin output size');
+    throw new InvalidMnemonicError('Unexpected MnemonicToExtendedSeedBin output size');
   }
 
   const sizedOutput = new Uint8Array(COMMON.EXTENDED_SEED_SIZE);
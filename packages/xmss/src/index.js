@@ -1,5 +1,6 @@
 export * from './classes.js';
 export * from './constants.js';
+export * from './errors.js';
 export * from './hash.js';
 export * from './helper.js';
 export { default as WORD_LIST } from './wordList.js';
@@ -19,6 +19,8 @@
 
 /** @typedef {Uint32Array[number]} HashFunction */
 
+/** @typedef {(length: number) => Uint8Array} EntropySource */
+
 /**
  * @typedef {Object} TreeHashInst
  * @property {Uint32Array[number]} h
@@ -57,6 +59,14 @@
  * @property {() => Uint8Array} getBytes
  */
 
+/** @typedef {'ok' | 'bad-length' | 'descriptor-mismatch' | 'root-mismatch'} VerifyReason */
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {boolean} valid
+ * @property {VerifyReason} reason
+ */
+
 /**
  * @typedef {Object} SignatureReturnType
  * @property {Uint8Array | null} sigMsg
@@ -72,6 +82,7 @@
  * @property {Uint8Array} seed
  * @property {BDSState} bdsState
  * @property {QRLDescriptor} desc
+ * @property {boolean} [destroyed]
  * @property {(newIndex: Uint32Array[number]) => void} setIndex
  * @property {() => Uint8Array[number]} getHeight
  * @property {() => Uint8Array} getPKSeed
@@ -84,5 +95,6 @@
  * @property {() => Uint8Array} getSK
  * @property {() => Uint8Array} getAddress
  * @property {() => Uint32Array[number]} getIndex
- * @property {(message: Uint8Array) => SignatureReturnType} sign
+ * @property {(message: Uint8Array, verifyAfterSign?: boolean) => SignatureReturnType} sign
+ * @property {() => void} destroy
  */
@@ -1,6 +1,5 @@
 /// <reference path="typedefs.js" />
 
-import { randomBytes } from '@noble/hashes/utils';
 import {
   newBDSState,
   newQRLDescriptor,
@@ -10,10 +9,20 @@ import {
   newWOTSParams,
   newXMSSParams,
 } from './classes.js';
-import { COMMON, CONSTANTS, OFFSET_PUB_SEED, OFFSET_ROOT, WOTS_PARAM } from './constants.js';
+import {
+  COMMON,
+  CONSTANTS,
+  OFFSET_PUB_SEED,
+  OFFSET_ROOT,
+  OFFSET_SK_SEED,
+  VERIFY_REASON,
+  WOTS_PARAM,
+} from './constants.js';
 import { coreHash, hashH, prf } from './hash.js';
 import {
   extendedSeedBinToMnemonic,
+  getEntropySource,
+  randomBytes,
   setChainAddr,
   setLTreeAddr,
   setOTSAddr,
@@ -22,6 +31,7 @@ import {
   setType,
   shake256,
   toByteLittleEndian,
+  zeroize,
 } from './helper.js';
 import {
   XMSSFastGenKeyPair,
@@ -33,6 +43,7 @@ import {
   lTree,
   xmssFastUpdate,
 } from './xmssFast.js';
+import { FaultDetectedError, InvalidDescriptorError, InvalidLengthError, KeyDestroyedError } from './errors.js';
 
 /**
  * @param {Uint32Array[number]} keySize
@@ -102,7 +113,7 @@ export function calcBaseW(output, outputLen, input, params) {
  */
 export function wotsSign(hashFunction, sig, msg, sk, params, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const baseW = new Uint8Array(params.len);
@@ -237,6 +248,7 @@ export function xmssFastSignMessage(hashFunction, params, sk, bdsState, message)
   getSeed(hashFunction, otsSeed, skSeed, n, otsAddr);
 
   wotsSign(hashFunction, sigMsg.subarray(sigMsgLen), msgHash, otsSeed, params.wotsParams, pubSeed, otsAddr);
+  zeroize(otsSeed, skPRF);
 
   sigMsgLen += params.wotsParams.keySize;
 
@@ -252,6 +264,7 @@ export function xmssFastSignMessage(hashFunction, params, sk, bdsState, message)
     bdsRound(hashFunction, bdsState, idx, skSeed, params, pubSeed, otsAddr);
     bdsTreeHashUpdate(hashFunction, bdsState, (params.h - params.k) >>> 1, skSeed, params, pubSeed, otsAddr);
   }
+  zeroize(skSeed);
 
   return { sigMsg, error: null };
 }
@@ -264,7 +277,7 @@ export function getXMSSAddressFromPK(ePK) {
   const desc = newQRLDescriptorFromExtendedPk(ePK);
 
   if (desc.getAddrFormatType() !== COMMON.SHA256_2X) {
-    throw new Error('Address format type not supported');
+    throw new InvalidDescriptorError('Address format type not supported');
   }
 
   const address = new Uint8Array(COMMON.ADDRESS_SIZE);
@@ -293,12 +306,24 @@ export function getXMSSAddressFromPK(ePK) {
   return address;
 }
 
+/**
+ * @param {{ destroyed?: boolean }} xmss
+ * @returns {void}
+ */
+function checkNotDestroyed(xmss) {
+  // destroyed is only set by destroy(), which keeps the own properties of a live tree unchanged
+  if (xmss.destroyed === true) {
+    throw new KeyDestroyedError('XMSS tree has been destroyed');
+  }
+}
+
 class XMSSClass {
   /**
    * @param {Uint32Array[number]} newIndex
    * @returns {void}
    */
   setIndex(newIndex) {
+    checkNotDestroyed(this);
     xmssFastUpdate(this.hashFunction, this.xmssParams, this.sk, this.bdsState, newIndex);
   }
 
@@ -314,6 +339,7 @@ class XMSSClass {
 
   /** @returns {Uint8Array} */
   getSeed() {
+    checkNotDestroyed(this);
     return this.seed;
   }
 
@@ -384,6 +410,7 @@ class XMSSClass {
 
   /** @returns {Uint8Array} */
   getSK() {
+    checkNotDestroyed(this);
     return this.sk;
   }
 
@@ -394,6 +421,7 @@ class XMSSClass {
 
   /** @returns {Uint32Array[number]} */
   getIndex() {
+    checkNotDestroyed(this);
     return (
       (new Uint32Array([this.sk[0]])[0] << 24) +
       (new Uint32Array([this.sk[1]])[0] << 16) +
@@ -403,14 +431,33 @@ class XMSSClass {
   }
 
   /**
+   * Failures throw, so error in the result is always null. With verifyAfterSign the signature is verified against the
+   * tree's public key before it is returned. One that does not verify is wiped and FaultDetectedError is thrown with
+   * its index, which stays used, as the faulty signature may have leaked part of that one-time key.
+   *
    * @param {Uint8Array} message
+   * @param {boolean} [verifyAfterSign]
    * @returns {SignatureReturnType}
    */
-  sign(message) {
+  sign(message, verifyAfterSign = false) {
+    checkNotDestroyed(this);
     const index = this.getIndex();
     this.setIndex(index);
 
-    return xmssFastSignMessage(this.hashFunction, this.xmssParams, this.sk, this.bdsState, message);
+    const signature = xmssFastSignMessage(this.hashFunction, this.xmssParams, this.sk, this.bdsState, message);
+    if (signature.error !== null) {
+      // The only error hMsg reports today is a hash key of the wrong length, so any other string stays a plain Error
+      if (signature.error.startsWith('H_msg takes 3n-bit keys')) {
+        throw new InvalidLengthError(signature.error);
+      }
+      throw new Error(signature.error);
+    }
+    // eslint-disable-next-line no-use-before-define
+    if (verifyAfterSign && !verify(message, signature.sigMsg, this.getPK())) {
+      signature.sigMsg.fill(0);
+      throw new FaultDetectedError('signature failed verification after signing', index);
+    }
+    return signature;
   }
 
   /**
@@ -424,7 +471,7 @@ class XMSSClass {
    */
   constructor(xmssParams, hashFunction, height, sk, seed, bdsState, desc) {
     if (seed.length !== COMMON.SEED_SIZE) {
-      throw new Error(`seed should be an array of size ${COMMON.SEED_SIZE}`);
+      throw new InvalidLengthError(`seed should be an array of size ${COMMON.SEED_SIZE}`);
     }
 
     this.xmssParams = xmssParams;
@@ -435,6 +482,19 @@ class XMSSClass {
     this.bdsState = bdsState;
     this.desc = desc;
   }
+
+  /**
+   * Overwrites the seed, SK_SEED, SK_PRF and the BDS traversal state with zeros. Every method that needs them throws
+   * KeyDestroyedError afterwards. The root and public seed are kept, so getPK and getAddress still work.
+   *
+   * @returns {void}
+   */
+  destroy() {
+    const { stack, auth, keep, retain, treeHash } = this.bdsState;
+    zeroize(this.sk.subarray(OFFSET_SK_SEED, OFFSET_PUB_SEED), this.seed, stack, auth, keep, retain);
+    treeHash.forEach((inst) => zeroize(inst.node));
+    this.destroyed = true;
+  }
 }
 
 /**
@@ -458,7 +518,7 @@ export function newXMSS(xmssParams, hashFunction, height, sk, seed, bdsState, de
  */
 export function initializeTree(desc, seed) {
   if (seed.length !== COMMON.SEED_SIZE) {
-    throw new Error(`seed should be an array of size ${COMMON.SEED_SIZE}`);
+    throw new InvalidLengthError(`seed should be an array of size ${COMMON.SEED_SIZE}`);
   }
 
   const [height] = new Uint32Array([desc.getHeight()]);
@@ -471,14 +531,15 @@ export function initializeTree(desc, seed) {
   const n = WOTS_PARAM.N;
 
   if (k >= height || (height - k) % 2 === 1) {
-    throw new Error('For BDS traversal, H - K must be even, with H > K >= 2!');
+    throw new InvalidDescriptorError('For BDS traversal, H - K must be even, with H > K >= 2!');
   }
 
   const xmssParams = newXMSSParams(n, height, w, k);
   const bdsState = newBDSState(height, n, k);
   XMSSFastGenKeyPair(hashFunction, xmssParams, pk, sk, bdsState, seed);
 
-  return newXMSS(xmssParams, hashFunction, height, sk, seed, bdsState, desc);
+  // A copy, so that destroy() does not wipe the caller's buffer
+  return newXMSS(xmssParams, hashFunction, height, sk, seed.slice(), bdsState, desc);
 }
 
 /**
@@ -490,12 +551,12 @@ export function initializeTree(desc, seed) {
  */
 export function newXMSSFromSeed(seed, height, hashFunction, addrFormatType) {
   if (seed.length !== COMMON.SEED_SIZE) {
-    throw new Error(`seed should be an array of size ${COMMON.SEED_SIZE}`);
+    throw new InvalidLengthError(`seed should be an array of size ${COMMON.SEED_SIZE}`);
   }
 
   const signatureType = COMMON.XMSS_SIG;
   if (height > CONSTANTS.MAX_HEIGHT) {
-    throw new Error('Height should be <= 254');
+    throw new InvalidDescriptorError('Height should be <= 254');
   }
   const desc = newQRLDescriptor(height, hashFunction, signatureType, addrFormatType);
 
@@ -508,7 +569,7 @@ export function newXMSSFromSeed(seed, height, hashFunction, addrFormatType) {
  */
 export function newXMSSFromExtendedSeed(extendedSeed) {
   if (extendedSeed.length !== COMMON.EXTENDED_SEED_SIZE) {
-    throw new Error(`extendedSeed should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
+    throw new InvalidLengthError(`extendedSeed should be an array of size ${COMMON.EXTENDED_SEED_SIZE}`);
   }
 
   const desc = newQRLDescriptorFromExtendedSeed(extendedSeed);
@@ -521,10 +582,11 @@ export function newXMSSFromExtendedSeed(extendedSeed) {
 /**
  * @param {Uint8Array[number]} height
  * @param {HashFunction} hashFunction
+ * @param {EntropySource} [entropySource]
  * @returns {XMSS}
  */
-export function newXMSSFromHeight(height, hashFunction) {
-  const seed = randomBytes(COMMON.SEED_SIZE);
+export function newXMSSFromHeight(height, hashFunction, entropySource = getEntropySource()) {
+  const seed = randomBytes(COMMON.SEED_SIZE, entropySource);
 
   return newXMSSFromSeed(seed, height, hashFunction, COMMON.SHA256_2X);
 }
@@ -538,11 +600,11 @@ export function getHeightFromSigSize(sigSize, wotsParamW) {
   const wotsParam = newWOTSParams(WOTS_PARAM.N, wotsParamW);
   const signatureBaseSize = calculateSignatureBaseSize(wotsParam.keySize);
   if (sigSize < signatureBaseSize) {
-    throw new Error('Invalid signature size');
+    throw new InvalidLengthError('Invalid signature size');
   }
 
   if ((sigSize - 4) % 32 !== 0) {
-    throw new Error('Invalid signature size');
+    throw new InvalidLengthError('Invalid signature size');
   }
 
   return new Uint32Array([(sigSize - signatureBaseSize) / 32])[0];
@@ -554,7 +616,7 @@ export function getHeightFromSigSize(sigSize, wotsParamW) {
  */
 export function isValidXMSSAddress(address) {
   if (address.length !== COMMON.ADDRESS_SIZE) {
-    throw new Error(`address should be an array of size ${COMMON.ADDRESS_SIZE}`);
+    throw new InvalidLengthError(`address should be an array of size ${COMMON.ADDRESS_SIZE}`);
   }
 
   const d = newQRLDescriptorFromBytes(address.subarray(0, COMMON.DESCRIPTOR_SIZE));
@@ -579,7 +641,7 @@ export function isValidXMSSAddress(address) {
  */
 export function wotsPKFromSig(hashfunction, pk, sig, msg, wotsParams, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const {
@@ -639,7 +701,7 @@ export function wotsPKFromSig(hashfunction, pk, sig, msg, wotsParams, pubSeed, a
  */
 export function validateAuthPath(hashFunction, root, leaf, leafIdx, authpath, n, h, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const buffer = new Uint8Array(2 * n);
@@ -692,9 +754,9 @@ export function validateAuthPath(hashFunction, root, leaf, leafIdx, authpath, n,
  * @param {Uint8Array} sigMsg
  * @param {Uint8Array} pk
  * @param {Uint32Array[number]} h
- * @returns {boolean}
+ * @returns {VerifyReason}
  */
-export function xmssVerifySig(hashFunction, wotsParams, msg, sigMsg, pk, h) {
+function xmssVerifySigReason(hashFunction, wotsParams, msg, sigMsg, pk, h) {
   let [sigMsgOffset] = new Uint32Array([0]);
 
   const { n } = wotsParams;
@@ -740,7 +802,7 @@ export function xmssVerifySig(hashFunction, wotsParams, msg, sigMsg, pk, h) {
   const msgHash = new Uint8Array(n);
   const { error } = hMsg(hashFunction, msgHash, msg, hashKey, n);
   if (error !== null) {
-    return false;
+    return VERIFY_REASON.BAD_LENGTH;
   }
 
   // Prepare Address
@@ -759,42 +821,57 @@ export function xmssVerifySig(hashFunction, wotsParams, msg, sigMsg, pk, h) {
 
   for (let i = 0; i < n; i++) {
     if (root[i] !== pk[i]) {
-      return false;
+      return VERIFY_REASON.ROOT_MISMATCH;
     }
   }
 
-  return true;
+  return VERIFY_REASON.OK;
 }
 
 /**
+ * @param {HashFunction} hashFunction
+ * @param {WOTSParams} wotsParams
+ * @param {Uint8Array} msg
+ * @param {Uint8Array} sigMsg
+ * @param {Uint8Array} pk
+ * @param {Uint32Array[number]} h
+ * @returns {boolean}
+ */
+export function xmssVerifySig(hashFunction, wotsParams, msg, sigMsg, pk, h) {
+  return xmssVerifySigReason(hashFunction, wotsParams, msg, sigMsg, pk, h) === VERIFY_REASON.OK;
+}
+
+/**
+ * Throws for a malformed public key or signature and returns a reason code otherwise.
+ *
  * @param {Uint8Array} message
  * @param {Uint8Array} signature
  * @param {Uint8Array} extendedPK
  * @param {Uint32Array[number]} wotsParamW
- * @returns {boolean}
+ * @returns {VerifyReason}
  */
-export function verifyWithCustomWOTSParamW(message, signature, extendedPK, wotsParamW) {
+function verifyReason(message, signature, extendedPK, wotsParamW) {
   if (extendedPK.length !== CONSTANTS.EXTENDED_PK_SIZE) {
-    throw new Error(`extendedPK should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
+    throw new InvalidLengthError(`extendedPK should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
   }
 
   const wotsParam = newWOTSParams(WOTS_PARAM.N, wotsParamW);
 
   const signatureBaseSize = calculateSignatureBaseSize(wotsParam.keySize);
   if (new Uint32Array([signature.length])[0] > signatureBaseSize + new Uint32Array([CONSTANTS.MAX_HEIGHT])[0] * 32) {
-    throw new Error('Invalid signature size. Height<=254');
+    throw new InvalidLengthError('Invalid signature size. Height<=254');
   }
 
   const desc = newQRLDescriptorFromExtendedPk(extendedPK);
 
   if (desc.getSignatureType() !== COMMON.XMSS_SIG) {
-    throw new Error('Invalid signature type');
+    throw new InvalidDescriptorError('Invalid signature type');
   }
 
   const height = getHeightFromSigSize(new Uint32Array([signature.length])[0], wotsParamW);
 
   if (height === 0 || new Uint32Array([desc.getHeight()])[0] !== height) {
-    return false;
+    return VERIFY_REASON.DESCRIPTOR_MISMATCH;
   }
 
   const hashFunction = desc.getHashFunction();
@@ -804,12 +881,12 @@ export function verifyWithCustomWOTSParamW(message, signature, extendedPK, wotsP
   const n = WOTS_PARAM.N;
 
   if (k >= height || (height - k) % 2 === 1) {
-    throw new Error('For BDS traversal, H - K must be even, with H > K >= 2!');
+    throw new InvalidDescriptorError('For BDS traversal, H - K must be even, with H > K >= 2!');
   }
 
   const params = newXMSSParams(n, height, w, k);
   const tmp = signature;
-  return xmssVerifySig(
+  return xmssVerifySigReason(
     hashFunction,
     params.wotsParams,
     message,
@@ -819,6 +896,17 @@ export function verifyWithCustomWOTSParamW(message, signature, extendedPK, wotsP
   );
 }
 
+/**
+ * @param {Uint8Array} message
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} extendedPK
+ * @param {Uint32Array[number]} wotsParamW
+ * @returns {boolean}
+ */
+export function verifyWithCustomWOTSParamW(message, signature, extendedPK, wotsParamW) {
+  return verifyReason(message, signature, extendedPK, wotsParamW) === VERIFY_REASON.OK;
+}
+
 /**
  * @param {Uint8Array} message
  * @param {Uint8Array} signature
@@ -827,8 +915,32 @@ export function verifyWithCustomWOTSParamW(message, signature, extendedPK, wotsP
  */
 export function verify(message, signature, extendedPK) {
   if (extendedPK.length !== CONSTANTS.EXTENDED_PK_SIZE) {
-    throw new Error(`extendedPK should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
+    throw new InvalidLengthError(`extendedPK should be an array of size ${CONSTANTS.EXTENDED_PK_SIZE}`);
   }
 
   return verifyWithCustomWOTSParamW(message, signature, extendedPK, WOTS_PARAM.W);
 }
+
+/**
+ * Like verify, but reports malformed input as a reason instead of throwing.
+ *
+ * @param {Uint8Array} message
+ * @param {Uint8Array} signature
+ * @param {Uint8Array} extendedPK
+ * @returns {VerifyResult}
+ */
+export function verifyDetailed(message, signature, extendedPK) {
+  let reason;
+  try {
+    reason = verifyReason(message, signature, extendedPK, WOTS_PARAM.W);
+  } catch (e) {
+    if (e instanceof InvalidLengthError) {
+      reason = VERIFY_REASON.BAD_LENGTH;
+    } else if (e instanceof InvalidDescriptorError) {
+      reason = VERIFY_REASON.DESCRIPTOR_MISMATCH;
+    } else {
+      throw e;
+    }
+  }
+  return { valid: reason === VERIFY_REASON.OK, reason };
+}
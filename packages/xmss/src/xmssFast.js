@@ -12,7 +12,9 @@ import {
   setType,
   shake256,
   toByteLittleEndian,
+  zeroize,
 } from './helper.js';
+import { InvalidDescriptorError, InvalidIndexError, InvalidLengthError, KeyExhaustedError } from './errors.js';
 
 /**
  * @param {HashFunction} hashFunction
@@ -23,7 +25,7 @@ import {
  */
 export function getSeed(hashFunction, seed, skSeed, n, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const bytes = new Uint8Array(32);
@@ -61,7 +63,7 @@ export function expandSeed(hashFunction, outSeeds, inSeeds, n, len) {
  */
 export function hashF(hashFunction, out, input, pubSeed, addr, n) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const buf = new Uint8Array(n);
@@ -95,7 +97,7 @@ export function hashF(hashFunction, out, input, pubSeed, addr, n) {
  */
 export function genChain(hashFunction, out, input, start, steps, params, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   for (let i = 0; i < params.n; i++) {
@@ -118,7 +120,7 @@ export function genChain(hashFunction, out, input, start, steps, params, pubSeed
  */
 export function wOTSPKGen(hashFunction, pk, sk, wOTSParams, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   expandSeed(hashFunction, pk, sk, wOTSParams.n, wOTSParams.len);
@@ -148,7 +150,7 @@ export function wOTSPKGen(hashFunction, pk, sk, wOTSParams, pubSeed, addr) {
  */
 export function lTree(hashFunction, params, leaf, wotsPK, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   let l = params.len;
@@ -208,6 +210,7 @@ export function genLeafWOTS(hashFunction, leaf, skSeed, xmssParams, pubSeed, lTr
 
   getSeed(hashFunction, seed, skSeed, xmssParams.n, otsAddr);
   wOTSPKGen(hashFunction, pk, seed, xmssParams.wotsParams, pubSeed, otsAddr);
+  zeroize(seed);
   lTree(hashFunction, xmssParams.wotsParams, leaf, pk, pubSeed, lTreeAddr);
 }
 
@@ -327,7 +330,7 @@ export function treeHashSetup(hashFunction, node, index, bdsState, skSeed, xmssP
  */
 export function XMSSFastGenKeyPair(hashFunction, xmssParams, pk, sk, bdsState, seed) {
   if (xmssParams.h % 2 === 1) {
-    throw new Error('Not a valid h, only even numbers supported! Try again with an even number');
+    throw new InvalidDescriptorError('Not a valid h, only even numbers supported! Try again with an even number');
   }
 
   const { n } = xmssParams;
@@ -341,6 +344,7 @@ export function XMSSFastGenKeyPair(hashFunction, xmssParams, pk, sk, bdsState, s
   const rnd = 96;
   const pks = new Uint32Array([32])[0];
   sk.set(randombits.subarray(0, rnd), 4);
+  zeroize(randombits);
   for (let pkIndex = n, skIndex = 4 + 2 * n; pkIndex < pk.length && skIndex < 4 + 2 * n + pks; pkIndex++, skIndex++) {
     pk.set([sk[skIndex]], pkIndex);
   }
@@ -373,7 +377,7 @@ export function XMSSFastGenKeyPair(hashFunction, xmssParams, pk, sk, bdsState, s
  */
 export function treeHashUpdate(hashFunction, treeHash, bdsState, skSeed, params, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const treeHash1 = treeHash;
@@ -470,7 +474,7 @@ export function treeHashMinHeightOnStack(state, params, treeHash) {
  */
 export function bdsTreeHashUpdate(hashFunction, bdsState, updates, skSeed, params, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const { h, k } = params;
@@ -516,7 +520,7 @@ export function bdsTreeHashUpdate(hashFunction, bdsState, updates, skSeed, param
  */
 export function bdsRound(hashFunction, bdsState, leafIdx, skSeed, params, pubSeed, addr) {
   if (addr.length !== 8) {
-    throw new Error('addr should be an array of size 8');
+    throw new InvalidLengthError('addr should be an array of size 8');
   }
 
   const bdsState1 = bdsState;
@@ -633,10 +637,10 @@ export function xmssFastUpdate(hashFunction, params, sk, bdsState, newIdx) {
     new Uint32Array([sk[3]])[0];
 
   if (newIdx >= numElems) {
-    throw new Error('Index too high');
+    throw new KeyExhaustedError('Index too high');
   }
   if (newIdx < currentIdx) {
-    throw new Error('Cannot rewind');
+    throw new InvalidIndexError('Cannot rewind');
   }
 
   const skSeed = new Uint8Array(params.n);
@@ -656,11 +660,13 @@ export function xmssFastUpdate(hashFunction, params, sk, bdsState, newIdx) {
 
   for (let i = currentIdx; i < newIdx; i++) {
     if (i >= numElems) {
+      zeroize(skSeed);
       return -1;
     }
     bdsRound(hashFunction, bdsState, i, skSeed, params, pubSeed, otsAddr);
     bdsTreeHashUpdate(hashFunction, bdsState, (params.h - params.k) >>> 1, skSeed, params, pubSeed, otsAddr);
   }
+  zeroize(skSeed);
 
   sk.set(new Uint8Array([(newIdx >>> 24) & 0xff, (newIdx >>> 16) & 0xff, (newIdx >>> 8) & 0xff, newIdx & 0xff]));
 
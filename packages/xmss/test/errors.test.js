@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { newQRLDescriptorFromBytes } from '../src/classes.js';
+import { COMMON, CONSTANTS, HASH_FUNCTION, OFFSET_PUB_SEED, OFFSET_SK_SEED } from '../src/constants.js';
+import {
+  FaultDetectedError,
+  InvalidDescriptorError,
+  InvalidIndexError,
+  InvalidLengthError,
+  InvalidMnemonicError,
+  KeyDestroyedError,
+  KeyExhaustedError,
+} from '../src/errors.js';
+import { mnemonicToBin } from '../src/helper.js';
+import { newXMSSFromSeed, verify } from '../src/xmss.js';
+
+describe('Test cases for [errors]', function testFunction() {
+  this.timeout(0);
+
+  it('should throw InvalidLengthError for inputs of the wrong size', () => {
+    expect(() => newQRLDescriptorFromBytes(new Uint8Array(2))).to.throw(
+      InvalidLengthError,
+      'Descriptor size should be 3 bytes'
+    );
+    expect(() => newXMSSFromSeed(new Uint8Array(2), 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X)).to.throw(
+      InvalidLengthError
+    );
+  });
+
+  it('should throw InvalidDescriptorError for an unsupported signature type', () => {
+    const pk = new Uint8Array(CONSTANTS.EXTENDED_PK_SIZE);
+    let error;
+    try {
+      verify(new Uint8Array(32), new Uint8Array(2287), pk);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(InvalidDescriptorError);
+    expect(error).to.be.instanceOf(Error);
+    expect(error.name).to.equal('InvalidDescriptorError');
+  });
+
+  it('should throw KeyExhaustedError once every one-time key is used', () => {
+    const xmss = newXMSSFromSeed(new Uint8Array(COMMON.SEED_SIZE), 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+    xmss.setIndex(15);
+    expect(xmss.sign(new Uint8Array(32)).error).to.equal(null);
+    expect(() => xmss.sign(new Uint8Array(32))).to.throw(KeyExhaustedError, 'Index too high');
+  });
+
+  it('should throw InvalidDescriptorError for an unsupported height', () => {
+    expect(() =>
+      newXMSSFromSeed(new Uint8Array(COMMON.SEED_SIZE), 5, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X)
+    ).to.throw(InvalidDescriptorError, 'For BDS traversal, H - K must be even, with H > K >= 2!');
+    expect(() =>
+      newXMSSFromSeed(new Uint8Array(COMMON.SEED_SIZE), 256, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X)
+    ).to.throw(InvalidDescriptorError, 'Height should be <= 254');
+  });
+
+  it('should throw InvalidIndexError when the index is moved back', () => {
+    const xmss = newXMSSFromSeed(new Uint8Array(COMMON.SEED_SIZE), 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+    xmss.setIndex(3);
+    expect(() => xmss.setIndex(2)).to.throw(InvalidIndexError, 'Cannot rewind');
+    expect(xmss.getIndex()).to.equal(3);
+  });
+
+  it('should throw KeyDestroyedError once the tree is destroyed', () => {
+    const seed = new Uint8Array(COMMON.SEED_SIZE).fill(1);
+    const xmss = newXMSSFromSeed(seed, 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+    const message = new Uint8Array(32);
+    const pk = xmss.getPK();
+    const { sigMsg } = xmss.sign(message);
+
+    const address = xmss.getAddress();
+
+    xmss.destroy();
+    expect(xmss.sk.subarray(OFFSET_SK_SEED, OFFSET_PUB_SEED).every((byte) => byte === 0)).to.equal(true);
+    expect(xmss.seed.every((byte) => byte === 0)).to.equal(true);
+    expect(xmss.bdsState.auth.every((byte) => byte === 0)).to.equal(true);
+    expect(seed.every((byte) => byte === 1)).to.equal(true);
+    ['sign', 'setIndex', 'getSeed', 'getExtendedSeed', 'getMnemonic', 'getSK', 'getIndex'].forEach((method) => {
+      expect(() => xmss[method](message)).to.throw(KeyDestroyedError, 'XMSS tree has been destroyed');
+    });
+    expect(xmss.getPK()).to.deep.equal(pk);
+    expect(xmss.getAddress()).to.deep.equal(address);
+    expect(verify(message, sigMsg, xmss.getPK())).to.equal(true);
+  });
+
+  it('should throw FaultDetectedError for a signature that does not verify with verifyAfterSign', () => {
+    const xmss = newXMSSFromSeed(new Uint8Array(COMMON.SEED_SIZE), 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+    const message = new Uint8Array(32);
+    const { sigMsg } = xmss.sign(message, true);
+    expect(verify(message, sigMsg, xmss.getPK())).to.equal(true);
+
+    // A flipped bit in the authentication path stands in for a fault while signing
+    xmss.bdsState.auth[0] ^= 1;
+    let error;
+    let result;
+    try {
+      result = xmss.sign(message, true);
+    } catch (e) {
+      error = e;
+    }
+    expect(result).to.equal(undefined);
+    expect(error).to.be.instanceOf(FaultDetectedError);
+    expect(error.message).to.equal('signature failed verification after signing');
+    expect(error.index).to.equal(1);
+    expect(xmss.getIndex()).to.equal(2);
+  });
+
+  it('should throw InvalidMnemonicError for an unknown word', () => {
+    expect(() => mnemonicToBin('aback notaword')).to.throw(InvalidMnemonicError, 'Invalid word in mnemonic');
+  });
+});
@@ -4,12 +4,16 @@ import { COMMON, ENDIAN } from '../src/constants.js';
 import {
   addrToByte,
   binToMnemonic,
+  defaultEntropySource,
   extendedSeedBinToMnemonic,
+  getEntropySource,
   mnemonicToBin,
   mnemonicToExtendedSeedBin,
   mnemonicToSeedBin,
+  randomBytes,
   seedBinToMnemonic,
   setChainAddr,
+  setEntropySource,
   setHashAddr,
   setKeyAndMask,
   setLTreeAddr,
@@ -223,6 +227,54 @@ describe('Test cases for [helper]', () => {
     });
   });
 
+  describe('randomBytes', () => {
+    it('should return a Uint8Array of the requested length', () => {
+      const out = randomBytes(COMMON.SEED_SIZE);
+
+      expect(out).to.be.an.instanceOf(Uint8Array);
+      expect(out.length).to.equal(COMMON.SEED_SIZE);
+    });
+
+    it('should fill requests larger than a single getRandomValues call', () => {
+      const out = randomBytes(65536 + 48);
+
+      expect(out.length).to.equal(65536 + 48);
+      expect(out.subarray(65536).some((b) => b !== 0)).to.equal(true);
+    });
+
+    it('should throw an error if globalThis.crypto is not available', () => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+      Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+      try {
+        expect(() => randomBytes(COMMON.SEED_SIZE)).to.throw('globalThis.crypto.getRandomValues is not available');
+      } finally {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+      }
+    });
+  });
+
+  describe('setEntropySource', () => {
+    afterEach(() => {
+      setEntropySource(null);
+    });
+
+    it('should default to globalThis.crypto.getRandomValues', () => {
+      expect(getEntropySource()).to.equal(defaultEntropySource);
+    });
+
+    it('should route randomBytes through the global entropy source shared on globalThis', () => {
+      const source = (length) => new Uint8Array(length).fill(5);
+      setEntropySource(source);
+
+      expect(globalThis[Symbol.for('@theqrl/entropy-source')]).to.equal(source);
+      expect(randomBytes(3)).to.deep.equal(new Uint8Array([5, 5, 5]));
+    });
+
+    it('should throw an error if the entropy source is not a function', () => {
+      expect(() => setEntropySource('seed')).to.throw('invalid entropy source string');
+    });
+  });
+
   describe('setType', () => {
     it('should set the type from index 3 till 7, with typeValue 1', () => {
       const addr = getUInt32ArrayFromHex('0000000900000009000000020000000300000009000000010000000000000005');
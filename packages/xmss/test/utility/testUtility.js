@@ -1,5 +1,7 @@
 /* The following functions are only used within this library for testing purposes, and not part of the library for end user. */
 
+import { shake256 } from '../../src/helper.js';
+
 export const UINT = {
   8: 8,
   32: 32,
@@ -71,3 +73,19 @@ export const getRecreatedUIntArray = (uIntArray, variant) => {
   const recreatedUIntArray = getUIntArrayFromHex(hexString, variant);
   return recreatedUIntArray;
 };
+
+/**
+ * Seeded generator for tests: successive requests hash the seed with an incrementing counter.
+ *
+ * @param {Uint8Array} seed
+ * @returns {(length: number) => Uint8Array}
+ */
+export const newDeterministicEntropySource = (seed) => {
+  let counter = 0;
+  return (length) => {
+    const input = new Uint8Array(seed.length + 1);
+    input.set(seed);
+    input[seed.length] = counter++;
+    return shake256(new Uint8Array(length), input);
+  };
+};
@@ -8,7 +8,7 @@ import {
   newWOTSParams,
   newXMSSParams,
 } from '../src/classes.js';
-import { COMMON, CONSTANTS, HASH_FUNCTION } from '../src/constants.js';
+import { COMMON, CONSTANTS, HASH_FUNCTION, VERIFY_REASON } from '../src/constants.js';
 import {
   calcBaseW,
   calculateSignatureBaseSize,
@@ -24,13 +24,15 @@ import {
   newXMSSFromSeed,
   validateAuthPath,
   verify,
+  verifyDetailed,
   verifyWithCustomWOTSParamW,
   wotsPKFromSig,
   wotsSign,
   xmssFastSignMessage,
   xmssVerifySig,
 } from '../src/xmss.js';
-import { getUInt32ArrayFromHex, getUInt8ArrayFromHex } from './utility/testUtility.js';
+import { setEntropySource } from '../src/helper.js';
+import { getUInt32ArrayFromHex, getUInt8ArrayFromHex, newDeterministicEntropySource } from './utility/testUtility.js';
 
 describe('Test cases for [xmss]', function testFunction() {
   this.timeout(0);
@@ -558,7 +560,7 @@ describe('Test cases for [xmss]', function testFunction() {
       const allPropertyNames = Object.getOwnPropertyNames(Object.getPrototypeOf(xmss)).filter(
         (propertyName) => propertyName !== 'constructor'
       );
-      expect(allPropertyNames).to.be.of.length(13);
+      expect(allPropertyNames).to.be.of.length(14);
       expect(allPropertyNames).to.deep.equal([
         'setIndex',
         'getHeight',
@@ -573,6 +575,7 @@ describe('Test cases for [xmss]', function testFunction() {
         'getAddress',
         'getIndex',
         'sign',
+        'destroy',
       ]);
     });
 
@@ -1249,6 +1252,46 @@ describe('Test cases for [xmss]', function testFunction() {
 
       expect(randomSeed1).not.to.deep.equal(randomSeed2);
     });
+
+    it('should take the seed from a per-call entropy source', () => {
+      const height = 4;
+      const hashFunction = HASH_FUNCTION.SHAKE_128;
+      const entropySeed = new Uint8Array(COMMON.SEED_SIZE).fill(7);
+      const { seed: seed1 } = newXMSSFromHeight(height, hashFunction, newDeterministicEntropySource(entropySeed));
+      const { seed: seed2 } = newXMSSFromHeight(height, hashFunction, newDeterministicEntropySource(entropySeed));
+
+      expect(seed1).to.deep.equal(seed2);
+    });
+
+    it('should take the seed from the global entropy source', () => {
+      const height = 4;
+      const hashFunction = HASH_FUNCTION.SHAKE_128;
+      const entropySeed = new Uint8Array(COMMON.SEED_SIZE).fill(9);
+      try {
+        setEntropySource(newDeterministicEntropySource(entropySeed));
+        const { seed: seed1 } = newXMSSFromHeight(height, hashFunction);
+        setEntropySource(newDeterministicEntropySource(entropySeed));
+        const { seed: seed2 } = newXMSSFromHeight(height, hashFunction);
+
+        expect(seed1).to.deep.equal(seed2);
+      } finally {
+        setEntropySource(null);
+      }
+    });
+
+    it('should throw an error if the entropy source fails', () => {
+      const height = 4;
+      const hashFunction = HASH_FUNCTION.SHAKE_128;
+
+      expect(() =>
+        newXMSSFromHeight(height, hashFunction, () => {
+          throw new Error('HSM offline');
+        })
+      ).to.throw('entropy source failed: HSM offline');
+      expect(() => newXMSSFromHeight(height, hashFunction, () => new Uint8Array(8))).to.throw(
+        'entropy source returned 8 bytes'
+      );
+    });
   });
 
   describe('getHeightFromSigSize', () => {
@@ -1884,4 +1927,38 @@ describe('Additional test cases for [xmss]', function testFunction() {
 
     expect(index).to.equal(0);
   });
+
+  describe('verifyDetailed', () => {
+    const seed = new Uint8Array(COMMON.SEED_SIZE);
+    const xmss = newXMSSFromSeed(seed, 4, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+    const message = new Uint8Array(32);
+    const { sigMsg: signature } = xmss.sign(message);
+
+    it('should accept a valid signature', () => {
+      expect(verifyDetailed(message, signature, xmss.getPK())).to.deep.equal({ valid: true, reason: VERIFY_REASON.OK });
+    });
+
+    it('should report a root mismatch for another message', () => {
+      expect(verifyDetailed(new Uint8Array(32).fill(1), signature, xmss.getPK())).to.deep.equal({
+        valid: false,
+        reason: VERIFY_REASON.ROOT_MISMATCH,
+      });
+    });
+
+    it('should report malformed sizes instead of throwing', () => {
+      expect(verifyDetailed(message, signature, xmss.getPK().subarray(1)).reason).to.equal(VERIFY_REASON.BAD_LENGTH);
+      expect(verifyDetailed(message, signature.subarray(1), xmss.getPK()).reason).to.equal(VERIFY_REASON.BAD_LENGTH);
+    });
+
+    it('should report a descriptor that does not match the signature', () => {
+      const pk = xmss.getPK();
+      pk[0] = 0;
+      expect(verifyDetailed(message, signature, pk).reason).to.equal(VERIFY_REASON.DESCRIPTOR_MISMATCH);
+
+      const otherHeight = newXMSSFromSeed(seed, 6, HASH_FUNCTION.SHAKE_128, COMMON.SHA256_2X);
+      expect(verifyDetailed(message, signature, otherHeight.getPK()).reason).to.equal(
+        VERIFY_REASON.DESCRIPTOR_MISMATCH
+      );
+    });
+  });
 });